@@ -30,8 +30,8 @@
  *
  * MITIGATION STRATEGIES IMPLEMENTED:
  *   1. Limit V8 heap to 35% of system RAM (--max-old-space-size)
- *   2. Expose GC and force periodic garbage collection (--expose-gc)
- *   3. Monitor memory and warn at thresholds
+ *   2. Force periodic + pressure-triggered GC inside Claude (gc-preload.cjs)
+ *   3. Monitor the Claude process tree's RSS/PSS and warn at thresholds
  *   4. Strip ANSI background colors that cause VTE rendering bugs
  *
  * =============================================================================
@@ -43,53 +43,45 @@ const { execSync, spawn } = require('child_process');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
-
-// Config file path
-const CONFIG_PATH = path.join(os.homedir(), '.claudefix.json');
-
-// Default config
-const DEFAULT_CONFIG = {
-  firstRun: true,
-  footer: true,
-  memoryLimit: true,
-  memPercent: 35,
-  cpuPercent: 0,
-  colorStripping: true,
-  darkMode: false,
-  scrollbackClear: true,
-  resizeDebounce: true,
-  configured: false
-};
-
-// Load config from file
-function loadConfig() {
-  try {
-    if (fs.existsSync(CONFIG_PATH)) {
-      return { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')) };
-    }
-  } catch (e) {}
-  return { ...DEFAULT_CONFIG };
-}
-
-// Save config to file
-function saveConfig(config) {
-  try {
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
+const crypto = require('crypto');
+const { sampleProcessTree, createCpuMeter } = require('../lib/process-stats.cjs');
+const { createSessionLog } = require('../lib/stats-log.cjs');
+const { createRecorder } = require('../lib/recorder.cjs');
+const { createColorTransform } = require('../lib/strip-colors.cjs');
+const { resolveProfile, isSSH } = require('../lib/terminal-profiles.cjs');
+const { resolveRuntimeOptions } = require('../lib/runtime-options.cjs');
+const { createAnsiStream, formatCsi } = require('../lib/ansi-tokenizer.cjs');
+const { computeLimits, systemdRunArgs, createDelegatedCgroup, detectCgroupStrategy } = require('../lib/cgroup.cjs');
+const { createGcChannel } = require('../lib/gc-channel.cjs');
+const { buildResumeArgs, pinSessionId, nonInteractiveFlag } = require('../lib/claude-args.cjs');
+const { loadConfig, updateUserConfig } = require('../lib/config.cjs');
+const { findRealClaude } = require('../lib/claude-binary.cjs');
+const { loadNodePty } = require('../lib/node-pty-loader.cjs');
+const { createJsonSanitizeStream } = require('../lib/json-sanitize.cjs');
+const { wrapPassthrough, wrapLinks, escapeTmuxFormat, toTmuxFormat, createTmuxControl } = require('../lib/multiplexer.cjs');
+const { loadSegments, renderFooter, visibleWidth, cutToWidth } = require('../lib/footer-segments.cjs');
+const { statusbarDir, createProviderWatcher } = require('../lib/statusbar-providers.cjs');
+const { erasesFooter, scrollRegion, flushDelayFor, createLatencyProbe } = require('../lib/remote-render.cjs');
+const { synchronized, isSyncToken, createSyncQuery } = require('../lib/sync-output.cjs');
+const { createDiffRenderer } = require('../lib/diff-renderer.cjs');
 
 // Check if running as root
 function isRoot() {
   return process.getuid && process.getuid() === 0;
 }
 
-// Load config at startup
-const config = loadConfig();
+// Load config at startup - defaults < /etc < ~ < project < env (lib/config.cjs)
+const loadedConfig = loadConfig();
+const config = loadedConfig.values;
 const debug = process.env.CLAUDEFIX_DEBUG === '1';
 
+// A typo in a config file used to be swallowed - say what was skipped
+for (const err of loadedConfig.errors) console.error('[claudefix] Config:', err);
+if (debug) {
+  const project = loadedConfig.layers.find(l => l.layer === 'project');
+  console.error('[claudefix] Project config:', project ? project.file : 'none');
+}
+
 /**
  * Force dark mode on Linux terminals (OPTIONAL - based on config)
  * If you chose light mode: A) You're not human, or B) You're brain dead
@@ -99,11 +91,9 @@ const debug = process.env.CLAUDEFIX_DEBUG === '1';
  *           xterm, urxvt, Alacritty, Kitty, foot, and generic terminals
  */
 function forceDarkMode() {
-  // Skip if user explicitly opts out via env var
-  if (process.env.CLAUDEFIX_NO_DARKMODE === '1') return;
-
-  // Skip if config says no dark mode (and they were asked)
-  if (config.configured && !config.darkMode) {
+  // Skip if config says no dark mode (and they were asked, or set it -
+  // CLAUDEFIX_NO_DARKMODE=1 lands here as darkMode: false)
+  if (!config.darkMode && (config.configured || loadedConfig.sources.darkMode !== 'default')) {
     if (debug) console.error('[claudefix] Dark mode disabled by config (future glasses wearer detected)');
     return;
   }
@@ -144,17 +134,17 @@ function forceDarkMode() {
         } catch (e) {}
       }
       // OSC sequences are always safe
-      process.stdout.write('\x1b]11;#1a1a1a\x07');
-      process.stdout.write('\x1b]10;#e0e0e0\x07');
-      process.stdout.write('\x1b]12;#e0e0e0\x07');
+      writeOsc('\x1b]11;#1a1a1a\x07');
+      writeOsc('\x1b]10;#e0e0e0\x07');
+      writeOsc('\x1b]12;#e0e0e0\x07');
       if (debug) console.error('[claudefix] Dark mode: Tilix');
     }
 
     // 2. GNOME Terminal / other VTE-based terminals (OSC only - safe)
     else if (vteVersion || termProgram === 'gnome-terminal') {
-      process.stdout.write('\x1b]11;#1a1a1a\x07');
-      process.stdout.write('\x1b]10;#e0e0e0\x07');
-      process.stdout.write('\x1b]12;#e0e0e0\x07');
+      writeOsc('\x1b]11;#1a1a1a\x07');
+      writeOsc('\x1b]10;#e0e0e0\x07');
+      writeOsc('\x1b]12;#e0e0e0\x07');
       if (debug) console.error('[claudefix] Dark mode: VTE terminal');
     }
 
@@ -165,12 +155,12 @@ function forceDarkMode() {
           execSync('konsoleprofile colors=Breeze', { stdio: 'ignore', timeout: 1000 });
         } catch (e) {
           // Fallback to OSC
-          process.stdout.write('\x1b]11;#1a1a1a\x07');
-          process.stdout.write('\x1b]10;#e0e0e0\x07');
+          writeOsc('\x1b]11;#1a1a1a\x07');
+          writeOsc('\x1b]10;#e0e0e0\x07');
         }
       } else {
-        process.stdout.write('\x1b]11;#1a1a1a\x07');
-        process.stdout.write('\x1b]10;#e0e0e0\x07');
+        writeOsc('\x1b]11;#1a1a1a\x07');
+        writeOsc('\x1b]10;#e0e0e0\x07');
       }
       if (debug) console.error('[claudefix] Dark mode: Konsole');
     }
@@ -187,22 +177,22 @@ function forceDarkMode() {
 
     // 5. Alacritty (OSC only - safe)
     if (alacrittySocket || termProgram === 'Alacritty') {
-      process.stdout.write('\x1b]11;#1a1a1a\x07');
-      process.stdout.write('\x1b]10;#e0e0e0\x07');
+      writeOsc('\x1b]11;#1a1a1a\x07');
+      writeOsc('\x1b]10;#e0e0e0\x07');
       if (debug) console.error('[claudefix] Dark mode: Alacritty');
     }
 
     // 6. xterm (OSC only - safe)
     if (xtermVersion || term === 'xterm' || term === 'xterm-256color') {
-      process.stdout.write('\x1b]11;#1a1a1a\x07');
-      process.stdout.write('\x1b]10;#e0e0e0\x07');
+      writeOsc('\x1b]11;#1a1a1a\x07');
+      writeOsc('\x1b]10;#e0e0e0\x07');
       if (debug) console.error('[claudefix] Dark mode: xterm');
     }
 
     // 7. Generic fallback - OSC 10/11 (safe on most modern terminals)
     if (!vteVersion && !konsoleDbus && !kittyPid && !xtermVersion) {
-      process.stdout.write('\x1b]11;#1a1a1a\x07');
-      process.stdout.write('\x1b]10;#e0e0e0\x07');
+      writeOsc('\x1b]11;#1a1a1a\x07');
+      writeOsc('\x1b]10;#e0e0e0\x07');
       if (debug) console.error('[claudefix] Dark mode: generic OSC');
     }
 
@@ -214,24 +204,65 @@ function forceDarkMode() {
   }
 }
 
+// Scripts (claude -p ... | jq, --output-format json, stdin/stdout redirected)
+// get Claude as-is: no PTY, no footer, no escapes into the pipe, stdout and
+// stderr kept apart - only the heap limit. Safe to install as `claude`.
+function passthroughReason() {
+  if (!process.stdout.isTTY) return 'stdout is not a terminal';
+  if (!process.stdin.isTTY) return 'stdin is not a terminal';
+  const flag = nonInteractiveFlag(process.argv.slice(2));
+  return flag ? `non-interactive flag ${flag}` : null;
+}
+const PASSTHROUGH = passthroughReason();
+
+// Terminal profile (terminals/*.json + ~/.config/claudefix/terminals/) for mode selection
+const terminalProfile = resolveProfile();
+const terminalType = terminalProfile.name;
+
+// Every config answer + env override, resolved once (lib/runtime-options.cjs)
+const runtime = resolveRuntimeOptions(config, { profile: terminalProfile });
+
+if (debug) {
+  console.error('[claudefix] Terminal profile:', terminalType, `(${terminalProfile.via})`, terminalProfile.files.join(', '));
+  for (const err of terminalProfile.errors) console.error('[claudefix] Profile error:', err);
+  console.error('[claudefix] Color mode:', runtime.colorMode, process.env.CLAUDEFIX_NUCLEAR === '1' ? '(nuclear)' : '');
+  console.error('[claudefix] Scrollback clear:', runtime.scrollbackClear
+    ? `on 2J: ${runtime.clearOnFullClear}, every ${runtime.clearAfterRenders} renders, every ${runtime.periodicClearMs}ms`
+    : 'off');
+  console.error('[claudefix] Resize debounce:', runtime.resizeDebounceMs + 'ms');
+  console.error('[claudefix] Diff render:', runtime.diffRender ? 'on' : 'off');
+  if (runtime.multiplexer) {
+    console.error('[claudefix] Multiplexer:', runtime.multiplexer.name,
+      `(clear-history: ${runtime.tmuxClearHistory}, status footer: ${runtime.tmuxStatusFooter}, passthrough: ${runtime.muxPassthrough})`);
+  }
+}
+
+// OSCs we send ourselves (dark mode, links) - inside tmux/screen they go
+// through passthrough or the multiplexer eats them
+function osc(seq) {
+  return runtime.muxPassthrough ? wrapPassthrough(seq, runtime.multiplexer) : seq;
+}
+
+function writeOsc(seq) {
+  process.stdout.write(osc(seq));
+}
+
 // Apply dark mode if configured (or not yet configured = default on)
-if (config.darkMode || !config.configured) {
+if (!PASSTHROUGH && (config.darkMode || !config.configured)) {
   forceDarkMode();
 }
 
-// Calculate memory limits (configurable, defaults to 35% of total system RAM)
+// Memory limits (configurable, defaults to 35% of total system RAM)
 // Set via env var (percentage 1-100) or config file
-const TOTAL_MEM_MB = Math.floor(os.totalmem() / 1024 / 1024);
-const MEM_PERCENT = Math.min(100, Math.max(1,
-  parseInt(process.env.CLAUDEFIX_MEM_PERCENT, 10) || config.memPercent || 35
-)) / 100;
-const MAX_HEAP_MB = Math.floor(TOTAL_MEM_MB * MEM_PERCENT);
+const TOTAL_MEM_MB = runtime.totalMemMB;
+const MAX_HEAP_MB = runtime.maxHeapMB;
+const HEAP_CAP_MB = runtime.heapCapMB; // 0 when memoryLimit is off
 const WARN_THRESHOLD_MB = Math.floor(MAX_HEAP_MB * 0.7);
 const CRITICAL_THRESHOLD_MB = Math.floor(MAX_HEAP_MB * 0.9);
 
 // CPU limit (configurable, default: no limit)
 // Set via env var (percentage 1-100) or config file
-const CPU_PERCENT = parseInt(process.env.CLAUDEFIX_CPU_PERCENT, 10) || config.cpuPercent || 0;
+const CPU_PERCENT = runtime.cpuPercent;
 const CPU_CORES = os.cpus().length;
 
 /**
@@ -268,92 +299,86 @@ function applyCpuLimit(pid) {
   }
 }
 
-// GC interval (force GC every 60 seconds)
-const GC_INTERVAL_MS = 60000;
-
-// Memory check interval
-const MEM_CHECK_INTERVAL_MS = 30000;
-
-// Terminal type for mode selection
-const terminalType = getTerminalType();
-// Force nuclear mode via env var (for testing or when auto-detection fails)
-const forceNuclear = process.env.CLAUDEFIX_NUCLEAR === '1';
+// cgroup v2 limits (Linux): bounds Claude AND every tool subprocess it spawns,
+// with cpu.max + memory.high/memory.max. cpulimit/renice only touch one pid,
+// so they're the fallback when no usable cgroup v2 setup exists.
+// Only when a limit was asked for - a CPU percent, or a memory percent from
+// env or a config file - since probing for systemd-run is a blocking spawn.
+const MEM_PERCENT_SET = loadedConfig.sources.memPercent !== 'default';
+const cgroupLimits = computeLimits({
+  cpuPercent: CPU_PERCENT,
+  memPercent: runtime.memoryLimit && MEM_PERCENT_SET ? runtime.memPercent : 0,
+});
+const USE_CGROUP = process.platform === 'linux' && config.cgroupLimits && Object.keys(cgroupLimits).length > 0;
+let cgroupStrategy = null;   // detected lazily - probing systemd costs a spawn
+let delegatedCgroup = null;
+
+function getCgroupStrategy() {
+  if (!cgroupStrategy) {
+    cgroupStrategy = USE_CGROUP ? detectCgroupStrategy() : { strategy: null };
+    if (debug) console.error('[claudefix] cgroup strategy:', cgroupStrategy.strategy || 'none (cpulimit/renice fallback)');
+  }
+  return cgroupStrategy;
+}
 
-if (debug) {
-  console.error('[claudefix] Terminal type:', terminalType);
-  console.error('[claudefix] Force nuclear:', forceNuclear);
+/**
+ * Command + args to launch Claude with - wrapped in a transient systemd
+ * scope when we can (systemd-run --scope execs Claude, same pid)
+ */
+function limitedCommand(args) {
+  if (getCgroupStrategy().strategy === 'systemd-run') {
+    return ['systemd-run', [...systemdRunArgs(cgroupLimits), claudeBin, ...args]];
+  }
+  return [claudeBin, args];
 }
 
 /**
- * Strip ALL background colors - simple and clean approach
- * Just remove the entire escape sequence containing background colors
- *
- * NUCLEAR MODE: For terminals like Ptyxis that have VTE rendering issues,
- * we strip even more aggressively including dim text and other problematic codes
- *
- * THERMONUCLEAR MODE: For GTK4/Ptyxis - strip almost everything, keep only basic colors
+ * Apply resource limits to a freshly spawned Claude child
+ * Returns a cpulimit process to kill on exit (fallback path only)
  */
-function stripColors(data) {
-  let str = data;
-
-  // Universal approach: parse each SGR sequence, keep only safe codes
-  // This handles ALL compound sequences correctly (e.g. \x1b[1;38;5;196;48;5;236m)
-  // by parsing code-by-code instead of regex pattern matching
-  str = str.replace(/\x1b\[[0-9;]*m/g, (match) => {
-    const codes = match.slice(2, -1).split(';').filter(c => c !== '');
-
-    if (codes.length === 0) return '\x1b[0m';
-
-    const allowed = [];
-    let i = 0;
-    while (i < codes.length) {
-      const code = parseInt(codes[i], 10);
-
-      // Reset
-      if (code === 0) { allowed.push('0'); i++; }
-      // Bold (1), italic (3), underline (4), strikethrough (9)
-      else if (code === 1 || code === 3 || code === 4 || code === 9) { allowed.push(codes[i]); i++; }
-      // Bold off (22), italic off (23), underline off (24), strikethrough off (29)
-      else if (code === 22 || code === 23 || code === 24 || code === 29) { allowed.push(codes[i]); i++; }
-      // Standard foreground (30-37)
-      else if (code >= 30 && code <= 37) { allowed.push(codes[i]); i++; }
-      // Default foreground (39)
-      else if (code === 39) { allowed.push('39'); i++; }
-      // Bright foreground (90-97)
-      else if (code >= 90 && code <= 97) { allowed.push(codes[i]); i++; }
-      // 256-color foreground (38;5;X)
-      else if (code === 38 && codes[i + 1] === '5' && codes[i + 2]) {
-        allowed.push('38', '5', codes[i + 2]); i += 3;
-      }
-      // True color foreground (38;2;R;G;B)
-      else if (code === 38 && codes[i + 1] === '2' && codes[i + 4]) {
-        allowed.push('38', '2', codes[i + 2], codes[i + 3], codes[i + 4]); i += 5;
-      }
-      // Skip ALL backgrounds: 40-47, 49, 100-107
-      else if ((code >= 40 && code <= 49) || (code >= 100 && code <= 107)) { i++; }
-      // Skip 256-color bg (48;5;X)
-      else if (code === 48 && codes[i + 1] === '5') { i += 3; }
-      // Skip true color bg (48;2;R;G;B)
-      else if (code === 48 && codes[i + 1] === '2') { i += 5; }
-      // Skip dim (2), inverse (7), hidden (8) and their offs
-      else if (code === 2 || code === 7 || code === 8 || code === 27 || code === 28) { i++; }
-      // Unknown - skip
-      else { i++; }
-    }
+function applyResourceLimits(pid) {
+  const { strategy, dir } = getCgroupStrategy();
+  if (strategy === 'systemd-run') return null; // the scope already has the limits
 
-    if (allowed.length === 0) return '';
-    return `\x1b[${allowed.join(';')}m`;
-  });
+  if (strategy === 'delegated') {
+    try {
+      if (!delegatedCgroup) delegatedCgroup = createDelegatedCgroup(dir, cgroupLimits);
+      delegatedCgroup.enter(pid);
+      if (debug) console.error(`[claudefix] PID ${pid} moved into cgroup ${delegatedCgroup.dir}`, cgroupLimits);
+      return null;
+    } catch (e) {
+      if (debug) console.error('[claudefix] Delegated cgroup failed, falling back:', e.message);
+    }
+  }
 
-  return str;
+  return CPU_PERCENT > 0 ? applyCpuLimit(pid) : null;
 }
 
+// Empty cgroups can be removed once Claude is gone
+process.on('exit', () => { if (delegatedCgroup) delegatedCgroup.remove(); });
+
+// GC preload - gets --require'd into Claude so GC runs in ITS heap
+const GC_PRELOAD_PATH = path.join(__dirname, '..', 'gc-preload.cjs');
+
+// Memory check interval
+const MEM_CHECK_INTERVAL_MS = 30000;
+const FOOTER_STATS_MS = 3000; // memory / cpu footer segments
+
+// Auto-restart (opt-in): when Claude crosses CRITICAL_THRESHOLD_MB, wait for it
+// to go idle, stop it cleanly and relaunch it resuming the same session in the same PTY.
+// A controlled restart beats the kernel OOM killer taking out an overnight run.
+const AUTO_RESTART = config.autoRestart;
+const RESTART_IDLE_MS = config.restartIdleMs;
+const RESTART_COUNTDOWN_SEC = config.restartCountdownSec;
+const RESTART_KILL_TIMEOUT_MS = 5000; // SIGKILL if Claude ignores SIGTERM
+
+
 // Check if we should show footer
 // First run = ALWAYS show footer (cry me a river)
 // After first run = respect config.footer setting
 function shouldShowFooter() {
   // Env var always wins
-  if (process.env.CLAUDEFIX_NO_FOOTER === '1') return false;
+  if (loadedConfig.sources.footer === 'env CLAUDEFIX_NO_FOOTER') return false;
 
   // First run? Footer is MANDATORY. Cry me a river.
   if (config.firstRun) {
@@ -368,278 +393,142 @@ function shouldShowFooter() {
 // Check if we should use PTY mode (for color stripping, memory monitoring)
 function shouldUsePTY() {
   // Always use PTY if color stripping is enabled
-  if (config.colorStripping && process.env.CLAUDE_STRIP_BG_COLORS !== '0') return true;
+  if (config.colorStripping) return true;
   // Or if footer is showing
   if (shouldShowFooter()) return true;
   return false;
 }
 
-// Detect if we're in an SSH session (scroll region doesn't work well over SSH)
-function isSSH() {
-  return !!(process.env.SSH_CLIENT || process.env.SSH_TTY || process.env.SSH_CONNECTION);
-}
-
-// Detect terminal type for terminal-specific fixes
-function getTerminalType() {
-  const term = process.env.TERM || '';
-  const termProgram = process.env.TERM_PROGRAM || '';
-  const vteVersion = process.env.VTE_VERSION || '';
-  const gdkBackend = process.env.GDK_BACKEND || '';
-  const ptyxis = process.env.PTYXIS_VERSION || process.env.COLORTERM === 'truecolor';
-
-  // macOS terminals
-  if (process.platform === 'darwin') {
-    if (termProgram === 'Apple_Terminal') return 'apple-terminal';
-    if (termProgram === 'iTerm.app') return 'iterm2';
-    if (termProgram === 'WezTerm') return 'wezterm';
-    if (termProgram === 'Alacritty') return 'alacritty';
-    if (termProgram === 'kitty') return 'kitty';
-    // Generic macOS terminal
-    if (term.includes('xterm') || term.includes('256color')) return 'mac-xterm';
-    return 'mac-unknown';
-  }
-
-  // Check for Ptyxis specifically
-  if (termProgram.toLowerCase().includes('ptyxis') ||
-      process.env.GNOME_TERMINAL_SERVICE?.includes('Ptyxis')) {
-    return 'ptyxis';
-  }
-
-  // XFCE4 Terminal - uses VTE but handles ANSI fine, does NOT need thermonuclear mode
-  // Must check BEFORE the VTE version check or it gets misclassified as gtk4-vte
-  if (termProgram === 'xfce4-terminal' || termProgram === 'Xfce Terminal' ||
-      process.env.XFCE_TERMINAL_VERSION ||
-      process.env.WINDOWPATH || // XFCE sets this
-      (process.env.XDG_CURRENT_DESKTOP || '').toLowerCase().includes('xfce')) {
-    return 'xfce-terminal';
-  }
-
-  // GTK4 terminals (like Ptyxis) often have GDK_BACKEND set
-  if (gdkBackend === 'wayland' && vteVersion) {
-    return 'gtk4-vte';
-  }
-
-  // VTE 0.70+ (7000+) is GTK4 - use aggressive stripping
-  // VTE version format: MAJOR * 100 + MINOR (e.g., 7600 = 0.76)
-  const vteNum = parseInt(vteVersion, 10);
-  if (vteNum >= 7000) {
-    return 'gtk4-vte';
+// Per-session stats log (`claudefix stats` reads it back), opened in PTY mode
+const STATS_LOG = config.statsLog;
+let sessionLog = null;
+
+// GC reports from the preload inside Claude - passthrough runs without it
+let gcStats = { runs: 0, freedMB: 0, last: null, heapLimitMB: null };
+const gcChannel = PASSTHROUGH ? null : createGcChannel((msg) => {
+  if (msg.type === 'hello') {
+    gcStats.heapLimitMB = msg.heapLimitMB;
+    if (debug) console.error(`[claudefix] GC preload active in PID ${msg.pid} (heap limit ${msg.heapLimitMB}MB)`);
+  } else if (msg.type === 'gc') {
+    gcStats.runs++;
+    gcStats.freedMB += Math.max(0, msg.freedMB);
+    gcStats.last = msg;
+    if (sessionLog) sessionLog.write(msg);
+    if (debug) console.error(`[claudefix] GC (${msg.reason}) in PID ${msg.pid}: ${msg.beforeMB}MB -> ${msg.afterMB}MB, freed ${msg.freedMB}MB in ${msg.ms}ms`);
   }
+});
 
-  if (termProgram === 'GNOME Terminal' || vteVersion) {
-    return 'gnome-terminal';
-  }
-
-  if (term.includes('xterm') || term.includes('256color')) {
-    return 'xterm';
-  }
-
-  return 'unknown';
+// --max-old-space-size for the child, nothing when memoryLimit is off
+function heapCapOption() {
+  return HEAP_CAP_MB ? ` --max-old-space-size=${HEAP_CAP_MB}` : '';
 }
 
-// Check if a file is the real claude (not our wrapper)
-function isRealClaude(filePath) {
-  if (!fs.existsSync(filePath)) return false;
-  try {
-    const content = fs.readFileSync(filePath, 'utf8').slice(0, 500);
-    // It's real claude if it doesn't contain our markers
-    return !content.includes('claudefix') && !content.includes('Hardwick');
-  } catch (e) {
-    // Can't read - might be binary, assume it's real
-    return true;
+// NODE_OPTIONS for the Claude child: heap cap + GC preload, only the heap cap
+// in passthrough
+// (the native self-updating binary ignores these, npm-installed Claude honors them)
+function childNodeOptions() {
+  if (PASSTHROUGH) return `${process.env.NODE_OPTIONS || ''}${heapCapOption()}`.trim();
+  let opts = `${process.env.NODE_OPTIONS || ''}${heapCapOption()} --expose-gc`;
+  if (gcChannel && fs.existsSync(GC_PRELOAD_PATH)) {
+    opts += ` --require "${GC_PRELOAD_PATH}"`;
   }
+  return opts.trim();
 }
 
-// Find the REAL claude binary
-function findRealClaude() {
-  const debug = process.env.CLAUDEFIX_DEBUG === '1';
-
-  // 1. Check env var (set by our wrapper)
-  if (process.env.CLAUDE_REAL_BINARY && fs.existsSync(process.env.CLAUDE_REAL_BINARY)) {
-    if (debug) console.error('[claudefix] Found via CLAUDE_REAL_BINARY env');
-    return process.env.CLAUDE_REAL_BINARY;
+// Env for the Claude child - GC timing comes from ~/.claudefix.json
+function childEnv() {
+  const env = { ...process.env, NODE_OPTIONS: childNodeOptions() };
+  if (gcChannel) {
+    env.CLAUDEFIX_GC_SOCKET = gcChannel.path;
+    env.CLAUDEFIX_GC_INTERVAL_MS = String(config.gcIntervalMs);
+    env.CLAUDEFIX_GC_CHECK_MS = String(config.gcCheckMs);
+    env.CLAUDEFIX_GC_PRESSURE_PERCENT = String(config.gcPressurePercent);
   }
-
-  // 2. Check self-updating claude versions directory
-  const versionsDir = path.join(os.homedir(), '.local/share/claude/versions');
-  if (fs.existsSync(versionsDir)) {
-    try {
-      const versions = fs.readdirSync(versionsDir)
-        .filter(v => /^\d+\.\d+\.\d+$/.test(v))
-        .sort((a, b) => {
-          const [aMaj, aMin, aPat] = a.split('.').map(Number);
-          const [bMaj, bMin, bPat] = b.split('.').map(Number);
-          return bMaj - aMaj || bMin - aMin || bPat - aPat;
-        });
-      if (versions.length > 0) {
-        const versionPath = path.join(versionsDir, versions[0]);
-        if (debug) console.error('[claudefix] Found in versions dir:', versionPath);
-        return versionPath;
-      }
-    } catch (e) {}
-  }
-
-  // 3. Check backup binaries created by claudefix --setup or specmem-init
-  const backupLocations = [
-    path.join(os.homedir(), '.local/bin/claude-original'),
-    '/usr/local/bin/claude-original',
-    '/opt/homebrew/bin/claude-original',
-  ];
-  for (const backup of backupLocations) {
-    if (fs.existsSync(backup)) {
-      if (debug) console.error('[claudefix] Found backup binary:', backup);
-      return backup;
-    }
-  }
-
-  // 4. Check all possible install locations
-  const locations = [
-    // System-wide npm installs
-    '/usr/bin/claude',
-    '/usr/local/bin/claude',
-    '/usr/lib/node_modules/@anthropic-ai/claude-code/cli.js',
-    '/usr/local/lib/node_modules/@anthropic-ai/claude-code/cli.js',
-    // User local installs
-    path.join(os.homedir(), '.local/bin/claude'),
-    path.join(os.homedir(), '.npm-global/bin/claude'),
-    path.join(os.homedir(), '.npm-global/lib/node_modules/@anthropic-ai/claude-code/cli.js'),
-    // nvm style installs
-    path.join(os.homedir(), '.nvm/versions/node', process.version, 'bin/claude'),
-    path.join(os.homedir(), '.nvm/versions/node', process.version, 'lib/node_modules/@anthropic-ai/claude-code/cli.js'),
-    // Homebrew (macOS)
-    '/opt/homebrew/bin/claude',
-    '/opt/homebrew/lib/node_modules/@anthropic-ai/claude-code/cli.js',
-    // Intel Mac Homebrew
-    '/usr/local/opt/claude/bin/claude',
-  ];
-
-  for (const loc of locations) {
-    if (isRealClaude(loc)) {
-      if (debug) console.error('[claudefix] Found at:', loc);
-      return loc;
-    }
-  }
-
-  // 4. Last resort: use 'which' to find claude in PATH
-  try {
-    const { execSync } = require('child_process');
-    const whichResult = execSync('which claude 2>/dev/null', { encoding: 'utf8' }).trim();
-    if (whichResult && isRealClaude(whichResult)) {
-      if (debug) console.error('[claudefix] Found via which:', whichResult);
-      return whichResult;
-    }
-    // If which returns our wrapper, try to find the real one by checking symlinks
-    if (whichResult) {
-      const realPath = fs.realpathSync(whichResult);
-      if (realPath !== whichResult && isRealClaude(realPath)) {
-        if (debug) console.error('[claudefix] Found via realpath:', realPath);
-        return realPath;
-      }
-    }
-  } catch (e) {}
-
-  return null;
-}
-
-// Get current memory usage
-function getMemoryUsageMB() {
-  const used = process.memoryUsage();
-  return Math.floor(used.heapUsed / 1024 / 1024);
+  return env;
 }
 
 // Main execution
-const claudeBin = findRealClaude();
-if (!claudeBin) {
+const found = findRealClaude({ realBinary: config.realBinary, realBinarySource: loadedConfig.sources.realBinary });
+if (!found) {
   console.error('[claudefix] Claude not found - make sure its installed');
   process.exit(1);
 }
+const claudeBin = found.path;
 
-const usePTY = shouldUsePTY();
-const showFooter = shouldShowFooter();
+const usePTY = !PASSTHROUGH && shouldUsePTY();
+const showFooter = !PASSTHROUGH && terminalProfile.footer && shouldShowFooter();
 
 if (debug) {
-  console.error('[claudefix] Memory limit:', MAX_HEAP_MB, 'MB (35% of', TOTAL_MEM_MB, 'MB total)');
-  console.error('[claudefix] PTY mode:', usePTY);
+  console.error('[claudefix] Memory limit:', MAX_HEAP_MB, `MB (${runtime.memPercent}% of`, TOTAL_MEM_MB, 'MB total)', HEAP_CAP_MB ? '' : '- monitor only, not enforced');
+  console.error('[claudefix] PTY mode:', usePTY, PASSTHROUGH ? `(passthrough: ${PASSTHROUGH})` : '');
   console.error('[claudefix] Show footer:', showFooter);
   console.error('[claudefix] First run:', config.firstRun);
-  console.error('[claudefix] Claude binary:', claudeBin);
+  console.error('[claudefix] Claude binary:', claudeBin, `(${found.reason})`);
   console.error('[claudefix] CPU limit:', CPU_PERCENT > 0 ? CPU_PERCENT + '%' : 'off');
 }
 
-// Mark first run as complete after this session starts
-if (config.firstRun) {
+// Mark first run as complete after this session starts (a script run
+// never showed the footer, so it doesn't count)
+if (config.firstRun && !PASSTHROUGH) {
   config.firstRun = false;
-  saveConfig(config);
+  // only the flag - the merged config has env/project values that aren't the user's
+  try { updateUserConfig({ firstRun: false }); } catch (e) {
+    if (debug) console.error('[claudefix] Could not save first run:', e.message);
+  }
   if (debug) console.error('[claudefix] First run complete - footer now optional');
 }
 
 if (!usePTY) {
-  // Not headless - spawn with memory limits only
-  const child = spawn(claudeBin, process.argv.slice(2), {
-    stdio: 'inherit',
-    env: {
-      ...process.env,
-      NODE_OPTIONS: `${process.env.NODE_OPTIONS || ''} --max-old-space-size=${MAX_HEAP_MB} --expose-gc`.trim()
+  // Not headless - spawn with memory limits only (passthrough: the heap cap
+  // in NODE_OPTIONS and nothing else, Claude's stdio is the caller's)
+  const [cmd, cmdArgs] = PASSTHROUGH ? [claudeBin, process.argv.slice(2)] : limitedCommand(process.argv.slice(2));
+  // jsonSanitize: Claude's stdout through lib/json-sanitize.cjs, stderr untouched
+  const sanitize = PASSTHROUGH && config.jsonSanitize;
+  const child = spawn(cmd, cmdArgs, {
+    stdio: sanitize ? ['inherit', 'pipe', 'inherit'] : 'inherit',
+    env: childEnv()
+  });
+  let stdoutDone = Promise.resolve();
+  if (sanitize) {
+    const sanitizer = createJsonSanitizeStream();
+    child.stdout.pipe(sanitizer).pipe(process.stdout, { end: false });
+    stdoutDone = new Promise(resolve => {
+      sanitizer.on('end', resolve);
+      // reader went away (| head) - Claude would have got SIGPIPE on its own,
+      // and nothing drains the sanitizer any more, so it never ends
+      process.stdout.on('error', () => {
+        try { child.kill('SIGPIPE'); } catch {}
+        resolve();
+      });
+    });
+  }
+  const cpuLimiter = child.pid && !PASSTHROUGH ? applyResourceLimits(child.pid) : null;
+  // `timeout 60 claude -p ...` signals us, not Claude - pass it on
+  const forward = (signal) => { try { child.kill(signal); } catch {} };
+  for (const signal of ['SIGTERM', 'SIGHUP']) process.on(signal, forward);
+  child.on('error', (e) => {
+    console.error(`[claudefix] Could not start ${cmd}: ${e.message}`);
+    process.exit(127);
+  });
+  // close, not exit - the sanitized stdout has to be written out first
+  child.on('close', async (code, signal) => {
+    if (cpuLimiter) try { cpuLimiter.kill(); } catch {}
+    await stdoutDone;
+    if (!process.stdout.destroyed) await new Promise(resolve => process.stdout.write('', resolve));
+    // died from a signal - die from the same one so the caller sees it
+    if (signal) {
+      for (const s of ['SIGTERM', 'SIGHUP']) process.removeListener(s, forward);
+      if (gcChannel) gcChannel.close(); // no 'exit' event after the signal
+      process.kill(process.pid, signal);
+      return;
     }
+    process.exit(code || 0);
   });
-  child.on('exit', (code) => process.exit(code || 0));
 } else {
   // PTY mode - use PTY with color filtering, footer, AND memory management
   let pty;
   try {
-    const possiblePaths = [
-      'node-pty',
-      path.join(__dirname, '..', 'node_modules', 'node-pty'),
-      '/usr/lib/node_modules/node-pty',
-      '/usr/lib/node_modules/claudefix/node_modules/node-pty',
-      '/usr/local/lib/node_modules/node-pty',
-      '/usr/local/lib/node_modules/claudefix/node_modules/node-pty',
-    ];
-
-    for (const p of possiblePaths) {
-      try {
-        pty = require(p);
-        if (debug) console.error('[claudefix] Loaded node-pty from:', p);
-        break;
-      } catch (e) {
-        // node-pty exists but native addon not compiled (common on Linux - no prebuilds)
-        // Try to auto-rebuild it
-        if (e.code === 'MODULE_NOT_FOUND' && e.message && e.message.includes('.node')) {
-          const ptyDir = p === 'node-pty' ? null : p;
-          const resolvedDir = ptyDir || (() => {
-            try { return path.dirname(require.resolve('node-pty/package.json')); } catch { return null; }
-          })();
-          if (resolvedDir && fs.existsSync(path.join(resolvedDir, 'binding.gyp'))) {
-            try {
-              if (debug) console.error('[claudefix] node-pty native addon missing, attempting rebuild:', resolvedDir);
-              execSync('npm rebuild node-pty 2>&1', {
-                cwd: path.dirname(resolvedDir),
-                timeout: 60000,
-                stdio: debug ? 'inherit' : 'pipe'
-              });
-              // Try loading again after rebuild
-              pty = require(p);
-              if (debug) console.error('[claudefix] node-pty rebuilt and loaded from:', p);
-              break;
-            } catch (rebuildErr) {
-              if (debug) console.error('[claudefix] node-pty rebuild failed:', rebuildErr.message);
-            }
-          }
-        }
-      }
-    }
-
-    // Last resort: use vendored node-pty (pre-compiled linux-x64 bundled with claudefix)
-    if (!pty) {
-      try {
-        const vendorPath = path.join(__dirname, '..', 'vendor', 'node-pty', 'lib', 'index.js');
-        pty = require(vendorPath);
-        if (debug) console.error('[claudefix] Loaded VENDORED node-pty from:', vendorPath);
-      } catch (vendorErr) {
-        if (debug) console.error('[claudefix] Vendored node-pty also failed:', vendorErr.message);
-      }
-    }
-
+    pty = loadNodePty({ debug }).pty;
     if (!pty) throw new Error('node-pty not found (tried npm, rebuild, and vendored)');
   } catch (e) {
     // Fallback: launch claude in the system's default terminal emulator
@@ -677,7 +566,7 @@ if (!usePTY) {
             stdio: 'inherit',
             env: {
               ...process.env,
-              NODE_OPTIONS: `${process.env.NODE_OPTIONS || ''} --max-old-space-size=${MAX_HEAP_MB}`.trim()
+              NODE_OPTIONS: `${process.env.NODE_OPTIONS || ''}${heapCapOption()}`.trim()
             }
           });
           child.on('exit', (code) => process.exit(code || 0));
@@ -694,7 +583,7 @@ if (!usePTY) {
         stdio: 'inherit',
         env: {
           ...process.env,
-          NODE_OPTIONS: `${process.env.NODE_OPTIONS || ''} --max-old-space-size=${MAX_HEAP_MB}`.trim()
+          NODE_OPTIONS: `${process.env.NODE_OPTIONS || ''}${heapCapOption()}`.trim()
         }
       });
       child.on('exit', (code) => process.exit(code || 0));
@@ -702,6 +591,11 @@ if (!usePTY) {
     return;
   }
 
+  // Footer segments (lib/footer-segments.cjs) - a module that doesn't load
+  // is reported here, before Claude owns the screen
+  const footer = showFooter ? loadSegments(config.footerSegments) : { segments: [], errors: [] };
+  for (const err of footer.errors) console.error('[claudefix] Footer:', err);
+
   // Get terminal size
   const cols = process.stdout.columns || 80;
   const rows = process.stdout.rows || 24;
@@ -710,155 +604,385 @@ if (!usePTY) {
   // Don't hardcode xterm-256color - respect the user's actual terminal
   const ptyTermName = process.env.TERM || 'xterm-256color';
 
+  let ptyProcess = null;
+  let cpuLimiter = null;
+
   // Spawn Claude in a PTY with memory limits
-  const ptyProcess = pty.spawn(claudeBin, process.argv.slice(2), {
-    name: ptyTermName,
-    cols: cols,
-    rows: rows,
-    cwd: process.cwd(),
-    env: {
-      ...process.env,
-      NODE_OPTIONS: `${process.env.NODE_OPTIONS || ''} --max-old-space-size=${MAX_HEAP_MB} --expose-gc`.trim()
+  // (called again with resume args when auto-restart kicks in)
+  function spawnClaude(args, spawnCols, spawnRows) {
+    const [cmd, cmdArgs] = limitedCommand(args);
+    const proc = pty.spawn(cmd, cmdArgs, {
+      name: ptyTermName,
+      cols: spawnCols,
+      rows: spawnRows,
+      cwd: process.cwd(),
+      env: childEnv()
+    });
+    ptyProcess = proc;
+
+    // cgroup (Claude + all its tools) or cpulimit/renice on the PTY child
+    if (proc.pid) {
+      cpuLimiter = applyResourceLimits(proc.pid);
     }
-  });
 
-  // Apply CPU limit to the PTY child process
-  let cpuLimiter = null;
-  if (CPU_PERCENT > 0 && ptyProcess.pid) {
-    cpuLimiter = applyCpuLimit(ptyProcess.pid);
+    // Late output from a process we already replaced is dropped
+    proc.onData((data) => { if (proc === ptyProcess) handlePtyData(data); });
+    proc.onExit((e) => { if (proc === ptyProcess) handlePtyExit(e); });
   }
 
-  // Force garbage collection periodically
-  let gcInterval;
-  if (typeof global.gc === 'function') {
-    gcInterval = setInterval(() => {
-      try {
-        global.gc();
-        if (debug) console.error('[claudefix] Forced GC');
-      } catch (e) {}
-    }, GC_INTERVAL_MS);
+  // auto-restart resumes by id - a new conversation gets one up front, so
+  // it isn't left to --continue picking the cwd's latest
+  const claudeArgs = AUTO_RESTART ? pinSessionId(process.argv.slice(2), crypto.randomUUID()) : process.argv.slice(2);
+  spawnClaude(claudeArgs, cols, rows);
+
+  // Idle tracking for auto-restart - no PTY output AND no recent keystrokes
+  let lastOutputTime = Date.now();
+  let lastInputTime = 0;
+  let restartPending = null;   // { secondsLeft, usedMB } while counting down
+  let restartTimer = null;
+  let restarting = false;
+  let restartedAtMB = 0;
+
+  function isClaudeIdle() {
+    const now = Date.now();
+    return (now - lastOutputTime) >= RESTART_IDLE_MS && (now - lastInputTime) >= RESTART_IDLE_MS;
+  }
+
+  function scheduleRestart(usedMB) {
+    if (restartPending || restarting) return;
+    restartPending = { secondsLeft: RESTART_COUNTDOWN_SEC, usedMB };
+    if (debug) console.error(`[claudefix] Auto-restart armed at ${usedMB}MB`);
+    restartTimer = setInterval(() => {
+      // Activity resets the countdown - never restart mid-response or mid-typing
+      if (!isClaudeIdle()) {
+        restartPending.secondsLeft = RESTART_COUNTDOWN_SEC;
+      } else if (--restartPending.secondsLeft <= 0) {
+        clearInterval(restartTimer);
+        restartTimer = null;
+        restartClaude();
+        return;
+      }
+      if (showFooter) drawFooter();
+    }, 1000);
+    if (showFooter) drawFooter();
+  }
+
+  function restartClaude() {
+    restartedAtMB = restartPending ? restartPending.usedMB : 0;
+    restarting = true;
+    if (sessionLog) sessionLog.write({ type: 'restart', memMB: restartedAtMB });
+    restartPending = null;
+    if (debug) console.error('[claudefix] Auto-restart: stopping Claude');
+    const old = ptyProcess;
+    try { old.kill('SIGTERM'); } catch {}
+    const killTimer = setTimeout(() => {
+      if (old === ptyProcess) try { old.kill('SIGKILL'); } catch {}
+    }, RESTART_KILL_TIMEOUT_MS);
+    killTimer.unref();
+  }
+
+  // Old Claude is gone - bring up a fresh one resuming the same conversation
+  function relaunchClaude() {
+    restarting = false;
+    if (cpuLimiter) { try { cpuLimiter.kill(); } catch {} cpuLimiter = null; }
+    if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
+    outputBuffer = '';
+    ptyFilter = createPtyFilter(); // a partial escape or remap state from the old Claude
+    startupCleared = false;
+    if (differ) differ.reset();
+
+    const resumeArgs = buildResumeArgs(claudeArgs);
+    process.stdout.write('\x1b[2J\x1b[3J\x1b[H');
+    clearTmuxHistory();
+    process.stdout.write(`[claudefix] Claude restarted at ${restartedAtMB}MB to avoid OOM - resuming session...\r\n`);
+    if (debug) console.error('[claudefix] Relaunching with:', resumeArgs.join(' '));
+
+    spawnClaude(resumeArgs, process.stdout.columns || 80, process.stdout.rows || 24);
+    lastOutputTime = Date.now();
+    setupScrollRegion();
+    if (showFooter) drawFooter();
+  }
+
+  if (STATS_LOG) {
+    sessionLog = createSessionLog({
+      claudeBin,
+      maxHeapMB: MAX_HEAP_MB,
+      totalMemMB: TOTAL_MEM_MB,
+      cpuLimitPercent: CPU_PERCENT,
+      terminalType,
+    });
+    if (debug && sessionLog) console.error('[claudefix] Stats log:', sessionLog.file);
   }
 
-  // Memory monitoring
+  // CLAUDEFIX_RECORD=path - asciinema v2 cast of the raw + filtered streams
+  // (replay with: claudefix replay <file> [--raw|--filtered])
+  let recorder = null;
+  if (process.env.CLAUDEFIX_RECORD) {
+    try {
+      recorder = createRecorder(process.env.CLAUDEFIX_RECORD, {
+        cols: process.stdout.columns || 80,
+        rows: process.stdout.rows || 24,
+        terminalType,
+      });
+      if (debug) console.error('[claudefix] Recording to:', process.env.CLAUDEFIX_RECORD);
+    } catch (e) {
+      console.error(`[claudefix] Could not record to ${process.env.CLAUDEFIX_RECORD}: ${e.message}`);
+    }
+  }
+  let recordedSize = `${process.stdout.columns || 80}x${process.stdout.rows || 24}`;
+
+  // Output counters for the stats log
+  let renderCount = 0;     // flushed frames
+  let bytesIn = 0;         // raw bytes from Claude
+  let bytesOut = 0;        // bytes we actually wrote after filtering
+  let bytesFiltered = 0;   // bytes removed by color stripping
+  let bytesSaved = 0;      // bytes the diff renderer didn't have to send
+  const measureCpu = createCpuMeter();
+
+  // Memory monitoring - samples the Claude process tree (NOT process.memoryUsage(),
+  // that's the wrapper, which isn't what leaks)
   let memCheckInterval = setInterval(() => {
-    const usedMB = getMemoryUsageMB();
-    if (usedMB > CRITICAL_THRESHOLD_MB) {
-      console.error(`\n[claudefix] CRITICAL: Memory at ${usedMB}MB (limit: ${MAX_HEAP_MB}MB)`);
+    if (restarting) return;
+    const sample = sampleProcessTree(ptyProcess.pid);
+    if (!sample) return; // child gone, onExit will clean up
+    const usedMB = sample.memMB;
+    const cpuPercent = measureCpu(sample);
+    if (sessionLog) {
+      sessionLog.write({
+        type: 'sample',
+        pid: ptyProcess.pid,
+        pids: sample.pids,
+        rssMB: sample.rssMB,
+        pssMB: sample.pssMB,
+        memMB: usedMB,
+        heapAfterGcMB: gcStats.last ? gcStats.last.afterMB : null,
+        heapLimitMB: gcStats.heapLimitMB,
+        cpuPercent,
+        renders: renderCount,
+        bytesIn,
+        bytesOut,
+        bytesFiltered,
+        bytesSaved,
+        gcRuns: gcStats.runs,
+      });
+    }
+    if (usedMB > CRITICAL_THRESHOLD_MB && AUTO_RESTART) {
+      scheduleRestart(usedMB);
+    } else if (usedMB > CRITICAL_THRESHOLD_MB) {
+      console.error(`\n[claudefix] CRITICAL: Claude memory at ${usedMB}MB (limit: ${MAX_HEAP_MB}MB)`);
       console.error('[claudefix] Consider restarting Claude to prevent OOM\n');
     } else if (usedMB > WARN_THRESHOLD_MB && debug) {
-      console.error(`[claudefix] WARNING: Memory at ${usedMB}MB`);
+      console.error(`[claudefix] WARNING: Claude memory at ${usedMB}MB`);
+    } else if (debug) {
+      console.error(`[claudefix] Claude memory: ${usedMB}MB`);
     }
   }, MEM_CHECK_INTERVAL_MS);
 
-  // Footer - rainbow with clickable link and hotkey info!
-  const FOOTER_TEXT = 'claudefix by Hardwick Software';
-  const FOOTER_URL = 'https://justcalljon.pro';
-  const HOTKEY_TEXT = 'Ctrl+Shift+H';
-  const RAINBOW_COLORS = [196, 208, 226, 46, 51, 21, 129]; // red orange yellow green cyan blue purple
-
-  function makeRainbow(text) {
-    let result = '';
-    let colorIdx = 0;
-    for (const char of text) {
-      if (char === ' ') {
-        result += char;
-      } else {
-        result += `\x1b[38;5;${RAINBOW_COLORS[colorIdx % RAINBOW_COLORS.length]}m${char}`;
-        colorIdx++;
-      }
-    }
-    return result + '\x1b[0m';
+  // Footer - status line built from footerSegments
+  // memory / cpu segments get their own sample every few seconds (the check
+  // above runs every 30s), on their own CPU meter
+  const sessionStart = Date.now();
+  const footerStats = { memMB: null, cpuPercent: null };
+  let footerStatsInterval = null;
+  if (footer.segments.some(s => s.stats)) {
+    const measureFooterCpu = createCpuMeter();
+    const sampleFooterStats = () => {
+      if (restarting) return;
+      const sample = sampleProcessTree(ptyProcess.pid);
+      if (!sample) return;
+      footerStats.memMB = sample.memMB;
+      footerStats.cpuPercent = measureFooterCpu(sample);
+    };
+    setTimeout(sampleFooterStats, 1000).unref(); // once Claude is past exec
+    footerStatsInterval = setInterval(sampleFooterStats, FOOTER_STATS_MS);
+  }
+
+  // what a segment's render(ctx) gets - see lib/footer-segments.cjs
+  function footerContext(width) {
+    return {
+      cols: width,
+      now: Date.now(),
+      cwd: process.cwd(),
+      startedAt: sessionStart,
+      memMB: footerStats.memMB,
+      limitMB: MAX_HEAP_MB,
+      cpuPercent: footerStats.cpuPercent,
+      link: makeClickableLink,
+    };
   }
 
   function makeClickableLink(url, text) {
     // OSC 8 hyperlink: \x1b]8;;URL\x07TEXT\x1b]8;;\x07
-    return `\x1b]8;;${url}\x07${text}\x1b]8;;\x07`;
+    return osc(`\x1b]8;;${url}\x07`) + text + osc('\x1b]8;;\x07');
   }
 
   const sshMode = isSSH();
 
-  // SPECMEM INTEGRATION: Check if specmem statusbar is active
-  const specmemActive = process.env.SPECMEM_STATUSBAR === '1' ||
-    fs.existsSync(path.join(process.env.SPECMEM_PROJECT_PATH || process.cwd(), 'specmem', 'sockets', 'statusbar-state.json'));
-
-  // Load specmem statusbar module if active
-  let specmemStatusbar = null;
-  if (specmemActive) {
-    try {
-      // Try to load from global npm (package is specmem-hardwicksoftware)
-      const globalNpm = execSync('npm root -g', { encoding: 'utf8' }).trim();
-      const statusbarPath = path.join(globalNpm, 'specmem-hardwicksoftware', 'bin', 'specmem-statusbar.cjs');
-      if (fs.existsSync(statusbarPath)) {
-        specmemStatusbar = require(statusbarPath);
-        if (debug) console.error('[claudefix] SpecMem statusbar loaded');
-      }
-    } catch (e) {
-      if (debug) console.error('[claudefix] Could not load specmem statusbar:', e.message);
-    }
+  // tmux: clear-history for the pane, footer in status-right (lib/multiplexer.cjs)
+  const tmux = runtime.tmuxClearHistory || runtime.tmuxStatusFooter ? createTmuxControl(runtime.multiplexer) : null;
+  const statusFooter = showFooter && runtime.tmuxStatusFooter;
+
+  // over SSH the reserved rows are only drawn the SSH-safe way
+  // (lib/remote-render.cjs) - remoteRender: "off" keeps them off there
+  const remote = runtime.remoteRender;
+  const reserveArea = showFooter && (!sshMode || remote);
+  let footerShown = null; // remote: the footer rows as last sent, null = resend
+
+  // synchronized output (lib/sync-output.cjs): syncOutput "auto" asks the
+  // terminal with DECRQM, remote frames use it without asking
+  const syncQuery = runtime.syncOutput === 'auto' && !remote && process.stdin.isTTY
+    ? createSyncQuery({ write: (seq) => process.stdout.write(seq) })
+    : null;
+  const syncing = () => runtime.syncOutput === 'on' ||
+    (runtime.syncOutput === 'auto' && (remote || (!!syncQuery && syncQuery.supported() === true)));
+
+  // diffRender (lib/diff-renderer.cjs): a virtual screen of Claude's PTY,
+  // only changed cells go out. null once it's off - for the rest of the
+  // session when Claude does something it can't follow
+  let differ = runtime.diffRender
+    ? createDiffRenderer({ cols: process.stdout.columns || 80, rows: process.stdout.rows || 24 })
+    : null;
+
+  // statusbar providers - other tools' rows above the footer, from state
+  // files / sockets (lib/statusbar-providers.cjs)
+  const providers = reserveArea && config.statusbar
+    ? createProviderWatcher({
+      dirs: [statusbarDir()],
+      paths: config.statusbarProviders.map(p => path.resolve(p)),
+      onChange: () => {
+        if (exiting) return;
+        if (footerRows() !== regionRows) setupScrollRegion();
+        drawFooter();
+      },
+    })
+    : null;
+  if (providers && debug) {
+    for (const err of providers.errors()) console.error('[claudefix] Statusbar provider', err);
   }
 
-  // How many footer rows to reserve (1 for claudefix, +2 if specmem active for team comms + status)
-  const footerRows = specmemActive ? 3 : 1;
+  // How many rows to reserve: 1 for claudefix unless it's in tmux's status
+  // line, plus whatever the providers hold right now
+  const footerRows = () => (reserveArea ? (statusFooter ? 0 : 1) + (providers ? providers.rows() : 0) : 0);
+  // rows the scroll region currently holds back (0 = no region)
+  let regionRows = 0;
 
   function setupScrollRegion() {
     const rows = process.stdout.rows || 24;
     const cols = process.stdout.columns || 80;
 
-    if (sshMode || !showFooter) {
+    if (recorder && `${cols}x${rows}` !== recordedSize) {
+      recordedSize = `${cols}x${rows}`;
+      recorder.resize(cols, rows);
+    }
+
+    footerShown = null;
+    const reserved = footerRows();
+    if (reserved === 0) {
+      // the last provider went away - give Claude the whole screen back
+      if (regionRows > 0) process.stdout.write('\x1b7\x1b[r\x1b8');
+      regionRows = 0;
       ptyProcess.resize(cols, rows);
+      if (differ) differ.resize(cols, rows);
     } else {
       // Reserve bottom row(s) for footer via scroll region + PTY resize
-      const contentRows = Math.max(1, rows - footerRows);
+      const contentRows = Math.max(1, rows - reserved);
+
+      // rows a provider gave back: blank until Claude's next frame fills them
+      let freed = '';
+      for (let row = rows - regionRows + 1; row <= contentRows; row++) freed += `\x1b[${row};1H\x1b[2K`;
 
       process.stdout.write(
         '\x1b[r' +                          // Reset scroll region to full terminal
         '\x1b7' +                           // Save cursor position
+        freed +
         `\x1b[1;${contentRows}r` +          // Set scroll region (leave rows for footer)
         '\x1b8'                             // Restore cursor position
       );
 
+      regionRows = reserved;
       ptyProcess.resize(cols, contentRows);
+      if (differ) differ.resize(cols, contentRows);
     }
   }
 
+  // one reserved row: text cut to the width, the rest blanked
+  function rowText(row, text, cols) {
+    const width = Math.min(cols, visibleWidth(text));
+    return '\x1b7' + `\x1b[${row};1H` + cutToWidth(text, cols) + ' '.repeat(cols - width) + '\x1b8';
+  }
+
+  // the footer as tmux status-right - set only when the text changes
+  function drawStatusFooter() {
+    if (restartPending) {
+      const notice = isClaudeIdle()
+        ? `claudefix: restarting Claude in ${restartPending.secondsLeft}s`
+        : 'claudefix: Claude restart pending';
+      tmux.setStatus(`#[fg=colour226,bold]${escapeTmuxFormat(notice)} (${restartPending.usedMB}MB)#[default]`);
+      return;
+    }
+    tmux.setStatus(toTmuxFormat(renderFooter(footer.segments, footerContext(tmux.statusWidth())).text));
+  }
+
   function drawFooter() {
-    // DISABLE footer in SSH mode entirely - it causes too many issues
-    if (sshMode) return;
+    if (statusFooter) drawStatusFooter();
+    if (regionRows === 0) return;
+
+    const frame = footerFrame();
+    if (remote) {
+      // every byte counts over the link - unchanged rows aren't resent
+      if (frame === footerShown) return;
+      footerShown = frame;
+    }
+    process.stdout.write(syncing() ? synchronized(frame) : frame);
+  }
 
+  // everything drawn in the reserved rows, as one write
+  function footerFrame() {
     const cols = process.stdout.columns || 80;
     const rows = process.stdout.rows || 24;
+    let frame = '';
 
-    // SPECMEM STATUSBAR: Draw on row above claudefix footer
-    if (specmemActive && specmemStatusbar) {
-      try {
-        specmemStatusbar.updateStatus().catch(() => {}); // Non-blocking update
-        specmemStatusbar.drawStatusBar(rows, cols);
-      } catch (e) {
-        // Silently ignore specmem errors - don't break claudefix
+    // provider rows first, top to bottom, then claudefix's own row under them
+    if (providers) {
+      let row = rows - regionRows + 1;
+      for (const provider of providers.shown()) {
+        for (const text of provider.lines) frame += rowText(row++, text, cols);
       }
     }
 
-    const rainbowText = makeRainbow(FOOTER_TEXT);
-    const clickableLink = makeClickableLink(FOOTER_URL, `\x1b[38;5;45m${FOOTER_URL}\x1b[0m`);
-    const hotkeyStyled = `\x1b[38;5;251m[\x1b[38;5;226m${HOTKEY_TEXT}\x1b[38;5;251m]\x1b[0m`;
-    // Format: "claudefix by Hardwick Software - https://justcalljon.pro [Ctrl+Shift+H]"
-    const fullFooter = rainbowText + ' - ' + clickableLink + ' ' + hotkeyStyled;
-    const plainLen = FOOTER_TEXT.length + 3 + FOOTER_URL.length + 1 + HOTKEY_TEXT.length + 2;
-    const padding = Math.max(0, Math.floor((cols - plainLen) / 2));
+    // claudefix's own row is in tmux's status line
+    if (statusFooter) return frame;
+
+    // Auto-restart countdown takes over the footer row while pending
+    if (restartPending) {
+      const notice = isClaudeIdle()
+        ? `claudefix: restarting Claude in ${restartPending.secondsLeft}s (memory ${restartPending.usedMB}MB / ${MAX_HEAP_MB}MB) - session will resume`
+        : `claudefix: Claude restart pending (memory ${restartPending.usedMB}MB / ${MAX_HEAP_MB}MB) - waiting for idle`;
+      const text = notice.slice(0, cols);
+      return frame +
+        '\x1b7' +
+        `\x1b[${rows};1H` +
+        `\x1b[1;38;5;226m${text}\x1b[0m` +
+        ' '.repeat(Math.max(0, cols - text.length)) +
+        '\x1b8';
+    }
+
+    // e.g. "mem 812/5600MB │ cpu 12% │ ⎇ main │ up 1h02m │ 14:05 │ claudefix by ..."
+    const line = renderFooter(footer.segments, footerContext(cols));
+    const padding = Math.max(0, Math.floor((cols - line.width) / 2));
 
     // Calculate trailing spaces to fill entire row (replaces chars, no new lines)
-    const trailingSpaces = Math.max(0, cols - padding - plainLen);
+    const trailingSpaces = Math.max(0, cols - padding - line.width);
 
-    // Local mode only: draw footer in reserved bottom row
+    // Draw footer in reserved bottom row
     // FIX: Replace chars directly instead of clearing line (avoids scroll glitches)
-    process.stdout.write(
+    return frame +
       '\x1b7' +                                      // Save cursor position (DEC)
       `\x1b[${rows};1H` +                            // Move to last row, column 1
       ' '.repeat(padding) +                          // Left padding
-      fullFooter +                                   // Centered rainbow footer with link
+      line.text + '\x1b[0m' +                        // Centered segments, colors closed
       ' '.repeat(trailingSpaces) +                   // Fill remaining chars (no clear line!)
-      '\x1b8'                                        // Restore cursor position (DEC)
-    );
+      '\x1b8';                                       // Restore cursor position (DEC)
   }
 
   // FIX (Linux only): Clear screen once at startup to prevent ghost frames.
@@ -870,14 +994,14 @@ if (!usePTY) {
 
   // Initial setup
   setupScrollRegion();
-  if (!sshMode && showFooter) drawFooter();
+  if (reserveArea || statusFooter) drawFooter();
 
   // Footer refresh - debounced, only redraws AFTER PTY output settles
   // No independent timer - footer only redraws in response to PTY activity
   // This prevents the timer from corrupting cursor state mid-render
   let footerInterval;
-  if (!sshMode && showFooter) {
-    // Slow keepalive for specmem statusbar updates (every 2s, not 200ms)
+  if (reserveArea || statusFooter) {
+    // Slow keepalive for the clock / stats segments (every 2s, not 200ms)
     footerInterval = setInterval(drawFooter, 2000);
   }
 
@@ -898,13 +1022,9 @@ if (!usePTY) {
   }
 
   // Filter PTY output with debounced footer redraw
-  const contentRows = () => Math.max(1, (process.stdout.rows || 24) - footerRows);
+  const contentRows = () => Math.max(1, (process.stdout.rows || 24) - regionRows);
   let exiting = false;
 
-  const isMac = process.platform === 'darwin';
-  // macOS Terminal.app doesn't have VTE bugs, so skip aggressive escape mangling
-  const isAppleTerminal = process.env.TERM_PROGRAM === 'Apple_Terminal';
-
   // FIX: Buffer-and-flush approach for ghost frame elimination on Linux.
   // Problem: Ink sends renders in multiple small chunks. Injecting \x1b[J on any
   // individual chunk either misses (threshold not met) or nukes partial renders.
@@ -913,38 +1033,134 @@ if (!usePTY) {
   // Since the entire render is flushed atomically, clear + content arrive together.
   let outputBuffer = '';
   let flushTimer = null;
-  const FLUSH_DELAY_MS = 16;      // Normal flush delay (~1 frame)
-  const COALESCE_DELAY_MS = 80;   // Extended delay during rapid full repaints
+  const FLUSH_DELAY_MS = terminalProfile.flushDelayMs;       // Normal flush delay (~1 frame)
+  const COALESCE_DELAY_MS = terminalProfile.coalesceDelayMs; // Extended delay during rapid full repaints
   let lastFullRenderTime = 0;     // When we last flushed a full repaint
+  const PARTIAL_ESCAPE_MS = 100;  // How long to hold an escape cut off mid-sequence
+  const LATENCY_PING_MS = 15000;  // remote: how often the round trip is measured again
+  let rendersSinceClear = 0;      // flushed frames since scrollback was last cleared
+
+  // Scrollback policies (clearAfterRenders / periodicClearMs), same rules as
+  // index.cjs: never clear while the user is typing, try again later instead
+  function isTyping() {
+    return (Date.now() - lastInputTime) < runtime.typingCooldownMs;
+  }
+
+  // \x1b[3J only empties the pane - tmux's own history needs clear-history,
+  // a beat later so tmux has already scrolled the cleared screen into it
+  let historyClearTimer = null;
+  function clearTmuxHistory() {
+    if (!runtime.tmuxClearHistory || historyClearTimer) return;
+    historyClearTimer = setTimeout(() => {
+      historyClearTimer = null;
+      tmux.clearHistory();
+    }, 50);
+  }
+
+  // remote: the flush delay follows the link's round trip
+  let latency = null;
+  let latencyInterval = null;
+  if (remote && process.stdin.isTTY) {
+    latency = createLatencyProbe({ write: (seq) => process.stdout.write(seq) });
+    latencyInterval = setInterval(() => latency.ping(), LATENCY_PING_MS);
+    latencyInterval.unref();
+  }
+  const terminalQueries = [syncQuery, latency].filter(Boolean);
+
+  let periodicClearInterval = null;
+  if (runtime.periodicClearMs > 0) {
+    periodicClearInterval = setInterval(() => {
+      // typing or mid-render - the next render-based check picks it up
+      if (exiting || isTyping() || outputBuffer) return;
+      rendersSinceClear = 0;
+      process.stdout.write('\x1b[3J');
+      clearTmuxHistory();
+    }, runtime.periodicClearMs);
+    periodicClearInterval.unref();
+  }
+
+  // Every rewrite below works on tokens from lib/ansi-tokenizer.cjs, which
+  // carries sequences split across onData chunks instead of missing them.
+  // A new filter per Claude - nothing held or remembered survives a restart
+  function createPtyFilter() {
+    // strip / remap per the terminal profile, null when colors are left alone
+    // (colorStripping: "remap" keeps diff/selection backgrounds as safe stand-ins)
+    const colorTransform = createColorTransform({
+      mode: runtime.colorMode,
+      remapStyle: runtime.remapStyle,
+      keepSgr: runtime.keepSgr,
+    });
+
+    return createAnsiStream([
+      (token) => {
+        if (!colorTransform) return token;
+        const kept = colorTransform(token);
+        bytesFiltered += token.raw.length - (kept ? kept.raw.length : 0); // escapes are ASCII, chars == bytes
+        return kept;
+      },
+
+      // Intercept scroll region resets from Ink — replace with our constrained region
+      (token) => {
+        if (regionRows === 0 || token.type !== 'csi' || token.final !== 'r' || token.prefix) return token;
+        const fullRows = process.stdout.rows || 24;
+        if (token.params !== '' && token.params !== `1;${fullRows}`) return token;
+        const constrained = { ...token, params: `1;${contentRows()}` };
+        constrained.raw = formatCsi(constrained);
+        return constrained;
+      },
+
+      // Claude's own synchronized-update brackets - every flush gets ours
+      (token) => (isSyncToken(token) && syncing() ? null : token),
+
+      // FIX (Linux profiles): Inject scrollback clear on full screen clears
+      // (not while the differ runs, back on if it gives up)
+      (token) => {
+        if (!(differ ? runtime.clearOnFullClear : runtime.clearOnFullClearWithoutDiff) || token.type !== 'csi' || token.final !== 'J' || token.params !== '2' || token.prefix) return token;
+        return [token, { type: 'csi', raw: '\x1b[3J', prefix: '', params: '3', intermediates: '', final: 'J' }];
+      },
+    ]);
+  }
+  let ptyFilter = createPtyFilter();
 
-  function processAndFlush() {
+  function processAndFlush(flushPartial = false) {
     flushTimer = null;
-    if (!outputBuffer || exiting) return;
+    if (exiting) return;
+    if (!outputBuffer && !(flushPartial && ptyFilter.pending())) return;
 
     let output = outputBuffer;
     outputBuffer = '';
 
-    // Only strip colors if config enabled and env var not disabled
-    const shouldStrip = config.colorStripping &&
-      process.env.CLAUDE_STRIP_BG_COLORS !== '0' &&
-      !isAppleTerminal;
-    if (shouldStrip) output = stripColors(output);
-
-    // Intercept scroll region resets from Ink — replace with our constrained region
-    if (showFooter && !sshMode) {
-      const cr = contentRows();
-      output = output.replace(/\x1b\[r/g, `\x1b[1;${cr}r`);
-      const fullRows = process.stdout.rows || 24;
-      output = output.replace(new RegExp(`\\x1b\\[1;${fullRows}r`, 'g'), `\x1b[1;${cr}r`);
+    renderCount++;
+    bytesIn += Buffer.byteLength(output);
+    output = ptyFilter.write(output);
+    // Nothing more came to finish the held sequence - let it out as-is
+    if (flushPartial) output += ptyFilter.flush();
+    if (ptyFilter.pending() && !flushTimer) {
+      flushTimer = setTimeout(processAndFlush, PARTIAL_ESCAPE_MS, true);
     }
+    if (!output) return;
 
-    // FIX (Linux only): Inject scrollback clear on full screen clears
-    if (!isMac) {
-      if (output.includes('\x1b[2J')) {
-        output = output.replace(/\x1b\[2J/g, '\x1b[2J\x1b[3J');
+    // diffRender: what changed on Claude's screen instead of how it redrew it
+    if (differ) {
+      const before = Buffer.byteLength(output);
+      try {
+        output = differ.render(output);
+      } catch (e) {
+        if (debug) console.error('[claudefix] Diff render failed, off for this session:', e.message);
+        differ = null;
       }
+      if (differ && differ.failed) {
+        if (debug) console.error('[claudefix] Diff render off for this session, Claude sent', differ.failed);
+        differ = null;
+      }
+      bytesSaved += before - Buffer.byteLength(output);
+      if (!output) return;
     }
 
+    // Claude's links through passthrough like ours - after the differ, which
+    // keeps links per cell and writes its own OSC 8s
+    if (runtime.muxPassthrough) output = wrapLinks(output, runtime.multiplexer);
+
     // FIX (Linux only): Clear stale content when Ink does a FULL re-render.
     // Ink sends \x1b[H for both full repaints AND partial updates (just prompt).
     // We must ONLY clear on full repaints or we wipe content Ink didn't re-send.
@@ -952,28 +1168,57 @@ if (!usePTY) {
     // - Full repaint: large buffer (most of the screen rewritten)
     // - Partial update (prompt only): small buffer
     // Threshold: at least half the screen worth of content (contentRows * 30 bytes)
-    // FIX (Linux only): Clear screen once before first output to prevent
+    // FIX (Linux profiles): Clear screen once before first output to prevent
     // startup ghost frames (triplicated content from Ink's initial renders)
-    if (!isMac && !startupCleared) {
+    if (runtime.clearOnStartup && !startupCleared) {
       startupCleared = true;
-      output = '\x1b[2J\x1b[3J\x1b[H' + output;
+      output = (runtime.clearScrollbackOnStartup ? '\x1b[2J\x1b[3J\x1b[H' : '\x1b[2J\x1b[H') + output;
+    }
+
+    // FIX: Scrollback still grows from partial redraws - drop it every N frames
+    if (runtime.clearAfterRenders > 0 && ++rendersSinceClear >= runtime.clearAfterRenders && !isTyping()) {
+      rendersSinceClear = 0;
+      output = '\x1b[3J' + output;
+    }
+
+    // one frame: the footer back in the same write if the frame erased it
+    // (remote also re-asserts the scroll region in case the link or a
+    // reconnect lost it), all of it in one synchronized update
+    const sync = syncing();
+    const erased = regionRows > 0 && erasesFooter(output);
+    if (remote && regionRows > 0) {
+      if (erased) footerShown = null;
+      output += scrollRegion(contentRows());
+      if (footerShown === null) {
+        footerShown = footerFrame();
+        output += footerShown;
+      }
+    } else if (erased && sync) {
+      output += footerFrame();
     }
+    if (sync) output = synchronized(output);
 
+    bytesOut += Buffer.byteLength(output);
     process.stdout.write(output);
+    if (output.includes('\x1b[3J')) clearTmuxHistory();
+    if (recorder) recorder.output(output);
     if (showFooter) scheduleFooterDraw();
   }
 
-  ptyProcess.onData((data) => {
+  function handlePtyData(data) {
     if (exiting) return;
+    lastOutputTime = Date.now();
+    if (recorder) recorder.raw(data);
     // Accumulate into buffer
     outputBuffer += data;
     // Reset flush timer — wait for output burst to finish
     if (flushTimer) clearTimeout(flushTimer);
     // Use longer delay if we recently flushed a full render (coalesce rapid repaints)
     const recentFullRender = (Date.now() - lastFullRenderTime) < 200;
-    const delay = recentFullRender ? COALESCE_DELAY_MS : FLUSH_DELAY_MS;
+    const flushDelay = latency ? flushDelayFor(FLUSH_DELAY_MS, latency.rtt()) : FLUSH_DELAY_MS;
+    const delay = recentFullRender ? Math.max(COALESCE_DELAY_MS, flushDelay) : flushDelay;
     flushTimer = setTimeout(processAndFlush, delay);
-  });
+  }
 
   // Forward stdin with Ctrl+Shift+H hotkey
   if (process.stdin.isTTY) {
@@ -981,16 +1226,27 @@ if (!usePTY) {
   }
   process.stdin.resume();
   process.stdin.on('data', (data) => {
+    let str = data.toString();
+    // answers to our own terminal queries (sync support, latency) aren't Claude's input
+    const rest = terminalQueries.reduce((left, query) => query.input(left), str);
+    if (rest !== str) {
+      if (!rest) return;
+      data = str = rest;
+    }
     // Ctrl+Shift+H = \x1b[72;6u or sometimes \x08 with modifiers
     // In raw mode with xterm, Ctrl+Shift+H sends ESC sequence
-    const str = data.toString();
     if (str === '\x1b[72;6u' || str === '\x1b[104;6u' || str === '\x08') {
       // Open Chrome or fallback to default browser
       openWebsite();
       return;
     }
+    lastInputTime = Date.now();
+    if (restarting) return; // Claude is being swapped out, nothing to type into
     ptyProcess.write(data);
   });
+  // terminal queries once stdin is raw - cooked, the answers would be echoed
+  if (syncQuery) syncQuery.start();
+  if (latency) latency.ping();
 
   function openWebsite() {
     const url = 'https://justcalljon.pro';
@@ -1024,23 +1280,55 @@ if (!usePTY) {
   }
 
   // Handle resize - reset scroll region
-  process.stdout.on('resize', () => {
-    setupScrollRegion();
-    if (showFooter) drawFooter();
-  });
+  // 'resize' and SIGWINCH both fire for one window change, and a drag fires
+  // dozens - batch them (resizeDebounce: false still coalesces the pair)
+  let resizeTimeout = null;
+
+  function scheduleResize() {
+    if (resizeTimeout) clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => {
+      resizeTimeout = null;
+      if (exiting) return;
+      setupScrollRegion();
+      if (showFooter) {
+        // Extra delay for SSH terminals to let terminal state settle
+        if (sshMode) {
+          setTimeout(drawFooter, 50);
+        } else {
+          drawFooter();
+        }
+      }
+    }, runtime.resizeDebounceMs);
+  }
+
+  process.stdout.on('resize', scheduleResize);
+  process.on('SIGWINCH', scheduleResize);
 
   // Cleanup on exit
-  ptyProcess.onExit(({ exitCode }) => {
+  function handlePtyExit({ exitCode }) {
+    if (restarting && !exiting) {
+      relaunchClaude();
+      return;
+    }
     exiting = true;
+    if (sessionLog) { sessionLog.write({ type: 'end', exitCode }); sessionLog.close(); }
+    if (recorder) recorder.close();
     if (cpuLimiter) try { cpuLimiter.kill(); } catch {}
     if (footerInterval) clearInterval(footerInterval);
+    if (footerStatsInterval) clearInterval(footerStatsInterval);
+    if (providers) providers.close();
+    if (latencyInterval) clearInterval(latencyInterval);
+    if (restartTimer) clearInterval(restartTimer);
+    if (periodicClearInterval) clearInterval(periodicClearInterval);
+    if (resizeTimeout) clearTimeout(resizeTimeout);
     clearInterval(memCheckInterval);
-    if (gcInterval) clearInterval(gcInterval);
+    if (gcChannel) gcChannel.close();
     if (pendingDraw) clearTimeout(pendingDraw);
     if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
     if (outputBuffer) { process.stdout.write(outputBuffer); outputBuffer = ''; }
     // Clean exit: leave alternate screen, reset scroll region
-    if (!sshMode && showFooter) {
+    const cleared = regionRows > 0;
+    if (cleared) {
       process.stdout.write(
         '\x1b[r' +       // Reset scroll region to full terminal
         '\x1b[2J' +      // Clear entire screen
@@ -1048,12 +1336,22 @@ if (!usePTY) {
         '\x1b[H'         // Move cursor to home position
       );
     }
+    restoreTmux(cleared);
     drawExitBanner();
     if (process.stdin.isTTY) {
       process.stdin.setRawMode(false);
     }
     process.exit(exitCode);
-  });
+  }
+
+  // give the session its status-right back; cleared: the screen was just
+  // wiped, so the pane history goes too (sync - we exit right after)
+  function restoreTmux(cleared) {
+    if (!tmux) return;
+    if (historyClearTimer) { clearTimeout(historyClearTimer); historyClearTimer = null; }
+    tmux.restoreStatus();
+    if (cleared && runtime.tmuxClearHistory) tmux.clearHistory({ sync: true });
+  }
 
   // Exit banner - shown when Claude session ends
   function drawExitBanner() {
@@ -1072,7 +1370,7 @@ if (!usePTY) {
     };
 
     const divider = DIM + '─'.repeat(Math.min(cols, 68)) + RST;
-    const url = '\x1b]8;;https://justcalljon.pro\x07' + BOLD + CYAN + 'justcalljon.pro' + RST + '\x1b]8;;\x07';
+    const url = makeClickableLink('https://justcalljon.pro', BOLD + CYAN + 'justcalljon.pro' + RST);
 
     const lines = [
       '',
@@ -1096,10 +1394,17 @@ if (!usePTY) {
     exiting = true;
     if (cpuLimiter) try { cpuLimiter.kill(); } catch {}
     if (footerInterval) clearInterval(footerInterval);
+    if (footerStatsInterval) clearInterval(footerStatsInterval);
+    if (providers) providers.close();
+    if (latencyInterval) clearInterval(latencyInterval);
+    if (restartTimer) clearInterval(restartTimer);
+    if (periodicClearInterval) clearInterval(periodicClearInterval);
+    if (resizeTimeout) clearTimeout(resizeTimeout);
     if (pendingDraw) clearTimeout(pendingDraw);
     if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
     if (outputBuffer) { process.stdout.write(outputBuffer); outputBuffer = ''; }
-    if (!sshMode && showFooter) {
+    const cleared = regionRows > 0;
+    if (cleared) {
       process.stdout.write(
         '\x1b[r' +       // Reset scroll region
         '\x1b[2J' +      // Clear screen
@@ -1107,6 +1412,7 @@ if (!usePTY) {
         '\x1b[H'         // Cursor home
       );
     }
+    restoreTmux(cleared);
     drawExitBanner();
     if (process.stdin.isTTY) {
       try { process.stdin.setRawMode(false); } catch {}
@@ -1118,28 +1424,4 @@ if (!usePTY) {
   process.on('SIGINT', () => cleanupAndKill('SIGINT'));
   process.on('SIGTERM', () => cleanupAndKill('SIGTERM'));
   process.on('SIGHUP', () => cleanupAndKill('SIGHUP'));
-
-  // FIX: Debounce SIGWINCH to prevent rapid resize events from clipping content
-  let resizeTimeout = null;
-  const RESIZE_DEBOUNCE_MS = 50;
-
-  process.on('SIGWINCH', () => {
-    // Clear any pending resize to batch rapid resize events
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-
-    resizeTimeout = setTimeout(() => {
-      resizeTimeout = null;
-      setupScrollRegion();
-      if (showFooter) {
-        // Extra delay for SSH terminals to let terminal state settle
-        if (sshMode) {
-          setTimeout(drawFooter, 50);
-        } else {
-          drawFooter();
-        }
-      }
-    }, RESIZE_DEBOUNCE_MS);
-  });
 }
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
- * claudefix CLI - setup, uninstall, status
- * Usage: claudefix --setup | --uninstall | --status
+ * claudefix CLI - setup, uninstall, status, stats, doctor, selftest
+ * Usage: claudefix --setup | --uninstall | --status | stats [session] | doctor [--json] | selftest
  */
 const fs = require('fs');
 const path = require('path');
@@ -23,23 +23,7 @@ function log(color, msg) {
   console.log(`${color}[claudefix]${RESET} ${msg}`);
 }
 
-const WRAPPER_LOCATIONS = [
-  '/usr/local/bin/claude',
-  '/usr/bin/claude',
-  path.join(os.homedir(), '.local/bin/claude'),
-  // macOS Homebrew
-  '/opt/homebrew/bin/claude',
-];
-
-function isClaudefixInstalled(location) {
-  try {
-    if (!fs.existsSync(location)) return false;
-    const content = fs.readFileSync(location, 'utf8');
-    return content.includes('claudefix') || content.includes('Hardwick');
-  } catch (e) {
-    return false;
-  }
-}
+const { WRAPPER_LOCATIONS, isClaudefixInstalled } = require('../lib/claude-binary.cjs');
 
 function getStatus() {
   log(CYAN, 'Checking installation status...\n');
@@ -56,6 +40,18 @@ function getStatus() {
     }
   }
 
+  const profile = require('../lib/terminal-profiles.cjs').resolveProfile();
+  console.log('');
+  console.log(`  Terminal profile: ${BOLD}${profile.name}${RESET} ${DIM}(${profile.via}) - ${profile.description}${RESET}`);
+  for (const file of profile.files) console.log(`    ${DIM}${file}${RESET}`);
+  for (const err of profile.errors) console.log(`    ${YELLOW}⚠ ${err}${RESET}`);
+
+  const loaded = require('../lib/config.cjs').loadConfig();
+  const project = loaded.layers.find(l => l.layer === 'project');
+  console.log('');
+  console.log(`  Settings ${DIM}(project config: ${project ? project.file : 'none'})${RESET}`);
+  printSettings(loaded);
+
   console.log('');
   if (found) {
     log(GREEN, 'claudefix is active!');
@@ -113,6 +109,268 @@ function uninstall() {
   }
 }
 
+function formatMB(mb) {
+  if (mb === null || mb === undefined) return '-';
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)}GB` : `${Math.round(mb)}MB`;
+}
+
+function showStats(query) {
+  const statsLog = require('../lib/stats-log.cjs');
+
+  if (query === '--list' || query === '-l') {
+    const sessions = statsLog.listSessions();
+    if (!sessions.length) {
+      log(YELLOW, `No sessions logged yet (${statsLog.STATE_DIR})`);
+      return;
+    }
+    log(CYAN, `Sessions in ${statsLog.STATE_DIR}:\n`);
+    for (const s of sessions) {
+      let sum;
+      try {
+        sum = statsLog.summarize(statsLog.readSession(s.file));
+      } catch (e) {
+        console.log(`  ${s.id}  ${RED}unreadable: ${e.message}${RESET}`);
+        continue;
+      }
+      console.log(`  ${s.id}  ${DIM}${sum.durationMin.toFixed(1)} min, peak ${formatMB(sum.peakMemMB)}${RESET}`);
+    }
+    return;
+  }
+
+  const session = statsLog.findSession(query);
+  if (!session) {
+    log(YELLOW, query ? `No session matching "${query}"` : `No sessions logged yet (${statsLog.STATE_DIR})`);
+    log(DIM, 'Sessions are recorded when claude-fixed runs in PTY mode');
+    process.exitCode = 1;
+    return;
+  }
+
+  let events;
+  try {
+    events = statsLog.readSession(session.file);
+  } catch (e) {
+    log(RED, `Could not read ${session.file}: ${e.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  const sum = statsLog.summarize(events);
+  const growth = sum.growthMBPerMin;
+  const growthColor = growth > 10 ? RED : growth > 2 ? YELLOW : GREEN;
+  const status = sum.ended ? `exited ${sum.exitCode}` : 'still running (or crashed)';
+
+  log(CYAN, `Session ${BOLD}${session.id}${RESET}`);
+  console.log(`  ${DIM}${sum.startedAt ? sum.startedAt.toLocaleString() : '?'} - ${sum.durationMin.toFixed(1)} min - ${status}${RESET}`);
+  console.log('');
+  console.log(`  Memory:   now ${formatMB(sum.currentMemMB)}, peak ${formatMB(sum.peakMemMB)} (RSS peak ${formatMB(sum.peakRssMB)}), limit ${formatMB(sum.maxHeapMB)}`);
+  console.log(`  Growth:   ${growthColor}${growth >= 0 ? '+' : ''}${growth.toFixed(2)} MB/min${RESET}`);
+  console.log(`  CPU:      ${sum.avgCpuPercent === null ? '-' : `avg ${Math.round(sum.avgCpuPercent)}%, peak ${sum.peakCpuPercent}%`}`);
+  console.log(`  GC:       ${sum.gcRuns} forced runs, ${formatMB(sum.gcFreedMB)} freed`);
+  const saved = sum.bytesSaved ? `, ${(sum.bytesSaved / 1024).toFixed(1)}KB saved by diff rendering` : '';
+  console.log(`  Output:   ${sum.renders} renders, ${(sum.bytesFiltered / 1024).toFixed(1)}KB of escape codes filtered${saved}`);
+  console.log(`  Samples:  ${sum.samples}`);
+
+  if (sum.memSeries.length > 1) {
+    const width = Math.max(10, Math.min(60, (process.stdout.columns || 80) - 12));
+    console.log('');
+    console.log(`  Memory ${DIM}(${formatMB(Math.min(...sum.memSeries))} .. ${formatMB(Math.max(...sum.memSeries))})${RESET}`);
+    console.log(`  ${CYAN}${statsLog.sparkline(sum.memSeries, width)}${RESET}`);
+  }
+  console.log('');
+}
+
+function replay(rest) {
+  const { replayCast } = require('../lib/recorder.cjs');
+  const file = rest.find(a => !a.startsWith('-'));
+  const mode = rest.includes('--raw') ? 'raw' : 'filtered';
+  const speedArg = rest.find(a => a.startsWith('--speed='));
+  const speed = speedArg ? parseFloat(speedArg.slice('--speed='.length)) || 1 : 1;
+
+  if (!file) {
+    log(YELLOW, 'Usage: claudefix replay <file.cast> [--raw|--filtered] [--speed=N]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!fs.existsSync(file)) {
+    log(RED, `No such recording: ${file}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  replayCast(file, { mode, speed }).catch((e) => {
+    log(RED, e.message);
+    process.exitCode = 1;
+  });
+}
+
+function showValue(value) {
+  return value === '' ? '""' : JSON.stringify(value);
+}
+
+// every setting with its value and the layer it came from
+function printSettings(loaded) {
+  const { SCHEMA } = require('../lib/config.cjs');
+  const width = Math.max(...Object.keys(SCHEMA).map(k => k.length));
+  for (const [name, entry] of Object.entries(SCHEMA)) {
+    if (entry.internal) continue;
+    const source = loaded.sources[name];
+    const color = source === 'default' ? DIM : source.startsWith('env ') ? YELLOW : GREEN;
+    console.log(`  ${name.padEnd(width)}  ${showValue(loaded.values[name]).padEnd(10)} ${color}${source}${RESET}`);
+  }
+  for (const err of loaded.errors) console.log(`  ${YELLOW}⚠ ${err}${RESET}`);
+}
+
+// claudefix config get|set|list|explain - the layered config (lib/config.cjs)
+function configCommand(sub, rest) {
+  const config = require('../lib/config.cjs');
+  const key = rest[0];
+  const needsKey = sub !== 'list';
+  if (needsKey && !config.SCHEMA[key]) {
+    log(RED, key ? `Unknown setting "${key}" - see: claudefix config list` : `Usage: claudefix config ${sub} <key>${sub === 'set' ? ' <value>' : ''}`);
+    process.exitCode = 1;
+    return;
+  }
+  const loaded = config.loadConfig();
+  const userFile = config.userConfigPath();
+
+  if (sub === 'get') {
+    console.log(showValue(loaded.values[key]));
+    return;
+  }
+
+  if (sub === 'set') {
+    if (rest[1] === undefined) {
+      log(RED, `Usage: claudefix config set ${key} <value>  (${config.SCHEMA[key].type})`);
+      process.exitCode = 1;
+      return;
+    }
+    const parsed = config.parseValue(key, rest[1]);
+    if (parsed.error) {
+      log(RED, parsed.error);
+      process.exitCode = 1;
+      return;
+    }
+    try {
+      config.updateUserConfig({ [key]: parsed.value });
+    } catch (e) {
+      log(RED, e.message);
+      process.exitCode = 1;
+      return;
+    }
+    log(GREEN, `✓ ${key} = ${showValue(parsed.value)} ${DIM}(${userFile})${RESET}`);
+    const source = config.loadConfig().sources[key];
+    if (source !== userFile) log(YELLOW, `Still overridden by ${source}`);
+    return;
+  }
+
+  if (sub === 'list') {
+    printSettings(loaded);
+    return;
+  }
+
+  // explain
+  const entry = config.SCHEMA[key];
+  console.log(`${BOLD}${key}${RESET} - ${entry.description}`);
+  console.log(`  ${DIM}type:${RESET}    ${entry.type}`);
+  if (entry.env) console.log(`  ${DIM}env:${RESET}     ${entry.env.name}`);
+  if (!config.PROJECT_KEYS.includes(key)) console.log(`  ${DIM}note:${RESET}    ignored in project config files`);
+  console.log('');
+  const rows = [['default', entry.default]];
+  for (const layer of loaded.layers) {
+    if (key in layer.values) rows.push([layer.file || `env ${entry.env.name}`, layer.values[key]]);
+  }
+  rows.forEach(([source, value], i) => {
+    const winner = i === rows.length - 1;
+    console.log(`  ${winner ? GREEN + '→' : DIM + ' '} ${showValue(value).padEnd(10)} ${source}${RESET}`);
+  });
+  const problems = loaded.errors.filter(e => e.includes(`: ${key} `));
+  for (const err of problems) console.log(`  ${YELLOW}⚠ ${err}${RESET}`);
+}
+
+// `claudefix doctor [--json]` - one report to paste into a support ticket
+function doctor(rest) {
+  const report = require('../lib/doctor.cjs').collectReport();
+  if (rest.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  const ok = (good, text) => `${good ? GREEN + '✓' : RED + '✗'}${RESET} ${text}`;
+
+  console.log(`${BOLD}${CYAN}claudefix doctor${RESET} ${DIM}v${report.version}, node ${report.node}, ${report.platform}${RESET}\n`);
+
+  console.log(`${BOLD}Claude${RESET}`);
+  console.log(`  ${report.claude ? ok(true, `${report.claude.path} ${DIM}(${report.claude.reason})${RESET}`) : ok(false, 'not found')}`);
+
+  console.log(`${BOLD}node-pty${RESET}`);
+  console.log(`  ${report.nodePty.loaded ? ok(true, `${report.nodePty.via} - ${report.nodePty.path}`) : ok(false, "doesn't load")}`);
+  for (const t of report.nodePty.tried) console.log(`    ${DIM}${t.path}: ${t.error}${RESET}`);
+
+  const t = report.terminal;
+  console.log(`${BOLD}Terminal${RESET}`);
+  console.log(`  TERM=${t.term || '(unset)'}, profile ${BOLD}${t.profile}${RESET} ${DIM}(${t.via})${RESET}`);
+  console.log(`  SSH mode: ${t.ssh ? `${YELLOW}on${RESET} ${DIM}(${t.remoteRender ? 'SSH-safe footer' : 'no footer - remoteRender is off'})${RESET}` : 'off'}`);
+  console.log(`  Multiplexer: ${t.multiplexer || 'none'}`);
+  console.log(`  ${ok(t.supported, `index.cjs loader ${t.supported ? 'supports' : "doesn't support"} this TERM`)}`);
+
+  const sb = report.statusbar;
+  console.log(`${BOLD}Statusbar providers${RESET} ${DIM}${sb.dir}${sb.enabled ? '' : ' (statusbar off)'}${RESET}`);
+  if (sb.providers.length === 0) console.log(`  ${DIM}none${RESET}`);
+  for (const p of sb.providers) {
+    const state = p.kind === 'socket' ? 'socket'
+      : p.provider ? `${p.provider.name}, ${p.provider.rows} row${p.provider.rows === 1 ? '' : 's'}`
+        : p.hidden ? `hidden (${p.hidden})` : `${RED}${p.error}${RESET}`;
+    console.log(`  ${p.path}: ${state}`);
+  }
+
+  console.log(`${BOLD}Wrappers${RESET}`);
+  for (const w of report.wrappers) {
+    const status = w.status === 'wrapper' ? `${GREEN}✓ claudefix wrapper${RESET}`
+      : w.status === 'original' ? `${YELLOW}○ original claude${RESET}` : `${DIM}- not found${RESET}`;
+    console.log(`  ${w.path}: ${status}`);
+    if (w.backup) console.log(`    ${w.backup.stale ? YELLOW + '⚠' : DIM + '↳'} ${w.backup.path}${w.backup.target ? ' -> ' + w.backup.target : ''}${RESET}`);
+  }
+
+  const l = report.limits;
+  console.log(`${BOLD}Resource limits${RESET}`);
+  console.log(`  cgroup v2: ${l.cgroupV2 ? 'yes' : 'no'}, strategy: ${l.cgroupStrategy || (l.cgroupLimits ? 'none usable' : 'off (cgroupLimits)')}${l.cgroupDir ? ` ${DIM}(${l.cgroupDir})${RESET}` : ''}`);
+  console.log(`  cpulimit: ${l.cpulimit || 'not installed'}`);
+
+  const files = report.config.files.map(f => `${f.file}${f.exists ? '' : ' (none)'}`).join(', ');
+  console.log(`${BOLD}Settings${RESET} ${DIM}${files}${RESET}`);
+  printSettings({ values: report.config.values, sources: report.config.sources, errors: [] });
+
+  console.log('');
+  if (report.problems.length === 0) {
+    log(GREEN, 'No problems found');
+  } else {
+    for (const p of report.problems) log(YELLOW, p);
+  }
+}
+
+// `claudefix selftest [--json] [--terminal NAME]` - the wrapper on a fake
+// Claude, offline; exits 1 when a check fails so CI can run it
+function selftest(rest) {
+  const { runSelftest } = require('../lib/selftest.cjs');
+  const json = rest.includes('--json');
+  const i = rest.indexOf('--terminal');
+  const terminal = i !== -1 ? rest[i + 1] : (rest.find(a => a.startsWith('--terminal=')) || '').slice(11) || undefined;
+  if (!json) log(CYAN, 'Running the wrapper on a fake Claude (~5s)...\n');
+
+  runSelftest({ terminal }).then((result) => {
+    if (!result.ok) process.exitCode = 1;
+    if (json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    if (result.profile) console.log(`  Profile ${BOLD}${result.profile}${RESET}, colors ${result.colorMode}\n`);
+    for (const c of result.checks) {
+      console.log(`  ${c.ok ? GREEN + '✓' : RED + '✗'}${RESET} ${c.name.padEnd(14)} ${DIM}${c.detail}${RESET}`);
+    }
+    console.log('');
+    if (result.ok) log(GREEN, 'Self-test passed');
+    else log(RED, 'Self-test failed - please attach `claudefix selftest --json` and `claudefix doctor --json` to an issue');
+  });
+}
+
 function checkAndInstall() {
   const isRoot = process.getuid && process.getuid() === 0;
 
@@ -162,9 +420,29 @@ ${CYAN}Developed by Hardwick Software @ https://justcalljon.pro${RESET}
 ${BOLD}Usage:${RESET}
   claudefix install      Install globally (checks for sudo first!)
   claudefix --setup      Install the wrapper (replaces 'claude' command)
-  claudefix --config     Re-run the feature configurator
+  claudefix --config     Re-run the feature configurator (full screen, live preview;
+                         --classic for one question at a time)
+  claudefix --config --non-interactive [options]
+                         Configure without questions (provisioning scripts):
+                           --mem-percent N  --no-memory-limit  --cpu-percent N
+                           --[no-]footer  --[no-]darkmode  --color-fix=strip|remap|off
+                           --remap-style=palette|tint|underline  --[no-]scrollback-clear
+                           --[no-]resize-debounce  --[no-]auto-restart
+                           --from-file team.json (applied first, flags on top)
+  claudefix config list  Every setting, its value and where it came from
+  claudefix config get|explain <key>
+  claudefix config set <key> <value>
+                         Read / change one setting in ~/.claudefix.json
   claudefix --uninstall  Remove the wrapper
   claudefix --status     Check if wrapper is installed
+  claudefix doctor [--json]
+                         Diagnose why claudefix isn't kicking in (--json for tickets)
+  claudefix selftest [--json] [--terminal NAME]
+                         Run the wrapper on a fake Claude and check its output (offline)
+  claudefix stats [id]   Memory/CPU report for the latest (or given) session
+  claudefix stats --list List recorded sessions
+  claudefix replay <file> [--raw|--filtered] [--speed=N]
+                         Play back a CLAUDEFIX_RECORD session
   claudefix --help       Show this help
 
 ${BOLD}Alternative:${RESET}
@@ -176,7 +454,13 @@ ${BOLD}Environment Variables (all features optional):${RESET}
     ${DIM}Set V8 heap limit as % of RAM (1-100, default 35)${RESET}
 
   ${YELLOW}CLAUDEFIX_CPU_PERCENT=50${RESET}
-    ${DIM}Limit CPU usage via cgroup/nice (1-100, default: no limit)${RESET}
+    ${DIM}Limit CPU usage via cgroup v2 (cpulimit/nice fallback) (1-100, default: no limit)${RESET}
+
+  ${YELLOW}CLAUDEFIX_NO_CGROUP=1${RESET}
+    ${DIM}Don't put Claude + its tools in a cgroup (use cpulimit/nice only)${RESET}
+
+  ${YELLOW}CLAUDEFIX_AUTO_RESTART=1${RESET}
+    ${DIM}Restart + resume Claude when it nears the heap limit (waits for idle)${RESET}
 
   ${YELLOW}CLAUDEFIX_NO_FOOTER=1${RESET}
     ${DIM}Disable footer bar showing "claudefix by Hardwick Software"${RESET}
@@ -187,12 +471,46 @@ ${BOLD}Environment Variables (all features optional):${RESET}
   ${YELLOW}CLAUDE_STRIP_BG_COLORS=0${RESET}
     ${DIM}Keep background colors (may cause VTE glitches)${RESET}
 
+  ${YELLOW}CLAUDE_STRIP_BG_COLORS=remap${RESET}
+    ${DIM}Swap backgrounds for safe 16-color ones so diffs keep their colors${RESET}
+    ${DIM}(CLAUDE_REMAP_STYLE=palette|tint|underline)${RESET}
+
+  ${YELLOW}CLAUDEFIX_TERMINAL=name${RESET}
+    ${DIM}Use this terminal profile instead of auto-detecting (see claudefix status)${RESET}
+
+  ${YELLOW}CLAUDEFIX_FOOTER_SEGMENTS=memory,git,clock${RESET}
+    ${DIM}What the footer shows (built-ins or paths to your own modules)${RESET}
+
+  ${YELLOW}CLAUDEFIX_REMOTE_RENDER=auto|on|off${RESET}
+    ${DIM}SSH-safe footer drawing (auto = over SSH, on = also for mosh, off = no footer over SSH)${RESET}
+
+  ${YELLOW}CLAUDEFIX_SYNC_OUTPUT=auto|on|off${RESET}
+    ${DIM}Send each frame as one synchronized update (auto = if the terminal supports it)${RESET}
+
+  ${YELLOW}CLAUDEFIX_DIFF_RENDER=1${RESET}
+    ${DIM}Send only the cells that changed since the last frame (0 = off, whatever the config says)${RESET}
+
+  ${YELLOW}CLAUDEFIX_NO_STATUSBAR=1${RESET}
+    ${DIM}Don't show statusbar providers' rows above the footer${RESET}
+
+  ${YELLOW}CLAUDEFIX_NO_MULTIPLEXER=1${RESET}
+    ${DIM}Inside tmux/screen, behave as in a plain terminal${RESET}
+
   ${YELLOW}CLAUDEFIX_NO_DARKMODE=1${RESET}
     ${DIM}Don't force dark mode on terminal startup${RESET}
 
   ${YELLOW}CLAUDEFIX_DISABLED=1${RESET}
     ${DIM}Disable all claudefix modifications${RESET}
 
+  ${YELLOW}CLAUDEFIX_NO_STATS=1${RESET}
+    ${DIM}Don't write the per-session stats log (~/.local/state/claudefix/)${RESET}
+
+  ${YELLOW}CLAUDEFIX_RECORD=session.cast${RESET}
+    ${DIM}Record raw + filtered output (asciinema v2) for bug reports${RESET}
+
+  ${YELLOW}CLAUDEFIX_JSON_SANITIZE=1${RESET}
+    ${DIM}Strip terminal escapes from claude -p JSON output (CI logs)${RESET}
+
   ${YELLOW}CLAUDEFIX_DEBUG=1${RESET}
     ${DIM}Show detailed claudefix operation logs${RESET}
 `);
@@ -214,10 +532,24 @@ switch (cmd) {
   case 'config':
   case '--configure':
   case 'configure':
+    if (['get', 'set', 'list', 'explain'].includes(args[1])) {
+      configCommand(args[1], args.slice(2));
+      break;
+    }
     // Re-run the configurator
     require('../install-hook.cjs');
     break;
 
+  case 'selftest':
+  case '--selftest':
+    selftest(args.slice(1));
+    break;
+
+  case 'doctor':
+  case '--doctor':
+    doctor(args.slice(1));
+    break;
+
   case '--uninstall':
   case 'uninstall':
   case '--remove':
@@ -230,6 +562,16 @@ switch (cmd) {
     getStatus();
     break;
 
+  case 'stats':
+  case '--stats':
+    showStats(args[1]);
+    break;
+
+  case 'replay':
+  case '--replay':
+    replay(args.slice(1));
+    break;
+
   case '--help':
   case 'help':
   case '-h':
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * gc preload - runs INSIDE the Claude process, not the wrapper
+ *
+ * claude-fixed injects this via NODE_OPTIONS="--expose-gc --require .../gc-preload.cjs"
+ * so the forced GC actually hits Claude's heap (calling global.gc() in the
+ * wrapper only ever cleaned up the wrapper, which was never the problem)
+ *
+ * what it does:
+ *   - full GC every CLAUDEFIX_GC_INTERVAL_MS (0 = off)
+ *   - checks heap pressure every CLAUDEFIX_GC_CHECK_MS and GCs early once
+ *     heapUsed crosses CLAUDEFIX_GC_PRESSURE_PERCENT of the V8 heap limit
+ *   - reports what each run freed back to the wrapper over CLAUDEFIX_GC_SOCKET
+ *
+ * all timers are unref'd - we never keep Claude alive or block its exit
+ */
+
+const net = require('net');
+const v8 = require('v8');
+const vm = require('vm');
+
+const socketPath = process.env.CLAUDEFIX_GC_SOCKET || '';
+const intervalMs = parseInt(process.env.CLAUDEFIX_GC_INTERVAL_MS, 10) || 0;
+const checkMs = parseInt(process.env.CLAUDEFIX_GC_CHECK_MS, 10) || 0;
+const pressurePercent = parseInt(process.env.CLAUDEFIX_GC_PRESSURE_PERCENT, 10) || 0;
+
+// don't spam GCs back to back when pressure stays high
+const PRESSURE_COOLDOWN_MS = 10000;
+
+// scrub ourselves from the env so tools Claude spawns (MCP servers, hooks,
+// node scripts) don't each get their own GC timer + socket connection
+function unloadFromEnv() {
+  if (process.env.NODE_OPTIONS) {
+    process.env.NODE_OPTIONS = process.env.NODE_OPTIONS
+      .replace(`--require "${__filename}"`, '')
+      .replace(`--require ${__filename}`, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  delete process.env.CLAUDEFIX_GC_SOCKET;
+  delete process.env.CLAUDEFIX_GC_INTERVAL_MS;
+  delete process.env.CLAUDEFIX_GC_CHECK_MS;
+  delete process.env.CLAUDEFIX_GC_PRESSURE_PERCENT;
+}
+
+// --expose-gc should already be in NODE_OPTIONS, but if someone stripped it
+// we can still dig gc out of V8 ourselves
+function getGc() {
+  if (typeof global.gc === 'function') return global.gc;
+  try {
+    v8.setFlagsFromString('--expose-gc');
+    return vm.runInNewContext('gc');
+  } catch (e) {
+    return null;
+  }
+}
+
+let socket = null;
+let queue = [];
+
+function report(msg) {
+  const line = JSON.stringify(msg) + '\n';
+  if (socket && socket.writable && !socket.connecting) socket.write(line);
+  else if (queue.length < 20) queue.push(line);
+}
+
+function connect() {
+  if (!socketPath) return;
+  socket = net.connect(socketPath);
+  socket.unref();
+  socket.on('connect', () => {
+    for (const line of queue) socket.write(line);
+    queue = [];
+  });
+  socket.on('error', () => { socket = null; queue = []; });
+}
+
+const MB = 1024 * 1024;
+let lastGcTime = 0;
+
+function runGc(gc, reason) {
+  const before = process.memoryUsage().heapUsed;
+  const start = process.hrtime.bigint();
+  try { gc(); } catch (e) { return; }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  const after = process.memoryUsage().heapUsed;
+  lastGcTime = Date.now();
+  report({
+    type: 'gc',
+    pid: process.pid,
+    reason,
+    beforeMB: Math.round(before / MB),
+    afterMB: Math.round(after / MB),
+    freedMB: Math.round((before - after) / MB),
+    ms: Math.round(ms),
+    time: lastGcTime,
+  });
+}
+
+function start() {
+  unloadFromEnv();
+
+  const gc = getGc();
+  if (!gc) return;
+
+  connect();
+  const heapLimit = v8.getHeapStatistics().heap_size_limit;
+  report({ type: 'hello', pid: process.pid, heapLimitMB: Math.round(heapLimit / MB) });
+
+  if (intervalMs > 0) {
+    setInterval(() => runGc(gc, 'interval'), intervalMs).unref();
+  }
+
+  if (checkMs > 0 && pressurePercent > 0) {
+    setInterval(() => {
+      if (Date.now() - lastGcTime < PRESSURE_COOLDOWN_MS) return;
+      const used = process.memoryUsage().heapUsed;
+      if (used / heapLimit * 100 >= pressurePercent) runGc(gc, 'pressure');
+    }, checkMs).unref();
+  }
+}
+
+try {
+  start();
+} catch (e) {
+  // never take Claude down because of us
+}
@@ -33,48 +33,10 @@ const CURSOR_RESTORE = '\x1b[u';
 const CLEAR_SCREEN = '\x1b[2J';
 const HOME_CURSOR = '\x1b[H';
 
-// regex patterns for ANSI sequences we want to strip
-// background colors + inverse video (which swaps FG to BG) + dim
-const ANSI_BG_PATTERNS = [
-  /\x1b\[48;5;\d+m/g,           // 256-color background: \x1b[48;5;XXXm
-  /\x1b\[48;2;\d+;\d+;\d+m/g,   // true color background: \x1b[48;2;R;G;Bm
-  /\x1b\[4[0-7]m/g,             // standard background colors: \x1b[40m - \x1b[47m
-  /\x1b\[10[0-7]m/g,            // bright background colors: \x1b[100m - \x1b[107m
-  /\x1b\[7m/g,                  // inverse video - swaps FG/BG, causes same glitch
-  /\x1b\[27m/g,                 // inverse off (no-op but clean it up)
-  /\x1b\[49m/g,                 // default background color
-  /\x1b\[2m/g,                  // dim attribute - makes text grey, causes glitches
-  /\x1b\[22m/g,                 // dim off (normal intensity)
-];
-
-// more aggressive stripping for compound sequences
-// handles cases like \x1b[0;48;5;236m or \x1b[1;7m
-function stripCompoundBgCodes(str) {
-  // strip 48;5;XXX and 48;2;R;G;B from compound sequences
-  str = str.replace(/(\x1b\[[0-9;]*)48;5;\d+(;?)/g, '$1$2');
-  str = str.replace(/(\x1b\[[0-9;]*)48;2;\d+;\d+;\d+(;?)/g, '$1$2');
-  // strip background params (4X where X is 0-7 or 9)
-  str = str.replace(/(\x1b\[[0-9;]*)(;?)(4[0-79])(;?)([0-9;]*m)/g, (match, pre, sep1, bg, sep2, post) => {
-    // reconstruct without the background code
-    let params = pre.slice(2); // remove \x1b[
-    if (sep2 && post) params += post;
-    else if (!post.endsWith('m')) params += 'm';
-    if (params === 'm' || params === ';m') return '\x1b[0m';
-    return '\x1b[' + params.replace(/^;+/, '').replace(/;+$/, '').replace(/;;+/g, ';');
-  });
-  // strip bright backgrounds 10X
-  str = str.replace(/(\x1b\[[0-9;]*)(;?)(10[0-7])(;?)([0-9;]*m)/g, (match, pre, sep1, bg, sep2, post) => {
-    let params = pre.slice(2);
-    if (sep2 && post) params += post;
-    else if (!post.endsWith('m')) params += 'm';
-    if (params === 'm' || params === ';m') return '\x1b[0m';
-    return '\x1b[' + params.replace(/^;+/, '').replace(/;+$/, '').replace(/;;+/g, ';');
-  });
-  // strip inverse (7) and dim (2) from compound sequences
-  str = str.replace(/(\x1b\[[0-9;]*)(;?)(7|2)(;)([0-9;]+m)/g, '$1$5');
-  str = str.replace(/(\x1b\[[0-9;]+)(;)(7|2)(m)/g, '$1m');
-  return str;
-}
+// color filter shared with the claude-fixed wrapper - parses tokens instead of
+// regexing raw strings, so compound and split sequences come out well-formed
+const { stripColors, createColorStripper } = require('./lib/strip-colors.cjs');
+const { loadConfig } = require('./lib/config.cjs');
 
 // supported terminals - only run fix on these
 const SUPPORTED_TERMINALS = [
@@ -87,22 +49,28 @@ const SUPPORTED_TERMINALS = [
   'konsole', 'konsole-256color',
 ];
 
-function isTerminalSupported() {
-  const term = process.env.TERM || '';
+function isTerminalSupported(env = process.env) {
+  const term = env.TERM || '';
   // check exact match or prefix match
   return SUPPORTED_TERMINALS.some(t => term === t || term.startsWith(t + '-'));
 }
 
-// config - tweak these if needed
+// shared settings - same files + env overrides claude-fixed reads (lib/config.cjs)
+const settings = loadConfig().values;
+
+// config - tweak these if needed (or via setConfig)
 const config = {
   resizeDebounceMs: 150,        // how long to wait before firing resize
-  periodicClearMs: 60000,       // clear scrollback every 60s
-  clearAfterRenders: 500,       // or after 500 render cycles
+  periodicClearMs: settings.periodicClearMs,     // clear scrollback every 60s
+  clearAfterRenders: settings.clearAfterRenders, // or after 500 render cycles
   typingCooldownMs: 500,        // wait this long after typing to clear
   debug: process.env.CLAUDE_TERMINAL_FIX_DEBUG === '1',
-  disabled: process.env.CLAUDE_TERMINAL_FIX_DISABLED === '1',
-  stripBgColors: process.env.CLAUDE_STRIP_BG_COLORS !== '0', // always strip bg colors, disable with =0
+  disabled: process.env.CLAUDE_TERMINAL_FIX_DISABLED === '1', // the kill switch - everything off
+  scrollbackClear: settings.scrollbackClear !== false, // scrollbackClear: false - no \x1b[3J injections, colors still filtered
+  stripBgColors: settings.colorStripping !== false, // always strip bg colors, disable with CLAUDE_STRIP_BG_COLORS=0
   stripColors: process.env.CLAUDE_STRIP_COLORS !== '0', // strip by default, disable with =0
+  remapBgColors: settings.colorStripping === 'remap', // swap bgs for safe ones instead of dropping them
+  remapStyle: settings.colorRemap, // palette | tint | underline
 };
 
 // state tracking
@@ -114,6 +82,10 @@ let installed = false;
 let lastTypingTime = 0;           // track when user last typed
 let pendingClear = false;         // defer clear if typing active
 let clearIntervalId = null;
+let colorStream = null;           // streaming color filter, holds split escapes
+let partialTimer = null;          // lets a held escape through if nothing follows it
+
+const PARTIAL_ESCAPE_MS = 100;    // same as the wrapper - how long to hold an escape cut off mid-sequence
 
 function log(...args) {
   if (config.debug) {
@@ -129,22 +101,16 @@ function log(...args) {
  */
 function stripBackgroundColors(chunk) {
   if (typeof chunk !== 'string') return chunk;
+  return stripColors(chunk);
+}
 
-  let result = chunk;
-
-  // first pass: strip simple bg patterns
-  for (const pattern of ANSI_BG_PATTERNS) {
-    result = result.replace(pattern, '');
-  }
-
-  // second pass: handle compound sequences like \x1b[0;48;5;236m
-  result = stripCompoundBgCodes(result);
-
-  // cleanup: remove empty/malformed sequences
-  result = result.replace(/\x1b\[;*m/g, '\x1b[0m'); // \x1b[;m -> \x1b[0m
-  result = result.replace(/\x1b\[m/g, '\x1b[0m');   // \x1b[m -> \x1b[0m
-
-  return result;
+/**
+ * write out an escape the color filter held for a follow-up that never came
+ */
+function flushHeld() {
+  partialTimer = null;
+  const held = colorStream.flush();
+  if (held) originalWrite(held);
 }
 
 /**
@@ -222,6 +188,10 @@ function install() {
   }
 
   originalWrite = process.stdout.write.bind(process.stdout);
+  colorStream = createColorStripper({
+    mode: config.remapBgColors ? 'remap' : 'strip',
+    remapStyle: config.remapStyle,
+  });
 
   // track stdin to know when user is typing
   if (process.stdin.isTTY) {
@@ -232,26 +202,42 @@ function install() {
 
   // hook stdout.write - this is where the magic happens
   process.stdout.write = function(chunk, encoding, callback) {
+    if (partialTimer) {
+      clearTimeout(partialTimer);
+      partialTimer = null;
+    }
+
+    // Buffers pass through untouched (decoding could split a UTF-8 character
+    // or mangle binary), but after whatever the color filter is holding
+    if (typeof chunk !== 'string') {
+      const held = colorStream.flush();
+      if (held) originalWrite(held);
+      return originalWrite(chunk, encoding, callback);
+    }
+
     // CRITICAL FIX: pass stdin echoes through unmodified
     // this prevents the typing issue where keystrokes get lost
     if (typeof chunk === 'string') {
       // check if this is a stdin echo - if so, pass through immediately
       if (isStdinEcho(chunk)) {
         lastTypingTime = Date.now();  // update typing time
-        return originalWrite(chunk, encoding, callback);
+        // anything the color filter was holding goes first, order matters
+        return originalWrite(colorStream.flush() + chunk, encoding, callback);
       }
 
       renderCount++;
 
       // strip colors that cause VTE rendering glitches
       if (config.stripBgColors) {
-        chunk = stripBackgroundColors(chunk);
+        chunk = colorStream.write(chunk);
+      } else {
+        chunk = colorStream.flush() + chunk;
       }
 
       // ink clears screen before re-render, we piggyback on that
       // but only if not actively typing
       if (chunk.includes(CLEAR_SCREEN) || chunk.includes(HOME_CURSOR)) {
-        if (config.clearAfterRenders > 0 && renderCount >= config.clearAfterRenders) {
+        if (config.scrollbackClear && config.clearAfterRenders > 0 && renderCount >= config.clearAfterRenders) {
           if (!isTypingActive()) {
             log('clearing scrollback after ' + renderCount + ' renders');
             renderCount = 0;
@@ -263,12 +249,19 @@ function install() {
       }
 
       // /clear command should actually clear everything (immediate, user-requested)
-      if (chunk.includes('Conversation cleared') || chunk.includes('Chat cleared')) {
+      if (config.scrollbackClear && (chunk.includes('Conversation cleared') || chunk.includes('Chat cleared'))) {
         log('/clear detected, nuking scrollback');
         chunk = CLEAR_SCROLLBACK + chunk;
       }
     }
 
+    // an escape cut off at the end of this write waits for the next one, but
+    // not forever
+    if (colorStream.pending()) {
+      partialTimer = setTimeout(flushHeld, PARTIAL_ESCAPE_MS);
+      partialTimer.unref();
+    }
+
     return originalWrite(chunk, encoding, callback);
   };
 
@@ -277,7 +270,7 @@ function install() {
 
   // periodic cleanup so long sessions dont get cooked
   // uses safeClearScrollback which respects typing activity
-  if (config.periodicClearMs > 0) {
+  if (config.scrollbackClear && config.periodicClearMs > 0) {
     clearIntervalId = setInterval(() => {
       log('periodic clear check');
       safeClearScrollback();
@@ -285,7 +278,8 @@ function install() {
   }
 
   installed = true;
-  const mode = config.stripBgColors ? 'bg+dim colors stripped' : 'all colors preserved';
+  const mode = !config.stripBgColors ? 'all colors preserved'
+    : config.remapBgColors ? 'bg colors remapped (' + config.remapStyle + ')' : 'bg+dim colors stripped';
   log('installed successfully - v2.3.1 - ' + mode + ' - TERM=' + process.env.TERM);
 }
 
@@ -364,6 +358,12 @@ function setConfig(key, value) {
  */
 function disable() {
   if (originalWrite) {
+    if (partialTimer) {
+      clearTimeout(partialTimer);
+      partialTimer = null;
+    }
+    const held = colorStream.flush();
+    if (held) originalWrite(held);
     process.stdout.write = originalWrite;
     log('disabled');
   }
@@ -371,6 +371,7 @@ function disable() {
 
 module.exports = {
   install,
+  isTerminalSupported,
   clearScrollback,
   getStats,
   setConfig,
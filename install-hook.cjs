@@ -6,13 +6,16 @@
  * Developed by Hardwick Software Services @ https://justcalljon.pro
  */
 const fs = require('fs');
-const path = require('path');
-const os = require('os');
 const readline = require('readline');
 const tty = require('tty');
 const { spawnSync } = require('child_process');
 
-const CONFIG_PATH = path.join(os.homedir(), '.claudefix.json');
+const { defaults, readConfigFile, userConfigPath, updateUserConfig, writeUserConfig, loadConfig: loadAllConfig } = require('./lib/config.cjs');
+const { parseConfiguratorArgs, buildConfig } = require('./lib/configurator-args.cjs');
+const { runConfigTui, editableConfig } = require('./lib/config-tui.cjs');
+const { resolveProfile } = require('./lib/terminal-profiles.cjs');
+
+const CONFIG_PATH = userConfigPath();
 
 // Check if we're being run as a child process for interactive mode
 const IS_INTERACTIVE_CHILD = process.env.CLAUDEFIX_INTERACTIVE_CHILD === '1';
@@ -73,32 +76,16 @@ const RESET = '\x1b[0m';
 const BOLD = '\x1b[1m';
 const DIM = '\x1b[2m';
 
-// Default config - first run has footer enabled
-const DEFAULT_CONFIG = {
-  firstRun: true,
-  footer: true,           // Forced on first run, optional after
-  memoryLimit: true,      // Always recommended
-  memPercent: 35,         // % of RAM for V8 heap (1-100)
-  cpuPercent: 0,          // % CPU limit (0 = no limit)
-  colorStripping: true,   // Fix VTE glitches
-  darkMode: false,        // ASK user
-  scrollbackClear: true,  // Memory optimization
-  resizeDebounce: true,   // tmux/screen fix
-  configured: false
-};
-
+// Only what the user chose goes in ~/.claudefix.json - defaults live in the
+// schema (lib/config.cjs), so /etc/claudefix.json isn't masked by copies
 function loadConfig() {
-  try {
-    if (fs.existsSync(CONFIG_PATH)) {
-      return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
-    }
-  } catch (e) {}
-  return { ...DEFAULT_CONFIG };
+  // invalid keys are dropped here and the answers below replace them
+  return readConfigFile(CONFIG_PATH).values;
 }
 
 function saveConfig(config) {
   try {
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+    updateUserConfig(config);
     return true;
   } catch (e) {
     return false;
@@ -123,7 +110,70 @@ async function askYesNo(rl, question, defaultYes = true) {
   });
 }
 
+// claudefix --config --non-interactive ... - same result as answering the
+// questions, for provisioning scripts. Replaces ~/.claudefix.json outright so
+// every machine given the same flags ends up with the same file
+function runNonInteractive(args) {
+  const { config, errors } = buildConfig(args);
+  if (errors.length) {
+    for (const err of errors) console.error(`${RED}[claudefix]${RESET} ${err}`);
+    console.error(`${DIM}Nothing written - ${CONFIG_PATH} is unchanged${RESET}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  config.configured = true;
+  config.firstRun = true; // Will be set to false after first actual run
+  try {
+    writeUserConfig(config);
+  } catch (e) {
+    console.error(`${RED}[claudefix]${RESET} Could not save ${CONFIG_PATH}: ${e.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`${GREEN}✓ Configuration saved to ${CONFIG_PATH}${RESET}`);
+  showSummary({ ...defaults(), ...config });
+}
+
+// claudefix --config on a real terminal - every option on one screen with a
+// live preview. Only the keys changed here are written, the rest of
+// ~/.claudefix.json stays as it was
+async function runTui(ttyInput) {
+  const { values, overrides } = editableConfig(loadAllConfig());
+  const result = await runConfigTui({ input: ttyInput, output: process.stdout, values, overrides, profile: resolveProfile() });
+  if (ttyInput !== process.stdin && ttyInput.destroy) ttyInput.destroy();
+
+  if (result.action === 'cancel') {
+    console.log(`${DIM}Cancelled - ${CONFIG_PATH} is unchanged${RESET}`);
+    return;
+  }
+  const patch = { configured: true, firstRun: true };
+  for (const key of result.changed) patch[key] = result.values[key];
+  try {
+    updateUserConfig(patch);
+  } catch (e) {
+    console.error(`${RED}[claudefix]${RESET} Could not save: ${e.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`${GREEN}✓ Configuration saved to ${CONFIG_PATH}${RESET}`);
+  showSummary(result.values);
+}
+
 async function runConfigurator() {
+  // Flags (claudefix --config --mem-percent 40 ...) skip the questions
+  const args = parseConfiguratorArgs(process.argv.slice(2));
+  if (args.errors.length) {
+    for (const err of args.errors) console.error(`${RED}[claudefix]${RESET} ${err}`);
+    console.error(`${DIM}Run 'claudefix --help' for the configurator options${RESET}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (args.nonInteractive) {
+    runNonInteractive(args);
+    return;
+  }
+
   // Check if this is being run directly (claudefix --config) or via postinstall
   const isPostInstall = !IS_INTERACTIVE_CHILD && !process.stdin.isTTY;
 
@@ -152,12 +202,20 @@ async function runConfigurator() {
 
     if (output) output.destroy();
 
-    // Save defaults
-    const config = { ...DEFAULT_CONFIG };
-    saveConfig(config);
+    // Fresh install/update: footer on for the next first run, answers kept
+    saveConfig({ firstRun: true, configured: false });
     return;
   }
 
+  // Full-screen configurator, unless the terminal can't draw it (or --classic)
+  if (!args.classic && process.stdout.isTTY && process.env.TERM !== 'dumb') {
+    const ttyInput = getTTYInput();
+    if (ttyInput) {
+      await runTui(ttyInput);
+      return;
+    }
+  }
+
   // Interactive mode (claudefix --config)
   console.log('');
   console.log(`${BOLD}${CYAN}╔═══════════════════════════════════════════════════════════════╗${RESET}`);
@@ -202,7 +260,7 @@ async function runConfigurator() {
 
     // 1b. CPU limit
     console.log(`${CYAN}1b. CPU Limit${RESET}`);
-    console.log(`   ${DIM}Limit Claude's CPU usage (uses cpulimit or nice)${RESET}`);
+    console.log(`   ${DIM}Limit Claude's CPU usage (cgroup v2 on Linux, else cpulimit or nice)${RESET}`);
     const wantCpu = await askYesNo(rl, '   Enable CPU limit?', false);
     if (wantCpu) {
       const cpuPct = await new Promise((resolve) => {
@@ -222,6 +280,12 @@ async function runConfigurator() {
     console.log(`${CYAN}2. Color Fix (Strip Background Colors)${RESET}`);
     console.log(`   ${DIM}Fixes VTE rendering glitches on Linux terminals${RESET}`);
     config.colorStripping = await askYesNo(rl, '   Enable color fix?', true);
+    if (config.colorStripping) {
+      console.log(`   ${DIM}Remap keeps diff/selection highlights as safe 16-color backgrounds${RESET}`);
+      if (await askYesNo(rl, '   Remap backgrounds instead of removing them?', false)) {
+        config.colorStripping = 'remap';
+      }
+    }
     console.log('');
 
     // 3. Dark mode - ASK explicitly
@@ -284,7 +348,7 @@ function showSummary(config) {
   console.log('');
   console.log(`  Memory Limit:      ${config.memoryLimit ? GREEN + '✓ ON (' + (config.memPercent || 35) + '% RAM)' : RED + '✗ OFF'}${RESET}`);
   console.log(`  CPU Limit:         ${config.cpuPercent > 0 ? GREEN + '✓ ON (' + config.cpuPercent + '%)' : YELLOW + '○ OFF (no limit)'}${RESET}`);
-  console.log(`  Color Fix:         ${config.colorStripping ? GREEN + '✓ ON' : RED + '✗ OFF'}${RESET}`);
+  console.log(`  Color Fix:         ${config.colorStripping ? GREEN + '✓ ON' + (config.colorStripping === 'remap' ? ' (remap: ' + (config.colorRemap || 'palette') + ')' : '') : RED + '✗ OFF'}${RESET}`);
   console.log(`  Dark Mode:         ${config.darkMode ? GREEN + '✓ ON' : RED + '✗ OFF'}${RESET}`);
   console.log(`  Scrollback Clear:  ${config.scrollbackClear ? GREEN + '✓ ON' : RED + '✗ OFF'}${RESET}`);
   console.log(`  Resize Debounce:   ${config.resizeDebounce ? GREEN + '✓ ON' : RED + '✗ OFF'}${RESET}`);
@@ -300,6 +364,7 @@ function showSummary(config) {
   console.log(`${DIM}Config file: ~/.claudefix.json${RESET}`);
   console.log(`${DIM}Override any setting with environment variables:${RESET}`);
   console.log(`${DIM}  CLAUDEFIX_NO_FOOTER=1, CLAUDE_STRIP_BG_COLORS=0, etc.${RESET}`);
+  console.log(`${DIM}See every setting and where it comes from: claudefix config list${RESET}`);
   console.log('');
 }
 
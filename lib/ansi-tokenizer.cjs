@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * streaming ANSI tokenizer - the one parser both index.cjs and claude-fixed use
+ *
+ * node-pty hands us whatever the kernel read, so an escape sequence can be
+ * split across onData chunks (\x1b[48;5;2 | 36m). Regexes over one chunk
+ * miss the first half and mangle the second. This keeps the unfinished tail
+ * of a chunk and prepends it to the next one, so every token it emits is a
+ * complete sequence.
+ *
+ * tokens - always have `type` and `raw` (the exact source text):
+ *   text    - printable text and C0 controls (\r \n \b ...)
+ *   sgr     - CSI ... m with no private marker; `params` is the param string
+ *   csi     - any other CSI; `prefix` (private marker ? > < =), `params`,
+ *             `intermediates`, `final`
+ *   osc     - ESC ] ... BEL / ST; `data` is the payload
+ *   dcs     - ESC P ... ST (tmux passthrough doubles inner ESCs, handled)
+ *   string  - SOS / PM / APC (ESC X, ESC ^, ESC _) ... ST
+ *   esc     - any other escape (ESC 7, ESC ( B, ESC \ ...)
+ *   unknown - malformed or oversized sequences, passed through untouched
+ *
+ * transforms - fn(token) returning the token (changed or not), null to drop
+ * it, or an array of tokens to emit in its place. They run in order; raw
+ * is what gets written, so a transform that edits a token must rebuild raw
+ * (formatSgr / formatCsi do that).
+ */
+
+const ESC = '\x1b';
+const BEL = '\x07';
+
+// past this an unterminated OSC/DCS is more likely garbage than a clipboard
+// payload - give up waiting and let it through as-is
+const MAX_PENDING = 64 * 1024;
+
+const STRING_INTRODUCERS = { ']': 'osc', P: 'dcs', X: 'string', '^': 'string', _: 'string' };
+
+// parse one escape at buf[i] (which is ESC)
+// returns { token, end } or null when the sequence runs past the end of buf
+function scanEscape(buf, i) {
+  if (i + 1 >= buf.length) return null;
+  const intro = buf[i + 1];
+
+  if (intro === '[') {
+    let j = i + 2;
+    while (j < buf.length && buf.charCodeAt(j) >= 0x30 && buf.charCodeAt(j) <= 0x3f) j++;
+    const paramEnd = j;
+    while (j < buf.length && buf.charCodeAt(j) >= 0x20 && buf.charCodeAt(j) <= 0x2f) j++;
+    if (j >= buf.length) return null;
+    const code = buf.charCodeAt(j);
+    if (code < 0x40 || code > 0x7e) {
+      // control char or junk mid-sequence - not a CSI we understand
+      return { token: { type: 'unknown', raw: buf.slice(i, j) }, end: j };
+    }
+    let params = buf.slice(i + 2, paramEnd);
+    let prefix = '';
+    if (params && '<=>?'.includes(params[0])) {
+      prefix = params[0];
+      params = params.slice(1);
+    }
+    const intermediates = buf.slice(paramEnd, j);
+    const final = buf[j];
+    const raw = buf.slice(i, j + 1);
+    if (final === 'm' && !prefix && !intermediates) {
+      return { token: { type: 'sgr', raw, params }, end: j + 1 };
+    }
+    return { token: { type: 'csi', raw, prefix, params, intermediates, final }, end: j + 1 };
+  }
+
+  const kind = STRING_INTRODUCERS[intro];
+  if (kind) {
+    for (let j = i + 2; j < buf.length; j++) {
+      const c = buf[j];
+      if (c === BEL && kind === 'osc') {
+        return { token: { type: kind, raw: buf.slice(i, j + 1), data: buf.slice(i + 2, j) }, end: j + 1 };
+      }
+      if (c !== ESC) continue;
+      if (j + 1 >= buf.length) return null;
+      if (buf[j + 1] === '\\') {
+        return { token: { type: kind, raw: buf.slice(i, j + 2), data: buf.slice(i + 2, j) }, end: j + 2 };
+      }
+      if (kind === 'dcs' && buf[j + 1] === ESC) { j++; continue; } // tmux's escaped ESC
+      // a new escape before ST - terminal aborts the string, so do we
+      return { token: { type: 'unknown', raw: buf.slice(i, j) }, end: j };
+    }
+    return null;
+  }
+
+  // ESC ESC / ESC \r - the control wins and the lone ESC does nothing
+  if (buf.charCodeAt(i + 1) < 0x20) return { token: { type: 'unknown', raw: ESC }, end: i + 1 };
+
+  // ESC, optional intermediates (ESC ( B, ESC # 8), final byte
+  let j = i + 1;
+  while (j < buf.length && buf.charCodeAt(j) >= 0x20 && buf.charCodeAt(j) <= 0x2f) j++;
+  if (j >= buf.length) return null;
+  return { token: { type: 'esc', raw: buf.slice(i, j + 1) }, end: j + 1 };
+}
+
+/**
+ * stateful tokenizer - push(chunk) returns the complete tokens so far,
+ * flush() hands back whatever partial sequence is still held
+ */
+function createTokenizer() {
+  let pending = '';
+
+  function push(chunk) {
+    const buf = pending + chunk;
+    pending = '';
+    const tokens = [];
+    let i = 0;
+    while (i < buf.length) {
+      const esc = buf.indexOf(ESC, i);
+      if (esc === -1) {
+        tokens.push({ type: 'text', raw: buf.slice(i) });
+        break;
+      }
+      if (esc > i) tokens.push({ type: 'text', raw: buf.slice(i, esc) });
+      const scanned = scanEscape(buf, esc);
+      if (!scanned) {
+        if (buf.length - esc > MAX_PENDING) {
+          tokens.push({ type: 'unknown', raw: buf.slice(esc) });
+        } else {
+          pending = buf.slice(esc);
+        }
+        break;
+      }
+      tokens.push(scanned.token);
+      i = scanned.end;
+    }
+    return tokens;
+  }
+
+  function flush() {
+    if (!pending) return [];
+    const raw = pending;
+    pending = '';
+    return [{ type: 'unknown', raw }];
+  }
+
+  return {
+    push,
+    flush,
+    pending: () => pending.length > 0,
+  };
+}
+
+function applyTransforms(tokens, transforms) {
+  let out = tokens;
+  for (const transform of transforms) {
+    const next = [];
+    for (const token of out) {
+      const result = transform(token);
+      if (result == null) continue;
+      if (Array.isArray(result)) next.push(...result);
+      else next.push(result);
+    }
+    out = next;
+  }
+  return out;
+}
+
+function serialize(tokens) {
+  let str = '';
+  for (const token of tokens) str += token.raw;
+  return str;
+}
+
+/**
+ * tokenizer + transform pipeline over a stream of chunks
+ *   write(chunk) - transformed output for everything complete so far
+ *   flush()      - transformed output for the held partial (as 'unknown')
+ *   pending()    - whether a partial sequence is being held
+ */
+function createAnsiStream(transforms = []) {
+  const tokenizer = createTokenizer();
+  return {
+    write: (chunk) => serialize(applyTransforms(tokenizer.push(chunk), transforms)),
+    flush: () => serialize(applyTransforms(tokenizer.flush(), transforms)),
+    pending: tokenizer.pending,
+  };
+}
+
+/**
+ * one-shot: run a complete string through the transforms
+ */
+function transformString(str, transforms = []) {
+  const stream = createAnsiStream(transforms);
+  return stream.write(str) + stream.flush();
+}
+
+/**
+ * split an SGR param string into attributes, one array of sub-params each
+ *   "1;38;5;196;48:2::10:20:30" -> [['1'], ['38','5','196'], ['48','2','','10','20','30']]
+ * semicolon extended colors (38/48/58 ;5;N and ;2;R;G;B) are grouped like
+ * their colon forms, so a transform never mistakes an RGB value for a code.
+ * attributes written with colons get `colon: true` so formatSgr keeps them.
+ * an empty string param means 0 (reset), same as the terminal reads it
+ */
+function parseSgr(params) {
+  const parts = params.split(';');
+  const attrs = [];
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (part.includes(':')) {
+      const attr = part.split(':');
+      attr.colon = true;
+      attrs.push(attr);
+      continue;
+    }
+    const code = part === '' ? '0' : part;
+    if ((code === '38' || code === '48' || code === '58') && (parts[i + 1] === '5' || parts[i + 1] === '2')) {
+      const len = parts[i + 1] === '5' ? 3 : 5;
+      attrs.push(parts.slice(i, i + len));
+      i += len - 1;
+      continue;
+    }
+    attrs.push([code]);
+  }
+  return attrs;
+}
+
+/**
+ * rebuild an SGR sequence from attributes (inverse of parseSgr)
+ */
+function formatSgr(attrs) {
+  return `\x1b[${attrs.map(a => a.join(a.colon ? ':' : ';')).join(';')}m`;
+}
+
+/**
+ * rebuild a CSI token's raw after editing prefix/params/intermediates/final
+ */
+function formatCsi(token) {
+  return `\x1b[${token.prefix || ''}${token.params}${token.intermediates || ''}${token.final}`;
+}
+
+module.exports = {
+  createTokenizer,
+  createAnsiStream,
+  transformString,
+  parseSgr,
+  formatSgr,
+  formatCsi,
+};
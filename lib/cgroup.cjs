@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * cgroup v2 resource limits for the Claude child
+ *
+ * renice/cpulimit only ever touched ONE pid - every bash/rg/node tool Claude
+ * spawned ran unbounded. A cgroup bounds the PTY child and all its descendants
+ * together, and gives us a real memory ceiling instead of a heap hint.
+ *
+ * strategies, best first:
+ *   1. systemd-run --user --scope  - transient scope, systemd sets cpu.max and
+ *      memory.high/memory.max for us (CPUQuota / MemoryHigh / MemoryMax)
+ *   2. user-delegated cgroup dir  - we mkdir a child cgroup under the delegated
+ *      subtree (user@UID.service, or CLAUDEFIX_CGROUP_DIR), write the limit
+ *      files ourselves and move the child pid into it
+ *   3. nothing here - caller falls back to cpulimit/renice like before
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const CGROUP_ROOT = '/sys/fs/cgroup';
+const CPU_PERIOD_US = 100000;
+
+// memory.max is CLAUDEFIX_MEM_PERCENT of RAM for the whole tree - the hard stop
+// the kernel enforces inside the group only. memory.high sits a bit below it
+// so the group gets throttled and reclaimed before anything is killed.
+const MEMORY_HIGH_SHARE = 0.9;
+
+function isCgroupV2() {
+  return process.platform === 'linux' &&
+    fs.existsSync(path.join(CGROUP_ROOT, 'cgroup.controllers'));
+}
+
+// our own cgroup path from the unified hierarchy line ("0::/user.slice/...")
+function ownCgroup() {
+  try {
+    const line = fs.readFileSync('/proc/self/cgroup', 'utf8')
+      .split('\n')
+      .find(l => l.startsWith('0::'));
+    return line ? line.slice(3) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function canWrite(p) {
+  try {
+    fs.accessSync(p, fs.constants.W_OK);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * can we start a transient user scope? (needs a running user manager)
+ */
+function hasSystemdRun() {
+  if (process.platform !== 'linux') return false;
+  const probe = spawnSync('systemd-run', ['--user', '--scope', '--quiet', '--collect', 'true'], {
+    stdio: 'ignore',
+    timeout: 3000,
+  });
+  return probe.status === 0;
+}
+
+function isSocket(p) {
+  try {
+    return fs.statSync(p).isSocket();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * what hasSystemdRun needs - systemd-run on the PATH and a user manager to
+ * talk to - checked without starting anything (for `claudefix doctor`)
+ */
+function systemdRunLooksUsable(env = process.env) {
+  if (process.platform !== 'linux') return false;
+  const onPath = (env.PATH || '').split(path.delimiter).some((dir) => {
+    if (!dir) return false;
+    try {
+      fs.accessSync(path.join(dir, 'systemd-run'), fs.constants.X_OK);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+  if (!onPath) return false;
+  const runtime = env.XDG_RUNTIME_DIR;
+  const busPath = /^unix:path=([^,;]+)/.exec(env.DBUS_SESSION_BUS_ADDRESS || '');
+  return (!!busPath && isSocket(busPath[1])) ||
+    (!!runtime && (isSocket(path.join(runtime, 'systemd', 'private')) || isSocket(path.join(runtime, 'bus'))));
+}
+
+/**
+ * a cgroup directory we're allowed to create children in and move our own
+ * processes into - null if there isn't one
+ */
+function findDelegatedDir() {
+  const override = process.env.CLAUDEFIX_CGROUP_DIR;
+  if (override) return canWrite(override) ? override : null;
+
+  if (!isCgroupV2() || !process.getuid) return null;
+  const uid = process.getuid();
+  const own = ownCgroup();
+  const delegated = path.join(CGROUP_ROOT, `user.slice/user-${uid}.slice/user@${uid}.service`);
+
+  // moving a pid needs write access on the common ancestor, so we must
+  // already live inside the delegated subtree
+  if (!own || !path.join(CGROUP_ROOT, own).startsWith(delegated)) return null;
+  const appSlice = path.join(delegated, 'app.slice');
+  for (const dir of [appSlice, delegated]) {
+    if (fs.existsSync(dir) && canWrite(dir) && canWrite(path.join(dir, 'cgroup.subtree_control'))) {
+      return dir;
+    }
+  }
+  return null;
+}
+
+/**
+ * turn percentages into concrete limits
+ *   cpuPercent - % of ALL cores (50 on 8 cores = 4 cores worth), 0 = none
+ *   memPercent - % of system RAM, 0 = no memory limit
+ */
+function computeLimits({ cpuPercent, memPercent }) {
+  const cores = os.cpus().length;
+  const totalMB = Math.floor(os.totalmem() / 1024 / 1024);
+  const limits = {};
+  if (cpuPercent > 0) {
+    limits.cpuQuotaPercent = Math.max(1, Math.round(cpuPercent * cores));
+    limits.cpuMax = `${Math.floor(CPU_PERIOD_US * cores * cpuPercent / 100)} ${CPU_PERIOD_US}`;
+  }
+  if (memPercent > 0) {
+    limits.memoryMaxMB = Math.max(1, Math.floor(totalMB * Math.min(100, memPercent) / 100));
+    limits.memoryHighMB = Math.max(1, Math.floor(limits.memoryMaxMB * MEMORY_HIGH_SHARE));
+  }
+  return limits;
+}
+
+/**
+ * systemd-run prefix: spawn 'systemd-run' with these args + [bin, ...args]
+ * --scope makes systemd-run exec the command itself, so the PTY child pid
+ * (and its controlling terminal) stay exactly the same
+ */
+function systemdRunArgs(limits) {
+  const args = ['--user', '--scope', '--quiet', '--collect',
+    `--unit=claudefix-${process.pid}-${Date.now()}`];
+  if (limits.cpuQuotaPercent) args.push('-p', `CPUQuota=${limits.cpuQuotaPercent}%`);
+  if (limits.memoryHighMB) args.push('-p', `MemoryHigh=${limits.memoryHighMB}M`);
+  if (limits.memoryMaxMB) args.push('-p', `MemoryMax=${limits.memoryMaxMB}M`);
+  args.push('--');
+  return args;
+}
+
+/**
+ * create a child cgroup under a delegated dir and write the limits
+ * returns { dir, enter(pid), remove() } or throws
+ */
+function createDelegatedCgroup(parentDir, limits) {
+  // controllers must be enabled in the parent for the files to exist
+  const wanted = [limits.cpuMax && 'cpu', limits.memoryMaxMB && 'memory'].filter(Boolean);
+  const subtree = path.join(parentDir, 'cgroup.subtree_control');
+  const enabled = fs.readFileSync(subtree, 'utf8').split(/\s+/);
+  const missing = wanted.filter(c => !enabled.includes(c));
+  if (missing.length) {
+    fs.writeFileSync(subtree, missing.map(c => '+' + c).join(' '));
+  }
+
+  const dir = path.join(parentDir, `claudefix-${process.pid}`);
+  fs.mkdirSync(dir, { recursive: true });
+  if (limits.cpuMax) fs.writeFileSync(path.join(dir, 'cpu.max'), limits.cpuMax);
+  if (limits.memoryHighMB) fs.writeFileSync(path.join(dir, 'memory.high'), String(limits.memoryHighMB * 1024 * 1024));
+  if (limits.memoryMaxMB) fs.writeFileSync(path.join(dir, 'memory.max'), String(limits.memoryMaxMB * 1024 * 1024));
+
+  return {
+    dir,
+    // everything the pid forks from here on lands in the same cgroup
+    enter(pid) {
+      fs.writeFileSync(path.join(dir, 'cgroup.procs'), String(pid));
+    },
+    // only succeeds once the group is empty - fine to call on exit
+    remove() {
+      try { fs.rmdirSync(dir); } catch (e) {}
+    },
+  };
+}
+
+/**
+ * figure out which strategy this machine supports
+ *   probe - start a no-op scope to be sure systemd-run works; false only
+ *           looks for it (systemdRunLooksUsable)
+ * returns { strategy: 'systemd-run' | 'delegated' | null, dir?, v2 }
+ */
+function detectCgroupStrategy({ probe = true } = {}) {
+  const v2 = isCgroupV2();
+  if (process.env.CLAUDEFIX_CGROUP_DIR) {
+    const dir = findDelegatedDir();
+    return dir ? { strategy: 'delegated', dir, v2 } : { strategy: null, v2 };
+  }
+  if (!v2) return { strategy: null, v2 };
+  if (probe ? hasSystemdRun() : systemdRunLooksUsable()) return { strategy: 'systemd-run', v2 };
+  const dir = findDelegatedDir();
+  if (dir) return { strategy: 'delegated', dir, v2 };
+  return { strategy: null, v2 };
+}
+
+module.exports = {
+  isCgroupV2,
+  computeLimits,
+  systemdRunArgs,
+  createDelegatedCgroup,
+  systemdRunLooksUsable,
+  detectCgroupStrategy,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * claude CLI argument helpers
+ *
+ * we don't own Claude's arg parser so this stays conservative - anything we
+ * don't recognize is treated as a boolean flag and passed through untouched
+ */
+
+// flags that take a value as the NEXT arg (when not written as --flag=value)
+const VALUE_FLAGS = new Set([
+  '--model', '--fallback-model', '--permission-mode', '--permission-prompt-tool',
+  '--add-dir', '--mcp-config', '--settings', '--setting-sources',
+  '--allowedTools', '--allowed-tools', '--disallowedTools', '--disallowed-tools',
+  '--append-system-prompt', '--system-prompt', '--output-format', '--input-format',
+  '--max-turns', '--agents', '--session-id', '--debug-file',
+]);
+
+// flags that pick which conversation to open
+const SESSION_FLAGS = new Set(['--continue', '-c']);
+const RESUME_FLAGS = new Set(['--resume', '-r']);
+const SESSION_ID_FLAG = '--session-id';
+
+// flags that make Claude print a result and exit instead of opening its UI
+const PRINT_FLAGS = new Set(['-p', '--print']);
+const MACHINE_OUTPUT_FORMATS = new Set(['json', 'stream-json']);
+
+/**
+ * the flag that makes this a non-interactive run (-p/--print, or
+ * --output-format json/stream-json), null for a normal session
+ */
+function nonInteractiveFlag(args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') break; // everything after is prompt text
+    if (PRINT_FLAGS.has(arg)) return arg;
+    if (arg.startsWith('--output-format=')) {
+      if (MACHINE_OUTPUT_FORMATS.has(arg.slice('--output-format='.length))) return arg;
+      continue;
+    }
+    if (VALUE_FLAGS.has(arg)) {
+      if (arg === '--output-format' && MACHINE_OUTPUT_FORMATS.has(args[i + 1])) return `${arg} ${args[i + 1]}`;
+      i++; // a value like "-p" belongs to the flag before it
+    }
+  }
+  return null;
+}
+
+/**
+ * args with `--session-id id` in front when they don't already pick a
+ * conversation (--continue, --resume, --session-id) - so a restart knows
+ * which one to resume instead of guessing with --continue
+ */
+function pinSessionId(args, id) {
+  for (const arg of args) {
+    if (arg === '--') break;
+    if (SESSION_FLAGS.has(arg) || RESUME_FLAGS.has(arg) || arg === SESSION_ID_FLAG ||
+        arg.startsWith('--resume=') || arg.startsWith(`${SESSION_ID_FLAG}=`)) return args;
+  }
+  return [SESSION_ID_FLAG, id, ...args];
+}
+
+/**
+ * args for relaunching Claude into the SAME conversation after a restart
+ *
+ * - drops positional args (the initial prompt - we don't want to resend it)
+ * - keeps session-level flags (model, permissions, mcp config, ...)
+ * - resumes a known id (--resume <id> or --session-id <id>); only without
+ *   one falls back to --continue, the cwd's latest conversation
+ */
+function buildResumeArgs(args) {
+  const out = [];
+  let resumeId = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (SESSION_FLAGS.has(arg)) continue;
+
+    if (RESUME_FLAGS.has(arg)) {
+      const next = args[i + 1];
+      if (next !== undefined && !next.startsWith('-')) {
+        resumeId = next;
+        i++;
+      }
+      continue;
+    }
+    if (arg.startsWith('--resume=')) {
+      resumeId = arg.slice('--resume='.length) || null;
+      continue;
+    }
+    // a new conversation under this id - it exists now, so it's resumed
+    if (arg === SESSION_ID_FLAG) {
+      if (args[i + 1] !== undefined) resumeId = args[++i];
+      continue;
+    }
+    if (arg.startsWith(`${SESSION_ID_FLAG}=`)) {
+      resumeId = arg.slice(SESSION_ID_FLAG.length + 1) || null;
+      continue;
+    }
+
+    if (arg === '--') break; // everything after is prompt text
+    if (!arg.startsWith('-')) continue; // positional = prompt
+
+    out.push(arg);
+    if (VALUE_FLAGS.has(arg) && args[i + 1] !== undefined) {
+      out.push(args[++i]);
+    }
+  }
+
+  if (resumeId) out.push('--resume', resumeId);
+  else out.push('--continue');
+  return out;
+}
+
+module.exports = {
+  nonInteractiveFlag,
+  pinSessionId,
+  buildResumeArgs,
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * where the real Claude lives, and where our wrapper replaced it
+ *
+ * findRealClaude() walks the same list claude-fixed always has - realBinary,
+ * the self-updater's versions dir, --setup backups, known install paths,
+ * then PATH - and says which step matched, so `claudefix doctor` can tell
+ * someone WHY their old backup is being run instead of the new install.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+// where `claudefix --setup` puts the wrapper (the original goes to <loc>-original)
+const WRAPPER_LOCATIONS = [
+  '/usr/local/bin/claude',
+  '/usr/bin/claude',
+  path.join(os.homedir(), '.local/bin/claude'),
+  // macOS Homebrew
+  '/opt/homebrew/bin/claude',
+];
+
+function isClaudefixInstalled(location) {
+  try {
+    if (!fs.existsSync(location)) return false;
+    const content = fs.readFileSync(location, 'utf8');
+    return content.includes('claudefix') || content.includes('Hardwick');
+  } catch (e) {
+    return false;
+  }
+}
+
+// Check if a file is the real claude (not our wrapper)
+function isRealClaude(filePath) {
+  if (!fs.existsSync(filePath)) return false;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8').slice(0, 500);
+    // It's real claude if it doesn't contain our markers
+    return !content.includes('claudefix') && !content.includes('Hardwick');
+  } catch (e) {
+    // Can't read - might be binary, assume it's real
+    return true;
+  }
+}
+
+function whichClaude() {
+  try {
+    return execSync('which claude 2>/dev/null', { encoding: 'utf8' }).trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * find the REAL claude binary
+ * returns { path, reason } or null
+ *   realBinary        - config/env realBinary (from `realBinarySource`)
+ *   versions dir      - ~/.local/share/claude/versions, newest first
+ *   backup            - a claude-original left by claudefix --setup / specmem-init
+ *   install location  - known npm/Homebrew/nvm paths
+ *   PATH              - `which claude`, through symlinks if that's our wrapper
+ */
+function findRealClaude({ realBinary = '', realBinarySource = 'config', home = os.homedir(), which = whichClaude } = {}) {
+  // 1. realBinary - CLAUDE_REAL_BINARY env (set by our wrapper) or config
+  if (realBinary && fs.existsSync(realBinary)) {
+    return { path: realBinary, reason: `realBinary from ${realBinarySource}` };
+  }
+
+  // 2. Check self-updating claude versions directory
+  const versionsDir = path.join(home, '.local/share/claude/versions');
+  if (fs.existsSync(versionsDir)) {
+    try {
+      const versions = fs.readdirSync(versionsDir)
+        .filter(v => /^\d+\.\d+\.\d+$/.test(v))
+        .sort((a, b) => {
+          const [aMaj, aMin, aPat] = a.split('.').map(Number);
+          const [bMaj, bMin, bPat] = b.split('.').map(Number);
+          return bMaj - aMaj || bMin - aMin || bPat - aPat;
+        });
+      if (versions.length > 0) {
+        return { path: path.join(versionsDir, versions[0]), reason: `newest of ${versions.length} in the self-updater's versions dir` };
+      }
+    } catch (e) {}
+  }
+
+  // 3. Check backup binaries created by claudefix --setup or specmem-init
+  const backupLocations = [
+    path.join(home, '.local/bin/claude-original'),
+    '/usr/local/bin/claude-original',
+    '/opt/homebrew/bin/claude-original',
+  ];
+  for (const backup of backupLocations) {
+    if (fs.existsSync(backup)) {
+      return { path: backup, reason: 'backup left by claudefix --setup' };
+    }
+  }
+
+  // 4. Check all possible install locations
+  const locations = [
+    // System-wide npm installs
+    '/usr/bin/claude',
+    '/usr/local/bin/claude',
+    '/usr/lib/node_modules/@anthropic-ai/claude-code/cli.js',
+    '/usr/local/lib/node_modules/@anthropic-ai/claude-code/cli.js',
+    // User local installs
+    path.join(home, '.local/bin/claude'),
+    path.join(home, '.npm-global/bin/claude'),
+    path.join(home, '.npm-global/lib/node_modules/@anthropic-ai/claude-code/cli.js'),
+    // nvm style installs
+    path.join(home, '.nvm/versions/node', process.version, 'bin/claude'),
+    path.join(home, '.nvm/versions/node', process.version, 'lib/node_modules/@anthropic-ai/claude-code/cli.js'),
+    // Homebrew (macOS)
+    '/opt/homebrew/bin/claude',
+    '/opt/homebrew/lib/node_modules/@anthropic-ai/claude-code/cli.js',
+    // Intel Mac Homebrew
+    '/usr/local/opt/claude/bin/claude',
+  ];
+
+  for (const loc of locations) {
+    if (isRealClaude(loc)) {
+      return { path: loc, reason: 'known install location' };
+    }
+  }
+
+  // 5. Last resort: use 'which' to find claude in PATH
+  try {
+    const whichResult = which();
+    if (whichResult && isRealClaude(whichResult)) {
+      return { path: whichResult, reason: 'first claude on PATH' };
+    }
+    // If which returns our wrapper, try to find the real one by checking symlinks
+    if (whichResult) {
+      const realPath = fs.realpathSync(whichResult);
+      if (realPath !== whichResult && isRealClaude(realPath)) {
+        return { path: realPath, reason: `symlink target of ${whichResult} on PATH` };
+      }
+    }
+  } catch (e) {}
+
+  return null;
+}
+
+module.exports = {
+  WRAPPER_LOCATIONS,
+  isClaudefixInstalled,
+  isRealClaude,
+  findRealClaude,
+};
@@ -0,0 +1,370 @@
+'use strict';
+
+/**
+ * full-screen configurator - every setting in one list, arrow keys to move
+ * and change, a live preview of what Claude looks like with the choices
+ *
+ * the preview is a sample Claude frame (diff, spinner, selection) pushed
+ * through the same color transform claude-fixed builds for the terminal
+ * profile, so "color fix" and "dark mode" show what they really do.
+ *
+ * state/handleKey/render are plain functions (tested without a terminal),
+ * runConfigTui() wires them to a raw-mode TTY.
+ */
+
+const readline = require('readline');
+
+const { SCHEMA, defaults } = require('./config.cjs');
+const { resolveRuntimeOptions } = require('./runtime-options.cjs');
+const { createColorTransform } = require('./strip-colors.cjs');
+const { createTokenizer, transformString, parseSgr, formatSgr } = require('./ansi-tokenizer.cjs');
+
+const ESC = '\x1b';
+const RESET = `${ESC}[0m`;
+const BOLD = `${ESC}[1m`;
+const DIM = `${ESC}[2m`;
+const CYAN = `${ESC}[36m`;
+const GREEN = `${ESC}[32m`;
+const YELLOW = `${ESC}[33m`;
+const INVERSE = `${ESC}[7m`;
+
+const SIDE_BY_SIDE_COLS = 100;  // narrower than this: preview goes under the list
+const LIST_WIDTH = 46;
+
+// what Claude's Ink UI sends for an edit, as raw as it comes out of the PTY
+const SAMPLE_FRAME = [
+  `${ESC}[38;5;244m╭──────────────────────────────────╮${ESC}[39m`,
+  `${ESC}[38;5;244m│${ESC}[39m ${ESC}[38;5;174m✻${ESC}[39m ${ESC}[1mWelcome to Claude Code${ESC}[22m          ${ESC}[38;5;244m│${ESC}[39m`,
+  `${ESC}[38;5;244m╰──────────────────────────────────╯${ESC}[39m`,
+  `${ESC}[38;2;78;186;101m●${ESC}[39m ${ESC}[1mUpdate${ESC}[22m(src/footer.js)`,
+  `  ${ESC}[2m12${ESC}[22m   const rows = process.stdout.rows;`,
+  `  ${ESC}[2m13${ESC}[22m ${ESC}[48;2;94;29;29m${ESC}[38;2;255;220;220m-  drawFooter(rows);              ${ESC}[39m${ESC}[49m`,
+  `  ${ESC}[2m13${ESC}[22m ${ESC}[48;2;22;71;33m${ESC}[38;2;220;255;220m+  drawFooter(rows - 1);          ${ESC}[39m${ESC}[49m`,
+  `  ${ESC}[2m14${ESC}[22m   ${ESC}[48;5;236m\`footerRows\`${ESC}[49m stays reserved`,
+  '',
+  `${ESC}[38;5;174m✶${ESC}[39m ${ESC}[38;5;174mThinking…${ESC}[39m ${ESC}[2m(esc to interrupt)${ESC}[22m`,
+  '',
+  ' Do you want to make this edit?',
+  ` ${ESC}[48;2;55;55;80m${ESC}[38;5;153m❯ 1. Yes                  ${ESC}[39m${ESC}[49m`,
+  '   2. No, and tell Claude what to do',
+  `${ESC}[7m>${ESC}[27m fix the footer${ESC}[7m ${ESC}[27m`,
+].join('\n');
+
+// what force-dark-mode sets with OSC 10/11 (claude-fixed forceDarkMode)
+const DARK_BG = ['48', '2', '26', '26', '26'];
+const DARK_FG = ['38', '2', '224', '224', '224'];
+const DARK_BACKDROP = formatSgr([DARK_BG, DARK_FG]);
+
+// put the dark default colors back after anything that resets them
+function darkBackdrop(token) {
+  if (token.type !== 'sgr') return token;
+  const attrs = parseSgr(token.params);
+  const extra = [];
+  if (attrs.some(a => a[0] === '0' || a[0] === '49')) extra.push(DARK_BG);
+  if (attrs.some(a => a[0] === '0' || a[0] === '39')) extra.push(DARK_FG);
+  if (!extra.length) return token;
+  const raw = formatSgr([...attrs, ...extra]);
+  return { type: 'sgr', raw, params: raw.slice(2, -1) };
+}
+
+/**
+ * the sample frame as this config would show it, one string per line
+ */
+function renderPreview(values, profile) {
+  const runtime = resolveRuntimeOptions(values, { env: {}, profile });
+  const transform = createColorTransform({
+    mode: runtime.colorMode,
+    remapStyle: runtime.remapStyle,
+    keepSgr: runtime.keepSgr,
+  });
+  return SAMPLE_FRAME.split('\n').map((line) => {
+    let out = transformString(line, transform ? [transform] : []);
+    if (values.darkMode) out = DARK_BACKDROP + transformString(out, [darkBackdrop]);
+    return out;
+  });
+}
+
+/**
+ * cut or pad a line with escapes to exactly `width` visible columns
+ */
+function fitLine(line, width) {
+  const tokens = createTokenizer().push(line);
+  let out = '';
+  let used = 0;
+  for (const token of tokens) {
+    if (token.type !== 'text') {
+      out += token.raw;
+      continue;
+    }
+    const chars = [...token.raw];
+    const take = chars.slice(0, Math.max(0, width - used));
+    out += take.join('');
+    used += take.length;
+  }
+  return out + ' '.repeat(Math.max(0, width - used)) + RESET;
+}
+
+/**
+ * what the configurator edits: the user's layer (defaults < /etc < ~), plus
+ * which keys a project file or env var overrides in this directory anyway
+ */
+function editableConfig(loaded) {
+  const values = defaults();
+  for (const layer of loaded.layers) {
+    if (layer.layer === 'system' || layer.layer === 'user') Object.assign(values, layer.values);
+  }
+  const overrides = {};
+  for (const layer of loaded.layers) {
+    if (layer.layer !== 'project' && layer.layer !== 'env') continue;
+    for (const key of Object.keys(layer.values)) overrides[key] = loaded.sources[key];
+  }
+  return { values, overrides };
+}
+
+function createTuiState({ values, overrides = {}, profile }) {
+  return {
+    items: Object.keys(SCHEMA).filter(key => !SCHEMA[key].internal),
+    index: 0,
+    values: { ...values },
+    base: { ...values },
+    overrides,
+    profile,
+    editing: null,     // text being typed for an int/path value
+    message: '',
+    confirmQuit: false,
+  };
+}
+
+// lists compare by content
+function sameValue(a, b) {
+  return Array.isArray(a) && Array.isArray(b) ? a.join('\n') === b.join('\n') : a === b;
+}
+
+function changedKeys(state) {
+  return state.items.filter(key => !sameValue(state.values[key], state.base[key]));
+}
+
+// ←/→ step for numbers: 5 for percents, else roughly a tenth of the default
+function stepFor(entry) {
+  if (entry.max === 100) return 5;
+  if (entry.default >= 10000) return 5000;
+  if (entry.default >= 1000) return 1000;
+  if (entry.default >= 100) return 50;
+  return 1;
+}
+
+function adjust(state, key, direction) {
+  const entry = SCHEMA[key];
+  const value = state.values[key];
+  if (entry.kind === 'bool') {
+    state.values[key] = !value;
+  } else if (entry.kind === 'oneOf') {
+    const i = entry.values.indexOf(value);
+    state.values[key] = entry.values[(i + direction + entry.values.length) % entry.values.length];
+  } else if (entry.kind === 'int') {
+    let next = value + direction * stepFor(entry);
+    if (entry.max !== undefined) next = Math.min(entry.max, next);
+    state.values[key] = Math.max(entry.min, next);
+  }
+}
+
+/**
+ * apply one key press; key = { name, ch } (readline keypress names)
+ * returns 'save' | 'cancel' | null
+ */
+function handleKey(state, { name, ch, ctrl } = {}) {
+  const key = state.items[state.index];
+  const entry = SCHEMA[key];
+  state.message = '';
+
+  if (ctrl && name === 'c') return 'cancel';
+
+  if (state.editing !== null) {
+    if (name === 'return') {
+      const text = state.editing.trim();
+      const value = entry.kind === 'int' ? (/^\d+$/.test(text) ? parseInt(text, 10) : NaN)
+        : entry.kind === 'list' ? entry.parse(text) : text;
+      const problem = entry.check(value);
+      if (problem) {
+        state.message = `${key} ${problem}`;
+        return null;
+      }
+      state.values[key] = value;
+      state.editing = null;
+    } else if (name === 'escape') {
+      state.editing = null;
+    } else if (name === 'backspace') {
+      state.editing = state.editing.slice(0, -1);
+    } else if (ch && ch >= ' ' && (entry.kind !== 'int' || /\d/.test(ch))) {
+      state.editing += ch;
+    }
+    return null;
+  }
+
+  if (name !== 'q' && name !== 'escape') state.confirmQuit = false;
+
+  switch (name) {
+    case 'up':
+    case 'k':
+      state.index = Math.max(0, state.index - 1);
+      break;
+    case 'down':
+    case 'j':
+      state.index = Math.min(state.items.length - 1, state.index + 1);
+      break;
+    case 'left':
+    case 'h':
+      adjust(state, key, -1);
+      break;
+    case 'right':
+    case 'l':
+      adjust(state, key, 1);
+      break;
+    case 'return':
+    case 'space':
+      if (entry.kind === 'int' || entry.kind === 'path') state.editing = String(state.values[key]);
+      else if (entry.kind === 'list') state.editing = state.values[key].join(', ');
+      else adjust(state, key, 1);
+      break;
+    case 'd':
+      state.values = { ...state.values, ...defaults() };
+      state.message = 'Reset to defaults - s to save, q to leave everything as it was';
+      break;
+    case 's':
+      return 'save';
+    case 'q':
+    case 'escape':
+      if (!changedKeys(state).length || state.confirmQuit) return 'cancel';
+      state.confirmQuit = true;
+      state.message = 'Unsaved changes - q again to discard them, s to save';
+      break;
+    default:
+      break;
+  }
+  return null;
+}
+
+function formatValue(state, key) {
+  if (state.editing !== null && state.items[state.index] === key) return `${state.editing}${INVERSE} ${RESET}`;
+  const value = state.values[key];
+  if (value === true) return `${GREEN}on${RESET}`;
+  if (value === false) return `${DIM}off${RESET}`;
+  if (value === '') return `${DIM}(auto)${RESET}`;
+  if (Array.isArray(value)) return value.length ? value.join(', ') : `${DIM}(none)${RESET}`;
+  return String(value);
+}
+
+function listLines(state, width) {
+  const keyWidth = Math.max(...state.items.map(k => k.length));
+  return state.items.map((key, i) => {
+    const selected = i === state.index;
+    const changed = sameValue(state.values[key], state.base[key]) ? ' ' : `${YELLOW}*${RESET}`;
+    const overridden = state.overrides[key] ? ` ${YELLOW}!${RESET}` : '';
+    const line = `${selected ? `${CYAN}❯${RESET}` : ' '}${changed}${selected ? BOLD : ''}${key.padEnd(keyWidth)}${RESET}  ${formatValue(state, key)}${overridden}`;
+    return fitLine(line, width);
+  });
+}
+
+function previewLines(state, width) {
+  const runtime = resolveRuntimeOptions(state.values, { env: {}, profile: state.profile });
+  const mode = runtime.colorMode === 'remap' ? `remap: ${runtime.remapStyle}` : runtime.colorMode;
+  const title = `${DIM}Preview - ${state.profile.name || 'terminal'} profile, colors ${mode}${state.values.darkMode ? ', dark mode' : ''}${RESET}`;
+  return [fitLine(title, width), ...renderPreview(state.values, state.profile).map(l => fitLine(` ${l}`, width))];
+}
+
+// keep the selected row inside a window of `height` rows
+function scrollWindow(lines, index, height) {
+  if (lines.length <= height) return lines;
+  const start = Math.min(Math.max(0, index - Math.floor(height / 2)), lines.length - height);
+  return lines.slice(start, start + height);
+}
+
+/**
+ * the whole screen for the current state
+ */
+function render(state, { cols = 80, rows = 24 } = {}) {
+  const width = cols - 1; // never touch the last column - some terminals wrap
+  const key = state.items[state.index];
+  const entry = SCHEMA[key];
+
+  const header = [
+    fitLine(`${BOLD}${CYAN}claudefix configurator${RESET}  ${DIM}saves to ~/.claudefix.json${RESET}`, width),
+    fitLine('', width),
+  ];
+  const help = `${DIM}↑↓ move  ←→ change  enter edit  d defaults  s save  q cancel${RESET}`;
+  const override = state.overrides[key] ? `  ${YELLOW}! overridden here by ${state.overrides[key]}${RESET}` : '';
+  const footer = [
+    fitLine('', width),
+    fitLine(`${entry.description} ${DIM}(${entry.type})${RESET}${override}`, width),
+    fitLine(state.message ? `${YELLOW}${state.message}${RESET}` : '', width),
+    fitLine(help, width),
+  ];
+  const height = Math.max(1, rows - header.length - footer.length);
+
+  let body;
+  if (cols >= SIDE_BY_SIDE_COLS) {
+    const list = scrollWindow(listLines(state, LIST_WIDTH), state.index, height);
+    const preview = previewLines(state, width - LIST_WIDTH - 2);
+    body = [];
+    for (let i = 0; i < Math.min(height, Math.max(list.length, preview.length)); i++) {
+      body.push(`${list[i] || fitLine('', LIST_WIDTH)}  ${preview[i] || ''}`);
+    }
+  } else {
+    const preview = previewLines(state, width);
+    // preview only when there's room left for a useful slice of the list
+    const showPreview = height - preview.length - 1 >= 6;
+    const listHeight = showPreview ? height - preview.length - 1 : height;
+    body = scrollWindow(listLines(state, width), state.index, listHeight);
+    if (showPreview) body.push(fitLine('', width), ...preview);
+  }
+
+  const lines = [...header, ...body];
+  while (lines.length < rows - footer.length) lines.push(fitLine('', width));
+  lines.push(...footer);
+  return `${ESC}[H` + lines.slice(0, rows).join(`${ESC}[K\r\n`) + `${ESC}[K${ESC}[J`;
+}
+
+/**
+ * run the configurator on a TTY
+ * resolves { action: 'save' | 'cancel', values, changed }
+ */
+function runConfigTui({ input = process.stdin, output = process.stdout, values, overrides, profile }) {
+  const state = createTuiState({ values, overrides, profile });
+
+  return new Promise((resolve) => {
+    const draw = () => output.write(render(state, { cols: output.columns || 80, rows: output.rows || 24 }));
+
+    function onKeypress(ch, key) {
+      const action = handleKey(state, { ...key, ch });
+      if (!action) {
+        draw();
+        return;
+      }
+      input.removeListener('keypress', onKeypress);
+      output.removeListener('resize', draw);
+      if (input.isTTY) input.setRawMode(false);
+      input.pause();
+      output.write(`${ESC}[?25h${ESC}[?1049l`); // cursor back, leave the alternate screen
+      resolve({ action, values: state.values, changed: changedKeys(state) });
+    }
+
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKeypress);
+    output.on('resize', draw);
+    output.write(`${ESC}[?1049h${ESC}[?25l`);
+    draw();
+  });
+}
+
+module.exports = {
+  SAMPLE_FRAME,
+  renderPreview,
+  fitLine,
+  editableConfig,
+  createTuiState,
+  handleKey,
+  render,
+  runConfigTui,
+};
@@ -0,0 +1,536 @@
+'use strict';
+
+/**
+ * claudefix config - one schema, layered sources
+ *
+ * later layers win, key by key:
+ *   defaults            - SCHEMA below
+ *   /etc/claudefix.json - machine-wide ($CLAUDEFIX_SYSTEM_CONFIG to move it)
+ *   ~/.claudefix.json   - what `claudefix config` writes
+ *   project             - the nearest .claudefix.json, or "claudefix" key in a
+ *                         package.json, walking up from the cwd (PROJECT_KEYS only)
+ *   env vars            - the CLAUDEFIX_* / CLAUDE_* overrides each key lists
+ *
+ * every value is checked against its key's type and range. A bad value, an
+ * unknown key or a file that isn't JSON is reported in `errors` and skipped,
+ * never fatal - the layer below it still applies, Claude still starts.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { REMAP_STYLES } = require('./strip-colors.cjs');
+
+const SYSTEM_CONFIG_PATH = '/etc/claudefix.json';
+const CONFIG_FILE = '.claudefix.json';
+
+// value kinds - check(v) returns an error string or null, parse(str) turns
+// command-line / env text into a value (undefined = not understood).
+// kind/min/max/values are there for editors like the TUI configurator
+function bool() {
+  return {
+    kind: 'bool',
+    type: 'true | false',
+    check: (v) => (typeof v === 'boolean' ? null : 'must be true or false'),
+    parse: (s) => ({ true: true, false: false, 1: true, 0: false, on: true, off: false })[s],
+  };
+}
+
+function int(min, max) {
+  return {
+    kind: 'int',
+    type: max === undefined ? `integer >= ${min}` : `integer ${min}-${max}`,
+    min,
+    max,
+    check: (v) => (Number.isInteger(v) && v >= min && (max === undefined || v <= max)
+      ? null : `must be ${max === undefined ? `an integer >= ${min}` : `an integer from ${min} to ${max}`}`),
+    parse: (s) => (/^-?\d+$/.test(s) ? parseInt(s, 10) : undefined),
+  };
+}
+
+function oneOf(values) {
+  return {
+    kind: 'oneOf',
+    type: values.map(v => JSON.stringify(v)).join(' | '),
+    values,
+    check: (v) => (values.includes(v) ? null : `must be one of ${values.map(v => JSON.stringify(v)).join(', ')}`),
+    parse: (s) => {
+      const parsed = bool().parse(s);
+      return values.includes(parsed) ? parsed : (values.includes(s) ? s : undefined);
+    },
+  };
+}
+
+function filePath() {
+  return {
+    kind: 'path',
+    type: 'path',
+    check: (v) => (typeof v === 'string' ? null : 'must be a path string'),
+    parse: (s) => s,
+  };
+}
+
+// names, comma separated on the command line ('[...]' falls through to JSON)
+function list() {
+  return {
+    kind: 'list',
+    type: 'comma-separated list',
+    check: (v) => (Array.isArray(v) && v.every(x => typeof x === 'string' && x.trim() !== '')
+      ? null : 'must be a list of names'),
+    parse: (s) => (s.trim().startsWith('[') ? undefined : s.split(',').map(x => x.trim()).filter(Boolean)),
+  };
+}
+
+// env overrides - parse(text) returns the value to use, undefined to ignore
+const isOne = (value) => (v) => (v === '1' ? value : undefined);
+
+/**
+ * key -> { type, check, parse, default, description, env? }
+ */
+const SCHEMA = {
+  footer: {
+    ...bool(), default: true,
+    description: 'Show the claudefix footer bar (always shown on the first run)',
+    env: { name: 'CLAUDEFIX_NO_FOOTER', parse: isOne(false) },
+  },
+  memoryLimit: {
+    ...bool(), default: true,
+    description: 'Cap the V8 heap (--max-old-space-size) and the cgroup memory at memPercent',
+    env: { name: 'CLAUDEFIX_MEM_PERCENT', parse: (v) => (v ? true : undefined) },
+  },
+  memPercent: {
+    ...int(1, 100), default: 35,
+    description: 'Heap limit as a % of system RAM',
+    env: { name: 'CLAUDEFIX_MEM_PERCENT' },
+  },
+  cpuPercent: {
+    ...int(0, 100), default: 0,
+    description: 'CPU limit in % (0 = no limit)',
+    env: { name: 'CLAUDEFIX_CPU_PERCENT' },
+  },
+  colorStripping: {
+    ...oneOf([true, false, 'remap']), default: true,
+    description: 'true strips background colors, "remap" swaps them for safe ones, false leaves colors alone',
+    env: { name: 'CLAUDE_STRIP_BG_COLORS', parse: (v) => ({ 0: false, 1: true, remap: 'remap' })[v] },
+  },
+  colorRemap: {
+    ...oneOf(REMAP_STYLES), default: 'palette',
+    description: 'How "remap" shows a background',
+    env: { name: 'CLAUDE_REMAP_STYLE' },
+  },
+  darkMode: {
+    ...bool(), default: false,
+    description: 'Switch the terminal to dark colors on startup (forced until configured)',
+    env: { name: 'CLAUDEFIX_NO_DARKMODE', parse: isOne(false) },
+  },
+  scrollbackClear: {
+    ...bool(), default: true,
+    description: 'Clear scrollback so Ink redraws stay fast (off disables every policy below)',
+    env: { name: 'CLAUDE_TERMINAL_FIX_DISABLED', parse: isOne(false) },
+  },
+  clearAfterRenders: {
+    ...int(0), default: 500,
+    description: 'Clear scrollback after this many frames (0 = off)',
+  },
+  periodicClearMs: {
+    ...int(0), default: 60000,
+    description: 'Clear scrollback every N ms while not typing (0 = off)',
+  },
+  resizeDebounce: {
+    ...bool(), default: true,
+    description: 'Batch the resize events a window drag produces',
+  },
+  gcIntervalMs: {
+    ...int(0), default: 60000,
+    description: 'Forced GC inside Claude every N ms (0 = off)',
+  },
+  gcPressurePercent: {
+    ...int(0, 100), default: 70,
+    description: 'GC early once the heap hits this % of its limit (0 = off)',
+  },
+  gcCheckMs: {
+    ...int(100), default: 5000,
+    description: 'How often the GC preload checks heap pressure',
+  },
+  autoRestart: {
+    ...bool(), default: false,
+    description: 'Restart + resume Claude when it nears the heap limit',
+    env: { name: 'CLAUDEFIX_AUTO_RESTART', parse: (v) => ({ 0: false, 1: true })[v] },
+  },
+  restartIdleMs: {
+    ...int(0), default: 5000,
+    description: 'How long Claude must be quiet before a restart',
+  },
+  restartCountdownSec: {
+    ...int(0), default: 10,
+    description: 'Idle countdown shown in the footer before restarting',
+  },
+  statsLog: {
+    ...bool(), default: true,
+    description: 'Write the per-session stats log read by `claudefix stats`',
+    env: { name: 'CLAUDEFIX_NO_STATS', parse: isOne(false) },
+  },
+  cgroupLimits: {
+    ...bool(), default: true,
+    description: 'Put Claude + its tools in a cgroup v2 (Linux)',
+    env: { name: 'CLAUDEFIX_NO_CGROUP', parse: isOne(false) },
+  },
+  jsonSanitize: {
+    ...bool(), default: false,
+    description: 'Strip terminal escapes from string fields in JSON output lines (claude -p --output-format stream-json)',
+    env: { name: 'CLAUDEFIX_JSON_SANITIZE', parse: isOne(true) },
+  },
+  footerSegments: {
+    ...list(), default: ['memory', 'cpu', 'git', 'uptime', 'clock', 'brand'],
+    description: 'What the footer shows, in order: memory cpu git uptime clock brand, or paths to your own segment modules',
+    env: { name: 'CLAUDEFIX_FOOTER_SEGMENTS' },
+  },
+  remoteRender: {
+    ...oneOf(['auto', 'on', 'off']), default: 'auto',
+    description: 'SSH-safe footer drawing: "auto" = over SSH, "on" also for links it can\'t see (mosh), "off" = no footer over SSH',
+    env: { name: 'CLAUDEFIX_REMOTE_RENDER' },
+  },
+  syncOutput: {
+    ...oneOf(['auto', 'on', 'off']), default: 'auto',
+    description: 'Send each frame as one synchronized update (DEC mode 2026): "auto" = if the terminal says it supports it',
+    env: { name: 'CLAUDEFIX_SYNC_OUTPUT' },
+  },
+  diffRender: {
+    ...bool(), default: false,
+    description: 'Send only the cells that changed since the last frame instead of Claude\'s full repaints (replaces the scrollback clears)',
+    env: { name: 'CLAUDEFIX_DIFF_RENDER', parse: (v) => ({ 0: false, 1: true })[v] },
+  },
+  statusbar: {
+    ...bool(), default: true,
+    description: 'Show rows from statusbar providers (other tools) above the footer',
+    env: { name: 'CLAUDEFIX_NO_STATUSBAR', parse: isOne(false) },
+  },
+  statusbarProviders: {
+    ...list(), default: [],
+    description: 'State files / sockets to read besides the statusbar dir (relative = from where Claude starts)',
+  },
+  multiplexer: {
+    ...oneOf(['auto', 'off']), default: 'auto',
+    description: 'Inside tmux/screen ($TMUX, $STY), use the multiplexer settings below ("off" = treat it as a plain terminal)',
+    env: { name: 'CLAUDEFIX_NO_MULTIPLEXER', parse: isOne('off') },
+  },
+  tmuxClearHistory: {
+    ...bool(), default: true,
+    description: 'Run `tmux clear-history` for the pane whenever scrollback is cleared',
+  },
+  tmuxStatusFooter: {
+    ...bool(), default: true,
+    description: 'Show the footer in tmux\'s status-right instead of a reserved row',
+  },
+  muxPassthrough: {
+    ...bool(), default: true,
+    description: 'Send dark-mode colors, footer links and Claude\'s links to the outer terminal through tmux/screen passthrough',
+  },
+  realBinary: {
+    ...filePath(), default: '',
+    description: 'The real Claude binary to run (empty = search for it)',
+    env: { name: 'CLAUDE_REAL_BINARY' },
+  },
+  // bookkeeping the configurator and the wrapper keep, not settings
+  firstRun: { ...bool(), default: true, internal: true, description: 'No session has run yet' },
+  configured: { ...bool(), default: false, internal: true, description: 'The configurator has been run' },
+};
+
+/**
+ * what a project config may set - anything else is reported and ignored.
+ * a cloned repo gets to tune rendering and limits for itself, but not pick
+ * which binary claude-fixed runs (realBinary), which modules the footer
+ * loads (footerSegments) or which files and sockets the statusbar reads
+ * (statusbarProviders), or touch the first-run state
+ */
+const PROJECT_KEYS = [
+  'footer',
+  'memoryLimit',
+  'memPercent',
+  'cpuPercent',
+  'colorStripping',
+  'colorRemap',
+  'darkMode',
+  'scrollbackClear',
+  'clearAfterRenders',
+  'periodicClearMs',
+  'resizeDebounce',
+  'gcIntervalMs',
+  'gcPressurePercent',
+  'gcCheckMs',
+  'autoRestart',
+  'restartIdleMs',
+  'restartCountdownSec',
+  'statsLog',
+  'cgroupLimits',
+  'jsonSanitize',
+  'remoteRender',
+  'syncOutput',
+  'diffRender',
+  'statusbar',
+  'multiplexer',
+  'tmuxClearHistory',
+  'tmuxStatusFooter',
+  'muxPassthrough',
+];
+
+function defaults() {
+  const values = {};
+  // lists are copied - a caller editing its values mustn't change the schema
+  for (const [key, entry] of Object.entries(SCHEMA)) values[key] = Array.isArray(entry.default) ? [...entry.default] : entry.default;
+  return values;
+}
+
+function userConfigPath(home = os.homedir()) {
+  return path.join(home, CONFIG_FILE);
+}
+
+// package.json with a "claudefix" object in it
+function hasPackageConfig(file) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return !!(pkg && typeof pkg.claudefix === 'object');
+  } catch (e) {
+    return false; // not ours to complain about
+  }
+}
+
+// a directory the current user owns - someone else's (/tmp, /srv, a shared
+// checkout) could hold a config the user never wrote
+function ownedByUser(dir) {
+  if (!process.getuid) return true; // no uids to compare (Windows)
+  try {
+    return fs.statSync(dir).uid === process.getuid();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * nearest project config walking up from cwd: .claudefix.json beats a
+ * package.json "claudefix" key in the same dir. Stops at the home dir
+ * (~/.claudefix.json is the user layer), the first directory the user
+ * doesn't own and the filesystem root.
+ * returns { file, key? } or null
+ */
+function findProjectConfig(cwd = process.cwd(), home = os.homedir()) {
+  const stop = path.resolve(home);
+  let dir = path.resolve(cwd);
+  while (dir !== stop && ownedByUser(dir)) {
+    const file = path.join(dir, CONFIG_FILE);
+    if (fs.existsSync(file)) return { file };
+    const pkg = path.join(dir, 'package.json');
+    if (hasPackageConfig(pkg)) return { file: pkg, key: 'claudefix' };
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return null;
+}
+
+/**
+ * the config files, lowest priority first
+ */
+function configFiles({ env = process.env, home = os.homedir(), cwd = process.cwd() } = {}) {
+  const files = [
+    { layer: 'system', file: env.CLAUDEFIX_SYSTEM_CONFIG || SYSTEM_CONFIG_PATH },
+    { layer: 'user', file: userConfigPath(home) },
+  ];
+  const project = findProjectConfig(cwd, home);
+  if (project) files.push({ layer: 'project', ...project });
+  return files;
+}
+
+/**
+ * check one key/value, returns an error string or null
+ */
+function validate(key, value) {
+  const entry = SCHEMA[key];
+  if (!entry) return 'unknown key';
+  return entry.check(value);
+}
+
+// how a file shows up in sources/errors - package.json names the key
+function sourceName(file, key) {
+  return key ? `${file}#${key}` : file;
+}
+
+/**
+ * read + validate one config file (or one key of it, for package.json)
+ * returns { values, errors, exists } - a missing file is just empty
+ */
+function readConfigFile(file, { layer, key } = {}) {
+  const values = {};
+  const errors = [];
+  const name = sourceName(file, key);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') errors.push(`${name}: ${e.code ? e.message : `not valid JSON (${e.message})`}`);
+    return { values, errors, exists: e.code !== 'ENOENT' };
+  }
+  if (key) data = data && data[key];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(`${name}: must be a JSON object`);
+    return { values, errors, exists: true };
+  }
+  for (const [setting, value] of Object.entries(data)) {
+    const problem = validate(setting, value);
+    if (problem) {
+      errors.push(`${name}: ${setting} ${problem}`);
+    } else if (layer === 'project' && !PROJECT_KEYS.includes(setting)) {
+      errors.push(`${name}: ${setting} can't be set per project, ignored`);
+    } else {
+      values[setting] = value;
+    }
+  }
+  return { values, errors, exists: true };
+}
+
+/**
+ * env var overrides, returns { values, sources, errors }
+ */
+function readEnv(env) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  for (const [key, entry] of Object.entries(SCHEMA)) {
+    if (!entry.env || env[entry.env.name] === undefined || env[entry.env.name] === '') continue;
+    const text = env[entry.env.name];
+    const value = (entry.env.parse || entry.parse)(text);
+    if (value === undefined) {
+      // the =1 style switches ignore other values on purpose
+      if (!entry.env.parse) errors.push(`${entry.env.name}=${text}: ${key} ${entry.check(text)}`);
+      continue;
+    }
+    const problem = entry.check(value);
+    if (problem) {
+      errors.push(`${entry.env.name}=${text}: ${key} ${problem}`);
+      continue;
+    }
+    values[key] = value;
+    sources[key] = `env ${entry.env.name}`;
+  }
+  return { values, sources, errors };
+}
+
+/**
+ * the effective config
+ * returns {
+ *   values  - every key, defaults filled in
+ *   sources - key -> 'default' | file path | 'package.json#claudefix' | 'env VAR'
+ *   layers  - [{ layer, file, values, exists }] as read, lowest first
+ *   errors  - everything that was skipped, and why
+ * }
+ */
+function loadConfig({ env = process.env, home, cwd } = {}) {
+  const values = defaults();
+  const sources = {};
+  for (const key of Object.keys(values)) sources[key] = 'default';
+  const errors = [];
+  const layers = [];
+
+  for (const { layer, file, key: fileKey } of configFiles({ env, home, cwd })) {
+    const read = readConfigFile(file, { layer, key: fileKey });
+    const name = sourceName(file, fileKey);
+    errors.push(...read.errors);
+    layers.push({ layer, file: name, values: read.values, exists: read.exists });
+    for (const [key, value] of Object.entries(read.values)) {
+      values[key] = value;
+      sources[key] = name;
+    }
+  }
+
+  const fromEnv = readEnv(env);
+  errors.push(...fromEnv.errors);
+  layers.push({ layer: 'env', file: null, values: fromEnv.values, exists: true });
+  Object.assign(values, fromEnv.values);
+  Object.assign(sources, fromEnv.sources);
+
+  return { values, sources, layers, errors };
+}
+
+/**
+ * command-line text -> value for a key (`claudefix config set`)
+ * returns { value } or { error }
+ */
+function parseValue(key, text) {
+  const entry = SCHEMA[key];
+  if (!entry) return { error: `unknown key "${key}"` };
+  let value = entry.parse(text);
+  // JSON works too: `set colorStripping '"remap"'`
+  if (value === undefined) {
+    try { value = JSON.parse(text); } catch (e) {}
+  }
+  const problem = entry.check(value === undefined ? text : value);
+  return problem ? { error: `${key} ${problem}` } : { value };
+}
+
+// temp file + rename, so a crash or a full disk never leaves half a config.
+// the new file gets the old one's mode - a chmod 600 ~/.claudefix.json stays 600
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  let mode = null;
+  try { mode = fs.statSync(file).mode & 0o777; } catch (e) {}
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { mode: mode === null ? 0o644 : mode });
+    if (mode !== null) fs.chmodSync(tmp, mode); // past the umask, same as before
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch (err) {}
+    throw e;
+  }
+}
+
+/**
+ * replace ~/.claudefix.json with exactly these values (validated first)
+ */
+function writeUserConfig(values, { home } = {}) {
+  for (const [key, value] of Object.entries(values)) {
+    const problem = validate(key, value);
+    if (problem) throw new Error(`${key} ${problem}`);
+  }
+  writeJsonAtomic(userConfigPath(home), values);
+  return values;
+}
+
+/**
+ * merge a patch into ~/.claudefix.json, keeping whatever else is in it
+ * throws on a bad key/value or a file that can't be parsed (it would be lost)
+ */
+function updateUserConfig(patch, { home } = {}) {
+  for (const [key, value] of Object.entries(patch)) {
+    const problem = validate(key, value);
+    if (problem) throw new Error(`${key} ${problem}`);
+  }
+  const file = userConfigPath(home);
+  let current = {};
+  try {
+    current = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`${file}: ${e.message} - fix or remove it first`);
+  }
+  // keys already in the file aren't re-validated - an old unknown key is
+  // the user's business, and dropping it silently would be worse
+  const next = { ...current, ...patch };
+  writeJsonAtomic(file, next);
+  return next;
+}
+
+module.exports = {
+  SCHEMA,
+  PROJECT_KEYS,
+  SYSTEM_CONFIG_PATH,
+  defaults,
+  userConfigPath,
+  findProjectConfig,
+  configFiles,
+  validate,
+  readConfigFile,
+  loadConfig,
+  parseValue,
+  writeUserConfig,
+  updateUserConfig,
+};
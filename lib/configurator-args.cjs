@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * `claudefix --config` flags - the configurator without the questions, for
+ * provisioning scripts:
+ *
+ *   claudefix --config --non-interactive --mem-percent 40 --cpu-percent 0 \
+ *     --no-footer --no-darkmode --color-fix=remap --from-file team.json
+ *
+ * --from-file is applied first, flags on top. Values go through the same
+ * schema checks as every config file (lib/config.cjs).
+ */
+
+const { parseValue, readConfigFile } = require('./config.cjs');
+
+// flag -> key (+ fixed value for switches, value map for named choices)
+const FLAGS = {
+  '--mem-percent': { key: 'memPercent', also: { memoryLimit: true } },
+  '--no-memory-limit': { key: 'memoryLimit', value: false },
+  '--cpu-percent': { key: 'cpuPercent' },
+  '--footer': { key: 'footer', value: true },
+  '--no-footer': { key: 'footer', value: false },
+  '--darkmode': { key: 'darkMode', value: true },
+  '--no-darkmode': { key: 'darkMode', value: false },
+  '--color-fix': { key: 'colorStripping', choices: { strip: true, remap: 'remap', off: false } },
+  '--remap-style': { key: 'colorRemap' },
+  '--scrollback-clear': { key: 'scrollbackClear', value: true },
+  '--no-scrollback-clear': { key: 'scrollbackClear', value: false },
+  '--resize-debounce': { key: 'resizeDebounce', value: true },
+  '--no-resize-debounce': { key: 'resizeDebounce', value: false },
+  '--auto-restart': { key: 'autoRestart', value: true },
+  '--no-auto-restart': { key: 'autoRestart', value: false },
+};
+
+// positional words that just picked the configurator
+const COMMANDS = new Set(['config', '--config', 'configure', '--configure']);
+
+/**
+ * parse configurator args
+ * returns { nonInteractive, classic, settings, fromFile, errors }
+ * any configuring flag implies --non-interactive; --classic asks the
+ * questions one by one instead of opening the full-screen configurator
+ */
+function parseConfiguratorArgs(argv) {
+  const settings = {};
+  const errors = [];
+  let nonInteractive = false;
+  let classic = false;
+  let fromFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (COMMANDS.has(arg)) continue;
+    if (arg === '--non-interactive' || arg === '-y') {
+      nonInteractive = true;
+      continue;
+    }
+    if (arg === '--classic') {
+      classic = true;
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+    const takesValue = name === '--from-file' || (FLAGS[name] && FLAGS[name].value === undefined);
+    if (name !== '--from-file' && !FLAGS[name]) {
+      errors.push(`unknown option ${arg}`);
+      continue;
+    }
+    nonInteractive = true;
+
+    let text = eq === -1 ? undefined : arg.slice(eq + 1);
+    if (takesValue && text === undefined) {
+      text = argv[i + 1];
+      if (text === undefined || text.startsWith('--')) {
+        errors.push(`${name} needs a value`);
+        continue;
+      }
+      i++;
+    } else if (!takesValue && text !== undefined) {
+      errors.push(`${name} doesn't take a value`);
+      continue;
+    }
+
+    if (name === '--from-file') {
+      fromFile = text;
+      continue;
+    }
+
+    const flag = FLAGS[name];
+    if (!takesValue) {
+      settings[flag.key] = flag.value;
+      continue;
+    }
+    if (flag.choices) {
+      if (!(text in flag.choices)) {
+        errors.push(`${name} must be one of ${Object.keys(flag.choices).join(', ')} (got "${text}")`);
+        continue;
+      }
+      settings[flag.key] = flag.choices[text];
+      continue;
+    }
+    const parsed = parseValue(flag.key, text);
+    if (parsed.error) {
+      errors.push(`${name}: ${parsed.error} (got "${text}")`);
+      continue;
+    }
+    settings[flag.key] = parsed.value;
+    Object.assign(settings, flag.also);
+  }
+
+  return { nonInteractive, classic, settings, fromFile, errors };
+}
+
+/**
+ * the config a non-interactive run writes: --from-file, then the flags
+ * returns { config, errors } - any error means nothing should be written
+ */
+function buildConfig({ settings, fromFile }) {
+  const errors = [];
+  let base = {};
+  if (fromFile) {
+    const read = readConfigFile(fromFile);
+    if (!read.exists) errors.push(`${fromFile}: no such file`);
+    errors.push(...read.errors);
+    base = read.values;
+  }
+  return { config: { ...base, ...settings }, errors };
+}
+
+module.exports = {
+  FLAGS,
+  parseConfiguratorArgs,
+  buildConfig,
+};
@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * differential rendering - send the cells that changed, not Ink's repaint
+ *
+ * Ink redraws its whole dynamic area for a spinner tick or one typed
+ * character, and on a full re-render clears the screen and starts over.
+ * render(output) runs a flush through a virtual screen
+ * (lib/virtual-screen.cjs) and returns what takes the real terminal from
+ * the last frame to this one: cursor moves and the changed cells, blank
+ * tails as \x1b[K, the cursor left where Claude's is.
+ *
+ * Lines that scrolled off the top still reach the terminal's scrollback the
+ * normal way - drawn on the bottom row and scrolled up with \r\n - so
+ * history isn't lost. The repaints in between never get there, which is
+ * what the startup \x1b[2J and the clear-every-N-renders heuristics were
+ * for.
+ *
+ * Sequences with no effect on the cells (title, modes, queries, bell) are
+ * forwarded in place. One the screen model can't follow (alternate screen,
+ * a full reset, DEC line drawing) ends it for the session: the terminal is
+ * brought up to date, handed the cursor, colors and scroll region, and
+ * from then on render() returns its input - failed says why.
+ */
+
+const { createTokenizer } = require('./ansi-tokenizer.cjs');
+const { blankRow, copyRow, createVirtualScreen } = require('./virtual-screen.cjs');
+
+const RUN_GAP = 6; // unchanged cells between two changes - rewrite them rather than move the cursor
+const MIN_ERASE = 4; // blank tail shorter than this - spaces are as cheap as \x1b[K
+
+// styles \x1b[K can stand in for: nothing, or just a background
+const ERASABLE = /^(?:|4[0-7]|10[0-7]|48;5;\d+|48;2;\d+;\d+;\d+|48:[\d:]*)$/;
+
+function splitStyle(style) {
+  const at = style.indexOf('\0');
+  return at === -1 ? { sgr: style, link: '' } : { sgr: style.slice(0, at), link: style.slice(at + 1) };
+}
+
+function sameCell(a, b, c) {
+  return a.ch[c] === b.ch[c] && a.st[c] === b.st[c];
+}
+
+// first column of the row's blank tail (cols when there is none)
+function blankTail(row, cols) {
+  const st = row.st[cols - 1];
+  if (!ERASABLE.test(st)) return cols;
+  let c = cols;
+  while (c > 0 && row.ch[c - 1] === ' ' && row.st[c - 1] === st) c--;
+  return c;
+}
+
+/**
+ * a renderer for a cols x rows child screen - see the top of the file
+ */
+function createDiffRenderer({ cols = 80, rows = 24 } = {}) {
+  const screen = createVirtualScreen(cols, rows);
+  const tokenizer = createTokenizer();
+  let shown = null;   // rows as the terminal has them, null = unknown
+  let cursor = null;  // the terminal's cursor {x, y}, null = unknown
+  let sgr = null;     // the terminal's SGR, null = unknown
+  let link = '';
+  let failed = null;
+
+  function invalidate() {
+    shown = null;
+    cursor = null;
+    sgr = null;
+  }
+
+  function moveTo(y, x) {
+    if (cursor && cursor.y === y && cursor.x === x) return '';
+    const out = cursor && cursor.y === y && x === 0 ? '\r' : x === 0 ? `\x1b[${y + 1}H` : `\x1b[${y + 1};${x + 1}H`;
+    cursor = { x, y };
+    return out;
+  }
+
+  function setStyle(style) {
+    const want = splitStyle(style);
+    let out = '';
+    if (want.sgr !== sgr) {
+      out += want.sgr ? `\x1b[0;${want.sgr}m` : '\x1b[0m';
+      sgr = want.sgr;
+    }
+    if (want.link !== link) {
+      out += `\x1b]8;${want.link || ';'}\x1b\\`;
+      link = want.link;
+    }
+    return out;
+  }
+
+  // cells [from, to] of row, to the terminal's row y
+  function drawCells(y, row, from, to) {
+    let out = moveTo(y, from);
+    for (let c = from; c <= to; c++) {
+      if (row.ch[c] === '') continue; // right half of a wide character, drawn with its left
+      out += setStyle(row.st[c]) + row.ch[c];
+      const width = c + 1 < cols && row.ch[c + 1] === '' ? 2 : 1;
+      cursor = c + width < cols ? { x: c + width, y } : null; // at the margin the next move is explicit
+    }
+    return out;
+  }
+
+  // what turns the terminal's row y from `was` (null = unknown) into `row`
+  function drawRow(y, row, was) {
+    const changed = c => !was || !sameCell(row, was, c);
+    const tail = blankTail(row, cols);
+    let out = '';
+    let c = 0;
+    while (c < cols) {
+      if (!changed(c)) {
+        c++;
+        continue;
+      }
+      let from = c;
+      let to = c;
+      for (let next = c + 1; next < cols && next - to <= RUN_GAP; next++) {
+        if (changed(next)) to = next;
+      }
+      if (row.ch[from] === '' && from > 0) from--;
+      if (to + 1 < cols && row.ch[to + 1] === '') to++;
+      if (to === cols - 1 && cols - Math.max(from, tail) >= MIN_ERASE) {
+        const at = Math.max(from, tail);
+        if (at > from) out += drawCells(y, row, from, at - 1);
+        out += moveTo(y, at) + setStyle(row.st[cols - 1]) + '\x1b[K';
+      } else {
+        out += drawCells(y, row, from, to);
+      }
+      c = to + 1;
+    }
+    return out;
+  }
+
+  // the terminal up to date with the screen model
+  function diff() {
+    const grid = screen.rows();
+    const gone = screen.takeScrolledOff();
+    let out = '';
+
+    if (gone.length > 0) {
+      // the screen as it was before the scroll, then the new lines scrolled
+      // in at the bottom so the old ones land in scrollback
+      const tape = gone.concat(grid);
+      for (let y = 0; y < rows; y++) out += drawRow(y, tape[y], shown && shown[y]);
+      out += moveTo(rows - 1, 0);
+      for (let i = rows; i < tape.length; i++) {
+        out += setStyle('') + '\r\n';
+        cursor = { x: 0, y: rows - 1 };
+        out += drawRow(rows - 1, tape[i], blankRow(cols));
+      }
+    } else {
+      for (let y = 0; y < rows; y++) out += drawRow(y, grid[y], shown && shown[y]);
+    }
+
+    if (link) out += setStyle(sgr || '');
+    if (sgr) out += setStyle('');
+    const at = screen.cursor();
+    out += moveTo(at.y, at.x);
+    shown = grid.map(copyRow);
+    return out;
+  }
+
+  // the terminal takes over as it is: colors, link and region the model had
+  function handOver() {
+    let out = diff();
+    const { top, bottom } = screen.region();
+    if (top !== 0 || bottom !== rows - 1) out += `\x1b[${top + 1};${bottom + 1}r`;
+    const at = screen.cursor();
+    cursor = null;
+    out += moveTo(at.y, at.x);
+    const pen = screen.pen();
+    if (pen) out += `\x1b[${pen}m`;
+    return out;
+  }
+
+  function render(output) {
+    if (failed) return output;
+    const tokens = [...tokenizer.push(output), ...tokenizer.flush()];
+    cursor = null; // the footer and the wrapper's own writes move it in between
+    let out = '';
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const effect = screen.apply(token);
+      if (effect === 'passthrough') {
+        out += diff() + token.raw;
+        cursor = null;
+      } else if (effect === 'unsupported') {
+        failed = token.raw.replace(/\x1b/g, '\\x1b');
+        return out + handOver() + tokens.slice(i).map(t => t.raw).join('');
+      } else if (token.type === 'text' && token.raw.includes('\x07')) {
+        out += diff() + '\x07';
+      }
+    }
+    return out + diff();
+  }
+
+  return {
+    render,
+    invalidate,
+
+    // the child PTY was resized - the terminal reflowed its rows its own way
+    resize(newCols, newRows) {
+      cols = newCols;
+      rows = newRows;
+      screen.resize(cols, rows);
+      invalidate();
+    },
+
+    // a new child on a cleared screen
+    reset() {
+      screen.reset();
+      invalidate();
+    },
+
+    get failed() {
+      return failed;
+    },
+  };
+}
+
+module.exports = {
+  createDiffRenderer,
+};
@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * `claudefix doctor` - everything support asks for when "claudefix isn't
+ * doing anything", collected in one object (--json prints it as-is)
+ *
+ * nothing here changes the machine: node-pty is loaded but never rebuilt,
+ * and the cgroup strategy comes from what's installed - no scope is started.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const { loadConfig } = require('./config.cjs');
+const { WRAPPER_LOCATIONS, isClaudefixInstalled, findRealClaude } = require('./claude-binary.cjs');
+const { loadNodePty } = require('./node-pty-loader.cjs');
+const { resolveProfile, isSSH } = require('./terminal-profiles.cjs');
+const { isCgroupV2, detectCgroupStrategy } = require('./cgroup.cjs');
+const { detectMultiplexer } = require('./multiplexer.cjs');
+const { resolveRuntimeOptions } = require('./runtime-options.cjs');
+const { statusbarDir, listProviderPaths, readProviderFile } = require('./statusbar-providers.cjs');
+
+function whichCommand(cmd) {
+  try {
+    return execSync(`which ${cmd} 2>/dev/null`, { encoding: 'utf8' }).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// <loc>-original: what it points at, and whether it's still useful
+function inspectBackup(loc, isWrapper) {
+  const file = `${loc}-original`;
+  let stat;
+  try {
+    stat = fs.lstatSync(file);
+  } catch (e) {
+    return null;
+  }
+  const backup = { path: file, symlink: stat.isSymbolicLink(), stale: false, why: null };
+  if (backup.symlink) backup.target = fs.readlinkSync(file);
+  if (!fs.existsSync(file)) {
+    backup.stale = true;
+    backup.why = `points at ${backup.target}, which is gone`;
+  } else if (!isWrapper) {
+    backup.stale = true;
+    backup.why = `${loc} isn't the claudefix wrapper any more - this copy is left over and can shadow a newer Claude`;
+  }
+  return backup;
+}
+
+/**
+ * returns the report - see `claudefix doctor --json` for the shape
+ */
+function collectReport({
+  env = process.env,
+  home = os.homedir(),
+  cwd = process.cwd(),
+  wrapperLocations = WRAPPER_LOCATIONS,
+  which = whichCommand,
+} = {}) {
+  const problems = [];
+  const loaded = loadConfig({ env, home, cwd });
+  const config = loaded.values;
+
+  const claude = findRealClaude({
+    realBinary: config.realBinary,
+    realBinarySource: loaded.sources.realBinary,
+    home,
+    which: () => which('claude') || '',
+  });
+  if (!claude) problems.push('Claude not found - claude-fixed exits straight away (set realBinary or CLAUDE_REAL_BINARY)');
+
+  const pty = loadNodePty({ rebuild: false });
+  const nodePty = { loaded: !!pty.pty, via: pty.via, path: pty.path, tried: pty.tried };
+  if (!pty.pty) {
+    const rebuildable = pty.tried.find(t => t.rebuildable);
+    problems.push(rebuildable
+      ? `node-pty's native addon isn't built - claude-fixed will try npm rebuild in ${rebuildable.rebuildable}`
+      : "node-pty doesn't load - claude-fixed can't filter output and opens Claude in a new terminal window instead");
+  }
+
+  const profile = resolveProfile({ env });
+  const { isTerminalSupported } = require('../index.cjs');
+  const mux = loaded.values.multiplexer === 'off' ? null : detectMultiplexer(env);
+  const terminal = {
+    term: env.TERM || '',
+    profile: profile.name,
+    via: profile.via,
+    ssh: isSSH(env),
+    remoteRender: resolveRuntimeOptions(config, { env, profile }).remoteRender,
+    multiplexer: mux ? mux.name : null,
+    supported: isTerminalSupported(env),
+    errors: profile.errors,
+  };
+  if (!terminal.supported) problems.push(`TERM=${terminal.term || '(unset)'} isn't one index.cjs handles - the --require loader skips installing`);
+  for (const err of profile.errors) problems.push(`terminal profile: ${err}`);
+  for (const err of loaded.errors) problems.push(`config: ${err}`);
+
+  const wrappers = wrapperLocations.map((loc) => {
+    const exists = fs.existsSync(loc);
+    const isWrapper = exists && isClaudefixInstalled(loc);
+    return {
+      path: loc,
+      status: isWrapper ? 'wrapper' : exists ? 'original' : 'missing',
+      backup: inspectBackup(loc, isWrapper),
+    };
+  });
+  if (!wrappers.some(w => w.status === 'wrapper')) {
+    problems.push("no claudefix wrapper installed - plain 'claude' runs without fixes (claudefix --setup, or run claude-fixed)");
+  }
+  // what each provider would show now - sockets are only listed, not connected to
+  const statusbar = {
+    enabled: config.statusbar,
+    dir: statusbarDir(env, home),
+    providers: listProviderPaths({
+      dirs: [statusbarDir(env, home)],
+      paths: config.statusbarProviders.map(p => path.resolve(cwd, p)),
+    }).map(({ path: file, kind }) => (kind === 'socket' ? { path: file, kind } : { kind, ...readProviderFile(file) })),
+  };
+  for (const p of statusbar.providers) if (p.error) problems.push(`statusbar provider ${p.path}: ${p.error}`);
+
+  const staleBackups = wrappers.filter(w => w.backup && w.backup.stale).map(w => w.backup);
+  for (const backup of staleBackups) problems.push(`stale backup ${backup.path}: ${backup.why}`);
+
+  const strategy = config.cgroupLimits && process.platform === 'linux' ? detectCgroupStrategy({ probe: false }) : { strategy: null };
+  const limits = {
+    cpuPercent: config.cpuPercent,
+    cgroupLimits: config.cgroupLimits,
+    cgroupV2: isCgroupV2(),
+    cgroupStrategy: strategy.strategy,
+    cgroupDir: strategy.dir || null,
+    cpulimit: which('cpulimit'),
+  };
+  if (config.cpuPercent > 0 && !limits.cgroupStrategy && !limits.cpulimit) {
+    problems.push(`cpuPercent is ${config.cpuPercent} but there's no usable cgroup v2 and no cpulimit - only renice applies`);
+  }
+
+  return {
+    version: require('../package.json').version,
+    platform: `${process.platform} ${os.release()}`,
+    node: process.version,
+    claude,
+    nodePty,
+    terminal,
+    config: {
+      files: loaded.layers.filter(l => l.file).map(l => ({ layer: l.layer, file: l.file, exists: l.exists })),
+      values: config,
+      sources: loaded.sources,
+      errors: loaded.errors,
+    },
+    statusbar,
+    wrappers,
+    staleBackups,
+    limits,
+    problems,
+  };
+}
+
+module.exports = {
+  collectReport,
+};
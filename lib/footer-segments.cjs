@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * footer segments - what the reserved footer row shows
+ *
+ * footerSegments lists them in display order: built-in names (BUILTIN
+ * below) or paths to your own modules - absolute, ~/..., or relative to
+ * your home dir. A module exports a segment, or a function returning one:
+ *
+ *   module.exports = {
+ *     name: 'todo',
+ *     priority: 25,                       // optional, default 0
+ *     render(ctx) { return '3 todos'; },  // string | { text, width?, priority? } | null
+ *   };
+ *
+ * ctx: { cols, now, cwd, startedAt, memMB, limitMB, cpuPercent, link(url, text) }
+ * memMB / cpuPercent are null until Claude's process tree has been sampled.
+ *
+ * text can carry SGR colors and links (ctx.link wraps them for tmux/screen);
+ * the width is counted without them unless the segment gives one. When the
+ * row is too narrow the lowest priority segment goes first, and a lone one
+ * that still doesn't fit is cut. A segment that throws or returns nothing
+ * is left out of that draw - never fatal.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createTokenizer } = require('./ansi-tokenizer.cjs');
+
+const SEPARATOR = ' \x1b[2m│\x1b[22m ';
+const SEPARATOR_WIDTH = 3;
+const GIT_CACHE_MS = 5000; // the footer redraws every 2s and after output
+
+const BRAND_TEXT = 'claudefix by Hardwick Software';
+const BRAND_URL = 'https://justcalljon.pro';
+const BRAND_HOTKEY = 'Ctrl+Shift+H';
+const RAINBOW_COLORS = [196, 208, 226, 46, 51, 21, 129]; // red orange yellow green cyan blue purple
+
+function tokens(text) {
+  const tokenizer = createTokenizer();
+  return [...tokenizer.push(text), ...tokenizer.flush()];
+}
+
+// printable width - escapes count for nothing, every code point for one
+function visibleWidth(text) {
+  let width = 0;
+  for (const token of tokens(text)) {
+    if (token.type === 'text') width += [...token.raw.replace(/[\x00-\x1f\x7f]/g, '')].length;
+  }
+  return width;
+}
+
+// the first `width` columns of text, every escape kept (a link cut in half
+// still gets closed) and colors reset at the end
+function cutToWidth(text, width) {
+  let out = '';
+  let used = 0;
+  for (const token of tokens(text)) {
+    if (token.type !== 'text') {
+      out += token.raw;
+      continue;
+    }
+    const take = [...token.raw].slice(0, Math.max(0, width - used));
+    out += take.join('');
+    used += take.length;
+  }
+  return out + '\x1b[0m';
+}
+
+function rainbow(text) {
+  let result = '';
+  let colorIdx = 0;
+  for (const char of text) {
+    if (char === ' ') {
+      result += char;
+    } else {
+      result += `\x1b[38;5;${RAINBOW_COLORS[colorIdx % RAINBOW_COLORS.length]}m${char}`;
+      colorIdx++;
+    }
+  }
+  return result + '\x1b[0m';
+}
+
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h${String(minutes % 60).padStart(2, '0')}m`;
+  return `${Math.floor(hours / 24)}d${hours % 24}h`;
+}
+
+// green under 70% of the limit, yellow under 90%, red past it
+function levelColor(used, limit) {
+  if (!limit) return 39;
+  const share = used / limit;
+  return share >= 0.9 ? 196 : share >= 0.7 ? 226 : 46;
+}
+
+/**
+ * branch of the repo containing dir, short sha when detached, null outside
+ * a repo. Reads .git/HEAD directly - no git process on every footer draw.
+ * A worktree's .git file points at its real git dir.
+ */
+function gitBranch(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const dotGit = path.join(current, '.git');
+    let gitDir = null;
+    try {
+      const stat = fs.statSync(dotGit);
+      if (stat.isDirectory()) {
+        gitDir = dotGit;
+      } else {
+        const match = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+        if (match) gitDir = path.resolve(current, match[1].trim());
+      }
+    } catch (e) {}
+    if (gitDir) {
+      try {
+        const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+        const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+        return ref ? ref[1] : head.slice(0, 7);
+      } catch (e) {
+        return null;
+      }
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function gitSegment() {
+  let cache = { dir: null, at: 0, branch: null };
+  return {
+    name: 'git',
+    priority: 30,
+    render(ctx) {
+      if (cache.dir !== ctx.cwd || ctx.now - cache.at > GIT_CACHE_MS) {
+        cache = { dir: ctx.cwd, at: ctx.now, branch: gitBranch(ctx.cwd) };
+      }
+      return cache.branch && `\x1b[38;5;141m⎇ ${cache.branch}\x1b[39m`;
+    },
+  };
+}
+
+/**
+ * built-in segments by name - factories, so each footer gets its own caches.
+ * stats: true means it reads memMB / cpuPercent, which are only sampled
+ * when a segment asks for them
+ */
+const BUILTIN = {
+  memory: () => ({
+    name: 'memory',
+    priority: 50,
+    stats: true,
+    render: (ctx) => ctx.memMB != null &&
+      `mem \x1b[38;5;${levelColor(ctx.memMB, ctx.limitMB)}m${ctx.memMB}\x1b[39m/${ctx.limitMB}MB`,
+  }),
+  cpu: () => ({
+    name: 'cpu',
+    priority: 40,
+    stats: true,
+    render: (ctx) => ctx.cpuPercent != null && `cpu ${Math.round(ctx.cpuPercent)}%`,
+  }),
+  git: gitSegment,
+  uptime: () => ({
+    name: 'uptime',
+    priority: 20,
+    render: (ctx) => `up ${formatDuration(ctx.now - ctx.startedAt)}`,
+  }),
+  clock: () => ({
+    name: 'clock',
+    priority: 10,
+    render: (ctx) => {
+      const d = new Date(ctx.now);
+      return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    },
+  }),
+  brand: () => ({
+    name: 'brand',
+    priority: 0,
+    render: (ctx) => rainbow(BRAND_TEXT) + ' - ' + ctx.link(BRAND_URL, `\x1b[38;5;45m${BRAND_URL}\x1b[0m`) +
+      ` \x1b[38;5;251m[\x1b[38;5;226m${BRAND_HOTKEY}\x1b[38;5;251m]\x1b[0m`,
+  }),
+};
+
+function isModulePath(name) {
+  return name.startsWith('/') || name.startsWith('~') || name.startsWith('.') || /\.c?js$/.test(name);
+}
+
+function resolveModulePath(name, home) {
+  if (name === '~' || name.startsWith('~/')) return path.join(home, name.slice(1));
+  return path.resolve(home, name);
+}
+
+// a user module's export -> a segment, or a reason it isn't one
+function toSegment(exported, name) {
+  const segment = typeof exported === 'function' ? { render: exported } : exported;
+  if (!segment || typeof segment.render !== 'function') return { error: 'exports no render(ctx) function' };
+  return {
+    segment: {
+      name: segment.name || path.basename(name).replace(/\.c?js$/, ''),
+      priority: Number.isFinite(segment.priority) ? segment.priority : 0,
+      stats: !!segment.stats,
+      render: (ctx) => segment.render(ctx),
+    },
+  };
+}
+
+/**
+ * footerSegments names -> { segments, errors }
+ * an unknown name or a module that doesn't load is reported and left out
+ */
+function loadSegments(names, { home = os.homedir() } = {}) {
+  const segments = [];
+  const errors = [];
+  for (const name of names) {
+    if (BUILTIN[name]) {
+      segments.push(BUILTIN[name]());
+      continue;
+    }
+    if (!isModulePath(name)) {
+      errors.push(`footer segment "${name}": no such built-in (${Object.keys(BUILTIN).join(', ')}) - use a path for your own`);
+      continue;
+    }
+    const file = resolveModulePath(name, home);
+    try {
+      const { segment, error } = toSegment(require(file), name);
+      if (error) errors.push(`footer segment ${file}: ${error}`);
+      else segments.push(segment);
+    } catch (e) {
+      errors.push(`footer segment ${file}: ${e.message.split('\n')[0]}`);
+    }
+  }
+  return { segments, errors };
+}
+
+// one segment's output -> { text, width, priority } or null
+function renderOne(segment, ctx) {
+  let out;
+  try {
+    out = segment.render(ctx);
+  } catch (e) {
+    return null;
+  }
+  if (!out) return null;
+  const item = typeof out === 'string' ? { text: out } : out;
+  if (typeof item.text !== 'string' || !item.text) return null;
+  return {
+    text: item.text,
+    width: Number.isInteger(item.width) ? item.width : visibleWidth(item.text),
+    priority: Number.isFinite(item.priority) ? item.priority : segment.priority,
+  };
+}
+
+/**
+ * the footer line for ctx.cols columns -> { text, width }
+ * order stays as configured; lowest priority dropped first (the rightmost
+ * of equals), then a lone survivor is cut to fit
+ */
+function renderFooter(segments, ctx) {
+  const items = segments.map(s => renderOne(s, ctx)).filter(Boolean);
+  const total = () => items.reduce((w, s) => w + s.width, 0) + SEPARATOR_WIDTH * Math.max(0, items.length - 1);
+  while (items.length > 1 && total() > ctx.cols) {
+    let drop = 0;
+    for (let i = 1; i < items.length; i++) if (items[i].priority <= items[drop].priority) drop = i;
+    items.splice(drop, 1);
+  }
+  const text = items.map(s => s.text).join(SEPARATOR);
+  const width = total();
+  return width > ctx.cols ? { text: cutToWidth(text, ctx.cols), width: ctx.cols } : { text, width };
+}
+
+module.exports = {
+  BUILTIN,
+  visibleWidth,
+  cutToWidth,
+  gitBranch,
+  loadSegments,
+  renderFooter,
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * gc report channel - wrapper side of gc-preload.cjs
+ *
+ * listens on a per-wrapper unix socket, the preload inside Claude connects
+ * and sends one JSON object per line: { type: 'hello' | 'gc', ... }
+ * the socket lives in a fresh 0700 directory (under $XDG_RUNTIME_DIR when
+ * there is one) - a fixed name in /tmp could be claimed by another user
+ * first. The preload gets the path through CLAUDEFIX_GC_SOCKET
+ */
+
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// a new private directory for the socket, null if none can be made
+function makeSocketDir() {
+  const bases = [process.env.XDG_RUNTIME_DIR, os.tmpdir()].filter(Boolean);
+  for (const base of bases) {
+    try {
+      return fs.mkdtempSync(path.join(base, 'claudefix-gc-')); // mode 0700
+    } catch (e) {}
+  }
+  return null;
+}
+
+/**
+ * start the report server, onReport(msg) gets every parsed message
+ * returns { path, close } or null if the socket couldn't be created
+ */
+function createGcChannel(onReport) {
+  if (process.platform === 'win32') return null;
+
+  const dir = makeSocketDir();
+  if (!dir) return null;
+  const socketPath = path.join(dir, 'gc.sock');
+
+  const server = net.createServer((conn) => {
+    let buf = '';
+    conn.setEncoding('utf8');
+    conn.on('data', (chunk) => {
+      buf += chunk;
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 1);
+        try { onReport(JSON.parse(line)); } catch (e) {}
+      }
+    });
+    conn.on('error', () => {});
+  });
+
+  server.on('error', () => {});
+  try {
+    server.listen(socketPath);
+  } catch (e) {
+    try { fs.rmSync(dir, { recursive: true, force: true }); } catch (err) {}
+    return null;
+  }
+  server.unref();
+
+  function close() {
+    try { server.close(); } catch (e) {}
+    try { fs.rmSync(dir, { recursive: true, force: true }); } catch (e) {}
+  }
+  process.on('exit', close);
+
+  return { path: socketPath, close };
+}
+
+module.exports = { createGcChannel };
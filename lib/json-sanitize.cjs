@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * jsonSanitize (CLAUDEFIX_JSON_SANITIZE=1) - clean terminal escapes out of
+ * `claude -p --output-format stream-json` for CI log collectors
+ *
+ * tool output in the stream (a colored test run, a spinner) ends up as
+ * "\u001b[32m..." inside string fields, and Loki/Elastic index the escapes
+ * as text. Each line that parses as JSON gets only its affected string
+ * literals rewritten - stripped by the same tokenizer the PTY filter uses -
+ * and every other byte of the line (key order, number formatting, unicode
+ * escapes in untouched strings) stays exactly as Claude wrote it. Lines that
+ * aren't JSON pass through untouched.
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const { stripControlSequences } = require('./strip-colors.cjs');
+
+// ESC only ever appears escaped inside a JSON string (raw control chars are invalid JSON)
+const ESCAPED_ESC = /\\u001b/i;
+const STRING_LITERAL = /"(?:[^"\\]|\\.)*"/g;
+
+/**
+ * one line of JSON text, escapes stripped from its string values
+ */
+function sanitizeJsonLine(line) {
+  if (!ESCAPED_ESC.test(line)) return line;
+  try {
+    JSON.parse(line);
+  } catch (e) {
+    return line;
+  }
+  return line.replace(STRING_LITERAL, (literal) => {
+    if (!ESCAPED_ESC.test(literal)) return literal;
+    const value = JSON.parse(literal);
+    const clean = stripControlSequences(value);
+    return clean === value ? literal : JSON.stringify(clean);
+  });
+}
+
+/**
+ * stream version - splits on newlines, holds a partial last line until the
+ * rest of it (or the end of the stream) arrives
+ */
+function createJsonSanitizeStream() {
+  const decoder = new StringDecoder('utf8');
+  let partial = '';
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const lines = (partial + decoder.write(chunk)).split('\n');
+      partial = lines.pop();
+      callback(null, lines.length ? lines.map(sanitizeJsonLine).join('\n') + '\n' : '');
+    },
+    flush(callback) {
+      const rest = partial + decoder.end();
+      partial = '';
+      callback(null, rest ? sanitizeJsonLine(rest) : '');
+    },
+  });
+}
+
+module.exports = {
+  sanitizeJsonLine,
+  createJsonSanitizeStream,
+};
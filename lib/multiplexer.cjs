@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * tmux / GNU screen - what changes when Claude runs inside a multiplexer
+ *
+ * the terminal profile still describes the outer terminal (it's the one
+ * that draws the colors), but a multiplexer sits in between and:
+ *   - keeps its own pane history, so \x1b[3J clears the pane and not what
+ *     tmux scrolls back through -> `tmux clear-history` for the pane
+ *   - has its own status line, which the reserved footer row fights
+ *     -> the footer goes in `status-right` instead (put back on exit)
+ *   - swallows the OSC sequences it doesn't know (dark mode 10/11/12, OSC 8
+ *     links on older tmux) -> wrapped in DCS passthrough to reach the
+ *     outer terminal. tmux 3.3+ needs `set -g allow-passthrough on`.
+ *     Claude's own OSC 8 links get the same; the OSCs tmux handles itself
+ *     (titles, clipboard) are left to it
+ *
+ * screen only gets the passthrough - it has no per-window history command
+ * and its hardstatus is the user's layout to own.
+ */
+
+const { execFile, execFileSync } = require('child_process');
+
+const { createTokenizer, transformString, parseSgr } = require('./ansi-tokenizer.cjs');
+
+const DEFAULT_STATUS_WIDTH = 40; // tmux's status-right-length default
+
+/**
+ * $TMUX / $STY -> { name: 'tmux', pane } | { name: 'screen', session } | null
+ * tmux wins when both are set - the inner one is the one we're talking to
+ */
+function detectMultiplexer(env = process.env) {
+  if (env.TMUX) return { name: 'tmux', pane: env.TMUX_PANE || null };
+  if (env.STY) return { name: 'screen', session: env.STY };
+  return null;
+}
+
+/**
+ * wrap one escape sequence so the multiplexer hands it to the outer
+ * terminal untouched. tmux wants every ESC inside doubled; screen ends the
+ * DCS at the first ST, so OSCs sent through it must end in BEL
+ */
+function wrapPassthrough(seq, mux) {
+  if (!mux) return seq;
+  if (mux.name === 'tmux') return `\x1bPtmux;${seq.replace(/\x1b/g, '\x1b\x1b')}\x1b\\`;
+  if (mux.name === 'screen') return `\x1bP${seq}\x1b\\`;
+  return seq;
+}
+
+/**
+ * wrap every OSC 8 link in a complete chunk of output, re-ended in BEL
+ * for screen's sake
+ */
+function wrapLinks(text, mux) {
+  if (!mux) return text;
+  return transformString(text, [
+    (token) => (token.type === 'osc' && token.data.startsWith('8;')
+      ? { type: 'dcs', raw: wrapPassthrough(`\x1b]${token.data}\x07`, mux) }
+      : token),
+  ]);
+}
+
+// '#' starts a format in status-right - text shown as-is needs it doubled
+function escapeTmuxFormat(text) {
+  return text.replace(/#/g, '##');
+}
+
+// one SGR attribute -> a tmux style, '' for what status-right can't show
+function tmuxStyle(attr) {
+  const [code, mode, ...rest] = attr;
+  const n = parseInt(code, 10);
+  if (n === 0) return 'default';
+  if (n === 1) return 'bold';
+  if (n === 2) return 'dim';
+  if (n === 22) return 'nobold,nodim';
+  if (n === 39) return 'fg=default';
+  if (n >= 30 && n <= 37) return `fg=colour${n - 30}`;
+  if (n >= 90 && n <= 97) return `fg=colour${n - 82}`;
+  if (n === 38 && mode === '5') return `fg=colour${rest[0]}`;
+  if (n === 38 && mode === '2') {
+    const rgb = rest.filter(v => v !== '').slice(-3);
+    return 'fg=#' + rgb.map(v => (parseInt(v, 10) & 255).toString(16).padStart(2, '0')).join('');
+  }
+  return '';
+}
+
+/**
+ * footer text (SGR colors, links) -> a status-right format string: colors
+ * become #[...] styles, links and every other escape are dropped
+ */
+function toTmuxFormat(text) {
+  const tokenizer = createTokenizer();
+  let out = '';
+  for (const token of [...tokenizer.push(text), ...tokenizer.flush()]) {
+    if (token.type === 'text') {
+      out += escapeTmuxFormat(token.raw.replace(/[\x00-\x1f\x7f]/g, ''));
+    } else if (token.type === 'sgr') {
+      const styles = parseSgr(token.params).map(tmuxStyle).filter(Boolean);
+      if (styles.length) out += `#[${styles.join(',')}]`;
+    }
+  }
+  return out;
+}
+
+/**
+ * run tmux against the server we're inside ($TMUX says which). Async calls
+ * are fire-and-forget, sync ones (exit, reading an option) return stdout
+ * or null - a tmux that can't be reached never stops Claude
+ */
+function runTmux(args, { sync = false } = {}) {
+  try {
+    if (sync) {
+      return execFileSync('tmux', args, { encoding: 'utf8', timeout: 1000, stdio: ['ignore', 'pipe', 'ignore'] });
+    }
+    execFile('tmux', args, { timeout: 1000 }, () => {});
+  } catch (e) {}
+  return null;
+}
+
+/**
+ * per-pane tmux control: clearHistory(), statusWidth(), setStatus(text),
+ * restoreStatus(). status-right is only touched once setStatus has been
+ * called, and only sent again when the text changes (the footer redraws
+ * every 2s)
+ */
+function createTmuxControl(mux, { run = runTmux } = {}) {
+  const target = mux.pane ? ['-t', mux.pane] : [];
+  let saved;          // the session's own status-right, '' = it had none
+  let shown = null;
+  let width = null;
+
+  return {
+    clearHistory({ sync = false } = {}) {
+      run(['clear-history', ...target], { sync });
+    },
+
+    // status-right-length, read once - what the footer has to fit in
+    statusWidth() {
+      if (width === null) {
+        const out = run(['display-message', '-p', ...target, '#{status-right-length}'], { sync: true });
+        width = parseInt(out, 10) || DEFAULT_STATUS_WIDTH;
+      }
+      return width;
+    },
+
+    setStatus(text) {
+      if (text === shown) return;
+      if (saved === undefined) {
+        const current = run(['show-options', '-qv', ...target, 'status-right'], { sync: true });
+        if (current === null) return;
+        saved = current.replace(/\n$/, '');
+      }
+      shown = text;
+      run(['set-option', ...target, 'status-right', text]);
+    },
+
+    restoreStatus() {
+      if (saved === undefined) return;
+      run(saved === ''
+        ? ['set-option', '-u', ...target, 'status-right']
+        : ['set-option', ...target, 'status-right', saved], { sync: true });
+      saved = undefined;
+      shown = null;
+    },
+  };
+}
+
+module.exports = {
+  detectMultiplexer,
+  wrapPassthrough,
+  wrapLinks,
+  escapeTmuxFormat,
+  toTmuxFormat,
+  createTmuxControl,
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * find a node-pty that actually loads
+ *
+ * node-pty ships no Linux prebuilds, so a global install can land without its
+ * native addon. Order: every known install path as-is, `npm rebuild` for one
+ * whose addon is missing, then the pre-compiled linux-x64 copy in vendor/.
+ * claude-fixed falls back to a plain terminal when all of them fail.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const VENDOR_PATH = path.join(ROOT, 'vendor', 'node-pty', 'lib', 'index.js');
+
+const POSSIBLE_PATHS = [
+  'node-pty',
+  path.join(ROOT, 'node_modules', 'node-pty'),
+  '/usr/lib/node_modules/node-pty',
+  '/usr/lib/node_modules/claudefix/node_modules/node-pty',
+  '/usr/local/lib/node_modules/node-pty',
+  '/usr/local/lib/node_modules/claudefix/node_modules/node-pty',
+];
+
+// the package dir a `npm rebuild` would fix, if this looks like a missing addon
+function rebuildableDir(p, err) {
+  if (!(err.code === 'MODULE_NOT_FOUND' && err.message && err.message.includes('.node'))) return null;
+  const dir = p === 'node-pty' ? (() => {
+    try { return path.dirname(require.resolve('node-pty/package.json')); } catch { return null; }
+  })() : p;
+  return dir && fs.existsSync(path.join(dir, 'binding.gyp')) ? dir : null;
+}
+
+/**
+ * returns { pty, via: 'npm' | 'rebuilt' | 'vendored' | null, path, tried }
+ * tried - [{ path, error }] for everything that didn't load
+ * rebuild: false only reports what a rebuild would fix (doctor uses that,
+ * it shouldn't run npm behind your back)
+ */
+function loadNodePty({ rebuild = true, debug = false } = {}) {
+  const tried = [];
+
+  for (const p of POSSIBLE_PATHS) {
+    try {
+      const pty = require(p);
+      if (debug) console.error('[claudefix] Loaded node-pty from:', p);
+      return { pty, via: 'npm', path: p, tried };
+    } catch (e) {
+      // node-pty exists but native addon not compiled (common on Linux - no prebuilds)
+      const dir = rebuildableDir(p, e);
+      if (!dir) {
+        if (e.code !== 'MODULE_NOT_FOUND' || !e.message.includes(`'${p}'`)) tried.push({ path: p, error: e.message.split('\n')[0] });
+        continue;
+      }
+      if (!rebuild) {
+        tried.push({ path: p, error: 'native addon not built - claude-fixed runs npm rebuild node-pty', rebuildable: dir });
+        continue;
+      }
+      try {
+        if (debug) console.error('[claudefix] node-pty native addon missing, attempting rebuild:', dir);
+        execSync('npm rebuild node-pty 2>&1', {
+          cwd: path.dirname(dir),
+          timeout: 60000,
+          stdio: debug ? 'inherit' : 'pipe'
+        });
+        // Try loading again after rebuild
+        const pty = require(p);
+        if (debug) console.error('[claudefix] node-pty rebuilt and loaded from:', p);
+        return { pty, via: 'rebuilt', path: p, tried };
+      } catch (rebuildErr) {
+        if (debug) console.error('[claudefix] node-pty rebuild failed:', rebuildErr.message);
+        tried.push({ path: p, error: `rebuild failed: ${rebuildErr.message.split('\n')[0]}` });
+      }
+    }
+  }
+
+  // Last resort: use vendored node-pty (pre-compiled linux-x64 bundled with claudefix)
+  try {
+    const pty = require(VENDOR_PATH);
+    if (debug) console.error('[claudefix] Loaded VENDORED node-pty from:', VENDOR_PATH);
+    return { pty, via: 'vendored', path: VENDOR_PATH, tried };
+  } catch (vendorErr) {
+    if (debug) console.error('[claudefix] Vendored node-pty also failed:', vendorErr.message);
+    tried.push({ path: VENDOR_PATH, error: vendorErr.code === 'MODULE_NOT_FOUND' ? 'not bundled' : vendorErr.message.split('\n')[0] });
+  }
+
+  return { pty: null, via: null, path: null, tried };
+}
+
+module.exports = {
+  POSSIBLE_PATHS,
+  loadNodePty,
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * process tree sampler - reads the REAL memory of the Claude child
+ *
+ * process.memoryUsage() only tells you about the wrapper, which never leaks.
+ * Claude (and every tool subprocess it spawns) lives under ptyProcess.pid, so
+ * we walk that tree and add up what the kernel says each process is using.
+ *
+ * Linux:  /proc/<pid>/status (VmRSS) + /proc/<pid>/smaps_rollup (Pss)
+ * macOS:  ps (pid/ppid for the tree, rss + %cpu per process) - no PSS there, RSS only
+ *
+ * PSS splits shared pages between the processes mapping them, so summing it
+ * across the tree doesn't double count shared libs the way RSS does.
+ *
+ * CPU: on Linux we hand back cumulative CPU seconds (utime + stime) and let
+ * createCpuMeter() turn deltas into a percentage. macOS ps gives %cpu directly.
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+const isLinux = process.platform === 'linux';
+
+// USER_HZ - 100 on basically every Linux build, /proc/<pid>/stat is in these
+const CLOCK_TICKS = 100;
+
+// read a /proc file, null if the process is gone or we can't see it
+function readProc(pid, file) {
+  try {
+    return fs.readFileSync(`/proc/${pid}/${file}`, 'utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+// pull a "Key:   1234 kB" value out of status/smaps_rollup
+function readKb(text, key) {
+  if (!text) return null;
+  const match = text.match(new RegExp('^' + key + ':\\s+(\\d+)\\s+kB', 'm'));
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// fields of /proc/<pid>/stat after "pid (comm)" - index 0 is state, 1 is ppid
+// comm can contain spaces and parens, so parse from the LAST ')'
+function statFields(stat) {
+  return stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+}
+
+// utime + stime in seconds
+function cpuSeconds(stat) {
+  if (!stat) return 0;
+  const fields = statFields(stat);
+  return (parseInt(fields[11], 10) + parseInt(fields[12], 10)) / CLOCK_TICKS;
+}
+
+/**
+ * map of pid -> parent pid for every process we can see
+ */
+function getParentMap() {
+  const parents = new Map();
+
+  if (isLinux) {
+    let entries = [];
+    try { entries = fs.readdirSync('/proc'); } catch (e) {}
+    for (const entry of entries) {
+      if (!/^\d+$/.test(entry)) continue;
+      const stat = readProc(entry, 'stat');
+      if (!stat) continue;
+      parents.set(parseInt(entry, 10), parseInt(statFields(stat)[1], 10));
+    }
+    return parents;
+  }
+
+  try {
+    const out = execFileSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8', timeout: 2000 });
+    for (const line of out.split('\n')) {
+      const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+      if (pid) parents.set(pid, ppid);
+    }
+  } catch (e) {}
+  return parents;
+}
+
+/**
+ * rootPid plus everything underneath it
+ */
+function getProcessTree(rootPid) {
+  const children = new Map();
+  for (const [pid, ppid] of getParentMap()) {
+    if (!children.has(ppid)) children.set(ppid, []);
+    children.get(ppid).push(pid);
+  }
+  const tree = [rootPid];
+  for (let i = 0; i < tree.length; i++) {
+    for (const pid of children.get(tree[i]) || []) {
+      if (!tree.includes(pid)) tree.push(pid);
+    }
+  }
+  return tree;
+}
+
+// RSS + %cpu for every pid in one ps call (macOS / non-/proc fallback)
+function psSample(pids) {
+  const rows = new Map();
+  try {
+    const out = execFileSync('ps', ['-o', 'pid=,rss=,%cpu=', '-p', pids.join(',')], { encoding: 'utf8', timeout: 2000 });
+    for (const line of out.split('\n')) {
+      const [pid, kb, cpu] = line.trim().split(/\s+/).map(Number);
+      if (pid) rows.set(pid, { kb, cpu: cpu || 0 });
+    }
+  } catch (e) {}
+  return rows;
+}
+
+/**
+ * sample memory of a process and all its descendants
+ * returns null when the root process is already gone
+ *
+ *   rssMB - summed resident set size
+ *   pssMB - summed proportional set size (null if smaps_rollup unreadable)
+ *   memMB - the number to compare against limits (PSS when we have it)
+ *   cpuSec - cumulative CPU seconds of live processes (Linux, else null)
+ *   cpuPercent - instantaneous %cpu from ps (macOS, else null)
+ */
+function sampleProcessTree(rootPid) {
+  if (!rootPid) return null;
+
+  const pids = getProcessTree(rootPid);
+  let rssKb = 0;
+  let pssKb = 0;
+  let havePss = isLinux;
+  let alive = 0;
+  let cpuSec = isLinux ? 0 : null;
+  let cpuPercent = isLinux ? null : 0;
+
+  if (isLinux) {
+    for (const pid of pids) {
+      const rss = readKb(readProc(pid, 'status'), 'VmRSS');
+      if (rss === null) continue; // exited mid-sample or kernel thread
+      alive++;
+      rssKb += rss;
+      const pss = readKb(readProc(pid, 'smaps_rollup'), 'Pss');
+      if (pss === null) havePss = false;
+      else pssKb += pss;
+      cpuSec += cpuSeconds(readProc(pid, 'stat'));
+    }
+  } else {
+    for (const { kb, cpu } of psSample(pids).values()) {
+      alive++;
+      rssKb += kb;
+      cpuPercent += cpu;
+    }
+    havePss = false;
+  }
+
+  if (alive === 0) return null;
+
+  const rssMB = Math.floor(rssKb / 1024);
+  const pssMB = havePss ? Math.floor(pssKb / 1024) : null;
+  return {
+    pids: alive,
+    rssMB,
+    pssMB,
+    memMB: pssMB !== null ? pssMB : rssMB,
+    cpuSec,
+    cpuPercent,
+  };
+}
+
+/**
+ * turns successive samples into CPU% (100 = one full core)
+ * feed it every sample, get back the % since the previous one
+ */
+function createCpuMeter() {
+  let lastSec = null;
+  let lastTime = 0;
+  return function measure(sample) {
+    if (!sample) return null;
+    if (sample.cpuPercent !== null) return Math.round(sample.cpuPercent);
+    const now = Date.now();
+    const prevSec = lastSec;
+    const prevTime = lastTime;
+    lastSec = sample.cpuSec;
+    lastTime = now;
+    if (prevSec === null || now <= prevTime) return null;
+    // children exiting take their CPU time with them - never report negative
+    const used = Math.max(0, sample.cpuSec - prevSec);
+    return Math.round(used / ((now - prevTime) / 1000) * 100);
+  };
+}
+
+module.exports = {
+  getProcessTree,
+  sampleProcessTree,
+  createCpuMeter,
+};
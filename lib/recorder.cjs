@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * session recorder + replayer - asciinema v2 .cast files
+ *
+ * CLAUDEFIX_RECORD=path makes claude-fixed write:
+ *   [t, "o", data]     - output AFTER processAndFlush (what the terminal got)
+ *   [t, "x", data]     - raw ptyProcess.onData chunks BEFORE any filtering
+ *   [t, "r", "WxH"]    - terminal resizes
+ *
+ * "o" and "r" are standard asciinema events so `asciinema play` shows the
+ * filtered session as-is. "x" is ours (players skip unknown event codes) and
+ * lets `claudefix replay --raw` show exactly what Claude sent, which is the
+ * artifact you want when a glitch only shows up on someone else's machine.
+ *
+ * keystrokes are never recorded - people type secrets into Claude. The
+ * output has them too (tool output, a cat'd .env), so the cast is 0600.
+ */
+
+const fs = require('fs');
+
+const RAW_EVENT = 'x';
+const MAX_IDLE_SEC = 2; // replay compresses longer pauses down to this
+
+/**
+ * start recording to `file`, returns { raw, output, resize, close }
+ * writes are synchronous so nothing is lost when the wrapper process.exit()s
+ */
+function createRecorder(file, { cols, rows, terminalType } = {}) {
+  const fd = fs.openSync(file, 'w', 0o600);
+  try { fs.fchmodSync(fd, 0o600); } catch (e) {} // an existing file keeps its mode otherwise
+  const start = process.hrtime.bigint();
+  let closed = false;
+
+  function line(obj) {
+    if (closed) return;
+    try {
+      fs.writeSync(fd, JSON.stringify(obj) + '\n');
+    } catch (e) {
+      closed = true;
+    }
+  }
+
+  function event(code, data) {
+    const t = Number(process.hrtime.bigint() - start) / 1e9;
+    line([Math.round(t * 1e6) / 1e6, code, data]);
+  }
+
+  line({
+    version: 2,
+    width: cols || 80,
+    height: rows || 24,
+    timestamp: Math.floor(Date.now() / 1000),
+    title: 'claudefix recording',
+    env: { TERM: process.env.TERM || '', SHELL: process.env.SHELL || '' },
+    claudefix: { rawEvent: RAW_EVENT, terminalType: terminalType || 'unknown' },
+  });
+
+  return {
+    file,
+    raw(data) { event(RAW_EVENT, data); },
+    output(data) { event('o', data); },
+    resize(c, r) { event('r', `${c}x${r}`); },
+    close() {
+      if (closed) return;
+      closed = true;
+      try { fs.closeSync(fd); } catch (e) {}
+    },
+  };
+}
+
+/**
+ * parse a .cast file into { header, events }
+ */
+function readCast(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim());
+  if (!lines.length) throw new Error(`${file} is empty`);
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (e) {
+    throw new Error(`${file} is not an asciinema v2 file (bad header)`);
+  }
+  if (header.version !== 2) {
+    throw new Error(`${file} is asciinema v${header.version}, only v2 is supported`);
+  }
+  const events = [];
+  for (const l of lines.slice(1)) {
+    try { events.push(JSON.parse(l)); } catch (e) {} // torn last line after a crash
+  }
+  return { header, events };
+}
+
+/**
+ * play a recording to `out`
+ *   mode  - 'filtered' (the "o" events) or 'raw' (the "x" events)
+ *   speed - playback multiplier
+ * resolves when done, rejects for a file that isn't a readable v2 cast
+ */
+function replayCast(file, { mode = 'filtered', speed = 1, out = process.stdout } = {}) {
+  let cast;
+  try {
+    cast = readCast(file);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  const { header, events } = cast;
+  const code = mode === 'raw' ? ((header.claudefix && header.claudefix.rawEvent) || RAW_EVENT) : 'o';
+  const frames = events.filter(e => e[1] === code);
+
+  if (mode === 'raw' && !frames.length) {
+    return Promise.reject(new Error(`${file} has no raw stream (not recorded by claudefix?)`));
+  }
+
+  return new Promise((resolve) => {
+    let i = 0;
+    let last = frames.length ? frames[0][0] : 0;
+    function next() {
+      if (i >= frames.length) {
+        out.write('\x1b[0m\x1b[r\r\n');
+        resolve({ header, frames: frames.length });
+        return;
+      }
+      const [t, , data] = frames[i++];
+      const wait = Math.min(Math.max(0, t - last), MAX_IDLE_SEC) / speed;
+      last = t;
+      setTimeout(() => {
+        out.write(data);
+        next();
+      }, wait * 1000);
+    }
+    next();
+  });
+}
+
+module.exports = {
+  createRecorder,
+  readCast,
+  replayCast,
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * remote rendering - the footer and scroll region over SSH / mosh
+ *
+ * locally a frame reaches the terminal in one piece. Over a slow link it
+ * arrives in packets, and the terminal paints whatever it has: half a frame,
+ * Ink's \x1b[J erasing the footer rows before the footer is drawn again, a
+ * scroll region a reconnecting mosh client never saw. So remote (runtime
+ * remoteRender):
+ *   - every flush goes out inside synchronized-output brackets
+ *     (lib/sync-output.cjs) without waiting for the terminal to say it
+ *     knows them - the ones that don't ignore them (syncOutput: "off"
+ *     still turns them off)
+ *   - the scroll region is re-asserted at the end of every flush
+ *   - the footer is only resent when its text changed or the frame erased
+ *     it - not every 2s and after every burst of output
+ *   - the flush delay follows the round trip: \x1b[5n (device status) is
+ *     answered with \x1b[0n, timed, and taken out of the input before
+ *     Claude sees it
+ */
+
+const PING = '\x1b[5n';
+const PONG = '\x1b[0n';
+const PING_TIMEOUT_MS = 5000;   // no answer by then - ask again next time
+const MAX_FLUSH_DELAY_MS = 100; // longer and typing feels laggy on top of the link
+
+// erase below / all (\x1b[J, \x1b[0J, \x1b[2J), full reset, alternate screen -
+// what wipes the rows under the scroll region along with Claude's own
+const FOOTER_ERASERS = /\x1b\[[02]?J|\x1bc|\x1b\[\?(1049|1047|47)[hl]/;
+
+function erasesFooter(output) {
+  return FOOTER_ERASERS.test(output);
+}
+
+// re-assert rows 1..contentRows as the scroll region - setting it homes
+// the cursor, so it's saved and restored around it
+function scrollRegion(contentRows) {
+  return `\x1b7\x1b[1;${contentRows}r\x1b8`;
+}
+
+/**
+ * the flush delay for a round trip: a quarter of it, never below the
+ * profile's delay, never above MAX_FLUSH_DELAY_MS
+ */
+function flushDelayFor(baseMs, rttMs) {
+  if (rttMs == null) return baseMs;
+  return Math.max(baseMs, Math.min(MAX_FLUSH_DELAY_MS, Math.round(rttMs / 4)));
+}
+
+/**
+ * round trip to the terminal: ping() writes \x1b[5n, input(data) takes the
+ * \x1b[0n answer out of stdin data and returns the rest. rtt() is smoothed
+ * over samples, null until the first answer
+ */
+function createLatencyProbe({ write, now = Date.now, timeoutMs = PING_TIMEOUT_MS } = {}) {
+  let sentAt = null;
+  let rtt = null;
+
+  return {
+    ping() {
+      if (sentAt !== null && now() - sentAt < timeoutMs) return;
+      sentAt = now();
+      write(PING);
+    },
+
+    input(data) {
+      if (sentAt === null) return data;
+      const at = data.indexOf(PONG);
+      if (at === -1) return data;
+      const sample = now() - sentAt;
+      sentAt = null;
+      rtt = rtt === null ? sample : Math.round(rtt * 0.7 + sample * 0.3);
+      return data.slice(0, at) + data.slice(at + PONG.length);
+    },
+
+    rtt: () => rtt,
+  };
+}
+
+module.exports = {
+  erasesFooter,
+  scrollRegion,
+  flushDelayFor,
+  createLatencyProbe,
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * runtime options - what claude-fixed actually runs with
+ *
+ * the layered config (lib/config.cjs - files + env overrides) and the
+ * terminal profile meet here, once, so every configurator answer maps to
+ * exactly one behavior and nothing reads config keys ad hoc:
+ *
+ *   memoryLimit / memPercent  -> heapCapMB (--max-old-space-size, cgroup memory)
+ *   cpuPercent                -> cpuPercent
+ *   colorStripping/colorRemap -> colorMode, remapStyle, keepSgr
+ *   scrollbackClear           -> every scrollback policy below (off = none)
+ *   clearAfterRenders         -> \x1b[3J after N full repaints
+ *   periodicClearMs           -> \x1b[3J every N ms while not typing
+ *   resizeDebounce            -> resizeDebounceMs
+ *   remoteRender              -> remoteRender (SSH-safe footer, lib/remote-render.cjs)
+ *   syncOutput                -> syncOutput: auto (DECRQM ?2026 decides) | on | off
+ *   diffRender                -> diffRender (lib/diff-renderer.cjs), which
+ *                                takes the place of the startup clear and
+ *                                the render / timer scrollback clears
+ *   multiplexer               -> multiplexer ($TMUX / $STY), with
+ *                                tmuxClearHistory, tmuxStatusFooter and
+ *                                muxPassthrough switched on for it
+ */
+
+const os = require('os');
+
+const { DEFAULT_KEEP_SGR, NUCLEAR_KEEP_SGR } = require('./strip-colors.cjs');
+const { detectMultiplexer } = require('./multiplexer.cjs');
+const { isSSH } = require('./terminal-profiles.cjs');
+
+const DEFAULT_MEM_PERCENT = 35;
+const RESIZE_DEBOUNCE_MS = 50;   // batch the SIGWINCH burst a window drag produces
+const TYPING_COOLDOWN_MS = 500;  // no scrollback clears this soon after a keystroke
+
+// profile used when the caller has none (tests, non-PTY mode)
+const NO_PROFILE = { colors: 'strip', keepSgr: DEFAULT_KEEP_SGR, clearScrollback: true, clearOnStartup: true };
+
+// positive integer or the fallback (0 allowed - it means "off")
+function count(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * strip | remap | off - config can only turn the profile's stripping off or
+ * into remap, never force colors on a terminal that's fine
+ * (CLAUDE_STRIP_BG_COLORS already landed in colorStripping)
+ */
+function resolveColorMode(config, profile) {
+  const stripping = config.colorStripping === undefined ? true : config.colorStripping;
+  if (!stripping || profile.colors === 'off') return 'off';
+  if (stripping === 'remap') return 'remap';
+  return profile.colors;
+}
+
+/**
+ * resolve config values (loadConfig().values) + terminal profile into
+ * runtime options. env is only read for CLAUDEFIX_NUCLEAR, a debugging
+ * switch rather than a setting, for $TMUX / $STY and for SSH_*
+ */
+function resolveRuntimeOptions(config, { env = process.env, profile = NO_PROFILE, totalMemMB } = {}) {
+  const totalMB = totalMemMB || Math.floor(os.totalmem() / 1024 / 1024);
+
+  // Calculate memory limits (configurable, defaults to 35% of total system RAM)
+  const memPercent = Math.min(100, Math.max(1, config.memPercent || DEFAULT_MEM_PERCENT));
+  const maxHeapMB = Math.floor(totalMB * memPercent / 100);
+  // memoryLimit: false keeps the number for monitoring but caps nothing
+  const memoryLimit = config.memoryLimit !== false;
+
+  // CPU limit (configurable, default: no limit)
+  const cpuPercent = config.cpuPercent || 0;
+
+  const scrollbackClear = config.scrollbackClear !== false;
+  // the diff renderer only scrolls real lines into scrollback - Claude's
+  // repaints never get there, so there's nothing to clear them for
+  const diffRender = config.diffRender === true;
+
+  // clear-history and status-right are tmux commands, passthrough is both
+  const multiplexer = config.multiplexer === 'off' ? null : detectMultiplexer(env);
+  const inTmux = !!multiplexer && multiplexer.name === 'tmux';
+
+  return {
+    totalMemMB: totalMB,
+    memPercent,
+    maxHeapMB,
+    memoryLimit,
+    heapCapMB: memoryLimit ? maxHeapMB : 0,
+    cpuPercent,
+
+    colorMode: resolveColorMode(config, profile),
+    remapStyle: config.colorRemap || 'palette',
+    keepSgr: env.CLAUDEFIX_NUCLEAR === '1' ? NUCLEAR_KEEP_SGR : (profile.keepSgr || DEFAULT_KEEP_SGR),
+
+    scrollbackClear,
+    // the differ absorbs Claude's 2J - an injected 3J would wipe the scrollback
+    // it fills. WithoutDiff is for when the differ gives up mid-session
+    clearOnFullClear: !diffRender && scrollbackClear && profile.clearScrollback !== false,
+    clearOnFullClearWithoutDiff: scrollbackClear && profile.clearScrollback !== false,
+    clearOnStartup: !diffRender && profile.clearOnStartup !== false,
+    clearScrollbackOnStartup: !diffRender && scrollbackClear && profile.clearOnStartup !== false,
+    clearAfterRenders: !diffRender && scrollbackClear ? count(config.clearAfterRenders, 500) : 0,
+    periodicClearMs: !diffRender && scrollbackClear ? count(config.periodicClearMs, 60000) : 0,
+    typingCooldownMs: TYPING_COOLDOWN_MS,
+
+    resizeDebounceMs: config.resizeDebounce === false ? 0 : RESIZE_DEBOUNCE_MS,
+    remoteRender: config.remoteRender === 'on' || (config.remoteRender !== 'off' && isSSH(env)),
+    syncOutput: config.syncOutput || 'auto',
+    diffRender,
+
+    multiplexer,
+    tmuxClearHistory: inTmux && scrollbackClear && config.tmuxClearHistory !== false,
+    tmuxStatusFooter: inTmux && config.tmuxStatusFooter !== false,
+    muxPassthrough: !!multiplexer && config.muxPassthrough !== false,
+  };
+}
+
+module.exports = {
+  resolveRuntimeOptions,
+  resolveColorMode,
+};
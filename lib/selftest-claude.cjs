@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * stand-in Claude for `claudefix selftest` - Ink-shaped output, no API, no
+ * network. Runs inside the wrapper's PTY exactly where the real one would.
+ *
+ * what it sends, because it's what broke terminals before:
+ *   - \x1b[H repaints every frame, each line ending in \x1b[K
+ *   - compound SGR backgrounds (1;48;5;N;38;2;R;G;B, 48:2::R:G:B, 41, 103)
+ *     plus inverse selections
+ *   - bare scroll region resets (\x1b[r) and full-height regions
+ *   - escapes split across writes
+ *   - an immediate repaint on every resize (the selftest resizes in storms)
+ *   - /clear's \x1b[2J\x1b[3J\x1b[H + "Conversation cleared" halfway through
+ *
+ * the first line of each frame is "frame N t=<ms>" so the selftest can time
+ * how long the wrapper holds output. CLAUDEFIX_SELFTEST_PIDFILE gets our pid
+ * (the wrapper's memory is measured without ours).
+ */
+
+const fs = require('fs');
+
+const FRAMES = parseInt(process.env.CLAUDEFIX_SELFTEST_FRAMES, 10) || 120;
+const FRAME_MS = 25;
+const LINGER_MS = 400; // idle like a waiting Claude so the footer gets redrawn
+const SPINNER = ['✢', '✳', '✶', '✻', '✽'];
+
+if (process.env.CLAUDEFIX_SELFTEST_PIDFILE) {
+  fs.writeFileSync(process.env.CLAUDEFIX_SELFTEST_PIDFILE, String(process.pid));
+}
+
+let frame = 0;
+
+function render() {
+  const cols = process.stdout.columns || 80;
+  const rows = process.stdout.rows || 24;
+  const lines = [
+    `frame ${frame} t=${Date.now()}`,
+    `\x1b[1;48;5;236;38;2;200;200;200m ● Update(src/footer.js) \x1b[0m`,
+    `  \x1b[2m${12 + frame % 5}\x1b[22m \x1b[48;2;94;29;29m\x1b[38;2;255;220;220m-  drawFooter(rows);\x1b[39m\x1b[49m`,
+    `  \x1b[2m${13 + frame % 5}\x1b[22m \x1b[48:2::22:71:33m+  drawFooter(rows - 1);\x1b[49m`,
+    ` \x1b[48;2;55;55;80m\x1b[38;5;153m❯ 1. Yes \x1b[39m\x1b[49m  \x1b[7m 2. No \x1b[27m  \x1b[103m\x1b[30m warn \x1b[0m \x1b[41mdeny\x1b[0m`,
+    `\x1b[38;5;174m${SPINNER[frame % SPINNER.length]}\x1b[39m Thinking… \x1b[2m(${cols}x${rows})\x1b[22m`,
+  ];
+  const out = '\x1b[H' + lines.map(l => l + '\x1b[K').join('\r\n') + '\r\n\x1b[J';
+  // cut one escape in half - the wrapper has to stitch it back together
+  const cut = out.indexOf('48;5;236') + 3;
+  process.stdout.write(out.slice(0, cut));
+  process.stdout.write(out.slice(cut));
+}
+
+process.stdout.on('resize', render);
+
+const timer = setInterval(() => {
+  frame++;
+  if (frame % 20 === 0) {
+    process.stdout.write(`\x1b[r\x1b[1;${process.stdout.rows || 24}r`);
+  }
+  if (frame === Math.floor(FRAMES / 2)) {
+    process.stdout.write('\x1b[2J\x1b[3J\x1b[H  ⎿  Conversation cleared\r\n');
+  }
+  render();
+  if (frame < FRAMES) return;
+
+  clearInterval(timer);
+  process.stdout.write('\r\nselftest done\r\n');
+  setTimeout(() => process.exit(0), LINGER_MS);
+}, FRAME_MS);
@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * `claudefix selftest` - run the real wrapper on a fake Claude and check
+ * what comes out the other side
+ *
+ * bin/claude-fixed.js runs inside node-pty (like your terminal would run it)
+ * with lib/selftest-claude.cjs as "Claude", in a throwaway HOME so your
+ * config, first-run flag and stats logs aren't touched. Offline, ~5s.
+ *
+ * checks on the wrapper's output:
+ *   colors       - no background the terminal profile says to strip/remap
+ *   scroll region - Ink's resets never leave the footer row scrollable
+ *   footer       - redrawn on the bottom row after the last screen erase
+ *   clear        - /clear's full clear also cleared scrollback (profiles
+ *                  with clearScrollback)
+ * and on the run: every frame came through, the exit code passed through,
+ * the wrapper's own RSS and the frame latency stayed under budget.
+ *
+ * checkOutput() is the pure part, tested on hand-made streams.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createTokenizer, parseSgr } = require('./ansi-tokenizer.cjs');
+const { loadConfig } = require('./config.cjs');
+const { resolveProfile } = require('./terminal-profiles.cjs');
+const { resolveRuntimeOptions } = require('./runtime-options.cjs');
+const { loadNodePty } = require('./node-pty-loader.cjs');
+const { sampleProcessTree } = require('./process-stats.cjs');
+
+const WRAPPER = path.join(__dirname, '..', 'bin', 'claude-fixed.js');
+const FAKE_CLAUDE = path.join(__dirname, 'selftest-claude.cjs');
+
+const FOOTER_TEXT = 'claudefix by Hardwick Software';
+const EXIT_CLEANUP = '\x1b[r\x1b[2J\x1b[3J\x1b[H'; // handlePtyExit - everything after is teardown
+
+const DEFAULT_BUDGETS = {
+  wrapperRssMB: 150,   // the wrapper itself - Claude's memory is its own
+  latencyP95Ms: 250,   // fake write -> wrapper output, 95th percentile
+  latencyMaxMs: 1000,
+};
+
+// your settings that change what reaches the terminal - tested as you run them
+const DISPLAY_KEYS = ['colorStripping', 'colorRemap', 'scrollbackClear', 'clearAfterRenders', 'resizeDebounce'];
+
+// the rest of what the wrapper runs with - footer on, nothing that reaches
+// outside the sandbox (cgroups, stats log, restarts, the tmux session's
+// status line and history)
+const SELFTEST_CONFIG = {
+  configured: true,
+  firstRun: false,
+  footer: true,
+  footerSegments: ['brand'], // the text checkOutput looks for, at any width
+  darkMode: false,
+  statsLog: false,
+  cgroupLimits: false,
+  cpuPercent: 0,
+  autoRestart: false,
+  multiplexer: 'off',
+  statusbar: false, // the machine's own providers would move the footer row
+};
+
+function isBackground(attr, colorMode) {
+  const code = parseInt(attr[0], 10);
+  if (colorMode === 'remap') return code === 48; // remap keeps the 16 safe ones
+  return code === 48 || (code >= 40 && code <= 47) || (code >= 100 && code <= 107);
+}
+
+function check(name, ok, detail) {
+  return { name, ok, detail };
+}
+
+/**
+ * checks on the wrapper's output stream
+ * opts: { rows, colorMode, clearOnFullClear }
+ */
+function checkOutput(output, { rows, colorMode, clearOnFullClear }) {
+  const cleanup = output.lastIndexOf(EXIT_CLEANUP);
+  const tokens = createTokenizer().push(cleanup === -1 ? output : output.slice(0, cleanup));
+  const checks = [];
+
+  // colors
+  if (colorMode === 'off') {
+    checks.push(check('colors', true, 'profile leaves colors alone - nothing to strip'));
+  } else {
+    const leaks = tokens.filter(t => t.type === 'sgr' && parseSgr(t.params).some(a => isBackground(a, colorMode)));
+    checks.push(check('colors', leaks.length === 0, leaks.length
+      ? `${leaks.length} background codes got through (${colorMode}), first: ${JSON.stringify(leaks[0].raw)}`
+      : `no backgrounds left that ${colorMode} should have handled`));
+  }
+
+  // scroll region - a bare reset is fine only as the first half of the
+  // wrapper's own reset+constrain (\x1b[r \x1b7 \x1b[1;Nr \x1b8)
+  const regions = tokens.map((t, i) => ({ t, i })).filter(({ t }) => t.type === 'csi' && t.final === 'r' && !t.prefix);
+  const open = regions.filter(({ t, i }) => t.params === '' &&
+    !tokens.slice(i + 1, i + 4).some(n => n.type === 'csi' && n.final === 'r' && n.params !== ''));
+  checks.push(check('scroll region', open.length === 0, open.length
+    ? `${open.length} scroll region resets left the footer row scrollable`
+    : `${regions.length} scroll region changes, footer row always outside`));
+
+  // footer - ESC 7, CUP row;1, the footer text, ESC 8
+  const draws = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].raw !== '\x1b7') continue;
+    const cup = tokens[i + 1];
+    const m = cup && cup.type === 'csi' && cup.final === 'H' && /^(\d+);1$/.exec(cup.params);
+    if (!m) continue;
+    let text = '';
+    for (let j = i + 2; j < tokens.length && tokens[j].raw !== '\x1b8'; j++) {
+      if (tokens[j].type === 'text') text += tokens[j].raw;
+    }
+    if (text.includes(FOOTER_TEXT)) draws.push({ index: i, row: parseInt(m[1], 10) });
+  }
+  let lastErase = -1;
+  tokens.forEach((t, i) => {
+    if (t.type === 'csi' && t.final === 'J' && !t.prefix && t.params !== '3') lastErase = i;
+  });
+  const last = draws[draws.length - 1];
+  checks.push(check('footer', !!last && last.index > lastErase && last.row === rows,
+    !last ? 'footer never drawn'
+      : last.index < lastErase ? 'screen erased after the last footer draw - footer row left blank'
+        : last.row !== rows ? `footer drawn on row ${last.row}, not ${rows}`
+          : `drawn ${draws.length} times, last on row ${rows} after the last erase`));
+
+  // /clear also clears scrollback
+  if (clearOnFullClear) {
+    const cleared = tokens.findIndex(t => t.type === 'text' && t.raw.includes('Conversation cleared'));
+    let full = -1;
+    for (let i = cleared; i >= 0; i--) {
+      if (tokens[i].type === 'csi' && tokens[i].final === 'J' && tokens[i].params === '2') { full = i; break; }
+    }
+    const scrollback = full !== -1 && tokens.slice(full, cleared).some(t => t.type === 'csi' && t.final === 'J' && t.params === '3');
+    checks.push(check('clear', cleared !== -1 && scrollback, cleared === -1 ? '"Conversation cleared" never shown'
+      : scrollback ? 'full clear took the scrollback with it' : 'full clear left the scrollback behind'));
+  }
+
+  checks.push(check('exit cleanup', cleanup !== -1, cleanup !== -1
+    ? 'scroll region reset and screen cleared on exit' : 'terminal not restored on exit'));
+  return checks;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * run it - resolves { ok, profile, colorMode, checks, stats }
+ * settings - display settings to test with, defaults to yours (DISPLAY_KEYS)
+ */
+function runSelftest({ env = process.env, terminal, settings, cols = 100, rows = 30, frames = 120, budgets = {}, timeoutMs = 30000 } = {}) {
+  const limits = { ...DEFAULT_BUDGETS, ...budgets };
+  const { pty } = loadNodePty({ rebuild: false });
+  if (!pty) {
+    return Promise.resolve({ ok: false, checks: [check('node-pty', false, "node-pty doesn't load - see claudefix doctor")], stats: {} });
+  }
+
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-selftest-'));
+  if (!settings) {
+    const yours = loadConfig({ env }).values;
+    settings = Object.fromEntries(DISPLAY_KEYS.map(key => [key, yours[key]]));
+  }
+  fs.writeFileSync(path.join(home, '.claudefix.json'), JSON.stringify({ ...settings, ...SELFTEST_CONFIG }));
+  const pidFile = path.join(home, 'claude.pid');
+
+  // nothing from the caller's claudefix env, no SSH mode (it hides the footer)
+  const childEnv = {};
+  for (const [key, value] of Object.entries(env)) {
+    if (!/^(CLAUDEFIX_|CLAUDE_|SSH_)/.test(key)) childEnv[key] = value;
+  }
+  Object.assign(childEnv, {
+    HOME: home,
+    XDG_CONFIG_HOME: env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), // keep terminal profile overrides
+    TERM: env.TERM && env.TERM !== 'dumb' ? env.TERM : 'xterm-256color',
+    CLAUDEFIX_TERMINAL: terminal || resolveProfile({ env }).name,
+    CLAUDEFIX_SYSTEM_CONFIG: path.join(home, 'no-system-config.json'),
+    CLAUDE_REAL_BINARY: process.execPath,
+    CLAUDEFIX_SELFTEST_PIDFILE: pidFile,
+    CLAUDEFIX_SELFTEST_FRAMES: String(frames),
+  });
+
+  const profile = resolveProfile({ env: childEnv });
+  const runtime = resolveRuntimeOptions(loadConfig({ env: childEnv, home, cwd: home }).values, { env: childEnv, profile });
+
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const proc = pty.spawn(process.execPath, [WRAPPER, FAKE_CLAUDE], { name: childEnv.TERM, cols, rows, cwd: home, env: childEnv });
+    let output = '';
+    const arrivals = new Map(); // "frame t" -> ms from fake write to wrapper output
+    let peakMB = 0;
+    let timedOut = false;
+
+    proc.onData((data) => {
+      const now = Date.now();
+      const from = Math.max(0, output.length - 40);
+      output += data;
+      const marker = /frame (\d+) t=(\d+)/g;
+      marker.lastIndex = from;
+      let m;
+      while ((m = marker.exec(output))) {
+        if (!arrivals.has(m[0])) arrivals.set(m[0], { frame: parseInt(m[1], 10), ms: now - parseInt(m[2], 10) });
+      }
+    });
+
+    const sampler = setInterval(() => {
+      const wrapper = sampleProcessTree(proc.pid);
+      if (!wrapper) return;
+      let claudePid = null;
+      try { claudePid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10); } catch (e) {}
+      // fake Claude started but hasn't said who it is - can't split the tree yet
+      if (!claudePid && wrapper.pids > 1) return;
+      const claude = claudePid ? sampleProcessTree(claudePid) : null;
+      peakMB = Math.max(peakMB, wrapper.rssMB - (claude ? claude.rssMB : 0));
+    }, 100);
+
+    // resize storm a second in - 30 sizes 10ms apart, ending where it started
+    const storm = setTimeout(() => {
+      let n = 0;
+      const step = setInterval(() => {
+        n++;
+        if (n >= 30) {
+          clearInterval(step);
+          proc.resize(cols, rows);
+          return;
+        }
+        proc.resize(cols + (n % 3) * 7 - 7, rows + (n % 2 ? -3 : 2));
+      }, 10);
+    }, 1000);
+
+    const killer = setTimeout(() => {
+      timedOut = true;
+      proc.kill();
+    }, timeoutMs);
+
+    proc.onExit(({ exitCode }) => {
+      clearInterval(sampler);
+      clearTimeout(storm);
+      clearTimeout(killer);
+      fs.rmSync(home, { recursive: true, force: true });
+
+      const latencies = [...arrivals.values()].map(a => a.ms).sort((a, b) => a - b);
+      const seen = new Set([...arrivals.values()].map(a => a.frame));
+      const p95 = percentile(latencies, 0.95);
+      const max = latencies.length ? latencies[latencies.length - 1] : null;
+
+      const checks = [
+        check('exit', !timedOut && exitCode === 0, timedOut ? `no exit after ${timeoutMs}ms` : `wrapper exited with ${exitCode}`),
+        check('frames', seen.size === frames, `${seen.size}/${frames} frames came through`),
+        ...checkOutput(output, { rows, colorMode: runtime.colorMode, clearOnFullClear: runtime.clearOnFullClear }),
+        check('memory', peakMB > 0 && peakMB <= limits.wrapperRssMB, `wrapper peak RSS ${peakMB}MB (budget ${limits.wrapperRssMB}MB)`),
+        check('latency', p95 !== null && p95 <= limits.latencyP95Ms && max <= limits.latencyMaxMs,
+          `p95 ${p95}ms, max ${max}ms (budget ${limits.latencyP95Ms}ms / ${limits.latencyMaxMs}ms)`),
+      ];
+
+      resolve({
+        ok: checks.every(c => c.ok),
+        profile: profile.name,
+        colorMode: runtime.colorMode,
+        checks,
+        stats: {
+          durationMs: Date.now() - started,
+          bytesOut: Buffer.byteLength(output),
+          frames: seen.size,
+          wrapperPeakMB: peakMB,
+          latencyP50Ms: percentile(latencies, 0.5),
+          latencyP95Ms: p95,
+          latencyMaxMs: max,
+        },
+      });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  checkOutput,
+  runSelftest,
+};
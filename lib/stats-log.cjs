@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * per-session stats log - proof the leak mitigation actually works
+ *
+ * claude-fixed appends one JSON object per line to
+ *   $XDG_STATE_HOME/claudefix/<session>.jsonl  (~/.local/state/claudefix/)
+ *
+ * line types:
+ *   start  - session metadata (claude binary, heap limit, terminal type)
+ *   sample - child RSS/PSS, heap estimate, CPU%, renders, bytes filtered / saved by diffRender
+ *   gc     - one forced GC run reported by gc-preload.cjs
+ *   end    - exit code
+ *
+ * `claudefix stats [session]` reads these back and summarizes them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STATE_DIR = path.join(
+  process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'),
+  'claudefix'
+);
+
+// keep the newest N session logs, older ones get pruned on session start
+const MAX_SESSIONS = 50;
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+function sessionId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-').replace('Z', '') + '-' + process.pid;
+}
+
+/**
+ * session log files, newest first
+ */
+function listSessions(dir = STATE_DIR) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.jsonl'));
+  } catch (e) {
+    return [];
+  }
+  return files
+    .map(f => {
+      const file = path.join(dir, f);
+      let mtime = 0;
+      try { mtime = fs.statSync(file).mtimeMs; } catch (e) {}
+      return { id: f.slice(0, -'.jsonl'.length), file, mtime };
+    })
+    .sort((a, b) => b.mtime - a.mtime);
+}
+
+function pruneSessions(keep = MAX_SESSIONS) {
+  for (const old of listSessions().slice(keep)) {
+    try { fs.unlinkSync(old.file); } catch (e) {}
+  }
+}
+
+/**
+ * open a new session log, returns { id, file, write(obj), close() }
+ * or null if the state dir isn't writable (stats are never worth crashing over)
+ */
+function createSessionLog(meta) {
+  const id = sessionId();
+  const file = path.join(STATE_DIR, id + '.jsonl');
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    pruneSessions(MAX_SESSIONS - 1);
+  } catch (e) {
+    return null;
+  }
+
+  let closed = false;
+  function write(obj) {
+    if (closed) return;
+    try {
+      fs.appendFileSync(file, JSON.stringify({ t: Date.now(), ...obj }) + '\n');
+    } catch (e) {
+      closed = true; // disk full / dir removed - stop trying
+    }
+  }
+
+  write({ type: 'start', session: id, pid: process.pid, ...meta });
+  return {
+    id,
+    file,
+    write,
+    close() { closed = true; },
+  };
+}
+
+// a regular file at p - not a directory, not missing
+function isFile(p) {
+  try {
+    return fs.statSync(p).isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * find a session by id, id prefix or file path - latest when omitted
+ */
+function findSession(query, dir = STATE_DIR) {
+  if (query && isFile(query)) {
+    return { id: path.basename(query).replace(/\.jsonl$/, ''), file: query };
+  }
+  const sessions = listSessions(dir);
+  if (!query) return sessions[0] || null;
+  return sessions.find(s => s.id === query) ||
+    sessions.find(s => s.id.startsWith(query)) ||
+    null;
+}
+
+// events of a session log - throws when the file can't be read
+function readSession(file) {
+  const events = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try { events.push(JSON.parse(line)); } catch (e) {} // torn last line after a crash
+  }
+  return events;
+}
+
+// least-squares slope of y over x
+function slope(points) {
+  if (points.length < 2) return 0;
+  const n = points.length;
+  let sx = 0, sy = 0, sxy = 0, sxx = 0;
+  for (const [x, y] of points) {
+    sx += x; sy += y; sxy += x * y; sxx += x * x;
+  }
+  const denom = n * sxx - sx * sx;
+  return denom === 0 ? 0 : (n * sxy - sx * sy) / denom;
+}
+
+/**
+ * crunch a session's events into the numbers `claudefix stats` prints
+ */
+function summarize(events) {
+  const start = events.find(e => e.type === 'start') || {};
+  const end = events.find(e => e.type === 'end') || null;
+  const samples = events.filter(e => e.type === 'sample');
+  const gcs = events.filter(e => e.type === 'gc');
+  const last = samples[samples.length - 1] || {};
+
+  const t0 = events.length ? events[0].t : 0;
+  const t1 = events.length ? events[events.length - 1].t : 0;
+  const mem = samples.filter(s => typeof s.memMB === 'number');
+  const cpu = samples.filter(s => typeof s.cpuPercent === 'number');
+
+  return {
+    session: start.session || null,
+    startedAt: t0 ? new Date(t0) : null,
+    durationMin: (t1 - t0) / 60000,
+    ended: !!end,
+    exitCode: end ? end.exitCode : null,
+    maxHeapMB: start.maxHeapMB || null,
+    samples: samples.length,
+    memSeries: mem.map(s => s.memMB),
+    currentMemMB: mem.length ? mem[mem.length - 1].memMB : null,
+    peakMemMB: mem.length ? Math.max(...mem.map(s => s.memMB)) : null,
+    peakRssMB: mem.length ? Math.max(...mem.map(s => s.rssMB || 0)) : null,
+    growthMBPerMin: slope(mem.map(s => [(s.t - t0) / 60000, s.memMB])),
+    peakCpuPercent: cpu.length ? Math.max(...cpu.map(s => s.cpuPercent)) : null,
+    avgCpuPercent: cpu.length ? cpu.reduce((a, s) => a + s.cpuPercent, 0) / cpu.length : null,
+    gcRuns: gcs.length,
+    gcFreedMB: gcs.reduce((a, g) => a + Math.max(0, g.freedMB || 0), 0),
+    renders: last.renders || 0,
+    bytesFiltered: last.bytesFiltered || 0,
+    bytesSaved: last.bytesSaved || 0,
+  };
+}
+
+/**
+ * ASCII sparkline, downsampled (by max) to fit `width` chars
+ */
+function sparkline(values, width = 60) {
+  if (!values.length) return '';
+  let series = values;
+  if (values.length > width) {
+    series = [];
+    const step = values.length / width;
+    for (let i = 0; i < width; i++) {
+      const bucket = values.slice(Math.floor(i * step), Math.floor((i + 1) * step));
+      series.push(Math.max(...bucket));
+    }
+  }
+  const min = Math.min(...series);
+  const range = Math.max(...series) - min || 1;
+  return series
+    .map(v => SPARK_CHARS[Math.round((v - min) / range * (SPARK_CHARS.length - 1))])
+    .join('');
+}
+
+module.exports = {
+  STATE_DIR,
+  createSessionLog,
+  listSessions,
+  findSession,
+  readSession,
+  summarize,
+  sparkline,
+};
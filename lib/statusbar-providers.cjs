@@ -0,0 +1,298 @@
+'use strict';
+
+/**
+ * statusbar providers - other tools' rows above the claudefix footer
+ *
+ * any tool (CI status, an on-call pager, a token budget) can claim rows in
+ * the reserved area without patching claudefix. It writes a JSON state file
+ * or listens on a unix socket, either in the statusbar dir
+ * ($XDG_STATE_HOME/claudefix/statusbar/, ~/.local/state/...) or at a path
+ * listed in statusbarProviders:
+ *
+ *   {
+ *     "name": "ci",                                  // default: the file name
+ *     "rows": 1,                                     // 1-3
+ *     "lines": ["\u001b[32m✓\u001b[0m main is green"], // one per row
+ *     "order": 0,                                    // lower sits higher, ties by name
+ *     "expires": 1760000000000,                      // optional, ms since epoch
+ *     "pid": 4242                                    // optional, hidden once it's gone
+ *   }
+ *
+ * a *.json file is re-read when its mtime changes (polled every second) -
+ * write a temp file and rename it over so a half-written one is never seen.
+ * A socket sends the same object, one per line, each replacing the last;
+ * the provider goes away when the connection closes. A socket file nobody
+ * listens on any more is left alone until it's replaced or touched.
+ *
+ * lines keep their text and SGR colors and nothing else - a provider can't
+ * move the cursor or scroll. At most MAX_ROWS rows are handed out in total,
+ * in order; a provider that doesn't fit waits until one above it goes.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { createTokenizer } = require('./ansi-tokenizer.cjs');
+
+const MAX_PROVIDER_ROWS = 3;
+const MAX_ROWS = 4;
+const POLL_MS = 1000;
+const MAX_SOCKET_LINE = 64 * 1024; // a provider that never sends \n isn't one
+
+function statusbarDir(env = process.env, home = os.homedir()) {
+  const base = env.XDG_STATE_HOME || path.join(home, '.local', 'state');
+  return path.join(base, 'claudefix', 'statusbar');
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM'; // someone else's process, still there
+  }
+}
+
+// text and SGR only - no cursor movement, no OSC, no control chars
+function sanitizeLine(text) {
+  const tokenizer = createTokenizer();
+  let out = '';
+  for (const token of [...tokenizer.push(text), ...tokenizer.flush()]) {
+    if (token.type === 'text') out += token.raw.replace(/[\x00-\x1f\x7f]/g, '');
+    else if (token.type === 'sgr') out += token.raw;
+  }
+  return out;
+}
+
+/**
+ * one state object -> { provider } | { hidden: why } | { error }
+ * provider: { name, rows, lines (exactly `rows` of them), order }
+ */
+function parseProviderState(data, { name, now = Date.now(), alive = isAlive } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { error: 'must be a JSON object' };
+  const rows = data.rows === undefined ? 1 : data.rows;
+  if (!Number.isInteger(rows) || rows < 1 || rows > MAX_PROVIDER_ROWS) return { error: `rows must be 1-${MAX_PROVIDER_ROWS}` };
+  if (!Array.isArray(data.lines) || !data.lines.every(l => typeof l === 'string')) return { error: 'lines must be an array of strings' };
+  if (data.order !== undefined && !Number.isFinite(data.order)) return { error: 'order must be a number' };
+  if (Number.isFinite(data.expires) && data.expires <= now) return { hidden: 'expired' };
+  if (Number.isInteger(data.pid) && data.pid > 0 && !alive(data.pid)) return { hidden: `pid ${data.pid} is gone` };
+
+  const lines = data.lines.slice(0, rows).map(sanitizeLine);
+  while (lines.length < rows) lines.push('');
+  return {
+    provider: {
+      name: typeof data.name === 'string' && data.name ? data.name : name,
+      rows,
+      lines,
+      order: data.order || 0,
+    },
+  };
+}
+
+/**
+ * the state files and sockets to read: every *.json / socket in `dirs`,
+ * plus `paths` as given. returns [{ path, kind: 'file' | 'socket' }]
+ */
+function listProviderPaths({ dirs = [], paths = [] } = {}) {
+  const found = [];
+  // in a dir only *.json counts as a state file, anything can be a socket
+  const add = (file, stateFile = true) => {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (e) {
+      return;
+    }
+    if (stat.isSocket()) found.push({ path: file, kind: 'socket' });
+    else if (stateFile && stat.isFile()) found.push({ path: file, kind: 'file' });
+  };
+  for (const dir of dirs) {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).sort();
+    } catch (e) {
+      continue;
+    }
+    for (const n of names) add(path.join(dir, n), n.endsWith('.json'));
+  }
+  for (const p of paths) if (!found.some(f => f.path === p)) add(p);
+  return found;
+}
+
+// default provider name: the file name without .json / .sock
+function nameFor(file) {
+  return path.basename(file).replace(/\.(json|sock)$/, '');
+}
+
+// a socket file's identity - a provider that starts again binds a new one
+function socketKey(file) {
+  try {
+    const stat = fs.statSync(file);
+    return `${stat.ino}:${stat.mtimeMs}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function readJson(file) {
+  try {
+    return { data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (e) {
+    return { error: e.message.split('\n')[0] };
+  }
+}
+
+// a file's or socket's last state -> parseProviderState's answer, plus `path`
+function evaluate(file, loaded, options) {
+  if (loaded.error) return { path: file, error: loaded.error };
+  return { path: file, ...parseProviderState(loaded.data, { name: nameFor(file), ...options }) };
+}
+
+/**
+ * read one state file -> what parseProviderState returns, plus `path`
+ */
+function readProviderFile(file, options = {}) {
+  return evaluate(file, readJson(file), options);
+}
+
+/**
+ * providers -> the ones that get rows, top to bottom, at most maxRows in all
+ */
+function layoutProviders(providers, maxRows = MAX_ROWS) {
+  const sorted = [...providers].sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  const shown = [];
+  let used = 0;
+  for (const p of sorted) {
+    if (used + p.rows > maxRows) continue;
+    shown.push(p);
+    used += p.rows;
+  }
+  return shown;
+}
+
+/**
+ * watch the providers: state files are polled, sockets read as they send.
+ * the first look happens before this returns; after that onChange() runs
+ * whenever what should be on screen changes.
+ * returns { shown(), rows(), errors(), close() }
+ */
+function createProviderWatcher({
+  dirs = [],
+  paths = [],
+  onChange = () => {},
+  pollMs = POLL_MS,
+  maxRows = MAX_ROWS,
+} = {}) {
+  // path -> { loaded: { data } | { error }, result } - files also keep
+  // mtimeMs, sockets their connection (loaded is null until the first line)
+  const files = new Map();
+  const sockets = new Map();
+  const refused = new Map(); // socket path -> socketKey of the file that wouldn't connect
+  let layout = [];
+  let started = false;
+  let closed = false;
+
+  function results() {
+    return [...files.values(), ...sockets.values()].map(e => e.result).filter(Boolean);
+  }
+
+  function update() {
+    if (closed) return;
+    const next = layoutProviders(results().filter(r => r.provider).map(r => r.provider), maxRows);
+    if (JSON.stringify(next) === JSON.stringify(layout)) return;
+    layout = next;
+    if (started) onChange();
+  }
+
+  function connect(file, key) {
+    const entry = { conn: null, loaded: null, result: null };
+    sockets.set(file, entry);
+    let buf = '';
+    let connected = false;
+    const conn = net.createConnection(file);
+    entry.conn = conn;
+    conn.on('connect', () => { connected = true; });
+    conn.setEncoding('utf8');
+    conn.on('data', (chunk) => {
+      buf += chunk;
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (!line) continue;
+        try {
+          entry.loaded = { data: JSON.parse(line) };
+        } catch (e) {
+          entry.loaded = { error: e.message };
+        }
+        entry.result = evaluate(file, entry.loaded);
+      }
+      if (buf.length > MAX_SOCKET_LINE) conn.destroy();
+      update();
+    });
+    // stale socket (its provider is gone) - don't knock again every poll
+    conn.on('error', () => { if (!connected) refused.set(file, key); });
+    conn.on('close', () => {
+      if (sockets.get(file) === entry) sockets.delete(file);
+      update();
+    });
+  }
+
+  function poll() {
+    const now = Date.now();
+    const seen = new Set();
+    for (const { path: file, kind } of listProviderPaths({ dirs, paths })) {
+      seen.add(file);
+      if (kind === 'socket') {
+        const key = socketKey(file);
+        if (!sockets.has(file) && refused.get(file) !== key) connect(file, key);
+        continue;
+      }
+      let mtimeMs = 0;
+      try { mtimeMs = fs.statSync(file).mtimeMs; } catch (e) {}
+      const known = files.get(file);
+      const loaded = known && known.mtimeMs === mtimeMs ? known.loaded : readJson(file);
+      files.set(file, { mtimeMs, loaded, result: null });
+    }
+    for (const file of [...files.keys()]) if (!seen.has(file)) files.delete(file);
+    for (const file of [...refused.keys()]) if (!seen.has(file)) refused.delete(file);
+    for (const [file, entry] of sockets) {
+      if (!seen.has(file)) { entry.conn.destroy(); sockets.delete(file); }
+    }
+    // unchanged state is still checked again for expires and a gone pid
+    for (const [file, entry] of [...files, ...sockets]) {
+      if (entry.loaded) entry.result = evaluate(file, entry.loaded, { now });
+    }
+    update();
+  }
+
+  poll();
+  started = true;
+  const timer = setInterval(poll, pollMs);
+  timer.unref();
+
+  return {
+    shown: () => layout,
+    rows: () => layout.reduce((n, p) => n + p.rows, 0),
+    errors: () => results().filter(r => r.error).map(r => `${r.path}: ${r.error}`),
+    close() {
+      closed = true;
+      clearInterval(timer);
+      for (const { conn } of sockets.values()) conn.destroy();
+      sockets.clear();
+    },
+  };
+}
+
+module.exports = {
+  MAX_ROWS,
+  statusbarDir,
+  sanitizeLine,
+  parseProviderState,
+  listProviderPaths,
+  readProviderFile,
+  layoutProviders,
+  createProviderWatcher,
+};
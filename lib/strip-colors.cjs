@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * SGR color filter shared by the claude-fixed PTY wrapper and index.cjs
+ *
+ * works on tokens from lib/ansi-tokenizer.cjs, one SGR attribute at a time,
+ * and rebuilds each sequence from the attributes that are safe on VTE -
+ * backgrounds, dim, inverse and hidden are dropped (strip), or backgrounds
+ * and inverse are swapped for safe stand-ins (remap)
+ */
+
+const { createAnsiStream, transformString, parseSgr, formatSgr } = require('./ansi-tokenizer.cjs');
+
+// what every terminal profile keeps unless it says otherwise: reset, bold (1),
+// italic (3), underline (4), strikethrough (9) and their offs, standard
+// (30-37), default (39) and bright (90-97) foregrounds, and 38 - 256-color
+// (38;5;X) and true color (38;2;R;G;B / 38:2::R:G:B) foregrounds
+const DEFAULT_KEEP_SGR = ['0', '1', '3', '4', '9', '22-24', '29', '30-37', '38', '39', '90-97'];
+
+// CLAUDEFIX_NUCLEAR=1 - bold and the 16 basic foregrounds, nothing else
+const NUCLEAR_KEEP_SGR = ['0', '1', '22', '30-37', '39', '90-97'];
+
+/**
+ * turn a keep list ("1", "30-37", ...) into a predicate over SGR attributes
+ * (sub-param arrays from parseSgr). anything not listed is dropped -
+ * backgrounds, dim (2), inverse (7), hidden (8), underline color (58)...
+ */
+function compileKeep(keepSgr = DEFAULT_KEEP_SGR) {
+  const codes = new Set();
+  for (const entry of keepSgr) {
+    const [from, to = from] = String(entry).split('-').map(n => parseInt(n, 10));
+    for (let c = from; c <= to; c++) codes.add(c);
+  }
+  return function keeps(attr) {
+    const code = parseInt(attr[0], 10);
+    if (!codes.has(code)) return false;
+    // extended colors only when complete
+    if (code === 38 || code === 48) {
+      if (attr[1] === '5') return attr.length >= 3;
+      if (attr[1] === '2') return attr.length >= 5;
+      return false;
+    }
+    return true;
+  };
+}
+
+// rebuild an SGR token from kept attributes, null when nothing is left
+// (\x1b[;m is two resets - collapse runs so it comes out as \x1b[0m)
+function sgrToken(attrs) {
+  const kept = attrs.filter((attr, i) => !(i > 0 && attr[0] === '0' && attrs[i - 1][0] === '0'));
+  if (kept.length === 0) return null;
+  const raw = formatSgr(kept);
+  return { type: 'sgr', raw, params: raw.slice(2, -1) };
+}
+
+/**
+ * strip transform for createAnsiStream, keeping only the codes in keepSgr
+ */
+function createStripTransform(keepSgr) {
+  const keeps = compileKeep(keepSgr);
+  return function stripSgr(token) {
+    if (token.type !== 'sgr') return token;
+    return sgrToken(parseSgr(token.params).filter(keeps));
+  };
+}
+
+// the default strip: DEFAULT_KEEP_SGR's text styles and foregrounds, no backgrounds
+const stripUnsafeSgr = createStripTransform(DEFAULT_KEEP_SGR);
+
+// xterm's default 16-color palette - what 30-37/40-47 (+60 for bright) look like
+const PALETTE = [
+  [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+  [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+  [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+  [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255],
+];
+
+// palette index by hue (degrees) - the only backgrounds remap ever emits.
+// black/white are left out on purpose: both just fight the default colors
+const HUES = [[0, 1], [60, 3], [120, 2], [180, 6], [240, 4], [300, 5], [360, 1]];
+
+// below this chroma (max - min channel) a background is a grey that only
+// shaded the default background (code blocks, the prompt box) - drop it
+const GREY_CHROMA = 24;
+
+const REMAP_STYLES = ['palette', 'tint', 'underline'];
+
+// RGB of a 256-color index
+function xterm256(n) {
+  if (n < 16) return PALETTE[n];
+  if (n >= 232) {
+    const v = 8 + (n - 232) * 10;
+    return [v, v, v];
+  }
+  const level = (c) => (c === 0 ? 0 : 55 + c * 40);
+  const i = n - 16;
+  return [level(Math.floor(i / 36)), level(Math.floor(i / 6) % 6), level(i % 6)];
+}
+
+// RGB of a background attribute (40-47, 100-107, 48;5;N, 48;2;R;G;B and colon forms)
+function backgroundRgb(attr) {
+  const code = parseInt(attr[0], 10);
+  if (code >= 40 && code <= 47) return PALETTE[code - 40];
+  if (code >= 100 && code <= 107) return PALETTE[code - 100 + 8];
+  if (code !== 48) return null;
+  if (attr[1] === '5' && attr.length >= 3) return xterm256(parseInt(attr[2], 10) || 0);
+  if (attr[1] === '2') {
+    // 48:2:<colorspace>:R:G:B (ITU form) vs 48;2;R;G;B
+    const rgb = attr.colon && attr.length >= 6 ? attr.slice(3, 6) : attr.slice(2, 5);
+    if (rgb.length === 3) return rgb.map(v => Math.min(255, parseInt(v, 10) || 0));
+  }
+  return null;
+}
+
+function luminance([r, g, b]) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * safe 16-color palette index for a background, null for greys
+ * hue picks the color, luminance picks normal vs bright
+ */
+function nearestSafeColor(rgb) {
+  const max = Math.max(...rgb);
+  const chroma = max - Math.min(...rgb);
+  if (chroma < GREY_CHROMA) return null;
+  const [r, g, b] = rgb;
+  let hue;
+  if (max === r) hue = (60 * ((g - b) / chroma) + 360) % 360;
+  else if (max === g) hue = 60 * ((b - r) / chroma) + 120;
+  else hue = 60 * ((r - g) / chroma) + 240;
+  let base = HUES[0][1];
+  let best = Infinity;
+  for (const [deg, index] of HUES) {
+    if (Math.abs(hue - deg) < best) { best = Math.abs(hue - deg); base = index; }
+  }
+  const lum = luminance(rgb);
+  const normal = Math.abs(lum - luminance(PALETTE[base]));
+  const bright = Math.abs(lum - luminance(PALETTE[base + 8]));
+  return bright < normal ? base + 8 : base;
+}
+
+// 0-7 -> 30-37 / 40-47, 8-15 -> 90-97 / 100-107
+function paletteCode(index, layer) {
+  return String(index < 8 ? layer + index : layer + 60 + index - 8);
+}
+
+/**
+ * transform for createAnsiStream - like stripUnsafeSgr, but backgrounds and
+ * inverse are turned into something VTE draws correctly instead of vanishing,
+ * so a diff's added/removed lines still look different
+ *
+ *   palette   - nearest safe 16-color background (41-46 / 101-106)
+ *   tint      - nearest 16-color foreground, when nothing set one already
+ *   underline - underline while the background is on
+ *
+ * inverse becomes underline in every style; greys are dropped like before.
+ * keeps per-stream SGR state (what it turned on has to be turned off again),
+ * so make one per output stream.
+ */
+function createRemapTransform(style = 'palette', keepSgr = DEFAULT_KEEP_SGR) {
+  if (!REMAP_STYLES.includes(style)) style = 'palette';
+  const keeps = compileKeep(keepSgr);
+  let fgSet = false;         // the app set a foreground itself
+  let underlineSet = false;  // the app turned underline on itself
+  let inverseOn = false;
+  let remapped = null;       // palette index standing in for the current bg
+
+  function substitute(out, index) {
+    if (style === 'palette') out.push([paletteCode(index, 40)]);
+    else if (style === 'tint' && !fgSet) out.push([paletteCode(index, 30)]);
+    else if (style === 'underline' && !underlineSet && !inverseOn) out.push(['4']);
+  }
+
+  function undo(out) {
+    if (style === 'palette') out.push(['49']);
+    else if (style === 'tint' && !fgSet) out.push(['39']);
+    else if (style === 'underline' && !underlineSet && !inverseOn) out.push(['24']);
+  }
+
+  return function remapUnsafeSgr(token) {
+    if (token.type !== 'sgr') return token;
+    const out = [];
+    for (const attr of parseSgr(token.params)) {
+      const code = parseInt(attr[0], 10);
+      const rgb = backgroundRgb(attr);
+
+      if (rgb || code === 49) {
+        const index = rgb ? nearestSafeColor(rgb) : null;
+        if (index === null) {
+          if (remapped !== null) undo(out);
+        } else if (index !== remapped) {
+          if (remapped === null || style !== 'underline') substitute(out, index);
+        }
+        remapped = index;
+      } else if (code === 7) {
+        if (!inverseOn && !underlineSet && !(style === 'underline' && remapped !== null)) out.push(['4']);
+        inverseOn = true;
+      } else if (code === 27) {
+        inverseOn = false;
+        if (!underlineSet && !(style === 'underline' && remapped !== null)) out.push(['24']);
+      } else if (keeps(attr)) {
+        out.push(attr);
+        if (code === 0) {
+          fgSet = underlineSet = inverseOn = false;
+          remapped = null;
+        } else if (code === 4) {
+          underlineSet = true;
+        } else if (code === 24) {
+          underlineSet = false;
+          // turning the app's underline off mustn't end ours
+          if (inverseOn || (style === 'underline' && remapped !== null)) out.push(['4']);
+        } else if (code === 39) {
+          fgSet = false;
+          if (style === 'tint' && remapped !== null) out.push([paletteCode(remapped, 30)]);
+        } else if (code === 38 || (code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+          fgSet = true;
+        }
+      }
+      // dim, hidden, underline color, unknown: dropped like in strip mode
+    }
+    return sgrToken(out);
+  };
+}
+
+/**
+ * one-shot filter for a complete string
+ */
+function stripColors(data) {
+  return transformString(data, [stripUnsafeSgr]);
+}
+
+/**
+ * one-shot remap for a complete string
+ */
+function remapColors(data, style) {
+  return transformString(data, [createRemapTransform(style)]);
+}
+
+/**
+ * every escape sequence out, text and plain control chars kept - for logs
+ * and other places that aren't a terminal at all
+ */
+function stripControlSequences(data) {
+  return transformString(data, [token => (token.type === 'text' ? token : null)]);
+}
+
+/**
+ * the color transform for a mode - 'strip', 'remap' or 'off' (null)
+ */
+function createColorTransform({ mode = 'strip', remapStyle, keepSgr } = {}) {
+  if (mode === 'off') return null;
+  if (mode === 'remap') return createRemapTransform(remapStyle, keepSgr);
+  return createStripTransform(keepSgr);
+}
+
+/**
+ * streaming filter - carries sequences split across chunks
+ *   mode       - 'strip' (default), 'remap' or 'off'
+ *   remapStyle - see createRemapTransform
+ *   keepSgr    - codes strip/remap keep, from the terminal profile
+ * returns { write(chunk), flush(), pending() }
+ */
+function createColorStripper(options) {
+  const transform = createColorTransform(options);
+  return createAnsiStream(transform ? [transform] : []);
+}
+
+module.exports = {
+  DEFAULT_KEEP_SGR,
+  NUCLEAR_KEEP_SGR,
+  stripUnsafeSgr,
+  createStripTransform,
+  createColorTransform,
+  stripColors,
+  stripControlSequences,
+  createColorStripper,
+  createRemapTransform,
+  remapColors,
+  REMAP_STYLES,
+};
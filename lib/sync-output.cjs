@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * synchronized output (DEC private mode 2026) - whole frames, not halves
+ *
+ * between \x1b[?2026h and \x1b[?2026l a terminal that knows the mode keeps
+ * painting the old screen and shows everything at once at the end: Ink's
+ * \x1b[2J, the new frame and the footer redraw land as one picture instead
+ * of flashing through an empty screen. kitty, WezTerm, foot, iTerm2,
+ * Alacritty and recent VTE support it.
+ *
+ * support is asked with DECRQM (\x1b[?2026$p), answered with
+ * \x1b[?2026;N$y - N 1-4 means known, 0 unknown. A terminal that doesn't
+ * answer within the timeout is taken as not supporting it. Each bracket is
+ * opened and closed in the same write, and terminals end a bracket left
+ * open after a fraction of a second anyway, so a lost \x1b[?2026l can't
+ * freeze the screen.
+ */
+
+const SYNC_START = '\x1b[?2026h';
+const SYNC_END = '\x1b[?2026l';
+
+const QUERY = '\x1b[?2026$p';
+const REPLY = /\x1b\[\?2026;(\d)\$y/;
+const QUERY_TIMEOUT_MS = 1000;
+
+function synchronized(output) {
+  return SYNC_START + output + SYNC_END;
+}
+
+// Claude's own 2026 brackets, dropped while we bracket every flush - the
+// first \x1b[?2026l ends the update, nested or not
+function isSyncToken(token) {
+  return token.type === 'csi' && token.prefix === '?' && token.params === '2026' &&
+    (token.final === 'h' || token.final === 'l');
+}
+
+/**
+ * ask the terminal once: start() writes the query, input(data) takes the
+ * reply out of stdin data and returns the rest. supported() is null while
+ * waiting, then true / false (false as well once timeoutMs passes unanswered
+ * - a late reply still counts, and is still kept from Claude)
+ */
+function createSyncQuery({ write, timeoutMs = QUERY_TIMEOUT_MS } = {}) {
+  let supported = null;
+  let answered = false;
+  let timer = null;
+
+  return {
+    start() {
+      write(QUERY);
+      timer = setTimeout(() => {
+        if (supported === null) supported = false;
+      }, timeoutMs);
+      timer.unref();
+    },
+
+    input(data) {
+      if (answered || timer === null) return data;
+      const match = data.match(REPLY);
+      if (!match) return data;
+      answered = true;
+      clearTimeout(timer);
+      const mode = parseInt(match[1], 10);
+      supported = mode >= 1 && mode <= 4;
+      return data.slice(0, match.index) + data.slice(match.index + match[0].length);
+    },
+
+    supported: () => supported,
+  };
+}
+
+module.exports = {
+  SYNC_START,
+  SYNC_END,
+  synchronized,
+  isSyncToken,
+  createSyncQuery,
+};
@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * terminal profiles - what the wrapper does differently per terminal
+ *
+ * built-in profiles live in terminals/<name>.json inside the package, user
+ * overrides in ~/.config/claudefix/terminals/<name>.json ($XDG_CONFIG_HOME).
+ * A user file with a built-in's name only needs the keys it changes; a new
+ * name adds a terminal, and its "match" rules let it be picked before the
+ * built-in detection runs. CLAUDEFIX_TERMINAL=<name> forces one.
+ *
+ * profile keys (anything left out comes from DEFAULT_PROFILE):
+ *   description      - shown by `claudefix status`
+ *   colors           - "strip" | "remap" | "off"
+ *   keepSgr          - SGR codes strip/remap keep, e.g. ["1", "30-37", "38"]
+ *   clearScrollback  - add \x1b[3J after every \x1b[2J
+ *   clearOnStartup   - wipe screen + scrollback before Claude's first frame
+ *   flushDelayMs     - idle gap before buffered output is flushed
+ *   coalesceDelayMs  - longer gap used right after a full repaint
+ *   footer           - terminal handles the scroll-region footer
+ *   match            - { ENV_VAR: "value" | "*" } - all must hold ("*" = set)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULT_KEEP_SGR } = require('./strip-colors.cjs');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'terminals');
+
+function userProfileDir(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'claudefix', 'terminals');
+}
+
+const DEFAULT_PROFILE = {
+  description: 'Unknown terminal - strip backgrounds to be safe',
+  colors: 'strip',
+  keepSgr: DEFAULT_KEEP_SGR,
+  clearScrollback: true,
+  clearOnStartup: true,
+  flushDelayMs: 16,
+  coalesceDelayMs: 80,
+  footer: true,
+};
+
+const COLOR_MODES = ['strip', 'remap', 'off'];
+
+// key -> check, returns an error string or null
+const SCHEMA = {
+  description: (v) => (typeof v === 'string' ? null : 'must be a string'),
+  colors: (v) => (COLOR_MODES.includes(v) ? null : `must be one of ${COLOR_MODES.join(', ')}`),
+  keepSgr: (v) => (Array.isArray(v) && v.every(c => /^\d+(-\d+)?$/.test(String(c)))
+    ? null : 'must be an array of codes or ranges like "30-37"'),
+  clearScrollback: (v) => (typeof v === 'boolean' ? null : 'must be true or false'),
+  clearOnStartup: (v) => (typeof v === 'boolean' ? null : 'must be true or false'),
+  flushDelayMs: (v) => (Number.isInteger(v) && v >= 0 && v <= 1000 ? null : 'must be 0-1000'),
+  coalesceDelayMs: (v) => (Number.isInteger(v) && v >= 0 && v <= 1000 ? null : 'must be 0-1000'),
+  footer: (v) => (typeof v === 'boolean' ? null : 'must be true or false'),
+  match: (v) => (v && typeof v === 'object' && !Array.isArray(v) &&
+    Object.values(v).every(x => typeof x === 'string') ? null : 'must map env vars to strings'),
+};
+
+/**
+ * read every *.json in a dir, returns { profiles: {name: {...}}, errors: [] }
+ * a file with bad JSON or bad keys is skipped (bad keys) or dropped (bad JSON)
+ * and reported, never fatal - a typo in a rule file mustn't stop Claude
+ */
+function readProfileDir(dir) {
+  const profiles = {};
+  const errors = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  } catch (e) {
+    return { profiles, errors };
+  }
+  for (const f of files) {
+    const file = path.join(dir, f);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      errors.push(`${file}: ${e.message}`);
+      continue;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push(`${file}: must be a JSON object`);
+      continue;
+    }
+    const profile = {};
+    for (const [key, value] of Object.entries(data)) {
+      const check = SCHEMA[key];
+      const problem = check ? check(value) : 'unknown key';
+      if (problem) errors.push(`${file}: ${key} ${problem}`);
+      else profile[key] = value;
+    }
+    profiles[f.slice(0, -5)] = { profile, file };
+  }
+  return { profiles, errors };
+}
+
+/**
+ * built-ins merged with user overrides
+ * returns { profiles: {name: {profile, files}}, errors }
+ */
+function loadProfiles({ builtinDir = BUILTIN_DIR, userDir = userProfileDir() } = {}) {
+  const builtin = readProfileDir(builtinDir);
+  const user = readProfileDir(userDir);
+  const profiles = {};
+  for (const [name, { profile, file }] of Object.entries(builtin.profiles)) {
+    profiles[name] = { profile, files: [file] };
+  }
+  for (const [name, { profile, file }] of Object.entries(user.profiles)) {
+    const base = profiles[name] || { profile: {}, files: [] };
+    profiles[name] = { profile: { ...base.profile, ...profile }, files: [...base.files, file], user: true };
+  }
+  return { profiles, errors: [...builtin.errors, ...user.errors] };
+}
+
+// does every env var in a match rule hold
+function matches(rule, env) {
+  const entries = Object.entries(rule || {});
+  return entries.length > 0 && entries.every(([key, want]) =>
+    (want === '*' ? !!env[key] : env[key] === want));
+}
+
+/**
+ * built-in terminal detection from the environment
+ */
+function detectTerminal(env = process.env, platform = process.platform) {
+  const term = env.TERM || '';
+  const termProgram = env.TERM_PROGRAM || '';
+  const vteVersion = env.VTE_VERSION || '';
+  const gdkBackend = env.GDK_BACKEND || '';
+
+  // macOS terminals
+  if (platform === 'darwin') {
+    if (termProgram === 'Apple_Terminal') return 'apple-terminal';
+    if (termProgram === 'iTerm.app') return 'iterm2';
+    if (termProgram === 'WezTerm') return 'wezterm';
+    if (termProgram === 'Alacritty') return 'alacritty';
+    if (termProgram === 'kitty') return 'kitty';
+    // Generic macOS terminal
+    if (term.includes('xterm') || term.includes('256color')) return 'mac-xterm';
+    return 'mac-unknown';
+  }
+
+  // Check for Ptyxis specifically
+  if (termProgram.toLowerCase().includes('ptyxis') ||
+      env.GNOME_TERMINAL_SERVICE?.includes('Ptyxis')) {
+    return 'ptyxis';
+  }
+
+  // XFCE4 Terminal - uses VTE but handles ANSI fine, does NOT need thermonuclear mode
+  // Must check BEFORE the VTE version check or it gets misclassified as gtk4-vte
+  if (termProgram === 'xfce4-terminal' || termProgram === 'Xfce Terminal' ||
+      env.XFCE_TERMINAL_VERSION ||
+      env.WINDOWPATH || // XFCE sets this
+      (env.XDG_CURRENT_DESKTOP || '').toLowerCase().includes('xfce')) {
+    return 'xfce-terminal';
+  }
+
+  // GTK4 terminals (like Ptyxis) often have GDK_BACKEND set
+  if (gdkBackend === 'wayland' && vteVersion) {
+    return 'gtk4-vte';
+  }
+
+  // VTE 0.70+ (7000+) is GTK4 - use aggressive stripping
+  // VTE version format: MAJOR * 100 + MINOR (e.g., 7600 = 0.76)
+  const vteNum = parseInt(vteVersion, 10);
+  if (vteNum >= 7000) {
+    return 'gtk4-vte';
+  }
+
+  if (termProgram === 'GNOME Terminal' || vteVersion) {
+    return 'gnome-terminal';
+  }
+
+  if (term.includes('xterm') || term.includes('256color')) {
+    return 'xterm';
+  }
+
+  return 'unknown';
+}
+
+// Detect if we're in an SSH session (scroll region doesn't work well over SSH)
+function isSSH(env = process.env) {
+  return !!(env.SSH_CLIENT || env.SSH_TTY || env.SSH_CONNECTION);
+}
+
+/**
+ * the profile to run with
+ * returns { name, via: 'env' | 'match' | 'detected', files, errors, ...settings }
+ */
+function resolveProfile({ env = process.env, platform = process.platform, builtinDir, userDir } = {}) {
+  const { profiles, errors } = loadProfiles({ builtinDir, userDir: userDir || userProfileDir(env) });
+
+  let name = null;
+  let via = 'detected';
+  if (env.CLAUDEFIX_TERMINAL) {
+    name = env.CLAUDEFIX_TERMINAL;
+    via = 'env';
+    if (!profiles[name]) errors.push(`CLAUDEFIX_TERMINAL=${name}: no such profile, using detection`);
+  }
+  if (!profiles[name]) {
+    // user rules first so a new terminal can claim itself before the
+    // built-in detection files it under "xterm"
+    const claimed = Object.keys(profiles)
+      .filter(n => profiles[n].user && matches(profiles[n].profile.match, env))[0];
+    name = claimed || detectTerminal(env, platform);
+    via = claimed ? 'match' : 'detected';
+  }
+
+  const entry = profiles[name] || { profile: {}, files: [] };
+  const { match, ...settings } = entry.profile;
+  return { ...DEFAULT_PROFILE, ...settings, name, via, files: entry.files, errors };
+}
+
+/**
+ * every known profile name (built-in + user), for `claudefix status`
+ */
+function listProfiles(options) {
+  return Object.keys(loadProfiles(options).profiles).sort();
+}
+
+module.exports = {
+  BUILTIN_DIR,
+  DEFAULT_PROFILE,
+  userProfileDir,
+  loadProfiles,
+  detectTerminal,
+  isSSH,
+  resolveProfile,
+  listProfiles,
+};
@@ -0,0 +1,471 @@
+'use strict';
+
+/**
+ * virtual screen - a headless model of what Claude's PTY shows
+ *
+ * enough of a VT100/xterm to follow Ink: printing with autowrap and wide
+ * characters, cursor movement, erase / insert / delete, scroll regions and
+ * scrolling, SGR and OSC 8 links. apply(token) takes tokens from
+ * lib/ansi-tokenizer.cjs and says what became of each one:
+ *   'screen'      - it changed the model, nothing to forward
+ *   'passthrough' - no effect on the cells (title, modes, queries, \x1b[3J),
+ *                   the real terminal still needs it as-is
+ *   'unsupported' - something the model can't follow (alternate screen,
+ *                   origin / insert mode, DEC line drawing, full reset)
+ *
+ * a cell is a character (a wide one's right half is '') and a style key:
+ * the SGR params that draw it, plus '\0' and the link (OSC 8's "params;url")
+ * when it's in one.
+ * Lines that scroll off the top of the full screen are kept in
+ * scrolledOff until takeScrolledOff() - they're what the real terminal's
+ * scrollback should get.
+ */
+
+const { parseSgr } = require('./ansi-tokenizer.cjs');
+
+const TAB_WIDTH = 8;
+const MAX_SCROLLED_OFF = 10000; // a `cat` of a huge file in one flush - keep the tail
+
+// zero width: combining marks, ZWJ / ZWSP, variation selectors
+const ZERO_WIDTH = [
+  [0x0300, 0x036f], [0x0483, 0x0489], [0x0591, 0x05bd], [0x0610, 0x061a], [0x064b, 0x065f],
+  [0x1ab0, 0x1aff], [0x1dc0, 0x1dff], [0x200b, 0x200f], [0x20d0, 0x20ff], [0xfe00, 0xfe0f],
+  [0xfe20, 0xfe2f], [0xe0100, 0xe01ef],
+];
+
+// East Asian wide / fullwidth and emoji presentation - two columns
+const WIDE = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec], [0x23f0, 0x23f0],
+  [0x23f3, 0x23f3], [0x25fd, 0x25fe], [0x2614, 0x2615], [0x2648, 0x2653], [0x267f, 0x267f],
+  [0x2693, 0x2693], [0x26a1, 0x26a1], [0x26aa, 0x26ab], [0x26bd, 0x26be], [0x26c4, 0x26c5],
+  [0x26ce, 0x26ce], [0x26d4, 0x26d4], [0x26ea, 0x26ea], [0x26f2, 0x26f3], [0x26f5, 0x26f5],
+  [0x26fa, 0x26fa], [0x26fd, 0x26fd], [0x2705, 0x2705], [0x270a, 0x270b], [0x2728, 0x2728],
+  [0x274c, 0x274c], [0x274e, 0x274e], [0x2753, 0x2755], [0x2757, 0x2757], [0x2795, 0x2797],
+  [0x27b0, 0x27b0], [0x27bf, 0x27bf], [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2b55, 0x2b55],
+  [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf],
+  [0xa960, 0xa97f], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f],
+  [0xff00, 0xff60], [0xffe0, 0xffe6], [0x1f004, 0x1f004], [0x1f0cf, 0x1f0cf], [0x1f18e, 0x1f18e],
+  [0x1f191, 0x1f19a], [0x1f200, 0x1f251], [0x1f300, 0x1f64f], [0x1f680, 0x1f6ff], [0x1f7e0, 0x1f7eb],
+  [0x1f90c, 0x1f9ff], [0x1fa70, 0x1faff], [0x20000, 0x3fffd],
+];
+
+function inRanges(cp, ranges) {
+  for (const [lo, hi] of ranges) {
+    if (cp < lo) return false;
+    if (cp <= hi) return true;
+  }
+  return false;
+}
+
+// columns a code point takes - 0, 1 or 2
+function charWidth(cp) {
+  if (cp < 0x300) return 1;
+  if (inRanges(cp, ZERO_WIDTH)) return 0;
+  return inRanges(cp, WIDE) ? 2 : 1;
+}
+
+/**
+ * the pen: one slot per thing an SGR code can set, so "1;31" then "22"
+ * leaves just the red. Codes the model doesn't know are dropped.
+ */
+const FLAGS = { 1: 'bold', 2: 'dim', 3: 'italic', 4: 'underline', 5: 'blink', 7: 'inverse', 8: 'hidden', 9: 'strike', 53: 'overline' };
+const FLAG_RESETS = { 22: ['bold', 'dim'], 23: ['italic'], 24: ['underline'], 25: ['blink'], 27: ['inverse'], 28: ['hidden'], 29: ['strike'], 55: ['overline'] };
+const SLOT_ORDER = ['bold', 'dim', 'italic', 'underline', 'blink', 'inverse', 'hidden', 'strike', 'overline', 'fg', 'bg', 'ul'];
+
+function applySgr(pen, attrs) {
+  for (const attr of attrs) {
+    const n = parseInt(attr[0], 10);
+    const text = attr.join(attr.colon ? ':' : ';');
+    if (n === 0 || Number.isNaN(n)) {
+      for (const slot of SLOT_ORDER) delete pen[slot];
+    } else if (FLAGS[n]) {
+      pen[FLAGS[n]] = text; // 4:3 (curly) is still the underline slot
+    } else if (FLAG_RESETS[n]) {
+      for (const slot of FLAG_RESETS[n]) delete pen[slot];
+    } else if ((n >= 30 && n <= 37) || (n >= 90 && n <= 97) || n === 38) {
+      pen.fg = text;
+    } else if ((n >= 40 && n <= 47) || (n >= 100 && n <= 107) || n === 48) {
+      pen.bg = text;
+    } else if (n === 58) {
+      pen.ul = text;
+    } else if (n === 39) {
+      delete pen.fg;
+    } else if (n === 49) {
+      delete pen.bg;
+    } else if (n === 59) {
+      delete pen.ul;
+    }
+  }
+}
+
+function penSgr(pen) {
+  return SLOT_ORDER.filter(slot => pen[slot]).map(slot => pen[slot]).join(';');
+}
+
+function blankRow(cols, style = '') {
+  return { ch: new Array(cols).fill(' '), st: new Array(cols).fill(style) };
+}
+
+function copyRow(row) {
+  return { ch: row.ch.slice(), st: row.st.slice() };
+}
+
+function num(params, index, fallback) {
+  const n = parseInt(params.split(';')[index], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * a cols x rows screen, blank, cursor home - see the top of the file
+ */
+function createVirtualScreen(cols, rows) {
+  let grid = [];
+  let x = 0;
+  let y = 0;
+  let wrapPending = false;
+  let autowrap = true;
+  let top = 0;
+  let bottom = rows - 1;
+  let pen = {};
+  let link = '';
+  let saved = null;
+  let scrolledOff = [];
+
+  const style = () => {
+    const sgr = penSgr(pen);
+    return link ? `${sgr}\0${link}` : sgr;
+  };
+  // erased cells keep the background, nothing else (and no link)
+  const eraseStyle = () => pen.bg || '';
+
+  function reset() {
+    grid = Array.from({ length: rows }, () => blankRow(cols));
+    x = y = 0;
+    wrapPending = false;
+    autowrap = true;
+    top = 0;
+    bottom = rows - 1;
+    pen = {};
+    link = '';
+    saved = null;
+    scrolledOff = [];
+  }
+  reset();
+
+  function resize(newCols, newRows) {
+    grid = grid.slice(0, newRows).map((row) => {
+      const next = blankRow(newCols);
+      for (let c = 0; c < Math.min(cols, newCols); c++) {
+        next.ch[c] = row.ch[c];
+        next.st[c] = row.st[c];
+      }
+      return next;
+    });
+    while (grid.length < newRows) grid.push(blankRow(newCols));
+    cols = newCols;
+    rows = newRows;
+    x = Math.min(x, cols - 1);
+    y = Math.min(y, rows - 1);
+    wrapPending = false;
+    top = 0;
+    bottom = rows - 1;
+  }
+
+  // region [from, to] moves up n rows, blank rows come in at `to`. A line
+  // feed off the top of the whole screen is the one that feeds scrollback
+  function scrollUp(n, from = top, to = bottom, feed = false) {
+    n = Math.min(n, to - from + 1);
+    const gone = grid.splice(from, n);
+    if (feed && from === 0 && to === rows - 1) {
+      scrolledOff.push(...gone);
+      if (scrolledOff.length > MAX_SCROLLED_OFF) scrolledOff.splice(0, scrolledOff.length - MAX_SCROLLED_OFF);
+    }
+    for (let i = 0; i < n; i++) grid.splice(to - n + 1 + i, 0, blankRow(cols, eraseStyle()));
+  }
+
+  function scrollDown(n, from = top, to = bottom) {
+    n = Math.min(n, to - from + 1);
+    grid.splice(to - n + 1, n);
+    for (let i = 0; i < n; i++) grid.splice(from, 0, blankRow(cols, eraseStyle()));
+  }
+
+  function lineFeed() {
+    if (y === bottom) scrollUp(1, top, bottom, true);
+    else if (y < rows - 1) y++;
+  }
+
+  function erase(row, from, to) {
+    const st = eraseStyle();
+    for (let c = Math.max(0, from); c <= Math.min(cols - 1, to); c++) {
+      grid[row].ch[c] = ' ';
+      grid[row].st[c] = st;
+    }
+    fixWide(grid[row]);
+  }
+
+  // erase / insert / delete can split a wide character - the half left
+  // behind becomes a blank
+  function fixWide(r) {
+    for (let c = 0; c < cols; c++) {
+      const wide = r.ch[c] !== '' && charWidth(r.ch[c].codePointAt(0)) === 2;
+      if (r.ch[c] === '' && (c === 0 || r.ch[c - 1] === '' || charWidth(r.ch[c - 1].codePointAt(0)) !== 2)) r.ch[c] = ' ';
+      else if (wide && (c + 1 >= cols || r.ch[c + 1] !== '')) r.ch[c] = ' ';
+    }
+  }
+
+  // writing over half of a wide character blanks the other half
+  function clearWide(row, c) {
+    const r = grid[row];
+    if (r.ch[c] === '' && c > 0) r.ch[c - 1] = ' ';
+    if (c + 1 < cols && r.ch[c + 1] === '') r.ch[c + 1] = ' ';
+  }
+
+  function put(char, width) {
+    if (width === 0) {
+      // combining: joins the character before the cursor
+      const c = wrapPending ? x : x - 1;
+      if (c < 0) return;
+      const lead = grid[y].ch[c] === '' && c > 0 ? c - 1 : c;
+      grid[y].ch[lead] += char;
+      return;
+    }
+    if (wrapPending || (width === 2 && x === cols - 1)) {
+      if (autowrap) {
+        if (!wrapPending) erase(y, x, x);
+        x = 0;
+        lineFeed();
+      } else if (width === 2) {
+        return;
+      }
+      wrapPending = false;
+    }
+    const st = style();
+    clearWide(y, x);
+    grid[y].ch[x] = char;
+    grid[y].st[x] = st;
+    if (width === 2) {
+      clearWide(y, x + 1);
+      grid[y].ch[x + 1] = '';
+      grid[y].st[x + 1] = st;
+    }
+    x += width;
+    if (x >= cols) {
+      x = cols - 1;
+      wrapPending = autowrap;
+    }
+  }
+
+  function print(text) {
+    for (const char of text) {
+      const cp = char.codePointAt(0);
+      if (cp >= 0x20 && cp !== 0x7f) {
+        put(char, charWidth(cp));
+        continue;
+      }
+      if (char === '\r') {
+        x = 0;
+        wrapPending = false;
+      } else if (char === '\n' || char === '\x0b' || char === '\x0c') {
+        lineFeed();
+        wrapPending = false;
+      } else if (char === '\b') {
+        x = Math.max(0, x - 1);
+        wrapPending = false;
+      } else if (char === '\t') {
+        x = Math.min(cols - 1, (Math.floor(x / TAB_WIDTH) + 1) * TAB_WIDTH);
+        wrapPending = false;
+      }
+    }
+  }
+
+  function moveTo(row, col) {
+    y = Math.max(0, Math.min(rows - 1, row));
+    x = Math.max(0, Math.min(cols - 1, col));
+    wrapPending = false;
+  }
+
+  function saveCursor() {
+    saved = { x, y, wrapPending, pen: { ...pen }, link };
+  }
+
+  function restoreCursor() {
+    if (!saved) {
+      moveTo(0, 0);
+      pen = {};
+      return;
+    }
+    ({ x, y, wrapPending, link } = saved);
+    pen = { ...saved.pen };
+  }
+
+  function eraseDisplay(mode) {
+    if (mode === 0) {
+      erase(y, x, cols - 1);
+      for (let r = y + 1; r < rows; r++) erase(r, 0, cols - 1);
+    } else if (mode === 1) {
+      for (let r = 0; r < y; r++) erase(r, 0, cols - 1);
+      erase(y, 0, x);
+    } else if (mode === 2) {
+      for (let r = 0; r < rows; r++) erase(r, 0, cols - 1);
+    }
+  }
+
+  function eraseLine(mode) {
+    if (mode === 0) erase(y, x, cols - 1);
+    else if (mode === 1) erase(y, 0, x);
+    else if (mode === 2) erase(y, 0, cols - 1);
+  }
+
+  function insertChars(n) {
+    const r = grid[y];
+    const st = eraseStyle();
+    r.ch.splice(x, 0, ...new Array(n).fill(' '));
+    r.st.splice(x, 0, ...new Array(n).fill(st));
+    r.ch.length = cols;
+    r.st.length = cols;
+    fixWide(r);
+  }
+
+  function deleteChars(n) {
+    const r = grid[y];
+    n = Math.min(n, cols - x);
+    r.ch.splice(x, n);
+    r.st.splice(x, n);
+    r.ch.push(...new Array(n).fill(' '));
+    r.st.push(...new Array(n).fill(eraseStyle()));
+    fixWide(r);
+  }
+
+  // CSI ? ... h / l
+  function privateMode(params, on) {
+    for (const mode of params.split(';')) {
+      if (mode === '7') autowrap = on;
+      else if (['6', '47', '1047', '1049'].includes(mode)) return 'unsupported';
+    }
+    return 'passthrough';
+  }
+
+  function csi(token) {
+    const { prefix, params, intermediates, final } = token;
+    if (prefix === '?') {
+      if (final === 'h' || final === 'l') return privateMode(params, final === 'h');
+      if (final === 'J') return csi({ ...token, prefix: '' }); // selective erase - same cells
+      if (final === 'K') return csi({ ...token, prefix: '' });
+      return 'passthrough';
+    }
+    if (prefix) return 'passthrough';           // \x1b[>4;2m, \x1b[<u ... - keyboard, queries
+    if (intermediates) {
+      return intermediates === '!' && final === 'p' ? 'unsupported' : 'passthrough'; // DECSTR resets the terminal
+    }
+    const n = num(params, 0, 1);
+    switch (final) {
+      case 'A': moveTo(y >= top ? Math.max(top, y - n) : y - n, x); break;
+      case 'B': case 'e': moveTo(y <= bottom ? Math.min(bottom, y + n) : y + n, x); break;
+      case 'C': case 'a': moveTo(y, x + n); break;
+      case 'D': moveTo(y, x - n); break;
+      case 'E': moveTo(y <= bottom ? Math.min(bottom, y + n) : y + n, 0); break;
+      case 'F': moveTo(y >= top ? Math.max(top, y - n) : y - n, 0); break;
+      case 'G': case '`': moveTo(y, n - 1); break;
+      case 'H': case 'f': moveTo(num(params, 0, 1) - 1, num(params, 1, 1) - 1); break;
+      case 'd': moveTo(n - 1, x); break;
+      case 'J': {
+        const mode = parseInt(params, 10) || 0;
+        if (mode === 3) return 'passthrough'; // the scrollback - the terminal's, not ours
+        eraseDisplay(mode);
+        break;
+      }
+      case 'K': eraseLine(parseInt(params, 10) || 0); break;
+      case 'X': erase(y, x, x + n - 1); wrapPending = false; break;
+      case '@': insertChars(Math.min(n, cols - x)); wrapPending = false; break;
+      case 'P': deleteChars(n); wrapPending = false; break;
+      case 'L': if (y >= top && y <= bottom) { scrollDown(n, y, bottom); x = 0; wrapPending = false; } break;
+      case 'M': if (y >= top && y <= bottom) { scrollUp(n, y, bottom); x = 0; wrapPending = false; } break;
+      case 'S': scrollUp(n); break;
+      case 'T':
+        if (params.includes(';')) return 'passthrough'; // mouse highlight tracking
+        scrollDown(n);
+        break;
+      case 'r': {
+        const t = num(params, 0, 1) - 1;
+        const b = Math.min(rows, num(params, 1, rows)) - 1;
+        if (t < b) {
+          top = t;
+          bottom = b;
+          moveTo(0, 0);
+        }
+        break;
+      }
+      case 's':
+        if (params) return 'unsupported'; // left/right margins
+        saveCursor();
+        break;
+      case 'u': restoreCursor(); break;
+      case 'h': case 'l':
+        return params.split(';').some(m => m === '4' || m === '20') ? 'unsupported' : 'passthrough';
+      case 'n': case 'c': case 't': case 'i': case 'q': case 'x':
+        return 'passthrough';
+      default:
+        return 'unsupported';
+    }
+    return 'screen';
+  }
+
+  function esc(raw) {
+    switch (raw.slice(1)) {
+      case '7': saveCursor(); return 'screen';
+      case '8': restoreCursor(); return 'screen';
+      case 'D': lineFeed(); return 'screen';
+      case 'E': x = 0; lineFeed(); wrapPending = false; return 'screen';
+      case 'M':
+        if (y === top) scrollDown(1);
+        else if (y > 0) y--;
+        wrapPending = false;
+        return 'screen';
+      case 'c': return 'unsupported';
+      case '(0': case ')0': return 'unsupported'; // DEC line drawing remaps what's printed
+      default: return 'passthrough';
+    }
+  }
+
+  function osc(token) {
+    const match = token.data.match(/^8;([^;]*);(.*)$/s);
+    if (!match) return 'passthrough';
+    link = match[2] ? `${match[1]};${match[2]}` : ''; // params;url, as OSC 8 takes them
+    return 'screen';
+  }
+
+  function apply(token) {
+    switch (token.type) {
+      case 'text': print(token.raw); return 'screen';
+      case 'sgr': applySgr(pen, parseSgr(token.params)); return 'screen';
+      case 'csi': return csi(token);
+      case 'esc': return esc(token.raw);
+      case 'osc': return osc(token);
+      default: return 'passthrough';
+    }
+  }
+
+  return {
+    apply,
+    resize,
+    reset,
+    size: () => ({ cols, rows }),
+    row: (r) => grid[r],
+    rows: () => grid,
+    cursor: () => ({ x, y }),
+    pen: () => penSgr(pen),
+    region: () => ({ top, bottom }),
+    takeScrolledOff() {
+      const lines = scrolledOff;
+      scrolledOff = [];
+      return lines;
+    },
+  };
+}
+
+module.exports = {
+  charWidth,
+  blankRow,
+  copyRow,
+  createVirtualScreen,
+};
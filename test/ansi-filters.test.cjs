@@ -0,0 +1,318 @@
+'use strict';
+
+/**
+ * regression tests for the ANSI color filters - runs offline via `npm test`
+ *
+ *   - golden outputs: every fixture in test/fixtures/ink/ run through each
+ *     filter behavior the terminal profiles pick from (default, nuclear,
+ *     remap), compared against test/golden/<behavior>/<fixture>.json. The
+ *     captured-* fixtures are real Claude Code output recorded in a PTY, the
+ *     rest are written by hand to hit one case each
+ *   - every built-in profile (terminals/*.json) filters like one of those
+ *   - invariants: no background codes and no malformed escapes, for both
+ *     the wrapper (lib/strip-colors.cjs) and the library (index.cjs)
+ *   - fuzz: random SGR parameter lists through both filters, and a check
+ *     that the wrapper never adds, drops or invents a foreground color
+ *   - remap mode: only safe 16-color backgrounds come out, and a diff's
+ *     added/removed lines stay different
+ *
+ * regenerate goldens after an intentional filter change:
+ *   UPDATE_GOLDEN=1 npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  stripColors,
+  remapColors,
+  createColorStripper,
+  REMAP_STYLES,
+  DEFAULT_KEEP_SGR,
+  NUCLEAR_KEEP_SGR,
+} = require('../lib/strip-colors.cjs');
+const { resolveProfile, listProfiles } = require('../lib/terminal-profiles.cjs');
+const library = require('../index.cjs');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'ink');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+// the distinct filters a terminal profile can end up with - goldens are
+// kept per behavior, not per profile, since most profiles share one
+const BEHAVIORS = {
+  default: { mode: 'strip', keepSgr: DEFAULT_KEEP_SGR },
+  nuclear: { mode: 'strip', keepSgr: NUCLEAR_KEEP_SGR },
+  remap: { mode: 'remap', keepSgr: DEFAULT_KEEP_SGR },
+};
+
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(f => f.endsWith('.json'))
+  .sort()
+  .map(f => ({ name: f.slice(0, -5), ...JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, f), 'utf8')) }));
+
+// built-in profile by name, ignoring whatever is in the real ~/.config
+function builtinProfile(name) {
+  return resolveProfile({ env: { CLAUDEFIX_TERMINAL: name }, userDir: path.join(__dirname, 'no-such-dir') });
+}
+
+// what the wrapper's color filter writes for a run of flushed chunks with one behavior
+function runWrapper(chunks, behavior) {
+  const stream = createColorStripper(BEHAVIORS[behavior]);
+  return chunks.map(c => stream.write(c)).join('') + stream.flush();
+}
+
+// the library sees whole Ink writes, not PTY reads
+function runLibrary(chunks) {
+  return library.stripColors(chunks.join(''));
+}
+
+// every ESC must start a complete CSI, OSC, or two-char escape
+function findMalformed(str) {
+  const re = /\x1b(?:\[[0-?]*[ -/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[ -Z\\-~])/y;
+  for (let i = str.indexOf('\x1b'); i !== -1; i = str.indexOf('\x1b', i + 1)) {
+    re.lastIndex = i;
+    if (!re.test(str)) return JSON.stringify(str.slice(i, i + 16));
+    i = re.lastIndex - 1;
+  }
+  return null;
+}
+
+// SGR codes that set a background, walking past 38/48 extended colors
+// (colon forms like 48:2::R:G:B count by their first sub-param)
+function backgroundCodes(str) {
+  const found = [];
+  for (const [, params] of str.matchAll(/\x1b\[([0-9;:]*)m/g)) {
+    const codes = params.split(';').map(p => parseInt(p, 10));
+    for (let i = 0; i < codes.length; i++) {
+      const c = codes[i];
+      if (c === 38) { i += codes[i + 1] === 5 ? 2 : codes[i + 1] === 2 ? 4 : 0; continue; }
+      if (c === 48 || (c >= 40 && c <= 49) || (c >= 100 && c <= 107)) found.push(c);
+    }
+  }
+  return found;
+}
+
+// foreground colors an SGR sequence sets, in order, with 38/48 extended
+// colors consumed properly so their R;G;B / index values aren't misread
+function foregrounds(sgr) {
+  const m = sgr.match(/^\x1b\[([0-9;]*)m$/);
+  if (!m) return [];
+  const codes = m[1].split(';').map(Number);
+  const fg = [];
+  for (let i = 0; i < codes.length; i++) {
+    const c = codes[i];
+    if (c === 38 || c === 48) {
+      const len = codes[i + 1] === 5 ? 2 : codes[i + 1] === 2 ? 4 : 0;
+      if (c === 38 && len && i + len < codes.length) fg.push(codes.slice(i, i + len + 1).join(';'));
+      i += len;
+    } else if ((c >= 30 && c <= 37) || c === 39 || (c >= 90 && c <= 97)) {
+      fg.push(String(c));
+    }
+  }
+  return fg;
+}
+
+// visible text with every escape removed - filters must never eat text
+function plainText(str) {
+  return str.replace(/\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[ -~]/g, '');
+}
+
+// small seeded PRNG so fuzz failures are reproducible
+function mulberry32(seed) {
+  return function () {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSgr(rand) {
+  const pick = (arr) => arr[Math.floor(rand() * arr.length)];
+  const byte = () => String(Math.floor(rand() * 256));
+  const params = [];
+  const n = Math.floor(rand() * 6);
+  for (let i = 0; i < n; i++) {
+    switch (Math.floor(rand() * 8)) {
+      case 0: params.push('38', '5', byte()); break;
+      case 1: params.push('48', '5', byte()); break;
+      case 2: params.push('38', '2', byte(), byte(), byte()); break;
+      case 3: params.push('48', '2', byte(), byte(), byte()); break;
+      case 4: params.push(''); break;
+      case 5: params.push(String(Math.floor(rand() * 110))); break;
+      default: params.push(pick(['0', '1', '2', '3', '4', '7', '8', '9', '22', '27', '39', '41', '49', '97', '104'])); break;
+    }
+  }
+  return `\x1b[${params.join(';')}m`;
+}
+
+function fuzzCases(seed, count) {
+  const rand = mulberry32(seed);
+  const cases = [];
+  for (let i = 0; i < count; i++) cases.push(`a${randomSgr(rand)}b${randomSgr(rand)}c`);
+  return cases;
+}
+
+test('golden outputs per filter behavior', async (t) => {
+  for (const behavior of Object.keys(BEHAVIORS)) {
+    for (const fixture of fixtures) {
+      await t.test(`${behavior} / ${fixture.name}`, () => {
+        const actual = runWrapper(fixture.chunks, behavior);
+        const goldenFile = path.join(GOLDEN_DIR, behavior, fixture.name + '.json');
+        if (UPDATE) {
+          fs.mkdirSync(path.dirname(goldenFile), { recursive: true });
+          fs.writeFileSync(goldenFile, JSON.stringify(actual) + '\n');
+          return;
+        }
+        assert.ok(fs.existsSync(goldenFile), `missing golden ${goldenFile} - run UPDATE_GOLDEN=1 npm test`);
+        assert.strictEqual(actual, JSON.parse(fs.readFileSync(goldenFile, 'utf8')));
+      });
+    }
+  }
+});
+
+test('every built-in profile filters like a golden behavior, or not at all', () => {
+  for (const name of listProfiles({ userDir: path.join(__dirname, 'no-such-dir') })) {
+    const profile = builtinProfile(name);
+    const keepSgr = profile.keepSgr || DEFAULT_KEEP_SGR;
+    const match = profile.colors === 'off'
+      ? 'off'
+      : Object.keys(BEHAVIORS).find(b => BEHAVIORS[b].mode === profile.colors && BEHAVIORS[b].keepSgr.join() === keepSgr.join());
+    assert.ok(match, `${name} has no golden behavior`);
+  }
+  const fixture = fixtures.find(f => f.name === 'captured-startup-logo');
+  const off = createColorStripper({ mode: 'off' });
+  assert.strictEqual(fixture.chunks.map(c => off.write(c)).join('') + off.flush(), fixture.chunks.join(''));
+});
+
+test('wrapper filter invariants on fixtures', async (t) => {
+  for (const fixture of fixtures) {
+    await t.test(fixture.name, () => {
+      const out = runWrapper(fixture.chunks, 'nuclear');
+      assert.strictEqual(findMalformed(out), null);
+      assert.deepStrictEqual(backgroundCodes(out), []);
+      assert.strictEqual(plainText(out), plainText(fixture.chunks.join('')));
+    });
+  }
+});
+
+test('wrapper filter fuzz: random SGR parameter lists', () => {
+  for (const input of fuzzCases(0xC1A0DE, 3000)) {
+    const out = stripColors(input);
+    assert.strictEqual(findMalformed(out), null, `malformed output for ${JSON.stringify(input)}`);
+    assert.deepStrictEqual(backgroundCodes(out), [], `background left in ${JSON.stringify(out)}`);
+    assert.strictEqual(plainText(out), 'abc', `text changed for ${JSON.stringify(input)}`);
+  }
+});
+
+test('wrapper filter fuzz: foreground colors survive untouched', () => {
+  const rand = mulberry32(0x5EED);
+  for (let i = 0; i < 3000; i++) {
+    const sgr = randomSgr(rand);
+    const out = stripColors(sgr);
+    assert.deepStrictEqual(foregrounds(out), foregrounds(sgr), `fg changed: ${JSON.stringify(sgr)} -> ${JSON.stringify(out)}`);
+  }
+});
+
+test('wrapper filter leaves non-SGR sequences alone', () => {
+  const fixture = fixtures.find(f => f.name === 'non-sgr-passthrough');
+  assert.strictEqual(runWrapper(fixture.chunks, 'nuclear'), fixture.chunks.join(''));
+});
+
+test('library filter invariants on fixtures', async (t) => {
+  for (const fixture of fixtures) {
+    await t.test(fixture.name, () => {
+      const out = runLibrary(fixture.chunks);
+      assert.strictEqual(findMalformed(out), null);
+      assert.deepStrictEqual(backgroundCodes(out), []);
+      assert.strictEqual(plainText(out), plainText(fixture.chunks.join('')));
+    });
+  }
+});
+
+test('library filter fuzz: random SGR parameter lists', () => {
+  for (const input of fuzzCases(0xC1A0DE, 3000)) {
+    const out = library.stripColors(input);
+    assert.strictEqual(findMalformed(out), null, `malformed output for ${JSON.stringify(input)}`);
+    assert.deepStrictEqual(backgroundCodes(out), [], `background left in ${JSON.stringify(out)}`);
+  }
+});
+
+test('library and wrapper agree on compound sequences', () => {
+  const fixture = fixtures.find(f => f.name === 'compound-sgr');
+  assert.strictEqual(runLibrary(fixture.chunks), runWrapper(fixture.chunks, 'default'));
+});
+
+test('wrapper filter carries escapes split across chunks', () => {
+  const fixture = fixtures.find(f => f.name === 'split-escapes');
+  const whole = stripColors(fixture.chunks.join(''));
+  assert.strictEqual(runWrapper(fixture.chunks, 'default'), whole);
+  assert.deepStrictEqual(backgroundCodes(whole), []);
+});
+
+test('library hook keeps Buffers intact and in order, lets a held escape out', () => {
+  const { execFileSync } = require('child_process');
+  const out = execFileSync(process.execPath, ['-e', [
+    `const library = require(${JSON.stringify(path.join(__dirname, '..', 'index.cjs'))});`,
+    'library.install();',
+    "process.stdout.write('a\\x1b[4');",
+    "process.stdout.write(Buffer.from([0xc3]));",
+    "process.stdout.write(Buffer.from([0xa9]));",
+    "process.stdout.write('b\\x1b[48;5;2');",
+    'setTimeout(() => process.exit(0), 300);',
+  ].join('\n')], { env: { ...process.env, TERM: 'xterm-256color', CLAUDE_TERMINAL_FIX_DISABLED: '' } });
+  assert.strictEqual(out.toString('latin1'), 'a\x1b[4\xc3\xa9b\x1b[48;5;2');
+});
+
+// backgrounds remap is allowed to emit
+const SAFE_BACKGROUNDS = [41, 42, 43, 44, 45, 46, 49, 101, 102, 103, 104, 105, 106];
+
+test('remap filter invariants on fixtures', async (t) => {
+  for (const style of REMAP_STYLES) {
+    for (const fixture of fixtures) {
+      await t.test(`${style} / ${fixture.name}`, () => {
+        const stream = createColorStripper({ mode: 'remap', remapStyle: style });
+        const out = fixture.chunks.map(c => stream.write(c)).join('') + stream.flush();
+        assert.strictEqual(findMalformed(out), null);
+        assert.deepStrictEqual(backgroundCodes(out).filter(c => !SAFE_BACKGROUNDS.includes(c)), []);
+        if (style !== 'palette') assert.deepStrictEqual(backgroundCodes(out), []);
+        assert.strictEqual(plainText(out), plainText(fixture.chunks.join('')));
+      });
+    }
+  }
+});
+
+test('remap filter fuzz: random SGR parameter lists', () => {
+  for (const style of REMAP_STYLES) {
+    for (const input of fuzzCases(0xC1A0DE, 1000)) {
+      const out = remapColors(input, style);
+      assert.strictEqual(findMalformed(out), null, `malformed output for ${JSON.stringify(input)}`);
+      assert.deepStrictEqual(backgroundCodes(out).filter(c => !SAFE_BACKGROUNDS.includes(c)), [], `unsafe background in ${JSON.stringify(out)}`);
+      assert.strictEqual(plainText(out), 'abc', `text changed for ${JSON.stringify(input)}`);
+    }
+  }
+});
+
+test('remap keeps added and removed diff lines apart', () => {
+  const fixture = fixtures.find(f => f.name === 'diff-view');
+  const lines = remapColors(fixture.chunks.join('')).split('\r\n');
+  const removed = backgroundCodes(lines.find(l => l.includes('const x = 1')));
+  const added = backgroundCodes(lines.find(l => l.includes('const x = 2')));
+  assert.deepStrictEqual(removed, [41, 49]);
+  assert.deepStrictEqual(added, [42, 49]);
+});
+
+test('remap drops greys and undoes what it turned on', () => {
+  assert.strictEqual(remapColors('\x1b[48;5;236mcode\x1b[49m'), 'code');
+  assert.strictEqual(remapColors('\x1b[48;5;22ma\x1b[48;5;236mb'), '\x1b[42ma\x1b[49mb');
+  assert.strictEqual(remapColors('\x1b[48;5;22mX\x1b[49mY', 'underline'), '\x1b[4mX\x1b[24mY');
+  assert.strictEqual(remapColors('\x1b[48;5;22mX\x1b[0mY', 'tint'), '\x1b[32mX\x1b[0mY');
+  // the app's own foreground wins over the tint, and the tint comes back after 39
+  assert.strictEqual(remapColors('\x1b[31;48;2;0;80;0mA\x1b[39mB', 'tint'), '\x1b[31mA\x1b[39;32mB');
+  assert.strictEqual(remapColors('\x1b[7msel\x1b[27m'), '\x1b[4msel\x1b[24m');
+  // inverse ending mustn't turn off an underline the app set itself
+  assert.strictEqual(remapColors('\x1b[4m\x1b[7msel\x1b[27mu\x1b[24m'), '\x1b[4mselu\x1b[24m');
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * tests for lib/ansi-tokenizer.cjs - token boundaries, chunk splitting, SGR
+ * attribute parsing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  createTokenizer,
+  createAnsiStream,
+  transformString,
+  parseSgr,
+  formatSgr,
+} = require('../lib/ansi-tokenizer.cjs');
+
+const SAMPLE = [
+  'plain \x1b[1;38;5;196;48;5;236mbold\x1b[m\r\n',
+  '\x1b[38:2::255:0:0mcolon\x1b[39m',
+  '\x1b[?2004h\x1b[>4;2m\x1b[12;1H\x1b[K',
+  '\x1b]0;title\x07\x1b]8;;https://x.test/m\x1b\\link\x1b]8;;\x1b\\',
+  '\x1bPtmux;\x1b\x1b[31mred\x1b\x1b[0m\x1b\\',
+  '\x1b_Ga=q\x1b\\\x1b7\x1b(B\x1b8 done',
+].join('');
+
+function types(str) {
+  const tokenizer = createTokenizer();
+  return [...tokenizer.push(str), ...tokenizer.flush()].map(t => t.type);
+}
+
+test('tokens cover the input exactly', () => {
+  const tokenizer = createTokenizer();
+  const tokens = tokenizer.push(SAMPLE);
+  assert.strictEqual(tokenizer.pending(), false);
+  assert.strictEqual(tokens.map(t => t.raw).join(''), SAMPLE);
+});
+
+test('classifies each kind of sequence', () => {
+  assert.deepStrictEqual(types('a\x1b[1mb'), ['text', 'sgr', 'text']);
+  assert.deepStrictEqual(types('\x1b[?25l\x1b[>4;2m'), ['csi', 'csi']);
+  assert.deepStrictEqual(types('\x1b]0;t\x07\x1b]0;t\x1b\\'), ['osc', 'osc']);
+  assert.deepStrictEqual(types('\x1bPtmux;\x1b\x1b[31m\x1b\\'), ['dcs']);
+  assert.deepStrictEqual(types('\x1b_Gx\x1b\\\x1b^pm\x1b\\'), ['string', 'string']);
+  assert.deepStrictEqual(types('\x1b7\x1b(B\x1b8'), ['esc', 'esc', 'esc']);
+});
+
+test('CSI fields are split out', () => {
+  const [csi] = createTokenizer().push('\x1b[?1049h');
+  assert.deepStrictEqual(
+    { prefix: csi.prefix, params: csi.params, intermediates: csi.intermediates, final: csi.final },
+    { prefix: '?', params: '1049', intermediates: '', final: 'h' }
+  );
+  const [cursor] = createTokenizer().push('\x1b[2 q');
+  assert.strictEqual(cursor.intermediates, ' ');
+  assert.strictEqual(cursor.final, 'q');
+});
+
+test('splitting the input at any offset gives the same tokens', () => {
+  const escapes = (tokens) => tokens.filter(t => t.type !== 'text').map(t => t.raw);
+  const whole = escapes(createTokenizer().push(SAMPLE));
+  for (let i = 1; i < SAMPLE.length; i++) {
+    const tokenizer = createTokenizer();
+    const tokens = [...tokenizer.push(SAMPLE.slice(0, i)), ...tokenizer.push(SAMPLE.slice(i))];
+    // text may be split in two where the cut landed, escapes never are
+    assert.deepStrictEqual(escapes(tokens), whole, `split at ${i}`);
+    assert.strictEqual(tokens.map(t => t.raw).join(''), SAMPLE, `split at ${i}`);
+  }
+});
+
+test('a partial sequence is held until flushed', () => {
+  const tokenizer = createTokenizer();
+  assert.deepStrictEqual(tokenizer.push('hi\x1b[38;5').map(t => t.raw), ['hi']);
+  assert.strictEqual(tokenizer.pending(), true);
+  assert.deepStrictEqual(tokenizer.flush(), [{ type: 'unknown', raw: '\x1b[38;5' }]);
+  assert.strictEqual(tokenizer.pending(), false);
+});
+
+test('an unterminated string gives up past the pending limit', () => {
+  const tokenizer = createTokenizer();
+  const tokens = tokenizer.push('\x1b]52;c;' + 'A'.repeat(70 * 1024));
+  assert.strictEqual(tokens.length, 1);
+  assert.strictEqual(tokens[0].type, 'unknown');
+  assert.strictEqual(tokenizer.pending(), false);
+});
+
+test('malformed escapes pass through untouched', () => {
+  for (const input of ['\x1b[12\x07x', '\x1b\x1b[1m', '\x1b]0;t\x1b[1m']) {
+    assert.strictEqual(transformString(input), input);
+  }
+});
+
+test('transforms can rewrite, drop and expand tokens', () => {
+  const stream = createAnsiStream([
+    (t) => (t.type === 'sgr' ? null : t),
+    (t) => (t.type === 'text' ? [t, { type: 'text', raw: '!' }] : t),
+  ]);
+  assert.strictEqual(stream.write('a\x1b[31mb\x1b[3'), 'a!b!');
+  assert.strictEqual(stream.write('9m'), '');
+  assert.strictEqual(stream.flush(), '');
+});
+
+test('parseSgr groups extended colors and keeps colon forms', () => {
+  assert.deepStrictEqual(parseSgr('1;38;5;196;48;2;1;2;3'), [['1'], ['38', '5', '196'], ['48', '2', '1', '2', '3']]);
+  assert.deepStrictEqual(parseSgr(''), [['0']]);
+  assert.deepStrictEqual(parseSgr(';1'), [['0'], ['1']]);
+  const colon = parseSgr('38:2::255:0:0;4:3');
+  assert.deepStrictEqual(colon.map(a => [...a]), [['38', '2', '', '255', '0', '0'], ['4', '3']]);
+  assert.strictEqual(formatSgr(colon), '\x1b[38:2::255:0:0;4:3m');
+});
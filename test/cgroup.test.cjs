@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * tests for lib/cgroup.cjs - percentages into concrete limits, the
+ * systemd-run properties they become, spotting systemd-run without it, and
+ * a delegated cgroup made in a plain directory standing in for cgroupfs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const {
+  computeLimits,
+  systemdRunArgs,
+  createDelegatedCgroup,
+  systemdRunLooksUsable,
+  detectCgroupStrategy,
+} = require('../lib/cgroup.cjs');
+
+function tmpdir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-cgroup-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function withCgroupDir(t, dir) {
+  const saved = process.env.CLAUDEFIX_CGROUP_DIR;
+  t.after(() => {
+    if (saved === undefined) delete process.env.CLAUDEFIX_CGROUP_DIR;
+    else process.env.CLAUDEFIX_CGROUP_DIR = saved;
+  });
+  process.env.CLAUDEFIX_CGROUP_DIR = dir;
+}
+
+test('memory limits come from the memory percent of RAM, not the heap', (t) => {
+  t.mock.method(os, 'totalmem', () => 16000 * 1024 * 1024);
+  const limits = computeLimits({ cpuPercent: 0, memPercent: 25 });
+  assert.deepStrictEqual(limits, { memoryMaxMB: 4000, memoryHighMB: 3600 });
+  assert.strictEqual(computeLimits({ cpuPercent: 0, memPercent: 100 }).memoryMaxMB, 16000);
+});
+
+test('no percent, no limit', () => {
+  assert.deepStrictEqual(computeLimits({ cpuPercent: 0, memPercent: 0 }), {});
+});
+
+test('cpu percent is a share of all cores', (t) => {
+  t.mock.method(os, 'cpus', () => new Array(4).fill({}));
+  const limits = computeLimits({ cpuPercent: 50, memPercent: 0 });
+  assert.deepStrictEqual(limits, { cpuQuotaPercent: 200, cpuMax: '200000 100000' });
+
+  const args = systemdRunArgs({ ...limits, memoryHighMB: 900, memoryMaxMB: 1000 });
+  assert.deepStrictEqual(args.slice(5), ['-p', 'CPUQuota=200%', '-p', 'MemoryHigh=900M', '-p', 'MemoryMax=1000M', '--']);
+});
+
+test('systemd-run counts as usable with the binary on PATH and a user bus, nothing is started', { skip: process.platform !== 'linux' }, async (t) => {
+  const dir = tmpdir(t);
+  const bin = path.join(dir, 'bin');
+  const runtime = path.join(dir, 'run');
+  fs.mkdirSync(bin);
+  fs.mkdirSync(runtime);
+  const ran = path.join(dir, 'ran');
+  fs.writeFileSync(path.join(bin, 'systemd-run'), `#!/bin/sh\ntouch ${ran}\n`, { mode: 0o755 });
+
+  const env = { PATH: bin, XDG_RUNTIME_DIR: runtime };
+  assert.strictEqual(systemdRunLooksUsable(env), false); // no bus yet
+
+  const bus = net.createServer();
+  await new Promise(resolve => bus.listen(path.join(runtime, 'bus'), resolve));
+  t.after(() => bus.close());
+  assert.strictEqual(systemdRunLooksUsable(env), true);
+  assert.strictEqual(systemdRunLooksUsable({ PATH: runtime, XDG_RUNTIME_DIR: runtime }), false);
+  assert.strictEqual(systemdRunLooksUsable({ PATH: bin, DBUS_SESSION_BUS_ADDRESS: `unix:path=${path.join(runtime, 'bus')},guid=1` }), true);
+  assert.ok(!fs.existsSync(ran));
+});
+
+test('CLAUDEFIX_CGROUP_DIR picks the delegated strategy when the dir is writable', { skip: process.platform === 'win32' }, (t) => {
+  const dir = tmpdir(t);
+  withCgroupDir(t, dir);
+  const found = detectCgroupStrategy({ probe: false });
+  assert.strictEqual(found.strategy, 'delegated');
+  assert.strictEqual(found.dir, dir);
+
+  withCgroupDir(t, path.join(dir, 'missing'));
+  assert.strictEqual(detectCgroupStrategy({ probe: false }).strategy, null);
+
+  if (process.getuid && process.getuid() !== 0) {
+    fs.chmodSync(dir, 0o500);
+    t.after(() => fs.chmodSync(dir, 0o700));
+    withCgroupDir(t, dir);
+    assert.strictEqual(detectCgroupStrategy({ probe: false }).strategy, null);
+  }
+});
+
+test('a delegated cgroup enables the controllers it needs, writes the limits and takes the pid', { skip: process.platform === 'win32' }, (t) => {
+  const parent = tmpdir(t);
+  fs.writeFileSync(path.join(parent, 'cgroup.subtree_control'), 'cpu io\n');
+  const group = createDelegatedCgroup(parent, { cpuMax: '50000 100000', memoryHighMB: 90, memoryMaxMB: 100 });
+
+  assert.strictEqual(group.dir, path.join(parent, `claudefix-${process.pid}`));
+  // cpu was on already, only memory is added
+  assert.strictEqual(fs.readFileSync(path.join(parent, 'cgroup.subtree_control'), 'utf8'), '+memory');
+  const read = (name) => fs.readFileSync(path.join(group.dir, name), 'utf8');
+  assert.strictEqual(read('cpu.max'), '50000 100000');
+  assert.strictEqual(read('memory.high'), String(90 * 1024 * 1024));
+  assert.strictEqual(read('memory.max'), String(100 * 1024 * 1024));
+
+  group.enter(4242);
+  assert.strictEqual(read('cgroup.procs'), '4242');
+  group.remove(); // a real cgroup dir goes once empty, a plain one just stays
+  assert.ok(fs.existsSync(group.dir));
+});
+
+test('a CPU-only delegated cgroup leaves memory alone', { skip: process.platform === 'win32' }, (t) => {
+  const parent = tmpdir(t);
+  fs.writeFileSync(path.join(parent, 'cgroup.subtree_control'), '');
+  const group = createDelegatedCgroup(parent, { cpuMax: '25000 100000' });
+  assert.strictEqual(fs.readFileSync(path.join(parent, 'cgroup.subtree_control'), 'utf8'), '+cpu');
+  assert.deepStrictEqual(fs.readdirSync(group.dir), ['cpu.max']);
+});
+
+test('no cgroup.subtree_control, no delegated cgroup', { skip: process.platform === 'win32' }, (t) => {
+  assert.throws(() => createDelegatedCgroup(tmpdir(t), { cpuMax: '25000 100000' }), { code: 'ENOENT' });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * tests for lib/claude-args.cjs - resume args and non-interactive detection
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { nonInteractiveFlag, pinSessionId, buildResumeArgs } = require('../lib/claude-args.cjs');
+
+test('print and machine output formats are non-interactive', () => {
+  assert.strictEqual(nonInteractiveFlag(['-p', 'summarize this']), '-p');
+  assert.strictEqual(nonInteractiveFlag(['--model', 'opus', '--print', 'hi']), '--print');
+  assert.strictEqual(nonInteractiveFlag(['--output-format', 'stream-json', 'hi']), '--output-format stream-json');
+  assert.strictEqual(nonInteractiveFlag(['--output-format=json']), '--output-format=json');
+});
+
+test('a normal session, or -p as text, is interactive', () => {
+  assert.strictEqual(nonInteractiveFlag([]), null);
+  assert.strictEqual(nonInteractiveFlag(['--continue', 'fix the tests']), null);
+  assert.strictEqual(nonInteractiveFlag(['--output-format', 'text']), null);
+  assert.strictEqual(nonInteractiveFlag(['--append-system-prompt', '-p']), null);
+  assert.strictEqual(nonInteractiveFlag(['--', '-p']), null);
+});
+
+test('resume args keep session flags and drop the prompt', () => {
+  assert.deepStrictEqual(buildResumeArgs(['--model', 'opus', '-c', 'do the thing']), ['--model', 'opus', '--continue']);
+  assert.deepStrictEqual(buildResumeArgs(['--resume', 'abc', '--verbose']), ['--verbose', '--resume', 'abc']);
+});
+
+test('a --session-id is resumed by id, never alongside --continue', () => {
+  assert.deepStrictEqual(buildResumeArgs(['--session-id', 'abc', '--verbose', 'hi']), ['--verbose', '--resume', 'abc']);
+  assert.deepStrictEqual(buildResumeArgs(['--session-id=abc']), ['--resume', 'abc']);
+  assert.deepStrictEqual(buildResumeArgs(['--model', 'opus']), ['--model', 'opus', '--continue']);
+});
+
+test('a session id is pinned only when nothing else picks the conversation', () => {
+  assert.deepStrictEqual(pinSessionId(['--model', 'opus', 'hi'], 'id1'), ['--session-id', 'id1', '--model', 'opus', 'hi']);
+  assert.deepStrictEqual(buildResumeArgs(pinSessionId(['hi'], 'id1')), ['--resume', 'id1']);
+  for (const args of [['-c'], ['--resume', 'x'], ['-r'], ['--resume=x'], ['--session-id', 'x'], ['--session-id=x']]) {
+    assert.strictEqual(pinSessionId(args, 'id1'), args);
+  }
+  assert.deepStrictEqual(pinSessionId(['--', '-c'], 'id1'), ['--session-id', 'id1', '--', '-c']);
+});
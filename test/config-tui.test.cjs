@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * tests for lib/config-tui.cjs - key handling, preview pipeline, layout
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { defaults } = require('../lib/config.cjs');
+const { renderPreview, fitLine, editableConfig, createTuiState, handleKey, render } = require('../lib/config-tui.cjs');
+
+const PROFILE = { name: 'xterm', colors: 'strip' };
+
+// printable text of a rendered line
+const visible = s => s.replace(/\x1b\[[0-9;?:]*[A-Za-z]/g, '');
+
+function state(values = {}, overrides = {}) {
+  return createTuiState({ values: { ...defaults(), ...values }, overrides, profile: PROFILE });
+}
+
+function press(s, ...keys) {
+  let action = null;
+  for (const key of keys) action = handleKey(s, typeof key === 'string' ? { name: key } : key);
+  return action;
+}
+
+test('arrows move and change the selected setting', () => {
+  const s = state();
+  assert.strictEqual(s.items[0], 'footer');
+  press(s, 'right');
+  assert.strictEqual(s.values.footer, false);
+
+  press(s, 'down', 'down'); // memPercent - percents step by 5 and stay in range
+  assert.strictEqual(s.items[s.index], 'memPercent');
+  press(s, 'right');
+  assert.strictEqual(s.values.memPercent, 40);
+  for (let i = 0; i < 30; i++) press(s, 'right');
+  assert.strictEqual(s.values.memPercent, 100);
+
+  s.index = s.items.indexOf('colorStripping');
+  press(s, 'right');
+  assert.strictEqual(s.values.colorStripping, false);
+  press(s, 'right');
+  assert.strictEqual(s.values.colorStripping, 'remap');
+
+  assert.ok(!s.items.includes('firstRun'));
+});
+
+test('enter edits numbers inline and rejects bad values', () => {
+  const s = state();
+  s.index = s.items.indexOf('cpuPercent');
+  press(s, 'return', 'backspace', { ch: '1' }, { ch: 'x' }, { ch: '5' }, { ch: '0' });
+  assert.strictEqual(s.editing, '150');
+  press(s, 'return');
+  assert.match(s.message, /cpuPercent must be an integer from 0 to 100/);
+  assert.strictEqual(s.values.cpuPercent, 0);
+  press(s, 'backspace', 'return');
+  assert.strictEqual(s.editing, null);
+  assert.strictEqual(s.values.cpuPercent, 15);
+});
+
+test('save, cancel, and reset to defaults', () => {
+  const s = state({ memPercent: 50, footer: false });
+  assert.strictEqual(press(s, 'd'), null);
+  assert.strictEqual(s.values.memPercent, 35);
+  assert.strictEqual(s.values.footer, true);
+  // unsaved changes - the first q only asks
+  assert.strictEqual(press(s, 'q'), null);
+  assert.match(s.message, /q again/);
+  assert.strictEqual(press(s, 'q'), 'cancel');
+  assert.strictEqual(press(s, 's'), 'save');
+  assert.strictEqual(press(state(), 'q'), 'cancel');
+  assert.strictEqual(press(state({ footer: false }), { name: 'c', ctrl: true }), 'cancel');
+});
+
+test('the preview runs through the real color pipeline', () => {
+  const diffLine = lines => lines.find(l => visible(l).includes('drawFooter(rows);'));
+  assert.match(diffLine(renderPreview({ ...defaults(), colorStripping: false }, PROFILE)), /\x1b\[48;2;94;29;29m/);
+  const stripped = diffLine(renderPreview(defaults(), PROFILE));
+  assert.doesNotMatch(stripped, /\x1b\[48;/);
+  assert.match(stripped, /38;2;255;220;220m/); // foreground kept
+  const remapped = diffLine(renderPreview({ ...defaults(), colorStripping: 'remap' }, PROFILE));
+  assert.doesNotMatch(remapped, /48;2;94;29;29/);
+  assert.match(remapped, /\x1b\[41m/);
+  // a dark backdrop comes back after every background reset
+  const dark = diffLine(renderPreview({ ...defaults(), darkMode: true, colorStripping: false }, PROFILE));
+  assert.match(dark, /49;48;2;26;26;26m/);
+});
+
+test('every rendered line fits the terminal', () => {
+  const s = state({}, { memPercent: 'env CLAUDEFIX_MEM_PERCENT' });
+  for (const size of [{ cols: 120, rows: 30 }, { cols: 60, rows: 20 }, { cols: 80, rows: 50 }]) {
+    const lines = render(s, size).split('\r\n');
+    assert.ok(lines.length <= size.rows, `${lines.length} rows at ${size.cols}x${size.rows}`);
+    for (const line of lines) assert.ok([...visible(line)].length <= size.cols - 1, visible(line));
+  }
+  s.index = s.items.indexOf('memPercent');
+  assert.match(visible(render(s, { cols: 120, rows: 30 })), /overridden here by env CLAUDEFIX_MEM_PERCENT/);
+  assert.strictEqual(visible(fitLine('\x1b[1mabcdef\x1b[0m', 3)), 'abc');
+});
+
+test('editableConfig edits the user layer and notes project/env overrides', () => {
+  const loaded = {
+    layers: [
+      { layer: 'system', values: { cpuPercent: 10 } },
+      { layer: 'user', values: { memPercent: 30 } },
+      { layer: 'project', file: '/repo/.claudefix.json', values: { memPercent: 60 } },
+      { layer: 'env', values: { footer: false } },
+    ],
+    sources: { memPercent: '/repo/.claudefix.json', footer: 'env CLAUDEFIX_NO_FOOTER' },
+  };
+  const { values, overrides } = editableConfig(loaded);
+  assert.strictEqual(values.memPercent, 30);
+  assert.strictEqual(values.cpuPercent, 10);
+  assert.strictEqual(values.footer, true);
+  assert.deepStrictEqual(overrides, { memPercent: '/repo/.claudefix.json', footer: 'env CLAUDEFIX_NO_FOOTER' });
+});
@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * tests for lib/config.cjs - layer order, validation, env mapping, writes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SCHEMA, PROJECT_KEYS, defaults, loadConfig, findProjectConfig, parseValue, writeUserConfig, updateUserConfig } = require('../lib/config.cjs');
+
+// a throwaway machine: /etc file, home dir and project dir, each optional
+function machine(t, { system, user, project } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-config-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const home = path.join(root, 'home');
+  const cwd = path.join(root, 'project');
+  fs.mkdirSync(home);
+  fs.mkdirSync(cwd);
+  const write = (file, content) => {
+    if (content !== undefined) fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  };
+  write(path.join(root, 'system.json'), system);
+  write(path.join(home, '.claudefix.json'), user);
+  write(path.join(cwd, '.claudefix.json'), project);
+  return {
+    home,
+    cwd,
+    load: (env = {}) => loadConfig({ env: { CLAUDEFIX_SYSTEM_CONFIG: path.join(root, 'system.json'), ...env }, home, cwd }),
+  };
+}
+
+test('every default passes its own check', () => {
+  for (const [key, value] of Object.entries(defaults())) {
+    assert.strictEqual(SCHEMA[key].check(value), null, key);
+  }
+});
+
+test('layers apply in order: defaults, system, user, project, env', (t) => {
+  const m = machine(t, {
+    system: { memPercent: 20, cpuPercent: 10, footer: false },
+    user: { memPercent: 30, cpuPercent: 15 },
+    project: { memPercent: 50 },
+  });
+  const { values, sources, errors } = m.load({ CLAUDEFIX_CPU_PERCENT: '60' });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(values.memPercent, 50);
+  assert.strictEqual(sources.memPercent, path.join(m.cwd, '.claudefix.json'));
+  assert.strictEqual(values.cpuPercent, 60);
+  assert.strictEqual(sources.cpuPercent, 'env CLAUDEFIX_CPU_PERCENT');
+  assert.strictEqual(values.footer, false);
+  assert.match(sources.footer, /system\.json$/);
+  assert.strictEqual(values.gcIntervalMs, 60000);
+  assert.strictEqual(sources.gcIntervalMs, 'default');
+});
+
+test('bad values and broken files are reported, not silently dropped', (t) => {
+  const m = machine(t, {
+    system: '{ "memPercent": 40,',
+    user: { memPercent: 400, colorStripping: 'maybe', footr: false, cpuPercent: 25 },
+  });
+  const { values, errors } = m.load({ CLAUDEFIX_MEM_PERCENT: 'lots' });
+  assert.strictEqual(values.memPercent, 35);
+  assert.strictEqual(values.colorStripping, true);
+  assert.strictEqual(values.cpuPercent, 25);
+  assert.strictEqual(errors.length, 5);
+  assert.ok(errors.some(e => e.includes('system.json: not valid JSON')));
+  assert.ok(errors.some(e => e.includes('memPercent must be an integer from 1 to 100')));
+  assert.ok(errors.some(e => e.includes('colorStripping must be one of')));
+  assert.ok(errors.some(e => e.includes('footr unknown key')));
+  assert.ok(errors.some(e => e.startsWith('CLAUDEFIX_MEM_PERCENT=lots:')));
+});
+
+test('env switches map onto their keys', (t) => {
+  const m = machine(t);
+  const { values } = m.load({
+    CLAUDEFIX_NO_FOOTER: '1',
+    CLAUDE_STRIP_BG_COLORS: 'remap',
+    CLAUDE_TERMINAL_FIX_DISABLED: '1',
+    CLAUDEFIX_NO_CGROUP: '1',
+    CLAUDEFIX_AUTO_RESTART: '1',
+    CLAUDE_REAL_BINARY: '/opt/claude/bin/claude',
+  });
+  assert.strictEqual(values.footer, false);
+  assert.strictEqual(values.colorStripping, 'remap');
+  assert.strictEqual(values.scrollbackClear, false);
+  assert.strictEqual(values.cgroupLimits, false);
+  assert.strictEqual(values.autoRestart, true);
+  assert.strictEqual(values.realBinary, '/opt/claude/bin/claude');
+  // =1 switches ignore anything else, same as before
+  assert.strictEqual(m.load({ CLAUDEFIX_NO_FOOTER: '0' }).values.footer, true);
+  assert.strictEqual(m.load({ CLAUDE_STRIP_BG_COLORS: '0' }).values.colorStripping, false);
+});
+
+test('a project file cannot pick the Claude binary', (t) => {
+  const m = machine(t, { user: { realBinary: '/usr/bin/claude' }, project: { realBinary: './evil', footer: false } });
+  const { values, errors } = m.load();
+  assert.strictEqual(values.realBinary, '/usr/bin/claude');
+  assert.strictEqual(values.footer, false);
+  assert.match(errors[0], /realBinary can't be set per project/);
+});
+
+test('the project config is found walking up from a subdirectory', (t) => {
+  const m = machine(t, { project: { memPercent: 60 } });
+  const deep = path.join(m.cwd, 'packages', 'app', 'src');
+  fs.mkdirSync(deep, { recursive: true });
+  // a package.json without a claudefix key on the way up is just skipped
+  fs.writeFileSync(path.join(m.cwd, 'packages', 'app', 'package.json'), '{"name":"app"}');
+  const { values, sources } = loadConfig({ env: { CLAUDEFIX_SYSTEM_CONFIG: '/nonexistent' }, home: m.home, cwd: deep });
+  assert.strictEqual(values.memPercent, 60);
+  assert.strictEqual(sources.memPercent, path.join(m.cwd, '.claudefix.json'));
+});
+
+test('a "claudefix" key in package.json is a project config, nearest one wins', (t) => {
+  const m = machine(t, { project: { memPercent: 60 } });
+  const app = path.join(m.cwd, 'demo');
+  fs.mkdirSync(app);
+  fs.writeFileSync(path.join(app, 'package.json'), JSON.stringify({ name: 'demo', claudefix: { footer: false, colorStripping: false } }));
+  const { values, sources } = loadConfig({ env: { CLAUDEFIX_SYSTEM_CONFIG: '/nonexistent' }, home: m.home, cwd: app });
+  assert.strictEqual(values.footer, false);
+  assert.strictEqual(values.colorStripping, false);
+  assert.strictEqual(sources.footer, path.join(app, 'package.json') + '#claudefix');
+  // nearest only - the repo-level file above isn't merged in
+  assert.strictEqual(values.memPercent, 35);
+
+  // .claudefix.json beats package.json in the same directory
+  fs.writeFileSync(path.join(app, '.claudefix.json'), '{}');
+  assert.deepStrictEqual(findProjectConfig(app, m.home), { file: path.join(app, '.claudefix.json') });
+});
+
+test('the walk stops at the home directory', (t) => {
+  const m = machine(t, { user: { memPercent: 30 } });
+  const repo = path.join(m.home, 'src', 'repo');
+  fs.mkdirSync(repo, { recursive: true });
+  assert.strictEqual(findProjectConfig(repo, m.home), null);
+  const { values, sources } = loadConfig({ env: { CLAUDEFIX_SYSTEM_CONFIG: '/nonexistent' }, home: m.home, cwd: repo });
+  assert.strictEqual(values.memPercent, 30);
+  assert.strictEqual(sources.memPercent, path.join(m.home, '.claudefix.json'));
+});
+
+test('the walk stops at a directory the user does not own', { skip: !process.getuid || process.getuid() !== 0 }, (t) => {
+  // root can hand the project dir to someone else, like a shared /srv checkout
+  const m = machine(t, { project: { memPercent: 60 } });
+  const mine = path.join(m.cwd, 'mine');
+  fs.mkdirSync(mine);
+  assert.ok(findProjectConfig(mine, m.home));
+  fs.chownSync(m.cwd, 54321, 54321);
+  assert.strictEqual(findProjectConfig(mine, m.home), null);
+  assert.strictEqual(findProjectConfig(m.cwd, m.home), null);
+});
+
+test('only allowlisted keys are taken from a project', (t) => {
+  const m = machine(t, { project: { realBinary: '/tmp/x', firstRun: false, configured: true, statusbarProviders: ['/tmp/x.sock'], cpuPercent: 20 } });
+  const { values, errors } = m.load();
+  assert.strictEqual(values.cpuPercent, 20);
+  assert.strictEqual(values.realBinary, '');
+  assert.strictEqual(values.firstRun, true);
+  assert.strictEqual(values.configured, false);
+  assert.deepStrictEqual(values.statusbarProviders, []);
+  assert.strictEqual(errors.length, 4);
+  for (const key of PROJECT_KEYS) assert.ok(SCHEMA[key], key);
+});
+
+test('parseValue reads command-line text by type', () => {
+  assert.deepStrictEqual(parseValue('memPercent', '40'), { value: 40 });
+  assert.deepStrictEqual(parseValue('footer', 'off'), { value: false });
+  assert.deepStrictEqual(parseValue('colorStripping', 'remap'), { value: 'remap' });
+  assert.deepStrictEqual(parseValue('colorStripping', 'true'), { value: true });
+  assert.deepStrictEqual(parseValue('colorRemap', '"tint"'), { value: 'tint' });
+  assert.match(parseValue('memPercent', '4.5').error, /integer from 1 to 100/);
+  assert.match(parseValue('colorRemap', 'plaid').error, /must be one of/);
+  assert.match(parseValue('nope', '1').error, /unknown key/);
+  // lists: comma separated or JSON
+  assert.deepStrictEqual(parseValue('footerSegments', 'memory, clock,'), { value: ['memory', 'clock'] });
+  assert.deepStrictEqual(parseValue('footerSegments', '["git"]'), { value: ['git'] });
+  assert.match(parseValue('footerSegments', '[1]').error, /list of names/);
+});
+
+test('updateUserConfig keeps other keys and refuses to clobber a broken file', (t) => {
+  const m = machine(t, { user: { memPercent: 30, custom: 'kept' } });
+  updateUserConfig({ footer: false }, { home: m.home });
+  const file = path.join(m.home, '.claudefix.json');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { memPercent: 30, custom: 'kept', footer: false });
+
+  assert.throws(() => updateUserConfig({ memPercent: 0 }, { home: m.home }), /memPercent must be/);
+  fs.writeFileSync(file, '{ broken');
+  assert.throws(() => updateUserConfig({ footer: true }, { home: m.home }), /fix or remove it first/);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), '{ broken');
+});
+
+test('writeUserConfig replaces the file whole, and only when every value checks out', (t) => {
+  const m = machine(t, { user: { memPercent: 30, custom: 'gone' } });
+  const file = path.join(m.home, '.claudefix.json');
+  writeUserConfig({ footer: false, configured: true }, { home: m.home });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { footer: false, configured: true });
+
+  assert.throws(() => writeUserConfig({ footer: false, cpuPercent: 101 }, { home: m.home }), /cpuPercent must be/);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { footer: false, configured: true });
+  assert.deepStrictEqual(fs.readdirSync(m.home), ['.claudefix.json']);
+});
+
+test('saving keeps the mode the user gave ~/.claudefix.json', { skip: process.platform === 'win32' }, (t) => {
+  const m = machine(t, { user: { memPercent: 30 } });
+  const file = path.join(m.home, '.claudefix.json');
+  fs.chmodSync(file, 0o600);
+  updateUserConfig({ footer: false }, { home: m.home });
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  writeUserConfig({ footer: true }, { home: m.home });
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+});
+
+test('scrollbackClear: false only stops the clears in the library, CLAUDE_TERMINAL_FIX_DISABLED turns it off', (t) => {
+  const { execFileSync } = require('child_process');
+  const m = machine(t, { user: { scrollbackClear: false } });
+  const library = (env = {}) => JSON.parse(execFileSync(process.execPath, ['-e',
+    `const { config } = require(${JSON.stringify(path.join(__dirname, '..', 'index.cjs'))});` +
+    'console.log(JSON.stringify([config.disabled, config.scrollbackClear, config.stripBgColors]))',
+  ], { cwd: m.cwd, env: { ...process.env, HOME: m.home, CLAUDEFIX_SYSTEM_CONFIG: path.join(m.home, 'none.json'), ...env } }));
+  assert.deepStrictEqual(library({ CLAUDE_TERMINAL_FIX_DISABLED: '' }), [false, false, true]);
+  assert.deepStrictEqual(library({ CLAUDE_TERMINAL_FIX_DISABLED: '1' }), [true, false, true]);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * tests for lib/configurator-args.cjs - non-interactive configurator flags
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseConfiguratorArgs, buildConfig } = require('../lib/configurator-args.cjs');
+
+test('no flags keeps the interactive configurator', () => {
+  assert.deepStrictEqual(parseConfiguratorArgs(['--config']),
+    { nonInteractive: false, classic: false, settings: {}, fromFile: null, errors: [] });
+  assert.strictEqual(parseConfiguratorArgs(['--config', '--classic']).classic, true);
+});
+
+test('the provisioning example maps onto config keys', () => {
+  const args = parseConfiguratorArgs(['--config', '--non-interactive', '--mem-percent', '40', '--cpu-percent', '0',
+    '--no-footer', '--no-darkmode', '--color-fix=remap']);
+  assert.deepStrictEqual(args.errors, []);
+  assert.strictEqual(args.nonInteractive, true);
+  assert.deepStrictEqual(args.settings, {
+    memPercent: 40, memoryLimit: true, cpuPercent: 0, footer: false, darkMode: false, colorStripping: 'remap',
+  });
+});
+
+test('any configuring flag implies --non-interactive', () => {
+  const args = parseConfiguratorArgs(['config', '--color-fix', 'off', '--remap-style=tint']);
+  assert.strictEqual(args.nonInteractive, true);
+  assert.deepStrictEqual(args.settings, { colorStripping: false, colorRemap: 'tint' });
+});
+
+test('bad values and unknown flags are errors', () => {
+  const { errors } = parseConfiguratorArgs(['--mem-percent=400', '--cpu-percent', '--no-footer', '--color-fix=rainbow',
+    '--footer=yes', '--memory', '--remap-style', 'plaid']);
+  assert.deepStrictEqual(errors, [
+    '--mem-percent: memPercent must be an integer from 1 to 100 (got "400")',
+    '--cpu-percent needs a value',
+    '--color-fix must be one of strip, remap, off (got "rainbow")',
+    "--footer doesn't take a value",
+    'unknown option --memory',
+    '--remap-style: colorRemap must be one of "palette", "tint", "underline" (got "plaid")',
+  ]);
+});
+
+test('--from-file is the base, flags win', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-provision-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const team = path.join(dir, 'team.json');
+  fs.writeFileSync(team, JSON.stringify({ memPercent: 25, gcIntervalMs: 30000, footer: true }));
+
+  const built = buildConfig(parseConfiguratorArgs(['--from-file', team, '--no-footer']));
+  assert.deepStrictEqual(built, { config: { memPercent: 25, gcIntervalMs: 30000, footer: false }, errors: [] });
+
+  fs.writeFileSync(team, JSON.stringify({ memPercent: 'lots' }));
+  assert.match(buildConfig({ settings: {}, fromFile: team }).errors[0], /memPercent must be/);
+  assert.match(buildConfig({ settings: {}, fromFile: path.join(dir, 'nope.json') }).errors[0], /no such file/);
+});
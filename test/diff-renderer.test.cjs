@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * tests for lib/diff-renderer.cjs - what it writes, replayed into a second
+ * screen model, has to leave that screen exactly like Claude's, while
+ * sending less than Claude did
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createDiffRenderer } = require('../lib/diff-renderer.cjs');
+const { createVirtualScreen } = require('../lib/virtual-screen.cjs');
+const { createTokenizer } = require('../lib/ansi-tokenizer.cjs');
+
+function feed(screen, text) {
+  const tokenizer = createTokenizer();
+  for (const token of [...tokenizer.push(text), ...tokenizer.flush()]) screen.apply(token);
+}
+
+const snapshot = screen => ({ rows: screen.rows().map(row => [row.ch.join('|'), row.st.join(',')]), cursor: screen.cursor() });
+
+// frames through the renderer; after each one the "terminal" must match
+// Claude's screen, and its scrollback get the lines Claude's lost
+function replay(frames, cols = 30, rows = 6) {
+  const renderer = createDiffRenderer({ cols, rows });
+  const claude = createVirtualScreen(cols, rows);
+  const terminal = createVirtualScreen(cols, rows);
+  const written = [];
+  const scrollback = [];
+  const scrolledOff = [];
+  const lines = screen => screen.takeScrolledOff().map(row => row.ch.join('').trimEnd());
+  for (const frame of frames) {
+    feed(claude, frame);
+    scrolledOff.push(...lines(claude));
+    const out = renderer.render(frame);
+    written.push(out);
+    feed(terminal, out);
+    scrollback.push(...lines(terminal));
+    assert.deepStrictEqual(snapshot(terminal), snapshot(claude), `after ${JSON.stringify(frame)}`);
+  }
+  assert.deepStrictEqual(scrollback, scrolledOff);
+  return { written, scrollback };
+}
+
+// an Ink-style redraw of the prompt box: up over the old one, erase, draw it again
+const prompt = (input, status) =>
+  '\x1b[2K\x1b[1A\x1b[2K\x1b[1A\x1b[2K\r' +
+  `\x1b[2m${status}\x1b[22m\r\n\x1b[36m╭────────╮\x1b[39m\r\n> ${input}`;
+
+test('an unchanged repaint costs a cursor move, a typed character one cell', () => {
+  const { written } = replay([
+    '\x1b[1mWelcome\x1b[22m\r\n\r\n\r\n\r\n',
+    prompt('', '✻ Thinking'),
+    prompt('', '✻ Thinking'),
+    prompt('h', '✻ Thinking'),
+  ]);
+  assert.strictEqual(written[2], '\x1b[5;3H');
+  assert.strictEqual(written[3], '\x1b[5;3Hh');
+});
+
+test('wide characters, colors, links and background tails survive the round trip', () => {
+  replay([
+    '中文 text\x1b[31m red \x1b[44m bg\x1b[K\x1b[0m\r\n',
+    '\x1b]8;;https://example.com\x1b\\\x1b[4mlink\x1b[24m\x1b]8;;\x1b\\ after\r\n',
+    '\x1b[1;2H文\x1b[2;3H\x1b[3X\x1b[3;1H\x1b[7minverse\x1b[27m\x1b[1P',
+    '\x1b[H\x1b[2J\x1b[5;10Hmoved\x1b[1;1H\x1b[2L',
+  ]);
+});
+
+test('lines scrolled off the top still reach scrollback, once and in order', () => {
+  const lines = Array.from({ length: 12 }, (_, i) => `line ${i}`);
+  const { written, scrollback } = replay([
+    lines.slice(0, 4).join('\r\n') + '\r\n\r\n\r\n' + prompt('', 'idle'),
+    // Ink: erase the prompt, print more static output, draw the prompt again
+    prompt('', '').split('\r\x1b[2m')[0] + '\r' + lines.slice(4).join('\r\n') + '\r\n\r\n\r\n' + prompt('', 'idle'),
+    '\x1b[H\x1b[2J' + lines.slice(0, 6).join('\r\n') + '\r\n\x1b[31mred\x1b[0m tail',
+  ]);
+  assert.deepStrictEqual(scrollback.slice(0, 8), lines.slice(0, 8));
+  assert.ok(!/\x1b\[[0-9;]*J/.test(written.join('')), 'no screen clears are sent');
+});
+
+test('bells, titles and queries go through in place, an alternate screen ends it', () => {
+  const renderer = createDiffRenderer({ cols: 10, rows: 2 });
+  assert.strictEqual(renderer.render('a\x07\x1b]0;t\x07'), '\x1b[1H\x1b[0ma\x1b[K\x1b[2H\x1b[K\x1b[1;2H\x07\x1b]0;t\x07\x1b[1;2H');
+  assert.strictEqual(renderer.failed, null);
+
+  const out = renderer.render('\x1b[31mb\x1b[?1049hfull screen');
+  assert.strictEqual(out, '\x1b[1;2H\x1b[0;31mb\x1b[0m\x1b[1;3H\x1b[31m\x1b[?1049hfull screen');
+  assert.strictEqual(renderer.failed, '\\x1b[?1049h');
+  assert.strictEqual(renderer.render('\x1b[2Jas is'), '\x1b[2Jas is');
+});
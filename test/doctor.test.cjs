@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * tests for lib/doctor.cjs and the binary lookup it reports on
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { findRealClaude } = require('../lib/claude-binary.cjs');
+const { collectReport } = require('../lib/doctor.cjs');
+
+function sandbox(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-doctor-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const home = path.join(root, 'home');
+  const bin = path.join(root, 'bin');
+  fs.mkdirSync(home);
+  fs.mkdirSync(bin);
+  return { root, home, bin };
+}
+
+const WRAPPER = '#!/bin/sh\n# claudefix wrapper\nexec claude-fixed "$@"\n';
+
+test('findRealClaude says which step matched', (t) => {
+  const { home, bin } = sandbox(t);
+  const real = path.join(bin, 'claude-real');
+  fs.writeFileSync(real, '#!/bin/sh\n');
+  assert.deepStrictEqual(findRealClaude({ realBinary: real, realBinarySource: 'env CLAUDE_REAL_BINARY', home, which: () => '' }),
+    { path: real, reason: 'realBinary from env CLAUDE_REAL_BINARY' });
+
+  const versions = path.join(home, '.local/share/claude/versions');
+  fs.mkdirSync(versions, { recursive: true });
+  for (const v of ['1.0.9', '1.0.10', 'junk']) fs.writeFileSync(path.join(versions, v), '');
+  const found = findRealClaude({ realBinary: path.join(bin, 'gone'), home, which: () => '' });
+  assert.strictEqual(found.path, path.join(versions, '1.0.10'));
+  assert.match(found.reason, /newest of 2/);
+});
+
+test('the report flags stale backups, missing wrappers and config errors', (t) => {
+  const { home, bin } = sandbox(t);
+  const real = path.join(bin, 'claude-real');
+  fs.writeFileSync(real, '#!/bin/sh\n');
+  fs.writeFileSync(path.join(home, '.claudefix.json'), JSON.stringify({ realBinary: real, memPercent: 400 }));
+
+  // a: wrapper with its backup, b: claude reinstalled over the wrapper, c: backup pointing nowhere
+  const [a, b, c] = ['a', 'b', 'c'].map(n => path.join(bin, n, 'claude'));
+  for (const loc of [a, b, c]) fs.mkdirSync(path.dirname(loc));
+  fs.writeFileSync(a, WRAPPER);
+  fs.writeFileSync(`${a}-original`, '#!/bin/sh\n');
+  fs.writeFileSync(b, '#!/bin/sh\n');
+  fs.writeFileSync(`${b}-original`, '#!/bin/sh\n');
+  fs.writeFileSync(c, WRAPPER);
+  fs.symlinkSync(path.join(bin, 'nowhere'), `${c}-original`);
+
+  // one statusbar provider that works, one that doesn't parse
+  const statusbar = path.join(home, '.local/state/claudefix/statusbar');
+  fs.mkdirSync(statusbar, { recursive: true });
+  fs.writeFileSync(path.join(statusbar, 'ci.json'), JSON.stringify({ rows: 2, lines: ['green'] }));
+  fs.writeFileSync(path.join(statusbar, 'pager.json'), '{"lines":');
+
+  const report = collectReport({
+    env: { TERM: 'dumb', SSH_TTY: '/dev/pts/3', CLAUDEFIX_SYSTEM_CONFIG: path.join(bin, 'none.json'), HOME: home },
+    home,
+    cwd: bin,
+    wrapperLocations: [a, b, c, path.join(bin, 'd', 'claude')],
+    which: () => null,
+  });
+
+  assert.deepStrictEqual(report.claude, { path: real, reason: `realBinary from ${path.join(home, '.claudefix.json')}` });
+  assert.deepStrictEqual(report.wrappers.map(w => w.status), ['wrapper', 'original', 'wrapper', 'missing']);
+  assert.deepStrictEqual(report.staleBackups.map(s => s.path), [`${b}-original`, `${c}-original`]);
+  assert.match(report.staleBackups[1].why, /which is gone/);
+  assert.strictEqual(report.terminal.ssh, true);
+  assert.strictEqual(report.terminal.supported, false);
+  assert.strictEqual(report.config.sources.realBinary, path.join(home, '.claudefix.json'));
+  assert.strictEqual(report.limits.cpulimit, null);
+  assert.deepStrictEqual(report.statusbar.providers.map(p => p.provider ? p.provider.rows : 'error'), [2, 'error']);
+  assert.ok(report.problems.some(p => p.startsWith(`statusbar provider ${path.join(statusbar, 'pager.json')}:`)));
+
+  assert.ok(report.problems.some(p => p.includes('TERM=dumb')));
+  assert.ok(report.problems.some(p => p.startsWith('config: ') && p.includes('memPercent')));
+  assert.strictEqual(report.problems.filter(p => p.startsWith('stale backup')).length, 2);
+  assert.ok(!report.problems.some(p => p.includes('no claudefix wrapper')));
+
+  // --json output is the report as-is
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(report)).wrappers[1].backup.stale, true);
+});
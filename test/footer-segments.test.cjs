@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * tests for lib/footer-segments.cjs - fitting segments by priority, the
+ * built-ins, and loading your own
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BUILTIN, visibleWidth, gitBranch, loadSegments, renderFooter } = require('../lib/footer-segments.cjs');
+
+const plain = text => text.replace(/\x1b\[[0-9;]*m|\x1b\]8;;[^\x07]*\x07/g, '');
+const seg = (name, priority, text) => ({ name, priority, render: () => text });
+
+const NOW = new Date(2026, 9, 19, 14, 5).getTime();
+const CTX = {
+  cols: 200,
+  now: NOW,
+  cwd: os.tmpdir(),
+  startedAt: NOW - 62 * 60000,
+  memMB: 812,
+  limitMB: 1000,
+  cpuPercent: 12.4,
+  link: (url, text) => `\x1b]8;;${url}\x07${text}\x1b]8;;\x07`,
+};
+
+function tmpdir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-segments-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('the lowest priority goes first, order stays, a lone one is cut', () => {
+  const segments = [seg('a', 5, 'aaaa'), seg('b', 1, '\x1b[31mbbbb\x1b[39m'), seg('c', 9, 'cccc'), seg('d', 1, 'dd')];
+  assert.strictEqual(plain(renderFooter(segments, { ...CTX, cols: 80 }).text), 'aaaa │ bbbb │ cccc │ dd');
+
+  // 4+3+4+3+4 = 18: b and d tie, the rightmost (d) goes first, then b
+  const narrow = renderFooter(segments, { ...CTX, cols: 18 });
+  assert.strictEqual(plain(narrow.text), 'aaaa │ bbbb │ cccc');
+  assert.strictEqual(narrow.width, 18);
+  assert.strictEqual(plain(renderFooter(segments, { ...CTX, cols: 17 }).text), 'aaaa │ cccc');
+
+  const cut = renderFooter([seg('long', 0, '\x1b[1mabcdefghij\x1b[22m')], { ...CTX, cols: 4 });
+  assert.strictEqual(cut.text, '\x1b[1mabcd\x1b[22m\x1b[0m');
+  assert.strictEqual(cut.width, 4);
+});
+
+test('segments that throw, return nothing or pick their own width are handled', () => {
+  const segments = [
+    { name: 'boom', priority: 0, render: () => { throw new Error('nope'); } },
+    seg('empty', 0, null),
+    { name: 'wide', priority: 0, render: () => ({ text: '表', width: 2, priority: 7 }) },
+    seg('ok', 0, 'ok'),
+  ];
+  assert.deepStrictEqual(renderFooter(segments, CTX), { text: '表 \x1b[2m│\x1b[22m ok', width: 7 });
+  assert.strictEqual(visibleWidth('\x1b[38;5;196mab\x1b]8;;x\x07c\x1b]8;;\x07\r'), 3);
+});
+
+test('built-ins show memory, cpu, uptime and clock from ctx', () => {
+  const render = (name, ctx = CTX) => {
+    const out = BUILTIN[name]().render(ctx);
+    return out && plain(out);
+  };
+  assert.strictEqual(render('memory'), 'mem 812/1000MB');
+  assert.match(BUILTIN.memory().render(CTX), /38;5;226m812/); // 81% - yellow
+  assert.strictEqual(render('memory', { ...CTX, memMB: null }), false);
+  assert.strictEqual(render('cpu'), 'cpu 12%');
+  assert.strictEqual(render('uptime'), 'up 1h02m');
+  assert.strictEqual(render('uptime', { ...CTX, startedAt: NOW - 26 * 3600000 }), 'up 1d2h');
+  assert.strictEqual(render('clock'), '14:05');
+  assert.match(BUILTIN.brand().render(CTX), /\x1b\]8;;https:\/\/justcalljon\.pro\x07/);
+  assert.ok(BUILTIN.memory().stats && !BUILTIN.clock().stats);
+});
+
+test('gitBranch reads HEAD, detached heads and worktrees', (t) => {
+  const dir = tmpdir(t);
+  const repo = path.join(dir, 'repo');
+  fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+  fs.mkdirSync(path.join(repo, 'src', 'deep'), { recursive: true });
+  fs.writeFileSync(path.join(repo, '.git', 'HEAD'), 'ref: refs/heads/feature/footer\n');
+  assert.strictEqual(gitBranch(path.join(repo, 'src', 'deep')), 'feature/footer');
+
+  fs.writeFileSync(path.join(repo, '.git', 'HEAD'), '0123456789abcdef0123456789abcdef01234567\n');
+  assert.strictEqual(gitBranch(repo), '0123456');
+
+  const worktree = path.join(dir, 'wt');
+  fs.mkdirSync(path.join(repo, '.git', 'worktrees', 'wt'), { recursive: true });
+  fs.writeFileSync(path.join(repo, '.git', 'worktrees', 'wt', 'HEAD'), 'ref: refs/heads/wt-branch\n');
+  fs.mkdirSync(worktree);
+  fs.writeFileSync(path.join(worktree, '.git'), 'gitdir: ../repo/.git/worktrees/wt\n');
+  assert.strictEqual(gitBranch(worktree), 'wt-branch');
+});
+
+test('your own modules load from paths, mistakes are reported', (t) => {
+  const home = tmpdir(t);
+  fs.mkdirSync(path.join(home, 'segs'));
+  fs.writeFileSync(path.join(home, 'segs', 'todo.cjs'),
+    "module.exports = { priority: 60, render: (ctx) => `todo ${ctx.cols}` };");
+  fs.writeFileSync(path.join(home, 'fn.cjs'), "module.exports = () => 'fn';");
+  fs.writeFileSync(path.join(home, 'bad.cjs'), 'module.exports = 42;');
+  fs.writeFileSync(path.join(home, 'broken.cjs'), 'module.exports = {');
+
+  const { segments, errors } = loadSegments(
+    ['clock', '~/segs/todo.cjs', 'fn.cjs', './bad.cjs', path.join(home, 'broken.cjs'), 'weather', '~/gone.cjs'],
+    { home });
+  assert.deepStrictEqual(segments.map(s => [s.name, s.priority]), [['clock', 10], ['todo', 60], ['fn', 0]]);
+  assert.strictEqual(plain(renderFooter(segments, { ...CTX, cols: 30 }).text), '14:05 │ todo 30 │ fn');
+  assert.strictEqual(errors.length, 4);
+  assert.match(errors[0], /bad\.cjs: exports no render\(ctx\) function/);
+  assert.match(errors[1], /broken\.cjs: /);
+  assert.match(errors[2], /"weather": no such built-in/);
+  assert.match(errors[3], /gone\.cjs: Cannot find module/);
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * tests for lib/gc-channel.cjs - where the report socket lives and the
+ * line-per-message protocol the preload speaks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+
+const { createGcChannel } = require('../lib/gc-channel.cjs');
+
+const skip = process.platform === 'win32';
+
+test('the socket sits in a private directory under $XDG_RUNTIME_DIR', { skip }, (t) => {
+  const runtime = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-runtime-'));
+  const saved = process.env.XDG_RUNTIME_DIR;
+  t.after(() => {
+    if (saved === undefined) delete process.env.XDG_RUNTIME_DIR;
+    else process.env.XDG_RUNTIME_DIR = saved;
+    fs.rmSync(runtime, { recursive: true, force: true });
+  });
+  process.env.XDG_RUNTIME_DIR = runtime;
+
+  const channel = createGcChannel(() => {});
+  const dir = path.dirname(channel.path);
+  assert.strictEqual(path.dirname(dir), runtime);
+  assert.strictEqual(fs.statSync(dir).mode & 0o777, 0o700);
+
+  // two wrappers never share a path
+  const other = createGcChannel(() => {});
+  assert.notStrictEqual(other.path, channel.path);
+
+  channel.close();
+  other.close();
+  assert.deepStrictEqual(fs.readdirSync(runtime), []);
+});
+
+test('every JSON line from the preload is reported, garbage is dropped', { skip }, async (t) => {
+  const reports = [];
+  let done;
+  const got = new Promise(resolve => { done = resolve; });
+  const channel = createGcChannel((msg) => {
+    reports.push(msg);
+    if (msg.type === 'gc') done();
+  });
+  t.after(() => channel.close());
+
+  const conn = net.connect(channel.path);
+  conn.write('{"type":"hello","pid":1}\nnot json\n{"type":"g');
+  conn.end('c","freedMB":12}\n');
+  await got;
+  assert.deepStrictEqual(reports, [{ type: 'hello', pid: 1 }, { type: 'gc', freedMB: 12 }]);
+});
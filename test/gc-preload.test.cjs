@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * tests for gc-preload.cjs - loaded into a node child the way claude-fixed
+ * loads it into Claude, reporting to a real createGcChannel
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { createGcChannel } = require('../lib/gc-channel.cjs');
+
+const PRELOAD = path.join(__dirname, '..', 'gc-preload.cjs');
+const skip = process.platform === 'win32';
+
+// the child prints what a process it spawns sees of NODE_OPTIONS and the
+// CLAUDEFIX_GC_* variables, then stays up until the test has its reports
+const CHILD = `
+  const { execFileSync } = require('child_process');
+  process.stdout.write(execFileSync(process.execPath, ['-e',
+    'console.log(JSON.stringify({ nodeOptions: process.env.NODE_OPTIONS, gcVars: Object.keys(process.env).filter(k => k.startsWith("CLAUDEFIX_GC_")) }))',
+  ]));
+  setTimeout(() => {}, 10000);`;
+
+// run CHILD with the preload, resolve once wanted(messages) says enough
+function runWithPreload(t, gcEnv, wanted) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    let child;
+    let grandchild = null;
+    const channel = createGcChannel((msg) => {
+      messages.push(msg);
+      if (grandchild && wanted(messages)) resolve({ messages, grandchild, pid: child.pid });
+    });
+    t.after(() => channel.close());
+    child = spawn(process.execPath, ['-e', CHILD], {
+      env: {
+        PATH: process.env.PATH,
+        // what childNodeOptions() builds, with a heap cap small enough that
+        // the child's own heap is over a 1% pressure threshold
+        NODE_OPTIONS: `--max-old-space-size=64 --expose-gc --require "${PRELOAD}"`,
+        CLAUDEFIX_GC_SOCKET: channel.path,
+        ...gcEnv,
+      },
+      stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    t.after(() => child.kill());
+    child.stdout.once('data', (line) => {
+      grandchild = JSON.parse(String(line));
+      if (wanted(messages)) resolve({ messages, grandchild, pid: child.pid });
+    });
+    child.on('error', reject);
+    const timer = setTimeout(() => reject(new Error(`timed out with ${JSON.stringify(messages)}`)), 15000);
+    t.after(() => clearTimeout(timer));
+  });
+}
+
+test('the preload says hello, GCs on its interval and scrubs itself from the env', { skip }, async (t) => {
+  const { messages, grandchild, pid } = await runWithPreload(t,
+    { CLAUDEFIX_GC_INTERVAL_MS: '30' },
+    msgs => msgs.some(m => m.type === 'gc'));
+
+  const [hello, gc] = messages;
+  assert.strictEqual(hello.type, 'hello');
+  assert.strictEqual(hello.pid, pid);
+  assert.ok(hello.heapLimitMB > 0 && hello.heapLimitMB < 200, `heap limit ${hello.heapLimitMB}MB`);
+  assert.strictEqual(gc.type, 'gc');
+  assert.strictEqual(gc.reason, 'interval');
+  assert.strictEqual(gc.pid, pid);
+  for (const key of ['beforeMB', 'afterMB', 'freedMB', 'ms', 'time']) assert.strictEqual(typeof gc[key], 'number', key);
+
+  // tools Claude starts don't load it again
+  assert.deepStrictEqual(grandchild, { nodeOptions: '--max-old-space-size=64 --expose-gc', gcVars: [] });
+});
+
+test('heap pressure over the threshold triggers a GC of its own', { skip }, async (t) => {
+  const { messages } = await runWithPreload(t,
+    { CLAUDEFIX_GC_CHECK_MS: '20', CLAUDEFIX_GC_PRESSURE_PERCENT: '1' },
+    msgs => msgs.some(m => m.type === 'gc'));
+  const gcs = messages.filter(m => m.type === 'gc');
+  assert.deepStrictEqual(gcs.map(m => m.reason), ['pressure']);
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * tests for lib/json-sanitize.cjs - stream-json lines for CI logs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { sanitizeJsonLine, createJsonSanitizeStream } = require('../lib/json-sanitize.cjs');
+
+test('escapes come out of string fields, nothing else changes', () => {
+  const line = '{"type":"user","n":1.50,"content":[{"text":"\\u001b[32m✓ 12 passed\\u001b[0m\\n\\u001b]8;;https://x.dev\\u0007docs\\u001b]8;;\\u0007","name":"caf\\u00e9"}]}';
+  assert.strictEqual(sanitizeJsonLine(line),
+    '{"type":"user","n":1.50,"content":[{"text":"✓ 12 passed\\ndocs","name":"caf\\u00e9"}]}');
+});
+
+test('lines without escapes, non-JSON lines and escaped backslashes are left alone', () => {
+  const plain = '{"type":"result","result":"done","cost":0.0100}';
+  assert.strictEqual(sanitizeJsonLine(plain), plain);
+  assert.strictEqual(sanitizeJsonLine('\u001b[31mnot json \\u001b[0m'), '\u001b[31mnot json \\u001b[0m');
+  // the text backslash-u-0-0-1-b, not an ESC character
+  const literal = '{"code":"print(\\"\\\\u001b[0m\\")"}';
+  assert.strictEqual(sanitizeJsonLine(literal), literal);
+  // a cut-off sequence at the end of a field goes too
+  assert.strictEqual(sanitizeJsonLine('{"t":"50%\\u001b["}'), '{"t":"50%"}');
+});
+
+test('the stream joins lines split across chunks', async () => {
+  const stream = createJsonSanitizeStream();
+  let out = '';
+  stream.on('data', (d) => { out += d; });
+  const done = new Promise(resolve => stream.on('end', resolve));
+  const text = '{"a":"\\u001b[1mbold\\u001b[22m"}\n{"b":"ü\\u001b[K"}\n{"c":"tail\\u001b[0m"}';
+  const bytes = Buffer.from(text);
+  const cut = bytes.indexOf('ü') + 1; // half of a multibyte char
+  for (const piece of [bytes.subarray(0, 9), bytes.subarray(9, cut), bytes.subarray(cut)]) stream.write(piece);
+  stream.end();
+  await done;
+  assert.strictEqual(out, '{"a":"bold"}\n{"b":"ü"}\n{"c":"tail"}');
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * tests for lib/multiplexer.cjs - tmux/screen detection, passthrough and
+ * the tmux commands (run through a fake, no tmux needed)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectMultiplexer, wrapPassthrough, wrapLinks, escapeTmuxFormat, toTmuxFormat, createTmuxControl } = require('../lib/multiplexer.cjs');
+
+const TMUX = { name: 'tmux', pane: '%3' };
+
+test('$TMUX and $STY pick the multiplexer, the inner tmux first', () => {
+  assert.deepStrictEqual(detectMultiplexer({ TMUX: '/tmp/tmux-0/default,12,0', TMUX_PANE: '%3' }), TMUX);
+  assert.deepStrictEqual(detectMultiplexer({ STY: '4242.pts-0.box' }), { name: 'screen', session: '4242.pts-0.box' });
+  assert.strictEqual(detectMultiplexer({ TMUX: '/tmp/tmux-0/default,12,0', STY: '4242.pts-0.box' }).name, 'tmux');
+  assert.strictEqual(detectMultiplexer({ TERM: 'screen-256color' }), null);
+});
+
+test('passthrough wraps for tmux (ESC doubled) and screen', () => {
+  const link = '\x1b]8;;https://x.dev\x07';
+  assert.strictEqual(wrapPassthrough(link, TMUX), '\x1bPtmux;\x1b\x1b]8;;https://x.dev\x07\x1b\\');
+  assert.strictEqual(wrapPassthrough(link, { name: 'screen' }), '\x1bP\x1b]8;;https://x.dev\x07\x1b\\');
+  assert.strictEqual(wrapPassthrough(link, null), link);
+  assert.strictEqual(escapeTmuxFormat('100% #1'), '100% ##1');
+});
+
+test("Claude's OSC 8 links are wrapped, ending in BEL, other OSCs are left to tmux", () => {
+  const out = 'see \x1b]8;;https://x.dev\x1b\\docs\x1b]8;;\x07 \x1b]0;title\x07';
+  assert.strictEqual(wrapLinks(out, TMUX),
+    'see \x1bPtmux;\x1b\x1b]8;;https://x.dev\x07\x1b\\docs\x1bPtmux;\x1b\x1b]8;;\x07\x1b\\ \x1b]0;title\x07');
+  assert.strictEqual(wrapLinks(out, { name: 'screen' }),
+    'see \x1bP\x1b]8;;https://x.dev\x07\x1b\\docs\x1bP\x1b]8;;\x07\x1b\\ \x1b]0;title\x07');
+  assert.strictEqual(wrapLinks(out, null), out);
+});
+
+test('status-right is set on change only and put back the way it was', () => {
+  const calls = [];
+  let current = '"#H" %H:%M\n';
+  const run = (args, opts = {}) => {
+    calls.push([...args, opts.sync ? 'sync' : 'async']);
+    return args[0] === 'show-options' ? current : null;
+  };
+  const control = createTmuxControl(TMUX, { run });
+  control.setStatus('claudefix');
+  control.setStatus('claudefix');
+  control.setStatus('restarting');
+  control.clearHistory();
+  control.restoreStatus();
+  assert.deepStrictEqual(calls, [
+    ['show-options', '-qv', '-t', '%3', 'status-right', 'sync'],
+    ['set-option', '-t', '%3', 'status-right', 'claudefix', 'async'],
+    ['set-option', '-t', '%3', 'status-right', 'restarting', 'async'],
+    ['clear-history', '-t', '%3', 'async'],
+    ['set-option', '-t', '%3', 'status-right', '"#H" %H:%M', 'sync'],
+  ]);
+
+  // nothing set on the session before - unset ours, inherit the global one again
+  calls.length = 0;
+  current = '';
+  control.setStatus('claudefix');
+  control.restoreStatus();
+  control.restoreStatus();
+  assert.deepStrictEqual(calls.slice(-1), [['set-option', '-u', '-t', '%3', 'status-right', 'sync']]);
+  assert.strictEqual(calls.length, 3);
+});
+
+test('an unreachable tmux leaves status-right alone', () => {
+  const calls = [];
+  const control = createTmuxControl({ name: 'tmux', pane: null }, { run: (args) => { calls.push(args); return null; } });
+  control.setStatus('claudefix');
+  control.restoreStatus();
+  assert.deepStrictEqual(calls, [['show-options', '-qv', 'status-right']]);
+});
+
+test('footer colors become status-right styles, links are dropped', () => {
+  const footer = '\x1b[38;5;196mc\x1b[0m 100% \x1b[2m│\x1b[22m \x1b]8;;https://x.dev\x07\x1b[1;38;2;0;128;255m#1\x1b]8;;\x07\x1b[39;48;5;236m';
+  assert.strictEqual(toTmuxFormat(footer), '#[fg=colour196]c#[default] 100% #[dim]│#[nobold,nodim] #[bold,fg=#0080ff]##1#[fg=default]');
+
+  let asked = 0;
+  const control = createTmuxControl(TMUX, { run: () => { asked++; return '60\n'; } });
+  assert.strictEqual(control.statusWidth(), 60);
+  assert.strictEqual(control.statusWidth(), 60);
+  assert.strictEqual(asked, 1);
+  assert.strictEqual(createTmuxControl(TMUX, { run: () => null }).statusWidth(), 40);
+});
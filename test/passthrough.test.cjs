@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * claude-fixed in a pipe - Claude's stdout, stderr and exit code come
+ * through untouched (no PTY, no footer, no escapes)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const WRAPPER = path.join(__dirname, '..', 'bin', 'claude-fixed.js');
+
+function sandbox(t, script) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-pipe-'));
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const claude = path.join(home, 'claude');
+  fs.writeFileSync(claude, `#!${process.execPath}\n${script}\n`, { mode: 0o755 });
+  // dark mode and the first-run footer are both on for a fresh config
+  const env = { PATH: process.env.PATH, HOME: home, TERM: 'xterm-256color', CLAUDE_REAL_BINARY: claude, CLAUDEFIX_SYSTEM_CONFIG: path.join(home, 'none.json') };
+  return { home, env };
+}
+
+test('claude -p | jq gets clean stdout, separate stderr and the exit code', (t) => {
+  const { home, env } = sandbox(t, `
+    process.stdout.write(JSON.stringify({
+      args: process.argv.slice(2),
+      heap: /--max-old-space-size=\\d+/.test(process.env.NODE_OPTIONS),
+      gc: /--require|--expose-gc/.test(process.env.NODE_OPTIONS) || Object.keys(process.env).some(k => k.startsWith('CLAUDEFIX_GC_')),
+    }) + '\\n');
+    process.stderr.write('warning on stderr\\n');
+    process.exit(7);`);
+  const run = spawnSync(process.execPath, [WRAPPER, '-p', 'hello', '--output-format', 'json'], { env, cwd: home, encoding: 'utf8', timeout: 20000 });
+
+  assert.strictEqual(run.status, 7);
+  assert.deepStrictEqual(JSON.parse(run.stdout), { args: ['-p', 'hello', '--output-format', 'json'], heap: true, gc: false });
+  assert.strictEqual(run.stderr, 'warning on stderr\n');
+  // a script run doesn't use up the first-run footer
+  assert.ok(!fs.existsSync(path.join(home, '.claudefix.json')));
+});
+
+test('a signal that kills Claude kills the wrapper the same way', (t) => {
+  const { home, env } = sandbox(t, "process.kill(process.pid, 'SIGTERM');");
+  const run = spawnSync(process.execPath, [WRAPPER, '--print', 'x'], { env, cwd: home, encoding: 'utf8', timeout: 20000 });
+  assert.strictEqual(run.signal, 'SIGTERM');
+  assert.strictEqual(run.stdout, '');
+});
+
+test('CLAUDEFIX_JSON_SANITIZE=1 cleans stream-json on stdout only', (t) => {
+  const { home, env } = sandbox(t, `
+    console.log(JSON.stringify({ type: 'assistant', text: '\\x1b[31mred\\x1b[0m' }));
+    console.log(JSON.stringify({ type: 'result', ok: true }));
+    console.error('\\x1b[33mstderr stays as-is\\x1b[0m');
+    process.exitCode = 2;`);
+  const run = spawnSync(process.execPath, [WRAPPER, '-p', 'x', '--output-format', 'stream-json'],
+    { env: { ...env, CLAUDEFIX_JSON_SANITIZE: '1' }, cwd: home, encoding: 'utf8', timeout: 20000 });
+  assert.strictEqual(run.status, 2);
+  assert.strictEqual(run.stdout, '{"type":"assistant","text":"red"}\n{"type":"result","ok":true}\n');
+  assert.strictEqual(run.stderr, '\x1b[33mstderr stays as-is\x1b[0m\n');
+});
+
+test('a reader that goes away early (| head -1) still gets the exit code back', async (t) => {
+  const { home, env } = sandbox(t, `
+    process.on('SIGPIPE', () => {});
+    console.log(JSON.stringify({ type: 'init' }));
+    setTimeout(() => {
+      for (let i = 0; i < 2000; i++) process.stdout.write(JSON.stringify({ type: 'assistant', i }) + '\\n');
+      process.exitCode = 3;
+    }, 300);`);
+  const run = spawn(process.execPath, [WRAPPER, '-p', 'x', '--output-format', 'stream-json'],
+    { env: { ...env, CLAUDEFIX_JSON_SANITIZE: '1' }, cwd: home, stdio: ['ignore', 'pipe', 'ignore'] });
+  const timer = setTimeout(() => run.kill('SIGKILL'), 20000);
+  t.after(() => clearTimeout(timer));
+  run.stdout.once('data', () => run.stdout.destroy());
+  const [code, signal] = await new Promise(resolve => run.on('exit', (...args) => resolve(args)));
+  assert.strictEqual(signal, null);
+  assert.strictEqual(code, 3);
+});
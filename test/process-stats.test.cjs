@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * tests for lib/process-stats.cjs - the process tree under a pid, what it
+ * adds up to (the child's RSS/PSS the watchdog compares with its limits),
+ * and CPU% from successive samples
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+
+const { getProcessTree, sampleProcessTree, createCpuMeter } = require('../lib/process-stats.cjs');
+
+test('the tree holds the root and its children, the sample adds them up', { skip: process.platform === 'win32' }, async (t) => {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], { stdio: 'ignore' });
+  t.after(() => child.kill());
+  await new Promise(resolve => child.once('spawn', resolve));
+
+  const tree = getProcessTree(process.pid);
+  assert.strictEqual(tree[0], process.pid);
+  assert.ok(tree.includes(child.pid));
+
+  const sample = sampleProcessTree(process.pid);
+  assert.ok(sample.pids >= 2);
+  assert.ok(sample.rssMB > 0);
+  assert.strictEqual(sample.memMB, sample.pssMB !== null ? sample.pssMB : sample.rssMB);
+  if (process.platform === 'linux') assert.ok(sample.cpuSec > 0);
+});
+
+// a node child holding ~mb of touched memory, with a grandchild of its own
+async function leakyChild(t, mb) {
+  const child = spawn(process.execPath, ['-e', `
+    const held = Buffer.alloc(${mb} * 1024 * 1024, 1);
+    const grandchild = require('child_process').spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], { stdio: 'ignore' });
+    process.on('SIGTERM', () => { grandchild.kill(); process.exit(); });
+    grandchild.on('spawn', () => console.log(grandchild.pid, held.length));
+    setTimeout(() => {}, 10000);`], { stdio: ['ignore', 'pipe', 'ignore'] });
+  t.after(() => child.kill());
+  const line = await new Promise(resolve => child.stdout.once('data', resolve));
+  return { pid: child.pid, grandchild: parseInt(String(line), 10) };
+}
+
+test('the sample is the child tree\'s memory, grandchildren included, not ours', { skip: process.platform === 'win32' }, async (t) => {
+  const { pid, grandchild } = await leakyChild(t, 96);
+  assert.ok(getProcessTree(pid).includes(grandchild));
+
+  const sample = sampleProcessTree(pid);
+  assert.strictEqual(sample.pids, 2);
+  assert.ok(sample.rssMB >= 96, `rss ${sample.rssMB}MB`);
+  assert.ok(sample.memMB >= 90, `mem ${sample.memMB}MB`);
+  // PSS from smaps_rollup where the kernel has it (4.14+)
+  if (process.platform === 'linux' && require('fs').existsSync(`/proc/${pid}/smaps_rollup`)) {
+    assert.ok(sample.pssMB !== null && sample.pssMB <= sample.rssMB);
+  }
+});
+
+test('a process that is gone samples as null', async () => {
+  const child = spawn(process.execPath, ['-e', '0'], { stdio: 'ignore' });
+  await new Promise(resolve => child.once('exit', resolve));
+  assert.strictEqual(sampleProcessTree(child.pid), null);
+  assert.strictEqual(sampleProcessTree(0), null);
+});
+
+test('the CPU meter turns CPU seconds into a percentage of one core', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const measure = createCpuMeter();
+  assert.strictEqual(measure(null), null);
+  assert.strictEqual(measure({ cpuSec: 10, cpuPercent: null }), null); // nothing to compare with yet
+  now += 2000;
+  assert.strictEqual(measure({ cpuSec: 11, cpuPercent: null }), 50);
+  now += 1000;
+  assert.strictEqual(measure({ cpuSec: 10.5, cpuPercent: null }), 0); // a child exited with its CPU time
+  assert.strictEqual(measure({ cpuSec: null, cpuPercent: 42.4 }), 42); // ps gave it directly
+});
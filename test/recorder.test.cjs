@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * tests for lib/recorder.cjs - a recording read back, its permissions, and
+ * the files replay has to turn away with a message instead of a stack trace
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRecorder, readCast, replayCast } = require('../lib/recorder.cjs');
+
+function tmpdir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-recorder-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// collects what replay writes
+function sink() {
+  const chunks = [];
+  return { chunks, write: (data) => chunks.push(data) };
+}
+
+test('a recording plays back filtered or raw', async (t) => {
+  const file = path.join(tmpdir(t), 'session.cast');
+  const recorder = createRecorder(file, { cols: 100, rows: 30, terminalType: 'xterm' });
+  recorder.raw('\x1b[48;5;236mraw');
+  recorder.output('filtered');
+  recorder.resize(90, 20);
+  recorder.close();
+
+  const { header, events } = readCast(file);
+  assert.deepStrictEqual([header.version, header.width, header.height, header.claudefix.terminalType], [2, 100, 30, 'xterm']);
+  assert.deepStrictEqual(events.map(e => e[1]), ['x', 'o', 'r']);
+
+  const filtered = sink();
+  assert.strictEqual((await replayCast(file, { out: filtered, speed: 1000 })).frames, 1);
+  assert.strictEqual(filtered.chunks[0], 'filtered');
+  const raw = sink();
+  await replayCast(file, { mode: 'raw', out: raw, speed: 1000 });
+  assert.strictEqual(raw.chunks[0], '\x1b[48;5;236mraw');
+});
+
+test('the cast is readable by its owner only, even one that was there before', { skip: process.platform === 'win32' }, (t) => {
+  const dir = tmpdir(t);
+  const fresh = path.join(dir, 'fresh.cast');
+  createRecorder(fresh).close();
+  assert.strictEqual(fs.statSync(fresh).mode & 0o777, 0o600);
+
+  const old = path.join(dir, 'old.cast');
+  fs.writeFileSync(old, 'x', { mode: 0o644 });
+  createRecorder(old).close();
+  assert.strictEqual(fs.statSync(old).mode & 0o777, 0o600);
+});
+
+test('a file that is not a v2 cast rejects instead of throwing', async (t) => {
+  const dir = tmpdir(t);
+  const write = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(dir, name);
+  };
+  const v1 = write('v1.cast', JSON.stringify({ version: 1, width: 80, height: 24, stdout: [[0.1, 'hi']] }, null, 2));
+  const v1OneLine = write('v1-line.cast', JSON.stringify({ version: 1, stdout: [] }));
+  const garbage = write('bad.cast', 'not json\n[0, "o", "x"]\n');
+  const empty = write('empty.cast', '');
+
+  for (const [file, message] of [
+    [v1, /not an asciinema v2 file/],
+    [v1OneLine, /asciinema v1, only v2/],
+    [garbage, /bad header/],
+    [empty, /is empty/],
+    [dir, /EISDIR/],
+  ]) {
+    const playing = replayCast(file, { out: sink() });
+    assert.ok(playing instanceof Promise, file);
+    await assert.rejects(playing, message);
+  }
+
+  const noRaw = write('plain.cast', JSON.stringify({ version: 2, width: 80, height: 24 }) + '\n[0.5, "o", "x"]\n');
+  await assert.rejects(replayCast(noRaw, { mode: 'raw', out: sink() }), /no raw stream/);
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * tests for lib/remote-render.cjs - what erases the footer, the flush delay
+ * for a round trip, and the latency probe taking its answer out of stdin
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  erasesFooter,
+  scrollRegion,
+  flushDelayFor,
+  createLatencyProbe,
+} = require('../lib/remote-render.cjs');
+
+test('erase below / all, reset and the alternate screen take the footer with them', () => {
+  for (const seq of ['\x1b[J', '\x1b[0J', '\x1b[2J', '\x1bc', '\x1b[?1049h', '\x1b[?47l']) {
+    assert.strictEqual(erasesFooter(`frame${seq}more`), true, JSON.stringify(seq));
+  }
+  for (const seq of ['\x1b[1J', '\x1b[3J', '\x1b[K', '\x1b[2K', '\x1b[?2026h']) {
+    assert.strictEqual(erasesFooter(`frame${seq}more`), false, JSON.stringify(seq));
+  }
+  assert.strictEqual(scrollRegion(23), '\x1b7\x1b[1;23r\x1b8');
+});
+
+test('the flush delay is a quarter of the round trip, within bounds', () => {
+  assert.strictEqual(flushDelayFor(16, null), 16);
+  assert.strictEqual(flushDelayFor(16, 20), 16);
+  assert.strictEqual(flushDelayFor(16, 200), 50);
+  assert.strictEqual(flushDelayFor(16, 2000), 100);
+});
+
+test('the probe times its answer, strips it from input and asks again after a timeout', () => {
+  let now = 1000;
+  const sent = [];
+  const probe = createLatencyProbe({ write: s => sent.push(s), now: () => now, timeoutMs: 5000 });
+  assert.strictEqual(probe.rtt(), null);
+  assert.strictEqual(probe.input('\x1b[0n'), '\x1b[0n'); // nothing asked yet - not ours
+
+  probe.ping();
+  probe.ping(); // one at a time
+  assert.deepStrictEqual(sent, ['\x1b[5n']);
+  now += 120;
+  assert.strictEqual(probe.input('a\x1b[0nb'), 'ab');
+  assert.strictEqual(probe.rtt(), 120);
+
+  probe.ping();
+  now += 20;
+  assert.strictEqual(probe.input('\x1b[0n'), '');
+  assert.strictEqual(probe.rtt(), 90); // smoothed
+
+  probe.ping();
+  now += 6000; // never answered
+  probe.ping();
+  assert.strictEqual(sent.length, 4);
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * tests for lib/runtime-options.cjs - every configurator answer maps to the
+ * behavior it claims to control
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveRuntimeOptions } = require('../lib/runtime-options.cjs');
+const { loadConfig } = require('../lib/config.cjs');
+const { DEFAULT_KEEP_SGR, NUCLEAR_KEEP_SGR } = require('../lib/strip-colors.cjs');
+
+const TOTAL = 16000;
+const NO_SYSTEM_CONFIG = path.join(__dirname, 'no-such-dir', 'claudefix.json');
+
+// config as ~/.claudefix.json, env as the environment - the same path the
+// wrapper takes through lib/config.cjs
+function resolve(config, env = {}, profile) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-home-'));
+  try {
+    fs.writeFileSync(path.join(home, '.claudefix.json'), JSON.stringify(config));
+    const loaded = loadConfig({ env: { ...env, CLAUDEFIX_SYSTEM_CONFIG: NO_SYSTEM_CONFIG }, home, cwd: home });
+    assert.deepStrictEqual(loaded.errors, []);
+    return resolveRuntimeOptions(loaded.values, { env, profile, totalMemMB: TOTAL });
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+test('defaults match the configurator defaults', () => {
+  const runtime = resolve({});
+  assert.strictEqual(runtime.memPercent, 35);
+  assert.strictEqual(runtime.heapCapMB, 5600);
+  assert.strictEqual(runtime.cpuPercent, 0);
+  assert.strictEqual(runtime.colorMode, 'strip');
+  assert.strictEqual(runtime.remapStyle, 'palette');
+  assert.deepStrictEqual(runtime.keepSgr, DEFAULT_KEEP_SGR);
+  assert.strictEqual(runtime.clearOnFullClear, true);
+  assert.strictEqual(runtime.clearAfterRenders, 500);
+  assert.strictEqual(runtime.periodicClearMs, 60000);
+  assert.strictEqual(runtime.resizeDebounceMs, 50);
+});
+
+test('memoryLimit: false keeps the figure but drops the cap', () => {
+  const runtime = resolve({ memoryLimit: false, memPercent: 50 });
+  assert.strictEqual(runtime.maxHeapMB, 8000);
+  assert.strictEqual(runtime.heapCapMB, 0);
+  assert.strictEqual(resolve({ memoryLimit: false }, { CLAUDEFIX_MEM_PERCENT: '20' }).heapCapMB, 3200);
+});
+
+test('scrollbackClear: false turns off every scrollback policy', () => {
+  for (const [config, env] of [[{ scrollbackClear: false }, {}], [{}, { CLAUDE_TERMINAL_FIX_DISABLED: '1' }]]) {
+    const runtime = resolve(config, env);
+    assert.strictEqual(runtime.clearOnFullClear, false);
+    assert.strictEqual(runtime.clearScrollbackOnStartup, false);
+    assert.strictEqual(runtime.clearAfterRenders, 0);
+    assert.strictEqual(runtime.periodicClearMs, 0);
+    // the visible-screen clear on startup isn't scrollback, it stays
+    assert.strictEqual(runtime.clearOnStartup, true);
+  }
+});
+
+test('scrollback policies take their own values, 0 turns one off', () => {
+  const runtime = resolve({ clearAfterRenders: 0, periodicClearMs: 15000 });
+  assert.strictEqual(runtime.clearAfterRenders, 0);
+  assert.strictEqual(runtime.periodicClearMs, 15000);
+  // lib/config.cjs rejects it first, this is the belt to those braces
+  assert.strictEqual(resolveRuntimeOptions({ clearAfterRenders: -3 }, { totalMemMB: TOTAL }).clearAfterRenders, 500);
+});
+
+test('the terminal profile still decides what it can', () => {
+  const profile = { colors: 'off', keepSgr: ['0', '1'], clearScrollback: false, clearOnStartup: false };
+  const runtime = resolve({ colorStripping: 'remap' }, {}, profile);
+  assert.strictEqual(runtime.colorMode, 'off');
+  assert.deepStrictEqual(runtime.keepSgr, ['0', '1']);
+  assert.strictEqual(runtime.clearOnFullClear, false);
+  assert.strictEqual(runtime.clearOnStartup, false);
+  assert.strictEqual(runtime.clearAfterRenders, 500);
+});
+
+test('env overrides beat the config file', () => {
+  const runtime = resolve({ colorStripping: false, colorRemap: 'tint', memPercent: 50, cpuPercent: 10 }, {
+    CLAUDE_STRIP_BG_COLORS: 'remap',
+    CLAUDE_REMAP_STYLE: 'underline',
+    CLAUDEFIX_NUCLEAR: '1',
+    CLAUDEFIX_MEM_PERCENT: '10',
+    CLAUDEFIX_CPU_PERCENT: '40',
+  });
+  assert.strictEqual(runtime.colorMode, 'remap');
+  assert.strictEqual(runtime.remapStyle, 'underline');
+  assert.deepStrictEqual(runtime.keepSgr, NUCLEAR_KEEP_SGR);
+  assert.strictEqual(runtime.memPercent, 10);
+  assert.strictEqual(runtime.cpuPercent, 40);
+  assert.strictEqual(resolve({ colorStripping: 'remap' }, { CLAUDE_STRIP_BG_COLORS: '0' }).colorMode, 'off');
+});
+
+test('resizeDebounce: false still coalesces, just without the wait', () => {
+  assert.strictEqual(resolve({ resizeDebounce: false }).resizeDebounceMs, 0);
+});
+
+test('tmux gets every multiplexer behavior, screen only passthrough', () => {
+  const TMUX = { TMUX: '/tmp/tmux-0/default,12,0', TMUX_PANE: '%3' };
+  const tmux = resolve({}, TMUX);
+  assert.deepStrictEqual(tmux.multiplexer, { name: 'tmux', pane: '%3' });
+  assert.deepStrictEqual([tmux.tmuxClearHistory, tmux.tmuxStatusFooter, tmux.muxPassthrough], [true, true, true]);
+
+  const screen = resolve({}, { STY: '4242.pts-0.box' });
+  assert.deepStrictEqual([screen.tmuxClearHistory, screen.tmuxStatusFooter, screen.muxPassthrough], [false, false, true]);
+
+  // each one on its own switch, clear-history under scrollbackClear too
+  const picky = resolve({ tmuxStatusFooter: false, scrollbackClear: false }, TMUX);
+  assert.deepStrictEqual([picky.tmuxClearHistory, picky.tmuxStatusFooter, picky.muxPassthrough], [false, false, true]);
+
+  const off = resolve({}, { ...TMUX, CLAUDEFIX_NO_MULTIPLEXER: '1' });
+  assert.strictEqual(off.multiplexer, null);
+  assert.deepStrictEqual([off.tmuxClearHistory, off.tmuxStatusFooter, off.muxPassthrough], [false, false, false]);
+  assert.strictEqual(resolve({}).multiplexer, null);
+});
+
+test('remoteRender is on over SSH, forced on for links it can\'t see, or off', () => {
+  const SSH = { SSH_CONNECTION: '10.0.0.2 51234 10.0.0.9 22' };
+  assert.strictEqual(resolve({}).remoteRender, false);
+  assert.strictEqual(resolve({}, SSH).remoteRender, true);
+  assert.strictEqual(resolve({ remoteRender: 'on' }).remoteRender, true);
+  assert.strictEqual(resolve({ remoteRender: 'off' }, SSH).remoteRender, false);
+  assert.strictEqual(resolve({}, { ...SSH, CLAUDEFIX_REMOTE_RENDER: 'off' }).remoteRender, false);
+});
+
+test('syncOutput defaults to asking the terminal', () => {
+  assert.strictEqual(resolve({}).syncOutput, 'auto');
+  assert.strictEqual(resolve({ syncOutput: 'on' }).syncOutput, 'on');
+  assert.strictEqual(resolve({}, { CLAUDEFIX_SYNC_OUTPUT: 'off' }).syncOutput, 'off');
+});
+
+test('diffRender replaces the startup clear, the 2J clear and the scrollback clear timers, CLAUDEFIX_DIFF_RENDER=0 turns it off', () => {
+  assert.strictEqual(resolve({}).diffRender, false);
+  const on = resolve({ diffRender: true });
+  assert.strictEqual(on.diffRender, true);
+  assert.deepStrictEqual([on.clearOnStartup, on.clearScrollbackOnStartup, on.clearAfterRenders, on.periodicClearMs], [false, false, 0, 0]);
+  // no 3J after Claude's 2J either - unless the differ gives up
+  assert.deepStrictEqual([on.clearOnFullClear, on.clearOnFullClearWithoutDiff], [false, true]);
+  assert.strictEqual(resolve({}).clearOnFullClear, true);
+  assert.strictEqual(resolve({ diffRender: true }, { CLAUDEFIX_DIFF_RENDER: '0' }).diffRender, false);
+});
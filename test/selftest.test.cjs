@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * tests for lib/selftest.cjs - the output checks on hand-made streams, then
+ * one real run of the wrapper on the fake Claude
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { checkOutput, runSelftest } = require('../lib/selftest.cjs');
+const { loadNodePty } = require('../lib/node-pty-loader.cjs');
+
+const FOOTER = '\x1b7\x1b[24;1H  claudefix by Hardwick Software - https://justcalljon.pro\x1b8';
+const EXIT = '\x1b[r\x1b[2J\x1b[3J\x1b[H';
+const OPTS = { rows: 24, colorMode: 'strip', clearOnFullClear: true };
+
+const byName = checks => Object.fromEntries(checks.map(c => [c.name, c]));
+
+test('a clean stream passes every check', () => {
+  const out = '\x1b[r\x1b7\x1b[1;23r\x1b8' + FOOTER +
+    '\x1b[H\x1b[1;38;5;196mframe\x1b[0m\x1b[J' +
+    '\x1b[2J\x1b[3J\x1b[H  Conversation cleared\r\n' + FOOTER + EXIT + 'bye\x1b[41m';
+  const checks = checkOutput(out, OPTS);
+  assert.deepStrictEqual(checks.filter(c => !c.ok), []);
+  assert.deepStrictEqual(checks.map(c => c.name), ['colors', 'scroll region', 'footer', 'clear', 'exit cleanup']);
+});
+
+test('leaked backgrounds, open scroll regions and a lost footer are caught', () => {
+  const out = FOOTER + '\x1b[H\x1b[1;48;5;236mdiff\x1b[0m\x1b[r\x1b[Jmore\x1b[2J\x1b[HConversation cleared' + EXIT;
+  const checks = byName(checkOutput(out, OPTS));
+  assert.match(checks.colors.detail, /1 background codes got through \(strip\), first: "\\u001b\[1;48;5;236m"/);
+  assert.strictEqual(checks['scroll region'].ok, false);
+  assert.match(checks.footer.detail, /erased after the last footer draw/);
+  assert.match(checks.clear.detail, /left the scrollback behind/);
+});
+
+test('remap only objects to extended backgrounds, off to nothing', () => {
+  const out = FOOTER + '\x1b[41mok\x1b[48:2::1:2:3mnot ok\x1b[0m' + EXIT;
+  assert.match(byName(checkOutput(out, { ...OPTS, colorMode: 'remap' })).colors.detail, /1 background codes.*48:2::1:2:3m/);
+  assert.strictEqual(byName(checkOutput(out, { ...OPTS, colorMode: 'off' })).colors.ok, true);
+  // footer on the wrong row, no exit cleanup
+  const checks = byName(checkOutput(FOOTER, { ...OPTS, rows: 30, clearOnFullClear: false }));
+  assert.match(checks.footer.detail, /row 24, not 30/);
+  assert.strictEqual(checks['exit cleanup'].ok, false);
+  assert.strictEqual(checks.clear, undefined);
+});
+
+test('the wrapper passes on the fake Claude', { skip: !loadNodePty({ rebuild: false }).pty && 'node-pty not available', timeout: 60000 }, async () => {
+  const result = await runSelftest({ terminal: 'xterm', settings: {}, frames: 60, cols: 90, rows: 26 });
+  assert.deepStrictEqual(result.checks.filter(c => !c.ok), []);
+  assert.strictEqual(result.profile, 'xterm');
+  assert.strictEqual(result.stats.frames, 60);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * tests for lib/stats-log.cjs - writing a session log, finding it again by
+ * id, prefix or path, and the numbers `claudefix stats` prints from it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// STATE_DIR is fixed when the module loads - load it against a sandbox
+const stateHome = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-state-'));
+const saved = process.env.XDG_STATE_HOME;
+process.env.XDG_STATE_HOME = stateHome;
+delete require.cache[require.resolve('../lib/stats-log.cjs')];
+const statsLog = require('../lib/stats-log.cjs');
+if (saved === undefined) delete process.env.XDG_STATE_HOME;
+else process.env.XDG_STATE_HOME = saved;
+
+test.after(() => fs.rmSync(stateHome, { recursive: true, force: true }));
+
+const MIN = 60000;
+
+test('a session log is written under the state dir and found by id, prefix or path', () => {
+  const session = statsLog.createSessionLog({ maxHeapMB: 4096, terminalType: 'xterm' });
+  assert.strictEqual(path.dirname(session.file), path.join(stateHome, 'claudefix'));
+  session.write({ type: 'sample', memMB: 100 });
+  session.close();
+  session.write({ type: 'sample', memMB: 999 }); // closed - dropped
+
+  const events = statsLog.readSession(session.file);
+  assert.deepStrictEqual(events.map(e => e.type), ['start', 'sample']);
+  assert.strictEqual(events[0].maxHeapMB, 4096);
+
+  assert.strictEqual(statsLog.findSession().file, session.file);
+  assert.strictEqual(statsLog.findSession(session.id).file, session.file);
+  assert.strictEqual(statsLog.findSession(session.id.slice(0, 10)).file, session.file);
+  assert.deepStrictEqual(statsLog.findSession(session.file), { id: session.id, file: session.file });
+  assert.strictEqual(statsLog.findSession('no-such-session'), null);
+});
+
+test('a directory is never taken for a session file', () => {
+  assert.strictEqual(statsLog.findSession(os.tmpdir(), path.join(stateHome, 'empty')), null);
+  assert.strictEqual(statsLog.findSession(undefined, path.join(stateHome, 'empty')), null);
+  assert.throws(() => statsLog.readSession(stateHome), /EISDIR/);
+});
+
+test('summarize: growth, peaks, GC and output counters, torn lines skipped', () => {
+  const file = path.join(stateHome, 'torn.jsonl');
+  const t0 = 1760000000000;
+  fs.writeFileSync(file, [
+    { t: t0, type: 'start', session: 's1', maxHeapMB: 2048 },
+    { t: t0 + MIN, type: 'sample', memMB: 100, rssMB: 150, cpuPercent: 10 },
+    { t: t0 + 2 * MIN, type: 'gc', freedMB: 30 },
+    { t: t0 + 3 * MIN, type: 'sample', memMB: 140, rssMB: 200, cpuPercent: 30, renders: 12, bytesFiltered: 2048, bytesSaved: 4096 },
+    { t: t0 + 4 * MIN, type: 'end', exitCode: 0 },
+  ].map(e => JSON.stringify(e)).join('\n') + '\n{"t": 17600');
+
+  const sum = statsLog.summarize(statsLog.readSession(file));
+  assert.strictEqual(sum.session, 's1');
+  assert.strictEqual(sum.durationMin, 4);
+  assert.deepStrictEqual([sum.ended, sum.exitCode, sum.maxHeapMB], [true, 0, 2048]);
+  assert.deepStrictEqual(sum.memSeries, [100, 140]);
+  assert.deepStrictEqual([sum.currentMemMB, sum.peakMemMB, sum.peakRssMB], [140, 140, 200]);
+  assert.strictEqual(sum.growthMBPerMin, 20);
+  assert.deepStrictEqual([sum.peakCpuPercent, sum.avgCpuPercent], [30, 20]);
+  assert.deepStrictEqual([sum.gcRuns, sum.gcFreedMB], [1, 30]);
+  assert.deepStrictEqual([sum.renders, sum.bytesFiltered, sum.bytesSaved], [12, 2048, 4096]);
+
+  const empty = statsLog.summarize([]);
+  assert.deepStrictEqual([empty.samples, empty.peakMemMB, empty.growthMBPerMin, empty.ended], [0, null, 0, false]);
+});
+
+test('sparkline spans min to max and downsamples by max', () => {
+  assert.strictEqual(statsLog.sparkline([]), '');
+  assert.strictEqual(statsLog.sparkline([1, 5, 9]), '▁▅█');
+  assert.strictEqual(statsLog.sparkline([1, 9, 1, 1], 2), '█▁');
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * tests for lib/statusbar-providers.cjs - parsing and laying out provider
+ * state, then a watcher on a real state file and a real socket
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const {
+  statusbarDir,
+  sanitizeLine,
+  parseProviderState,
+  listProviderPaths,
+  layoutProviders,
+  createProviderWatcher,
+} = require('../lib/statusbar-providers.cjs');
+
+const NOW = 1760000000000;
+
+function tmpdir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-statusbar-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// resolves on the watcher's next onChange. The watcher's timer is unref'd,
+// so something has to keep the test process up while it waits
+function changes(t) {
+  const keepAlive = setInterval(() => {}, 1000);
+  t.after(() => clearInterval(keepAlive));
+  let wake = () => {};
+  return {
+    onChange: () => wake(),
+    next: () => new Promise(resolve => { wake = resolve; }),
+  };
+}
+
+test('state is validated, padded to its rows and stripped to text + colors', () => {
+  const { provider } = parseProviderState({ rows: 2, lines: ['\x1b[32mok\x1b[0m\x1b[2J\x1b[5;1Hx\x1b]0;title\x07\r'] }, { name: 'ci', now: NOW });
+  assert.deepStrictEqual(provider, { name: 'ci', rows: 2, lines: ['\x1b[32mok\x1b[0mx', ''], order: 0 });
+  assert.strictEqual(sanitizeLine('a\x1b[1Ab\tc'), 'abc');
+
+  const parse = data => parseProviderState(data, { name: 'x', now: NOW, alive: pid => pid === 1 });
+  assert.deepStrictEqual(parse({ name: 'pager', lines: ['a', 'b'], order: -1, pid: 1 }).provider,
+    { name: 'pager', rows: 1, lines: ['a'], order: -1 });
+  assert.deepStrictEqual(parse({ lines: [], expires: NOW }), { hidden: 'expired' });
+  assert.deepStrictEqual(parse({ lines: [], pid: 99 }), { hidden: 'pid 99 is gone' });
+  assert.match(parse([]).error, /JSON object/);
+  assert.match(parse({ rows: 4, lines: [] }).error, /rows must be 1-3/);
+  assert.match(parse({ lines: 'text' }).error, /lines/);
+  assert.match(parse({ lines: [], order: 'top' }).error, /order/);
+});
+
+test('layout goes by order then name, and skips what does not fit', () => {
+  const p = (name, rows, order = 0) => ({ name, rows, lines: [], order });
+  assert.deepStrictEqual(layoutProviders([p('b', 1), p('a', 1), p('top', 1, -5)]).map(x => x.name), ['top', 'a', 'b']);
+  assert.deepStrictEqual(layoutProviders([p('a', 3), p('b', 2), p('c', 1)], 4).map(x => x.name), ['a', 'c']);
+});
+
+test('the statusbar dir follows XDG_STATE_HOME', () => {
+  assert.strictEqual(statusbarDir({ XDG_STATE_HOME: '/state' }), path.join('/state', 'claudefix', 'statusbar'));
+  assert.strictEqual(statusbarDir({}, '/home/u'), path.join('/home/u', '.local', 'state', 'claudefix', 'statusbar'));
+});
+
+test('state files are picked up, re-read on change, and dropped when removed', async (t) => {
+  const dir = tmpdir(t);
+  const extra = path.join(tmpdir(t), 'budget');
+  fs.writeFileSync(path.join(dir, 'ci.json'), JSON.stringify({ lines: ['green'] }));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a provider');
+  fs.writeFileSync(path.join(dir, 'bad.json'), '{');
+  fs.writeFileSync(extra, JSON.stringify({ name: 'tokens', lines: ['12k left'], order: 1 }));
+
+  assert.deepStrictEqual(listProviderPaths({ dirs: [dir, path.join(dir, 'missing')], paths: [extra] }).map(p => path.basename(p.path)),
+    ['bad.json', 'ci.json', 'budget']);
+
+  const { onChange, next } = changes(t);
+  const watcher = createProviderWatcher({ dirs: [dir], paths: [extra], onChange, pollMs: 20 });
+  t.after(() => watcher.close());
+  assert.deepStrictEqual(watcher.shown().map(p => [p.name, p.lines]), [['ci', ['green']], ['tokens', ['12k left']]]);
+  assert.strictEqual(watcher.rows(), 2);
+  assert.deepStrictEqual(watcher.errors().map(e => path.basename(e).split(':')[0]), ['bad.json']);
+
+  let changed = next();
+  fs.writeFileSync(path.join(dir, 'ci.json'), JSON.stringify({ rows: 2, lines: ['red', 'test.js failed'] }));
+  fs.utimesSync(path.join(dir, 'ci.json'), new Date(), new Date(Date.now() + 5000));
+  await changed;
+  assert.deepStrictEqual(watcher.shown()[0].lines, ['red', 'test.js failed']);
+  assert.strictEqual(watcher.rows(), 3);
+
+  changed = next();
+  fs.rmSync(extra);
+  await changed;
+  assert.deepStrictEqual(watcher.shown().map(p => p.name), ['ci']);
+});
+
+test('a socket provider replaces its state per line and goes when it closes', { skip: process.platform === 'win32' }, async (t) => {
+  const dir = tmpdir(t);
+  let client;
+  const server = net.createServer((conn) => {
+    client = conn;
+    conn.write(JSON.stringify({ name: 'pager', lines: ['quiet'] }) + '\n');
+  });
+  await new Promise(resolve => server.listen(path.join(dir, 'pager.sock'), resolve));
+  t.after(() => server.close());
+
+  const { onChange, next } = changes(t);
+  let changed = next();
+  const watcher = createProviderWatcher({ dirs: [dir], onChange, pollMs: 20 });
+  t.after(() => watcher.close());
+  assert.deepStrictEqual(watcher.shown(), []); // nothing read yet
+  await changed;
+  assert.deepStrictEqual(watcher.shown().map(p => p.lines), [['quiet']]);
+
+  changed = next();
+  client.write(JSON.stringify({ name: 'pager', rows: 2, lines: ['\x1b[31mPAGE\x1b[0m', 'db-1 down'] }) + '\n');
+  await changed;
+  assert.deepStrictEqual(watcher.shown()[0].lines, ['\x1b[31mPAGE\x1b[0m', 'db-1 down']);
+
+  changed = next();
+  client.end();
+  await changed;
+  assert.strictEqual(watcher.rows(), 0);
+});
+
+test('a socket left behind by a gone provider is tried once until the file changes', { skip: process.platform === 'win32' }, async (t) => {
+  const dir = tmpdir(t);
+  const sock = path.join(dir, 'gone.sock');
+  // the provider exits without closing its server, the socket file stays
+  const { execFileSync } = require('child_process');
+  execFileSync(process.execPath, ['-e', `require('net').createServer().listen(${JSON.stringify(sock)}, () => process.exit(0))`]);
+
+  const attempts = [];
+  const createConnection = net.createConnection;
+  t.mock.method(net, 'createConnection', (file) => {
+    attempts.push(file);
+    return createConnection(file);
+  });
+  const watcher = createProviderWatcher({ dirs: [dir], pollMs: 20 });
+  t.after(() => watcher.close());
+  const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+  await settle();
+  assert.deepStrictEqual(attempts, [sock]);
+
+  // touched (or bound again) - worth another try
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(sock, later, later);
+  await settle();
+  assert.deepStrictEqual(attempts, [sock, sock]);
+  assert.strictEqual(watcher.rows(), 0);
+});
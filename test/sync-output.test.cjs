@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * tests for lib/sync-output.cjs - the DECRQM ?2026 answer, taken out of
+ * stdin, and the timeout that treats silence as "not supported"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { synchronized, isSyncToken, createSyncQuery } = require('../lib/sync-output.cjs');
+const { createTokenizer } = require('../lib/ansi-tokenizer.cjs');
+
+const tokens = text => createTokenizer().push(text);
+
+test('a known mode is supported, the reply never reaches Claude', () => {
+  const sent = [];
+  const query = createSyncQuery({ write: s => sent.push(s) });
+  assert.strictEqual(query.input('\x1b[?2026;2$y'), '\x1b[?2026;2$y'); // not asked yet
+  query.start();
+  assert.deepStrictEqual(sent, ['\x1b[?2026$p']);
+  assert.strictEqual(query.supported(), null);
+  assert.strictEqual(query.input('x\x1b[?2026;2$yy'), 'xy');
+  assert.strictEqual(query.supported(), true);
+  // only the first reply is ours - a later one is Claude's own query
+  assert.strictEqual(query.input('\x1b[?2026;2$y'), '\x1b[?2026;2$y');
+
+  const unknown = createSyncQuery({ write: () => {} });
+  unknown.start();
+  assert.strictEqual(unknown.input('\x1b[?2026;0$y'), '');
+  assert.strictEqual(unknown.supported(), false);
+});
+
+test('no answer by the timeout means unsupported, a late one still counts', async () => {
+  const query = createSyncQuery({ write: () => {}, timeoutMs: 10 });
+  query.start();
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(query.supported(), false);
+  assert.strictEqual(query.input('\x1b[?2026;1$y'), '');
+  assert.strictEqual(query.supported(), true);
+});
+
+test('brackets wrap a frame, Claude\'s own are recognised', () => {
+  assert.strictEqual(synchronized('frame'), '\x1b[?2026hframe\x1b[?2026l');
+  assert.deepStrictEqual(tokens('\x1b[?2026h\x1b[?2026l\x1b[?25h\x1b[2026h').map(isSyncToken), [true, true, false, false]);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * tests for lib/terminal-profiles.cjs - detection, built-in profiles, user
+ * overrides and match rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { detectTerminal, resolveProfile, listProfiles, DEFAULT_PROFILE } = require('../lib/terminal-profiles.cjs');
+const { stripColors, createColorStripper, DEFAULT_KEEP_SGR, NUCLEAR_KEEP_SGR } = require('../lib/strip-colors.cjs');
+
+const NO_USER_DIR = path.join(__dirname, 'no-such-dir');
+
+// a throwaway ~/.config/claudefix/terminals with the given files
+function userDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claudefix-terminals-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+test('detects terminals from the environment', () => {
+  const cases = [
+    [{ TERM_PROGRAM: 'ptyxis' }, 'linux', 'ptyxis'],
+    [{ GNOME_TERMINAL_SERVICE: ':1.99/Ptyxis' }, 'linux', 'ptyxis'],
+    [{ VTE_VERSION: '7600', XFCE_TERMINAL_VERSION: '1.1' }, 'linux', 'xfce-terminal'],
+    [{ VTE_VERSION: '6800', GDK_BACKEND: 'wayland' }, 'linux', 'gtk4-vte'],
+    [{ VTE_VERSION: '7600' }, 'linux', 'gtk4-vte'],
+    [{ VTE_VERSION: '6003' }, 'linux', 'gnome-terminal'],
+    [{ TERM: 'xterm-256color' }, 'linux', 'xterm'],
+    [{}, 'linux', 'unknown'],
+    [{ TERM_PROGRAM: 'Apple_Terminal' }, 'darwin', 'apple-terminal'],
+    [{ TERM_PROGRAM: 'iTerm.app' }, 'darwin', 'iterm2'],
+    [{ TERM: 'xterm-256color' }, 'darwin', 'mac-xterm'],
+  ];
+  for (const [env, platform, expected] of cases) {
+    assert.strictEqual(detectTerminal(env, platform), expected, JSON.stringify(env));
+  }
+});
+
+test('every detectable terminal has a valid built-in profile', () => {
+  const names = listProfiles({ userDir: NO_USER_DIR });
+  for (const name of ['unknown', 'xterm', 'gtk4-vte', 'ptyxis', 'gnome-terminal', 'xfce-terminal',
+    'apple-terminal', 'iterm2', 'wezterm', 'kitty', 'alacritty', 'mac-xterm', 'mac-unknown']) {
+    assert.ok(names.includes(name), `missing terminals/${name}.json`);
+    const profile = resolveProfile({ env: { CLAUDEFIX_TERMINAL: name }, userDir: NO_USER_DIR });
+    assert.deepStrictEqual(profile.errors, [], name);
+    assert.strictEqual(profile.name, name);
+  }
+});
+
+test('GTK4 VTE terminals strip to the nuclear set, macOS strips backgrounds except Terminal.app', () => {
+  const profile = name => resolveProfile({ env: { CLAUDEFIX_TERMINAL: name }, userDir: NO_USER_DIR });
+  for (const name of ['gtk4-vte', 'ptyxis']) {
+    assert.deepStrictEqual(profile(name).keepSgr, NUCLEAR_KEEP_SGR, name);
+  }
+  for (const name of ['gnome-terminal', 'xfce-terminal', 'xterm']) {
+    assert.deepStrictEqual(profile(name).keepSgr, DEFAULT_KEEP_SGR, name);
+  }
+  // what the wrapper did before profiles: strip everywhere but Terminal.app,
+  // never clear scrollback on macOS
+  for (const name of ['iterm2', 'wezterm', 'kitty', 'alacritty', 'mac-xterm', 'mac-unknown']) {
+    assert.strictEqual(profile(name).colors, 'strip', name);
+    assert.strictEqual(profile(name).clearScrollback, false, name);
+  }
+  assert.strictEqual(profile('apple-terminal').colors, 'off');
+});
+
+test('unset keys fall back to the defaults', () => {
+  const profile = resolveProfile({ env: { TERM: 'xterm-256color' }, platform: 'linux', userDir: NO_USER_DIR });
+  assert.strictEqual(profile.name, 'xterm');
+  assert.strictEqual(profile.via, 'detected');
+  assert.strictEqual(profile.flushDelayMs, DEFAULT_PROFILE.flushDelayMs);
+  assert.deepStrictEqual(profile.keepSgr, DEFAULT_PROFILE.keepSgr);
+});
+
+test('a user file overrides only the keys it sets', (t) => {
+  const dir = userDir(t, { 'gtk4-vte.json': { flushDelayMs: 32, keepSgr: ['0', '1', '30-37', '39'] } });
+  const profile = resolveProfile({ env: { VTE_VERSION: '7600' }, platform: 'linux', userDir: dir });
+  assert.strictEqual(profile.name, 'gtk4-vte');
+  assert.strictEqual(profile.flushDelayMs, 32);
+  assert.strictEqual(profile.colors, 'strip');
+  assert.strictEqual(profile.files.length, 2);
+
+  const stream = createColorStripper({ mode: profile.colors, keepSgr: profile.keepSgr });
+  assert.strictEqual(stream.write('\x1b[3;31mit\x1b[38;5;208mfg\x1b[0m'), '\x1b[31mitfg\x1b[0m');
+  assert.strictEqual(stripColors('\x1b[3;31mit\x1b[0m'), '\x1b[3;31mit\x1b[0m');
+});
+
+test('a new user profile claims its terminal with match rules', (t) => {
+  const dir = userDir(t, { 'foot.json': { match: { TERM_PROGRAM: 'foot', DISPLAY: '*' }, colors: 'off' } });
+  const claimed = resolveProfile({ env: { TERM_PROGRAM: 'foot', DISPLAY: ':0', TERM: 'xterm-256color' }, platform: 'linux', userDir: dir });
+  assert.strictEqual(claimed.name, 'foot');
+  assert.strictEqual(claimed.via, 'match');
+  assert.strictEqual(claimed.colors, 'off');
+  assert.strictEqual(claimed.match, undefined);
+
+  const unclaimed = resolveProfile({ env: { TERM_PROGRAM: 'foot', TERM: 'xterm-256color' }, platform: 'linux', userDir: dir });
+  assert.strictEqual(unclaimed.name, 'xterm');
+});
+
+test('CLAUDEFIX_TERMINAL forces a profile, unknown names fall back', () => {
+  const forced = resolveProfile({ env: { CLAUDEFIX_TERMINAL: 'iterm2', TERM: 'xterm' }, platform: 'linux', userDir: NO_USER_DIR });
+  assert.strictEqual(forced.name, 'iterm2');
+  assert.strictEqual(forced.via, 'env');
+
+  const typo = resolveProfile({ env: { CLAUDEFIX_TERMINAL: 'itrem2', TERM: 'xterm' }, platform: 'linux', userDir: NO_USER_DIR });
+  assert.strictEqual(typo.name, 'xterm');
+  assert.match(typo.errors[0], /no such profile/);
+});
+
+test('bad rule files are reported, never fatal', (t) => {
+  const dir = userDir(t, {
+    'xterm.json': { colors: 'nuclear', flushDelayMs: 20, bogus: 1 },
+    'broken.json': '{ not json',
+  });
+  const profile = resolveProfile({ env: { TERM: 'xterm' }, platform: 'linux', userDir: dir });
+  assert.strictEqual(profile.colors, 'strip');
+  assert.strictEqual(profile.flushDelayMs, 20);
+  assert.strictEqual(profile.errors.length, 3);
+  assert.ok(profile.errors.some(e => e.includes('broken.json')));
+  assert.ok(profile.errors.some(e => e.includes('colors must be one of')));
+  assert.ok(profile.errors.some(e => e.includes('bogus unknown key')));
+});
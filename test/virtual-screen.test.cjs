@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * tests for lib/virtual-screen.cjs - the screen model under the diff
+ * renderer: printing and wrapping, erase / scroll, styles, and what it
+ * leaves to the real terminal
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { charWidth, createVirtualScreen } = require('../lib/virtual-screen.cjs');
+const { createTokenizer } = require('../lib/ansi-tokenizer.cjs');
+
+function feed(screen, text) {
+  const tokenizer = createTokenizer();
+  return [...tokenizer.push(text), ...tokenizer.flush()].map(token => screen.apply(token));
+}
+
+const text = screen => screen.rows().map(row => row.ch.join('|'));
+
+test('text wraps at the margin, wide characters take two cells', () => {
+  const screen = createVirtualScreen(5, 3);
+  feed(screen, 'helloworld\r\nx中文');
+  assert.deepStrictEqual(text(screen), ['h|e|l|l|o', 'w|o|r|l|d', 'x|中||文|']);
+  assert.deepStrictEqual(screen.cursor(), { x: 4, y: 2 });
+
+  // overwriting half of one blanks the other half
+  feed(screen, '\x1b[3;3Hy');
+  assert.strictEqual(screen.row(2).ch.join('|'), 'x| |y|文|');
+  assert.strictEqual(charWidth('e'.codePointAt(0)), 1);
+  assert.strictEqual(charWidth(0x301), 0);
+  assert.strictEqual(charWidth('🙂'.codePointAt(0)), 2);
+});
+
+test('erase, insert / delete and scrolling move the cells, full-screen scrolls feed scrolledOff', () => {
+  const screen = createVirtualScreen(4, 3);
+  feed(screen, 'aaaa\r\nbbbb\r\ncccc\r\ndddd');
+  assert.deepStrictEqual(text(screen), ['b|b|b|b', 'c|c|c|c', 'd|d|d|d']);
+  assert.deepStrictEqual(screen.takeScrolledOff().map(row => row.ch.join('')), ['aaaa']);
+  assert.deepStrictEqual(screen.takeScrolledOff(), []);
+
+  feed(screen, '\x1b[1;2H\x1b[2P\x1b[2;2H\x1b[@\x1b[3;3H\x1b[1K');
+  assert.deepStrictEqual(text(screen), ['b|b| | ', 'c| |c|c', ' | | |d']);
+
+  // inside a region nothing is kept: deleted and scrolled lines are gone
+  feed(screen, '\x1b[2;3r\x1b[3;1H\nnew');
+  assert.deepStrictEqual(text(screen), ['b|b| | ', ' | | |d', 'n|e|w| ']);
+  feed(screen, '\x1b[2;1H\x1b[M');
+  assert.deepStrictEqual(text(screen), ['b|b| | ', 'n|e|w| ', ' | | | ']);
+  assert.deepStrictEqual(screen.takeScrolledOff(), []);
+});
+
+test('the pen becomes each cell\'s style, erased cells keep only the background', () => {
+  const screen = createVirtualScreen(6, 1);
+  feed(screen, '\x1b[1;31ma\x1b[22mb\x1b]8;;https://x\x1b\\c\x1b]8;;\x1b\\\x1b[44m\x1b[K');
+  assert.deepStrictEqual(screen.row(0).st, ['1;31', '31', '31\0;https://x', '44', '44', '44']);
+  assert.strictEqual(screen.pen(), '31;44');
+});
+
+test('what the model can\'t follow is flagged, what doesn\'t touch cells passes through', () => {
+  const screen = createVirtualScreen(10, 3);
+  assert.deepStrictEqual(feed(screen, 'a\x1b]0;title\x07\x1b[?25l\x1b[6n\x1b[3J\x1b[>4;2m'),
+    ['screen', 'passthrough', 'passthrough', 'passthrough', 'passthrough', 'passthrough']);
+  for (const seq of ['\x1b[?1049h', '\x1b[?6h', '\x1b[4h', '\x1bc', '\x1b(0', '\x1b[!p', '\x1b[2;5s']) {
+    assert.deepStrictEqual(feed(screen, seq), ['unsupported'], JSON.stringify(seq));
+  }
+});